@@ -0,0 +1,344 @@
+/**
+ * ArcGIS Services
+ * Layers from ArcGIS REST services, as published on ArcGIS Hub by Swachh Bharat Mission and state portals.
+ * An `arcgis` layer pointing at a FeatureServer or MapServer layer loads the features in view as GeoJSON,
+ * page by page. A layer pointing at a MapServer, or with `service.export`, shows images from its `/export`:
+ *
+ *   {
+ *     "id": "odf-villages", "type": "arcgis",
+ *     "url": "https://services.arcgis.com/example/arcgis/rest/services/ODF_Villages/FeatureServer/0",
+ *     "service": { "where": "STATE_NAME = 'Goa'", "outFields": ["VILLAGE", "ODF_STATUS"] },
+ *     "inspect": { "label": "VILLAGE", "fields": ["ODF_STATUS"] }
+ *   }
+ *
+ * The service metadata has the fields, extent and copyright shown in the layer settings.
+ */
+import { buildServiceUrl, fromWebMercator } from './ogc-services.js';
+
+const DEFAULT_PAGE_SIZE = 1000;
+const DEFAULT_MAX_FEATURES = 5000;
+const TILE_SIZE = 256;
+
+// Spatial references of the extents that can be shown on the map
+const WGS84_WKIDS = [4326];
+const WEB_MERCATOR_WKIDS = [102100, 102113, 900913, 3857];
+
+/**
+ * Whether a layer is an ArcGIS REST layer
+ * @param {Object} layer - Layer config
+ * @returns {boolean}
+ */
+export function isArcGISLayer(layer) {
+    return layer?.type === 'arcgis';
+}
+
+/**
+ * Split an ArcGIS REST URL into its service and layer
+ * @param {string} url - FeatureServer or MapServer URL, with or without a layer index
+ * @returns {{serviceUrl: string, serviceType: 'FeatureServer'|'MapServer', layerIndex: number|null, query: string}|null}
+ */
+export function parseArcGISUrl(url) {
+    const [path, query = ''] = (url || '').split('?');
+    const match = path.match(/^(.*\/(FeatureServer|MapServer))(?:\/(\d+))?\/?$/i);
+    if (!match) return null;
+
+    return {
+        serviceUrl: match[1],
+        serviceType: match[2].toLowerCase() === 'mapserver' ? 'MapServer' : 'FeatureServer',
+        layerIndex: match[3] !== undefined ? Number(match[3]) : null,
+        query
+    };
+}
+
+/**
+ * Whether a layer is shown as images from the MapServer `/export` instead of as features
+ * @param {Object} layer - Layer config
+ * @returns {boolean}
+ */
+export function isArcGISExportLayer(layer) {
+    const parsed = parseArcGISUrl(layer.url);
+    return parsed?.serviceType === 'MapServer' && (parsed.layerIndex === null || Boolean(layer.service?.export));
+}
+
+// URL of a resource of the service, keeping query parameters such as tokens
+function getResourceUrl(parsed, resource, params) {
+    return buildServiceUrl(`${parsed.serviceUrl}${resource}?${parsed.query}`, params);
+}
+
+function getLayerResource(parsed) {
+    // Hub links often leave out the layer of single layer feature services
+    return `/${parsed.layerIndex ?? 0}`;
+}
+
+/**
+ * Fields to request, always including the fields used by `inspect`
+ * @param {Object} layer - Layer config
+ * @returns {string} Comma separated field names, `*` for all fields
+ */
+export function getArcGISOutFields(layer) {
+    const outFields = [].concat(layer.service?.outFields || []);
+    if (outFields.length === 0 || outFields.includes('*')) return '*';
+
+    const inspect = layer.inspect || {};
+    const inspectFields = [inspect.id, inspect.label, ...(inspect.fields || [])].filter(Boolean);
+    return [...new Set([...outFields, ...inspectFields])].join(',');
+}
+
+/**
+ * Query URL for the features of a layer in a bounding box
+ * @param {Object} layer - Layer config
+ * @param {[number, number, number, number]} bounds - West, south, east, north
+ * @param {{offset?: number, count?: number}} [page] - Page of results, all results when not given
+ * @returns {string}
+ */
+export function getArcGISQueryUrl(layer, bounds, { offset, count } = {}) {
+    const parsed = parseArcGISUrl(layer.url);
+    const [west, south, east, north] = bounds;
+    const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+
+    return getResourceUrl(parsed, `${getLayerResource(parsed)}/query`, {
+        where: layer.service?.where || '1=1',
+        geometry: [clamp(west, 180), clamp(south, 90), clamp(east, 180), clamp(north, 90)].join(','),
+        geometryType: 'esriGeometryEnvelope',
+        inSR: 4326,
+        spatialRel: 'esriSpatialRelIntersects',
+        outFields: getArcGISOutFields(layer),
+        returnGeometry: true,
+        outSR: 4326,
+        resultOffset: count ? offset || 0 : undefined,
+        resultRecordCount: count,
+        f: 'json'
+    });
+}
+
+/**
+ * Tile URL template for the images of a MapServer `/export`
+ * @param {Object} layer - Layer config
+ * @returns {string}
+ */
+export function getArcGISExportTileUrl(layer) {
+    const parsed = parseArcGISUrl(layer.url);
+    const service = layer.service || {};
+    const layers = parsed.layerIndex !== null ? [parsed.layerIndex] : [].concat(service.layers ?? []);
+
+    return getResourceUrl(parsed, '/export', {
+        bbox: '{bbox-epsg-3857}',
+        bboxSR: 3857,
+        imageSR: 3857,
+        size: `${TILE_SIZE},${TILE_SIZE}`,
+        format: service.format || 'png32',
+        transparent: true,
+        layers: layers.length > 0 ? `show:${layers.join(',')}` : undefined,
+        layerDefs: service.where && layers.length > 0
+            ? JSON.stringify(Object.fromEntries(layers.map(index => [index, service.where])))
+            : undefined,
+        f: 'image'
+    });
+}
+
+// Esri rings are clockwise for outer rings and counter-clockwise for holes, in y-up coordinates
+function isClockwise(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return sum > 0;
+}
+
+function isInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function ringsToGeoJSON(rings) {
+    const polygons = [];
+    const holes = [];
+
+    // GeoJSON winds the other way round
+    rings.filter(ring => ring.length >= 4).forEach(ring => {
+        if (isClockwise(ring)) {
+            polygons.push([[...ring].reverse()]);
+        } else {
+            holes.push([...ring].reverse());
+        }
+    });
+
+    holes.forEach(hole => {
+        const polygon = polygons.find(([outer]) => isInRing(hole[0], outer));
+        if (polygon) {
+            polygon.push(hole);
+        } else {
+            // A ring outside every outer ring is an outer ring wound the wrong way
+            polygons.push([[...hole].reverse()]);
+        }
+    });
+
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Convert an Esri JSON geometry to a GeoJSON geometry
+ * @param {Object} geometry - Esri point, multipoint, polyline, polygon or envelope
+ * @returns {Object|null}
+ */
+export function esriGeometryToGeoJSON(geometry) {
+    if (!geometry) return null;
+
+    if (Number.isFinite(geometry.x) && Number.isFinite(geometry.y)) {
+        return { type: 'Point', coordinates: [geometry.x, geometry.y] };
+    }
+    if (geometry.points?.length) {
+        return { type: 'MultiPoint', coordinates: geometry.points };
+    }
+    if (geometry.paths?.length) {
+        return geometry.paths.length === 1
+            ? { type: 'LineString', coordinates: geometry.paths[0] }
+            : { type: 'MultiLineString', coordinates: geometry.paths };
+    }
+    if (geometry.rings?.length) {
+        return ringsToGeoJSON(geometry.rings);
+    }
+    if (Number.isFinite(geometry.xmin)) {
+        const { xmin, ymin, xmax, ymax } = geometry;
+        return { type: 'Polygon', coordinates: [[[xmin, ymin], [xmax, ymin], [xmax, ymax], [xmin, ymax], [xmin, ymin]]] };
+    }
+    return null;
+}
+
+// Readable values for dates, stored as milliseconds, and coded values
+function getValueFormatters(fields = []) {
+    const formatters = {};
+    fields.forEach(field => {
+        const codedValues = field.domain?.type === 'codedValue' ? field.domain.codedValues : null;
+        if (codedValues) {
+            const names = new Map(codedValues.map(({ code, name }) => [code, name]));
+            formatters[field.name] = value => names.has(value) ? names.get(value) : value;
+        } else if (field.type === 'esriFieldTypeDate') {
+            formatters[field.name] = value => {
+                if (typeof value !== 'number') return value;
+                const iso = new Date(value).toISOString();
+                return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace('.000Z', 'Z');
+            };
+        }
+    });
+    return formatters;
+}
+
+/**
+ * Convert an Esri JSON query response to a GeoJSON FeatureCollection
+ * @param {Object} response - Query response with `features` and optionally `fields`
+ * @param {Object} [metadata] - Layer metadata, for the object ID field and the field domains
+ * @returns {Object} FeatureCollection
+ */
+export function esriFeaturesToGeoJSON(response, metadata = {}) {
+    const idField = response.objectIdFieldName || metadata.objectIdField ||
+        (response.fields || metadata.fields || []).find(field => field.type === 'esriFieldTypeOID')?.name;
+    const formatters = getValueFormatters(response.fields || metadata.fields);
+
+    return {
+        type: 'FeatureCollection',
+        features: (response.features || []).map(({ attributes = {}, geometry }) => {
+            const properties = {};
+            Object.entries(attributes).forEach(([name, value]) => {
+                properties[name] = formatters[name] && value !== null ? formatters[name](value) : value;
+            });
+            return {
+                type: 'Feature',
+                ...(idField && attributes[idField] !== undefined && { id: attributes[idField] }),
+                properties,
+                geometry: esriGeometryToGeoJSON(geometry)
+            };
+        })
+    };
+}
+
+/**
+ * Extent of a service or layer in longitude and latitude
+ * @param {Object} metadata - Service or layer metadata
+ * @returns {[number, number, number, number]|null} West, south, east, north, null for other spatial references
+ */
+export function getArcGISExtent(metadata) {
+    const extent = metadata?.extent || metadata?.fullExtent;
+    if (!extent || !Number.isFinite(extent.xmin)) return null;
+
+    const wkid = extent.spatialReference?.latestWkid || extent.spatialReference?.wkid;
+    if (WGS84_WKIDS.includes(wkid)) {
+        return [extent.xmin, extent.ymin, extent.xmax, extent.ymax];
+    }
+    if (WEB_MERCATOR_WKIDS.includes(wkid)) {
+        return [...fromWebMercator([extent.xmin, extent.ymin]), ...fromWebMercator([extent.xmax, extent.ymax])];
+    }
+    return null;
+}
+
+/**
+ * Fetch JSON from an ArcGIS REST endpoint, which reports errors in the response body
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>}
+ */
+export async function fetchArcGISJSON(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(data.error.message || `ArcGIS error ${data.error.code}`);
+    }
+    return data;
+}
+
+/**
+ * Fetch the metadata of the layer, or of the service for `/export` layers
+ * @param {Object} layer - Layer config
+ * @returns {Promise<Object>}
+ */
+export function fetchArcGISMetadata(layer) {
+    const parsed = parseArcGISUrl(layer.url);
+    if (!parsed) {
+        return Promise.reject(new Error(`Not an ArcGIS FeatureServer or MapServer URL: ${layer.url}`));
+    }
+    const resource = isArcGISExportLayer(layer) && parsed.layerIndex === null ? '' : getLayerResource(parsed);
+    return fetchArcGISJSON(getResourceUrl(parsed, resource, { f: 'json' }));
+}
+
+/**
+ * Fetch the features of a layer in a bounding box, a page at a time where the service allows it
+ * @param {Object} layer - Layer config
+ * @param {[number, number, number, number]} bounds - West, south, east, north
+ * @param {{metadata?: Object, signal?: AbortSignal}} [options]
+ * @returns {Promise<Object>} FeatureCollection, with `exceededTransferLimit` when features were left out
+ */
+export async function fetchArcGISFeatures(layer, bounds, { metadata = {}, signal } = {}) {
+    const maxFeatures = layer.service?.maxFeatures || DEFAULT_MAX_FEATURES;
+    const pageSize = Math.min(layer.service?.pageSize || DEFAULT_PAGE_SIZE, metadata.maxRecordCount || Infinity);
+    const supportsPagination = Boolean(metadata.advancedQueryCapabilities?.supportsPagination);
+
+    const features = [];
+    let exceededTransferLimit = false;
+    while (features.length < maxFeatures) {
+        const page = supportsPagination ? { offset: features.length, count: pageSize } : {};
+        const response = await fetchArcGISJSON(getArcGISQueryUrl(layer, bounds, page), signal);
+        features.push(...esriFeaturesToGeoJSON(response, metadata).features);
+
+        exceededTransferLimit = Boolean(response.exceededTransferLimit);
+        if (!exceededTransferLimit || !supportsPagination || !response.features?.length) break;
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: features.slice(0, maxFeatures),
+        exceededTransferLimit: exceededTransferLimit || features.length > maxFeatures
+    };
+}
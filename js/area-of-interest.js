@@ -0,0 +1,226 @@
+/**
+ * Area of Interest
+ * Resolves an atlas `areaOfInterest` into a geometry and applies it to the map:
+ * bounds the map view, frames the reset view and search, and optionally masks
+ * everything outside the area.
+ *
+ * `areaOfInterest` can be:
+ * - a place name, as before: "Goa, India" (no geometry)
+ * - a bbox: [west, south, east, north]
+ * - a GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection
+ * - a URL to a GeoJSON file
+ * - an object: { "name", "bbox" | "geojson" | "url", "mask", "maxBounds", "boundsPadding" }
+ */
+
+const MASK_SOURCE_ID = 'area-of-interest-mask';
+const MASK_LAYER_ID = 'area-of-interest-mask';
+const DEFAULT_MASK_STYLE = { color: '#000000', opacity: 0.4 };
+const DEFAULT_BOUNDS_PADDING = 0.25;
+
+// Outer ring covering the whole Web Mercator world, used for the inverse mask
+const WORLD_RING = [[-180, -85], [180, -85], [180, 85], [-180, 85], [-180, -85]];
+
+function isUrl(value) {
+    return typeof value === 'string' && (value.startsWith('http://') || value.startsWith('https://'));
+}
+
+function isBbox(value) {
+    return Array.isArray(value) && value.length === 4 && value.every(n => typeof n === 'number');
+}
+
+/**
+ * Normalize the forms `areaOfInterest` can take into one object
+ * @param {string|Array|Object} areaOfInterest - Atlas areaOfInterest value
+ * @returns {Object} `{ name, bbox, geojson, url, mask, maxBounds, boundsPadding }`
+ */
+export function normalizeAreaOfInterest(areaOfInterest) {
+    if (!areaOfInterest) return {};
+    if (typeof areaOfInterest === 'string') {
+        return isUrl(areaOfInterest) ? { url: areaOfInterest } : { name: areaOfInterest };
+    }
+    if (isBbox(areaOfInterest)) {
+        return { bbox: areaOfInterest };
+    }
+    if (areaOfInterest.type) {
+        return { geojson: areaOfInterest };
+    }
+    return { ...areaOfInterest };
+}
+
+/**
+ * Collect the polygons of a GeoJSON object as arrays of rings
+ * @param {Object} geojson - Any GeoJSON object
+ * @returns {Array} Polygon coordinates
+ */
+export function getPolygons(geojson) {
+    if (!geojson) return [];
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            return geojson.features.flatMap(feature => getPolygons(feature));
+        case 'Feature':
+            return getPolygons(geojson.geometry);
+        case 'GeometryCollection':
+            return geojson.geometries.flatMap(geometry => getPolygons(geometry));
+        case 'Polygon':
+            return [geojson.coordinates];
+        case 'MultiPolygon':
+            return geojson.coordinates;
+        default:
+            return [];
+    }
+}
+
+/**
+ * Get the bbox of the polygons in a GeoJSON object
+ * @param {Object} geojson - Any GeoJSON object
+ * @returns {Array|null} [west, south, east, north]
+ */
+export function getGeoJSONBbox(geojson) {
+    const coordinates = getPolygons(geojson).flatMap(polygon => polygon[0] || []);
+    if (coordinates.length === 0) return null;
+
+    const lngs = coordinates.map(coordinate => coordinate[0]);
+    const lats = coordinates.map(coordinate => coordinate[1]);
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/**
+ * Convert a bbox into a GeoJSON Polygon
+ * @param {Array} bbox - [west, south, east, north]
+ * @returns {Object} GeoJSON Polygon
+ */
+export function bboxToPolygon([west, south, east, north]) {
+    return {
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+    };
+}
+
+/**
+ * Grow a bbox by a fraction of its size on every side
+ * @param {Array} bbox - [west, south, east, north]
+ * @param {number} padding - Fraction of the width/height to add on each side
+ * @returns {Array} Padded bbox, clamped to valid coordinates
+ */
+export function padBbox([west, south, east, north], padding) {
+    const dx = (east - west) * padding;
+    const dy = (north - south) * padding;
+    return [
+        Math.max(west - dx, -180),
+        Math.max(south - dy, -85),
+        Math.min(east + dx, 180),
+        Math.min(north + dy, 85)
+    ];
+}
+
+/**
+ * Build a polygon covering the world with the area cut out as holes
+ * @param {Object} geojson - Area of interest GeoJSON
+ * @returns {Object} GeoJSON Feature
+ */
+export function buildInverseMask(geojson) {
+    const holes = getPolygons(geojson).map(polygon => polygon[0]).filter(Boolean);
+    return {
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'Polygon', coordinates: [WORLD_RING, ...holes] }
+    };
+}
+
+/**
+ * Resolve an atlas `areaOfInterest` into a geometry, fetching it if given by URL
+ * @param {string|Array|Object} areaOfInterest - Atlas areaOfInterest value
+ * @param {Object} options
+ * @param {Function} options.fetchGeoJSON - Loader for GeoJSON URLs
+ * @returns {Promise<Object|null>} `{ name, bbox, geojson, mask, maxBounds, boundsPadding }`,
+ * or null if the area has no geometry
+ */
+export async function resolveAreaOfInterest(areaOfInterest, { fetchGeoJSON = fetchAreaGeoJSON } = {}) {
+    const area = normalizeAreaOfInterest(areaOfInterest);
+
+    let geojson = area.geojson || null;
+    if (!geojson && area.url) {
+        try {
+            geojson = await fetchGeoJSON(area.url);
+        } catch (error) {
+            console.warn(`⚠️ Could not load area of interest from ${area.url}:`, error);
+        }
+    }
+
+    const bbox = area.bbox || getGeoJSONBbox(geojson);
+    if (!bbox) return null;
+
+    return {
+        name: area.name || null,
+        bbox,
+        geojson: geojson || bboxToPolygon(bbox),
+        mask: area.mask ? { ...DEFAULT_MASK_STYLE, ...(typeof area.mask === 'object' ? area.mask : {}) } : null,
+        maxBounds: area.maxBounds !== false,
+        boundsPadding: area.boundsPadding ?? DEFAULT_BOUNDS_PADDING
+    };
+}
+
+async function fetchAreaGeoJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Get the map's maximum bounds for an area
+ * @param {Object} area - Resolved area of interest
+ * @returns {Array|null} Bounds as [[west, south], [east, north]]
+ */
+export function getAreaMaxBounds(area) {
+    if (!area || !area.maxBounds) return null;
+    const [west, south, east, north] = padBbox(area.bbox, area.boundsPadding);
+    return [[west, south], [east, north]];
+}
+
+/**
+ * Get geocoder proximity ("lng,lat" of the area center) and bbox for an area
+ * @param {Object} area - Resolved area of interest
+ * @returns {{proximity: string, bbox: Array}}
+ */
+export function getAreaSearchOptions(area) {
+    const [west, south, east, north] = area.bbox;
+    const lng = ((west + east) / 2).toFixed(5);
+    const lat = ((south + north) / 2).toFixed(5);
+    return { proximity: `${lng},${lat}`, bbox: area.bbox };
+}
+
+/**
+ * Add the inverse mask of an area to the map, and again whenever the style is replaced
+ * @param {Object} map - Mapbox GL map
+ * @param {Object} area - Resolved area of interest with a `mask` style
+ */
+export function addAreaMask(map, area) {
+    if (!area || !area.mask) return;
+
+    const addMask = () => {
+        if (map.getSource(MASK_SOURCE_ID)) return;
+
+        map.addSource(MASK_SOURCE_ID, {
+            type: 'geojson',
+            data: buildInverseMask(area.geojson)
+        });
+        map.addLayer({
+            id: MASK_LAYER_ID,
+            type: 'fill',
+            source: MASK_SOURCE_ID,
+            // The 'mask' group is ordered above all other layers by layer-order-manager.js
+            metadata: { groupId: 'mask' },
+            paint: {
+                'fill-color': area.mask.color,
+                'fill-opacity': area.mask.opacity
+            }
+        });
+    };
+
+    if (map.isStyleLoaded()) {
+        addMask();
+    }
+    map.on('style.load', addMask);
+}
@@ -0,0 +1,239 @@
+/**
+ * Atlas config loading helpers shared by map-init.js and config-control.js
+ *
+ * An atlas can declare `"extends": "<name or URL>"` to inherit from another atlas:
+ * - `map`, `defaults` and `ui` are deep merged, other top-level keys are overridden
+ * - `"remove": ["layer-id"]` drops layers inherited from the parent
+ * - child layers with a parent id override that layer, other layers are appended
+ * - `"before"`/`"after": "layer-id"` on a child layer places (or moves) it next to another layer
+ *
+ * `?atlas=a,b` combines several atlases in order, see combineAtlasConfigs().
+ */
+
+import { deepMerge } from './map-utils.js';
+import { migrateAtlasConfig } from './config-migrations.mjs';
+import { parseYear } from './date-utils.js';
+import { confirmAtlasSources, confirmAtlasDataSources } from './atlas-trust.js';
+import { configValidator } from './config-validator.js';
+import { loadPresetLibraries } from './preset-library.js';
+
+const MERGED_KEYS = ['map', 'defaults', 'ui'];
+
+/**
+ * Get the path of an atlas config from a local name or a URL
+ * @param {string} atlas - Local atlas name (e.g. 'index', 'examples/maphub') or http(s) URL
+ * @returns {string} Path that can be fetched
+ */
+export function getAtlasPath(atlas) {
+    if (atlas.startsWith('http://') || atlas.startsWith('https://')) {
+        return atlas;
+    }
+    return `config/${atlas}.atlas.json`;
+}
+
+/**
+ * Upgrade an atlas config written for an older config version, logging deprecated keys
+ * @param {Object} config - Atlas config
+ * @param {string} source - Name or URL of the config, for the warnings
+ * @returns {Object} Config in the current shape
+ */
+export function migrateConfig(config, source) {
+    const { config: migrated, warnings } = migrateAtlasConfig(config);
+    warnings.forEach(warning => console.warn(`⚠️ [Config] ${source}: ${warning}`));
+    return migrated;
+}
+
+/**
+ * Fetch an atlas config by local name or URL, upgraded to the current config version.
+ * URLs from unknown origins are only fetched once the user confirms them
+ * @param {string} atlas - Local atlas name or URL
+ * @returns {Promise<Object>} Parsed atlas config
+ */
+export async function fetchAtlasConfig(atlas) {
+    if (!await confirmAtlasSources([atlas])) {
+        throw new Error(`Not loading atlas from unknown origin: ${atlas}`);
+    }
+    const response = await fetch(getAtlasPath(atlas));
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return migrateConfig(await response.json(), atlas);
+}
+
+/**
+ * Resolve the `extends` chain of an atlas config into a single config
+ * @param {Object} config - Atlas config that may declare `extends`
+ * @param {Object} options
+ * @param {string} options.source - Name or URL the config was loaded from, used for cycle detection and errors
+ * @param {Function} options.loadAtlas - Loader for parent atlases, defaults to fetchAtlasConfig
+ * @returns {Promise<Object>} Config with all parents merged in
+ */
+export async function resolveAtlasExtends(config, { source = 'atlas', loadAtlas = fetchAtlasConfig, chain = [] } = {}) {
+    if (!config.extends) {
+        return config;
+    }
+
+    const parentName = config.extends;
+    const visited = [...chain, source];
+    if (visited.some(name => getAtlasPath(name) === getAtlasPath(parentName))) {
+        throw new Error(`Atlas inheritance cycle: ${[...visited, parentName].join(' → ')}`);
+    }
+
+    let parent;
+    try {
+        parent = await loadAtlas(parentName);
+    } catch (error) {
+        throw new Error(`Could not load parent atlas '${parentName}' extended by '${source}': ${error.message}`);
+    }
+
+    const resolvedParent = await resolveAtlasExtends(parent, { source: parentName, loadAtlas, chain: visited });
+    return mergeAtlasConfigs(resolvedParent, config);
+}
+
+/**
+ * Prepare a parsed atlas config for the map. These are the steps shared by map-init.js and
+ * config-control.js: upgrade it to the current config version, check it against the schema,
+ * merge in the atlases it extends, confirm data sources from unknown origins, load its preset
+ * libraries and replace preset ids that were renamed with their current id
+ * @param {Object} config - Parsed atlas config
+ * @param {Object} options
+ * @param {string} options.source - Name or URL the config was loaded from, for warnings and errors
+ * @returns {Promise<Object>} `{ config, layerLibrary, configErrors, renamedLayers, resolveRenamedLayer }`,
+ *   where `resolveRenamedLayer` also renames layers added later, e.g. from `?layers=`
+ */
+export async function prepareAtlasConfig(config, { source = 'atlas' } = {}) {
+    let prepared = migrateConfig(config, source);
+
+    // Schema problems are reported, but valid layers still render
+    const configErrors = await configValidator.validate(prepared, 'atlas');
+    if (configErrors.length > 0) {
+        console.warn(`⚠️ Atlas config ${source} does not match the config schema:`, configErrors);
+    }
+
+    if (prepared.extends) {
+        prepared = await resolveAtlasExtends(prepared, { source });
+        console.log(`🔗 Resolved atlas inheritance for ${source}`);
+    }
+    prepared = await confirmAtlasDataSources(prepared);
+
+    const layerLibrary = await loadPresetLibraries(prepared.presetLibraries);
+
+    const renamedLayers = [];
+    const resolveRenamedLayer = (layer) => {
+        const currentId = layer._originalJson ? null : layerLibrary.resolveAlias(layer.id);
+        if (!currentId) return layer;
+        console.warn(`⚠️ [Config] ${source}: layer '${layer.id}' was renamed to '${currentId}'`);
+        renamedLayers.push({ from: layer.id, to: currentId });
+        return { ...layer, id: currentId };
+    };
+    if (Array.isArray(prepared.layers)) {
+        prepared.layers = prepared.layers.map(resolveRenamedLayer);
+    }
+
+    return { config: prepared, layerLibrary, configErrors, renamedLayers, resolveRenamedLayer };
+}
+
+/**
+ * Merge a child atlas config over its resolved parent
+ * @param {Object} parent - Parent atlas config without `extends`
+ * @param {Object} child - Child atlas config
+ * @returns {Object} Merged atlas config
+ */
+export function mergeAtlasConfigs(parent, child) {
+    const { extends: parentName, remove = [], layers: childLayers = [], ...childProperties } = child;
+    const merged = { ...parent, ...childProperties };
+
+    MERGED_KEYS.forEach(key => {
+        if (parent[key] && child[key]) {
+            merged[key] = deepMerge(parent[key], child[key]);
+        }
+    });
+
+    const removedIds = new Set(remove);
+    const layers = (parent.layers || []).filter(layer => !removedIds.has(layer.id));
+
+    childLayers.forEach(({ before, after, ...childLayer }) => {
+        const existingIndex = layers.findIndex(layer => layer.id === childLayer.id);
+        const layer = existingIndex !== -1 ? deepMerge(layers[existingIndex], childLayer) : childLayer;
+        const anchorId = before || after;
+
+        if (existingIndex !== -1) {
+            if (!anchorId) {
+                layers[existingIndex] = layer;
+                return;
+            }
+            layers.splice(existingIndex, 1);
+        }
+
+        const anchorIndex = anchorId ? layers.findIndex(l => l.id === anchorId) : -1;
+        if (anchorIndex === -1) {
+            if (anchorId) {
+                console.warn(`⚠️ Layer '${childLayer.id}' is positioned relative to '${anchorId}' which is not in atlas '${parentName}', appending it instead`);
+            }
+            layers.push(layer);
+        } else {
+            layers.splice(before ? anchorIndex : anchorIndex + 1, 0, layer);
+        }
+    });
+
+    merged.layers = layers;
+    return merged;
+}
+
+/**
+ * Split an `?atlas=` value listing several atlases, e.g. `bombay,mumbai`
+ * @param {string} atlasParam - Value of the atlas parameter
+ * @returns {string[]} Atlas names or URLs, a single entry for inline JSON
+ */
+export function parseAtlasList(atlasParam) {
+    if (!atlasParam) return [];
+    if (atlasParam.startsWith('{')) return [atlasParam];
+    return atlasParam.split(',').map(atlas => atlas.trim()).filter(Boolean);
+}
+
+/**
+ * Combine resolved atlas configs in order, as listed in `?atlas=a,b`:
+ * - `map` and other top-level settings come from the first atlas
+ * - layers are appended in atlas order, skipping ids an earlier atlas already has
+ * - each layer keeps the title of its atlas in `_sourceAtlas` for the layer panel
+ * - preset libraries are combined and the time range covers every atlas
+ * @param {Array<{source: string, config: Object}>} atlases - Atlas name or URL with its config, without `extends`
+ * @returns {Object} Combined atlas config
+ */
+export function combineAtlasConfigs(atlases) {
+    const combined = { ...atlases[0].config };
+    const layers = [];
+    const layerIds = new Set();
+    const presetLibraries = [];
+
+    atlases.forEach(({ source, config }) => {
+        const sourceAtlas = config.title || source;
+        (config.layers || []).forEach(layer => {
+            if (layerIds.has(layer.id)) return;
+            layerIds.add(layer.id);
+            layers.push({ ...layer, _sourceAtlas: sourceAtlas });
+        });
+
+        (config.presetLibraries || []).forEach(library => {
+            if (!presetLibraries.some(existing => JSON.stringify(existing) === JSON.stringify(library))) {
+                presetLibraries.push(library);
+            }
+        });
+    });
+
+    combined.layers = layers;
+    if (presetLibraries.length > 0) {
+        combined.presetLibraries = presetLibraries;
+    }
+
+    const startDates = atlases.map(({ config }) => config.startDate).filter(date => parseYear(date) !== null);
+    const endDates = atlases.map(({ config }) => config.endDate).filter(date => parseYear(date) !== null);
+    if (startDates.length > 0) {
+        combined.startDate = startDates.reduce((a, b) => parseYear(b) < parseYear(a) ? b : a);
+    }
+    if (endDates.length > 0) {
+        combined.endDate = endDates.reduce((a, b) => parseYear(b) > parseYear(a) ? b : a);
+    }
+
+    return combined;
+}
@@ -0,0 +1,189 @@
+/**
+ * Atlas Trust
+ * Local atlases, atlases on this site and atlases from the origins listed in `trustedAtlasOrigins`
+ * in config/_defaults.json load directly. An atlas URL from any other origin is named in a
+ * banner first and only loads once the user confirms it. The same applies to the atlases an
+ * atlas extends, its preset libraries and its `areaOfInterest` URL. Every atlas, trusted or
+ * not, is still passed through sanitizeConfig() before it is rendered.
+ */
+
+const DEFAULTS_PATH = 'config/_defaults.json';
+const BANNER_ID = 'atlas-trust-banner';
+
+// Sources the user already agreed to load, so they are only asked once per page
+const confirmedSources = new Set();
+let trustedOriginsPromise = null;
+
+function isUrl(source) {
+    return source.startsWith('http://') || source.startsWith('https://');
+}
+
+/**
+ * Get the trust level of an atlas source
+ * @param {string} source - Local atlas name or URL
+ * @param {string[]} trustedOrigins - Origins (`https://amche.in`) or URL prefixes (`https://raw.githubusercontent.com/publicmap/`)
+ * @param {string} pageOrigin - Origin of this page, always trusted
+ * @returns {'local'|'trusted'|'unknown'}
+ */
+export function getAtlasTrustLevel(source, trustedOrigins = [], pageOrigin = window.location.origin) {
+    if (!isUrl(source)) {
+        return 'local';
+    }
+
+    let url;
+    try {
+        url = new URL(source);
+    } catch (error) {
+        return 'unknown';
+    }
+
+    if (url.origin === pageOrigin) {
+        return 'trusted';
+    }
+
+    // Compare against the normalized URL so '..' segments cannot step out of a trusted prefix
+    const isTrusted = trustedOrigins.some(entry =>
+        url.origin === entry || url.href.startsWith(entry.endsWith('/') ? entry : `${entry}/`)
+    );
+    return isTrusted ? 'trusted' : 'unknown';
+}
+
+/**
+ * Get the atlas URLs from unknown origins
+ * @param {string[]} sources - Atlas names and URLs about to be loaded
+ * @param {string[]} trustedOrigins - Allowlist from config/_defaults.json
+ * @param {string} pageOrigin - Origin of this page
+ * @returns {string[]}
+ */
+export function getUntrustedAtlasSources(sources, trustedOrigins = [], pageOrigin = window.location.origin) {
+    return sources.filter(source => getAtlasTrustLevel(source, trustedOrigins, pageOrigin) === 'unknown');
+}
+
+/**
+ * Get the URLs an atlas config loads besides itself: the atlas it extends, its preset
+ * libraries and its area of interest
+ * @param {Object} config - Atlas config
+ * @returns {string[]}
+ */
+export function getAtlasSources(config) {
+    const libraries = (config.presetLibraries || []).map(entry => typeof entry === 'string' ? entry : entry?.url);
+    const area = config.areaOfInterest;
+    const areaUrl = typeof area === 'string' ? area : area?.url;
+
+    return [config.extends, ...libraries, areaUrl]
+        .filter(source => typeof source === 'string' && isUrl(source));
+}
+
+/**
+ * Load the trusted origin allowlist from config/_defaults.json
+ * @returns {Promise<string[]>}
+ */
+export async function loadTrustedAtlasOrigins() {
+    try {
+        const response = await fetch(DEFAULTS_PATH);
+        const defaults = await response.json();
+        return Array.isArray(defaults.trustedAtlasOrigins) ? defaults.trustedAtlasOrigins : [];
+    } catch (error) {
+        console.warn('⚠️ Could not load trusted atlas origins, treating every remote atlas as unknown:', error);
+        return [];
+    }
+}
+
+/**
+ * Ask the user before loading any of the sources from unknown origins
+ * @param {string[]} sources - Atlas names and URLs about to be loaded
+ * @returns {Promise<boolean>} Whether every source may be loaded
+ */
+export async function confirmAtlasSources(sources) {
+    if (!trustedOriginsPromise) {
+        trustedOriginsPromise = loadTrustedAtlasOrigins();
+    }
+    const untrustedSources = getUntrustedAtlasSources(sources, await trustedOriginsPromise)
+        .filter(source => !confirmedSources.has(source));
+
+    if (untrustedSources.length === 0) {
+        return true;
+    }
+    if (!await confirmUntrustedAtlases(untrustedSources)) {
+        console.warn('⚠️ Not loading from unknown origin:', untrustedSources.join(', '));
+        return false;
+    }
+    untrustedSources.forEach(source => confirmedSources.add(source));
+    return true;
+}
+
+/**
+ * Ask before an atlas loads preset libraries or an area of interest from unknown origins,
+ * leaving them out if the user declines. Parent atlases are checked by fetchAtlasConfig()
+ * @param {Object} config - Atlas config with `extends` resolved
+ * @returns {Promise<Object>} Config without the declined sources
+ */
+export async function confirmAtlasDataSources(config) {
+    const sources = getAtlasSources(config);
+    if (await confirmAtlasSources(sources)) {
+        return config;
+    }
+
+    const declined = new Set(sources.filter(source => !confirmedSources.has(source)));
+    const { areaOfInterest, ...trustedConfig } = config;
+    if (config.presetLibraries) {
+        trustedConfig.presetLibraries = config.presetLibraries
+            .filter(entry => !declined.has(typeof entry === 'string' ? entry : entry?.url));
+    }
+    if (areaOfInterest !== undefined && !declined.has(typeof areaOfInterest === 'string' ? areaOfInterest : areaOfInterest.url)) {
+        trustedConfig.areaOfInterest = areaOfInterest;
+    }
+    return trustedConfig;
+}
+
+/**
+ * Ask the user before loading atlases from unknown origins
+ * @param {string[]} sources - Atlas URLs from unknown origins
+ * @returns {Promise<boolean>} Whether the user chose to load them
+ */
+export function confirmUntrustedAtlases(sources) {
+    document.getElementById(BANNER_ID)?.remove();
+
+    return new Promise(resolve => {
+        const banner = document.createElement('div');
+        banner.id = BANNER_ID;
+        banner.className = 'atlas-trust-banner';
+        banner.setAttribute('role', 'alertdialog');
+
+        const title = document.createElement('strong');
+        title.textContent = 'Load a map from another website?';
+
+        const message = document.createElement('p');
+        message.textContent = 'This link opens an atlas, or loads data for it, from a website that is not known to this site. Only continue if you trust whoever shared it.';
+
+        const list = document.createElement('ul');
+        sources.forEach(source => {
+            const item = document.createElement('li');
+            item.textContent = source;
+            list.appendChild(item);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'atlas-trust-banner-actions';
+
+        const cancelButton = document.createElement('sl-button');
+        cancelButton.setAttribute('size', 'small');
+        cancelButton.textContent = 'Open the default map';
+
+        const loadButton = document.createElement('sl-button');
+        loadButton.setAttribute('size', 'small');
+        loadButton.setAttribute('variant', 'warning');
+        loadButton.textContent = 'Load atlas';
+
+        const answer = (confirmed) => {
+            banner.remove();
+            resolve(confirmed);
+        };
+        cancelButton.addEventListener('click', () => answer(false));
+        loadButton.addEventListener('click', () => answer(true));
+
+        actions.append(cancelButton, loadButton);
+        banner.append(title, message, list, actions);
+        document.body.appendChild(banner);
+    });
+}
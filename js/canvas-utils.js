@@ -0,0 +1,46 @@
+/**
+ * Canvas Utils
+ * Text helpers for images drawn on a 2D canvas, shared by the share card and the map export
+ */
+
+/**
+ * Split text into lines that fit a width, ending the last line with '…' if the text doesn't fit
+ * @param {CanvasRenderingContext2D} context - Context with the font already set
+ * @param {string} text
+ * @param {number} maxWidth - Line width in pixels
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+export function wrapText(context, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+
+    // Long URLs have no spaces, so words that are too wide are broken by character
+    const tokens = String(text).split(/(\s+)/).flatMap(token =>
+        context.measureText(token).width > maxWidth ? Array.from(token) : [token]
+    );
+
+    for (const token of tokens) {
+        const candidate = line + token;
+        if (line && context.measureText(candidate).width > maxWidth) {
+            lines.push(line.trimEnd());
+            line = token.trimStart();
+        } else {
+            line = candidate;
+        }
+    }
+    if (line.trim()) {
+        lines.push(line.trimEnd());
+    }
+
+    if (lines.length <= maxLines) {
+        return lines;
+    }
+    const visible = lines.slice(0, maxLines);
+    let last = visible[maxLines - 1];
+    while (last && context.measureText(`${last}…`).width > maxWidth) {
+        last = last.slice(0, -1);
+    }
+    visible[maxLines - 1] = `${last}…`;
+    return visible;
+}
@@ -4,6 +4,10 @@
  * and adding them to the currently loaded configuration
  */
 
+import { fetchAtlasConfig, prepareAtlasConfig } from './atlas-config.js';
+import { loadPresetLibraries } from './preset-library.js';
+import { sanitizeConfig } from './html-sanitizer.js';
+
 export class ConfigControl {
     constructor() {
         this.configCache = new Map();
@@ -41,16 +45,8 @@ export class ConfigControl {
             return; // Already loaded
         }
         
-        try {
-            const libraryResponse = await fetch('config/_map-layer-presets.json');
-            if (!libraryResponse.ok) {
-                throw new Error(`Failed to load layer library: ${libraryResponse.status}`);
-            }
-            this.layerLibrary = await libraryResponse.json();
-        } catch (error) {
-            console.warn('Could not load layer library for config processing:', error);
-            this.layerLibrary = { layers: [] }; // Fallback to empty library
-        }
+        // Failed libraries are skipped with a warning, leaving an empty library at worst
+        this.layerLibrary = await loadPresetLibraries();
     }
 
     /**
@@ -209,24 +205,13 @@ export class ConfigControl {
         }
 
         try {
-            let configPath;
-            if (configFile === 'index') {
-                configPath = 'config/index.atlas.json';
-            } else if (configFile.startsWith('examples/')) {
-                configPath = `config/${configFile}.atlas.json`;
-            } else {
-                configPath = `config/${configFile}.atlas.json`;
-            }
-            const response = await fetch(configPath);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load config: ${response.status}`);
-            }
-            
-            const config = await response.json();
-            
+            // Upgrade, validate and resolve the atlas the same way as map-init.js does
+            const prepared = await prepareAtlasConfig(await fetchAtlasConfig(configFile), { source: configFile });
+            let config = prepared.config;
+
             // Process layers with library lookup (similar to map-init.js)
-            await this.processConfigLayers(config);
+            this.processConfigLayers(config, prepared.layerLibrary);
+            config = sanitizeConfig(config);
             
             this.configCache.set(configFile, config);
             return config;
@@ -240,10 +225,10 @@ export class ConfigControl {
     /**
      * Process config layers by looking up library definitions
      * @param {Object} config - The config object to process
+     * @param {Object} layerLibrary - Preset libraries of the config, defaults to the cached layer library
      */
-    async processConfigLayers(config) {
-        // Use the cached layer library instead of fetching it
-        if (!this.layerLibrary || !this.layerLibrary.layers) {
+    processConfigLayers(config, layerLibrary = this.layerLibrary) {
+        if (!layerLibrary) {
             console.warn('Layer library not available for config processing');
             return;
         }
@@ -252,7 +237,7 @@ export class ConfigControl {
             config.layers = config.layers.map(layerConfig => {
                 // If the layer only has an id, look it up in the library
                 if (layerConfig.id && !layerConfig.type) {
-                    const libraryLayer = this.layerLibrary.layers.find(lib => lib.id === layerConfig.id);
+                    const libraryLayer = layerLibrary.find(layerConfig.id);
                     if (libraryLayer) {
                         return { ...libraryLayer, ...layerConfig };
                     }
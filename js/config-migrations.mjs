@@ -0,0 +1,133 @@
+/**
+ * Config Migrations
+ * Upgrades atlas configs and layer definitions written for older config versions
+ * to the current shape, collecting a warning for every deprecated key it rewrites.
+ *
+ * Used when loading configs in the browser and by `npm run migrate:config`, which
+ * rewrites the files in config/ in place. This file is an .mjs module so Node can
+ * import it without a build step.
+ *
+ * To rename or reshape a config property, bump CURRENT_CONFIG_VERSION and add a
+ * migration for that version with `atlas` and/or `layer` transforms.
+ */
+
+export const CURRENT_CONFIG_VERSION = '0.2.0';
+
+// Version assumed for configs that do not declare one
+const OLDEST_CONFIG_VERSION = '0.1.0';
+
+// Layer types whose legacy `opacity` maps to `raster-opacity`
+const RASTER_LAYER_TYPES = ['tms', 'img', 'raster-style-layer'];
+
+/**
+ * Migrations in version order. Each transform mutates the object it is given and
+ * reports rewritten keys through `warn`. Transforms must leave current configs unchanged
+ */
+export const MIGRATIONS = [
+    {
+        version: '0.2.0',
+        description: 'Rename layersConfig to layers and move raster layer opacity into style',
+        atlas(config, warn) {
+            if (config.layersConfig && !config.layers) {
+                config.layers = config.layersConfig;
+                delete config.layersConfig;
+                warn("'layersConfig' is deprecated, use 'layers'");
+            }
+        },
+        layer(layer, warn) {
+            if (typeof layer.opacity === 'number' && RASTER_LAYER_TYPES.includes(layer.type)) {
+                layer.style = { 'raster-opacity': layer.opacity, ...layer.style };
+                delete layer.opacity;
+                warn(`Layer '${layer.id}': 'opacity' is deprecated, use 'style.raster-opacity'`);
+            }
+        }
+    }
+];
+
+/**
+ * Compare two dotted version strings
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+function getPendingMigrations(fromVersion) {
+    return MIGRATIONS.filter(migration => compareVersions(migration.version, fromVersion) > 0);
+}
+
+/**
+ * Upgrade a single layer definition, e.g. from `?layers=` JSON or a preset library
+ * @param {Object} layer - Layer config
+ * @param {Object} options
+ * @param {string} options.fromVersion - Config version the layer was written for, oldest if unknown
+ * @returns {{layer: Object, warnings: string[]}} Upgraded copy of the layer and deprecation warnings
+ */
+export function migrateLayerConfig(layer, { fromVersion = OLDEST_CONFIG_VERSION } = {}) {
+    const warnings = [];
+    const migrated = structuredClone(layer);
+
+    getPendingMigrations(fromVersion).forEach(migration => {
+        migration.layer?.(migrated, message => warnings.push(message));
+    });
+
+    return { layer: migrated, warnings };
+}
+
+/**
+ * Upgrade an atlas config and its layers to the current config version
+ * @param {Object} config - Atlas config
+ * @returns {{config: Object, warnings: string[], migrated: boolean}} Upgraded copy of the config,
+ * deprecation warnings and whether any migration ran
+ */
+export function migrateAtlasConfig(config) {
+    const fromVersion = config.version || OLDEST_CONFIG_VERSION;
+    const warnings = [];
+    const migrated = structuredClone(config);
+
+    if (compareVersions(fromVersion, CURRENT_CONFIG_VERSION) > 0) {
+        warnings.push(`Config version ${fromVersion} is newer than the supported version ${CURRENT_CONFIG_VERSION}`);
+        return { config: migrated, warnings, migrated: false };
+    }
+
+    const pending = getPendingMigrations(fromVersion);
+    if (pending.length === 0) {
+        return { config: migrated, warnings, migrated: false };
+    }
+
+    const warn = message => warnings.push(message);
+    pending.forEach(migration => {
+        migration.atlas?.(migrated, warn);
+        if (migration.layer && Array.isArray(migrated.layers)) {
+            migrated.layers.forEach(layer => migration.layer(layer, warn));
+        }
+    });
+
+    if (config.version) {
+        migrated.version = CURRENT_CONFIG_VERSION;
+    }
+
+    return { config: migrated, warnings, migrated: true };
+}
+
+/**
+ * Upgrade the layers of a preset library. Libraries have no version, so every
+ * layer migration runs; they leave current layers unchanged
+ * @param {Object} library - Preset library with a `layers` array
+ * @returns {{library: Object, warnings: string[]}}
+ */
+export function migratePresetLibrary(library) {
+    const warnings = [];
+    const layers = (library.layers || []).map(layer => {
+        const result = migrateLayerConfig(layer);
+        warnings.push(...result.warnings);
+        return result.layer;
+    });
+    return { library: { ...library, layers }, warnings };
+}
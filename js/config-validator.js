@@ -0,0 +1,118 @@
+/**
+ * Config Validator
+ * Validates atlas configs against config/_schema.json (the same schema used by
+ * `npm run lint`) and shows problems in an on-map error panel.
+ */
+
+import { formatSchemaErrors } from './schema-errors.mjs';
+
+const AJV_URL = 'https://cdn.jsdelivr.net/npm/ajv@8.12.0/+esm';
+const SCHEMA_URL = 'config/_schema.json';
+const SCHEMA_ID = 'https://amche.in/config/_schema.json';
+
+export class ConfigValidator {
+    constructor() {
+        this.validators = new Map();
+        this.ajvPromise = null;
+        this.panelId = 'config-error-panel';
+    }
+
+    /**
+     * Load Ajv and the shared schema once
+     * @returns {Promise<Object|null>} Ajv instance, or null if it could not be loaded
+     */
+    async _loadAjv() {
+        if (!this.ajvPromise) {
+            this.ajvPromise = (async () => {
+                try {
+                    const [ajvModule, schemaResponse] = await Promise.all([
+                        import(AJV_URL),
+                        fetch(SCHEMA_URL)
+                    ]);
+                    const Ajv = ajvModule.default?.default || ajvModule.default;
+                    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+                    ajv.addSchema(await schemaResponse.json());
+                    return ajv;
+                } catch (error) {
+                    console.warn('⚠️ Config validation unavailable:', error);
+                    return null;
+                }
+            })();
+        }
+        return this.ajvPromise;
+    }
+
+    /**
+     * Get the compiled validator for a schema definition
+     * @param {string} kind - Definition name in the schema: atlas, presets or defaults
+     */
+    async _getValidator(kind) {
+        if (this.validators.has(kind)) {
+            return this.validators.get(kind);
+        }
+
+        const ajv = await this._loadAjv();
+        if (!ajv) return null;
+
+        const validate = ajv.getSchema(`${SCHEMA_ID}#/definitions/${kind}`);
+        this.validators.set(kind, validate);
+        return validate;
+    }
+
+    /**
+     * Validate a config object
+     * @param {Object} config - Parsed config JSON
+     * @param {string} kind - Schema definition to validate against
+     * @returns {Promise<string[]>} Readable error messages, empty if valid
+     */
+    async validate(config, kind = 'atlas') {
+        const validate = await this._getValidator(kind);
+        if (!validate || validate(config)) {
+            return [];
+        }
+        return formatSchemaErrors(validate.errors, config);
+    }
+
+    /**
+     * Show a list of config problems in a dismissable panel over the map
+     * @param {string[]} errors - Messages to list
+     * @param {string} source - Name of the config the errors belong to
+     */
+    showErrors(errors, source) {
+        if (!errors.length) return;
+
+        document.getElementById(this.panelId)?.remove();
+
+        const panel = document.createElement('div');
+        panel.id = this.panelId;
+        panel.className = 'config-error-panel';
+        panel.setAttribute('role', 'alert');
+
+        const header = document.createElement('div');
+        header.className = 'config-error-panel-header';
+
+        const title = document.createElement('strong');
+        title.textContent = `Problems found in ${source}`;
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => panel.remove());
+
+        header.append(title, closeButton);
+
+        const list = document.createElement('ul');
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+
+        panel.append(header, list);
+        document.body.appendChild(panel);
+    }
+}
+
+// Create a singleton instance
+export const configValidator = new ConfigValidator();
@@ -0,0 +1,28 @@
+/**
+ * Date Utils
+ * Year helpers for the dates in atlas and layer configs, shared by the time slider and atlas loading
+ */
+
+/**
+ * Get the year of a date value such as 1857, "1857" or "1857-03-01"
+ * @param {string|number} value - Date value
+ * @returns {number|null} Year, or null if the value has no year
+ */
+export function parseYear(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = String(value).trim().match(/^-?\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Get the years a layer is valid for
+ * @param {Object} layer - Layer config with `startDate`/`endDate` or `year`
+ * @returns {{start: number|null, end: number|null}|null} Range, or null if the layer has no dates
+ */
+export function getLayerTimeRange(layer) {
+    const year = parseYear(layer.year);
+    const start = year ?? parseYear(layer.startDate);
+    const end = year ?? parseYear(layer.endDate);
+    if (start === null && end === null) return null;
+    return { start, end };
+}
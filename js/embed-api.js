@@ -0,0 +1,223 @@
+/**
+ * Embed API
+ * Lets the page hosting an embedded map control it with postMessage and follow what the
+ * user does. The protocol is described in embed-messages.js, embed-host.js wraps it for hosts.
+ */
+import { HOST_MESSAGE_SOURCE, MAP_MESSAGE_SOURCE, isAllowedHostOrigin, validateHostMessage } from './embed-messages.js';
+import { SELECTION_EVENTS, serializeSelectParam } from './selection-url.js';
+import { buildEmbedURL } from './embed-mode.js';
+
+const DEFAULTS_PATH = 'config/_defaults.json';
+
+// Selection and layer changes come in bursts, e.g. a clear followed by a click
+const EVENT_DEBOUNCE = 150;
+
+/**
+ * Load the host origin allowlist from config/_defaults.json
+ * @returns {Promise<string[]>}
+ */
+export async function loadEmbedHostOrigins() {
+    try {
+        const response = await fetch(DEFAULTS_PATH);
+        const defaults = await response.json();
+        return Array.isArray(defaults.embedHostOrigins) ? defaults.embedHostOrigins : [];
+    } catch (error) {
+        console.warn('⚠️ Could not load embed host origins, only pages on this site can control the map:', error);
+        return [];
+    }
+}
+
+export class EmbedAPI {
+    /**
+     * @param {Object} options
+     * @param {mapboxgl.Map} options.map
+     * @param {URLManager} options.urlManager
+     * @param {MapFeatureStateManager} options.stateManager
+     * @param {string[]} options.allowedOrigins - Host origins besides this site
+     * @param {Object|null} options.embedOptions - Result of parseEmbedOptions(), kept when switching atlas
+     */
+    constructor({ map, urlManager, stateManager, allowedOrigins = [], embedOptions = null }) {
+        this.map = map;
+        this.urlManager = urlManager;
+        this.stateManager = stateManager;
+        this.allowedOrigins = allowedOrigins;
+        this.embedOptions = embedOptions;
+
+        // Host windows that have connected, by origin. Events are only sent to them
+        this.hosts = new Map();
+        this.rejectedOrigins = new Set();
+        this.timers = {};
+
+        this._onMessage = this._onMessage.bind(this);
+    }
+
+    /**
+     * Start answering host messages and sending events
+     */
+    start() {
+        window.addEventListener('message', this._onMessage);
+
+        this.stateManager.addEventListener('state-change', (event) => {
+            if (SELECTION_EVENTS.includes(event.detail.eventType)) {
+                this._debounce('selectionchange', () => ({ selection: this.stateManager.getSelectedFeatures() }));
+            }
+        });
+
+        this.map.on('moveend', () => {
+            this._emit('move', { camera: this._getCamera() });
+        });
+
+        document.addEventListener('change', (event) => {
+            if (event.target.matches?.('.toggle-switch input[type="checkbox"]')) {
+                this._debounce('layerchange', () => ({ layers: this._getActiveLayerIds() }));
+            }
+        });
+
+        console.log('🖼️ Embed API listening for host messages');
+    }
+
+    async _onMessage(event) {
+        const message = event.data;
+        if (message?.source !== HOST_MESSAGE_SOURCE || !event.source) {
+            return;
+        }
+
+        if (!isAllowedHostOrigin(event.origin, this.allowedOrigins)) {
+            if (!this.rejectedOrigins.has(event.origin)) {
+                this.rejectedOrigins.add(event.origin);
+                console.warn(`⚠️ Ignoring embed messages from ${event.origin}, add it to embedHostOrigins in config/_defaults.json to allow it`);
+            }
+            return;
+        }
+
+        const respond = (response) => {
+            event.source.postMessage({ source: MAP_MESSAGE_SOURCE, type: 'response', requestId: message.requestId, ...response }, event.origin);
+        };
+
+        const error = validateHostMessage(message);
+        if (error) {
+            respond({ ok: false, error });
+            return;
+        }
+
+        try {
+            const result = await this._runCommand(message.type, message.payload || {}, event);
+            respond({ ok: true, result });
+        } catch (commandError) {
+            console.warn(`⚠️ Embed command ${message.type} failed:`, commandError);
+            respond({ ok: false, error: commandError.message });
+        }
+    }
+
+    async _runCommand(type, payload, event) {
+        switch (type) {
+            case 'connect':
+                this.hosts.set(event.origin, event.source);
+                return this._getState();
+            case 'getState':
+                return this._getState();
+            case 'setLayers':
+                return this._setLayers(payload.layers);
+            case 'flyTo':
+                return this._flyTo(payload);
+            case 'selectFeatures':
+                return this._selectFeatures(payload.features);
+            case 'setAtlas':
+                return this._setAtlas(payload);
+        }
+    }
+
+    async _setLayers(layers) {
+        const groups = this.urlManager.mapLayerControl?._state?.groups || [];
+        const groupIds = groups.map((group, groupIndex) => this.urlManager._getGroupURLId(group, groupIndex));
+        const unknown = layers.filter(layer => !layer.startsWith('{') && !groupIds.includes(layer));
+        if (unknown.length > 0) {
+            throw new Error(`Layers not in this atlas: ${unknown.join(', ')}`);
+        }
+
+        const applied = await this.urlManager.applyURLParameters(`?layers=${encodeURIComponent(layers.join(','))}`);
+        if (!applied) {
+            throw new Error('Could not apply the layers');
+        }
+        return { layers: this._getActiveLayerIds() };
+    }
+
+    _flyTo({ bounds, center, zoom, bearing, pitch, padding = 40 }) {
+        if (bounds) {
+            this.map.fitBounds(bounds, { padding, essential: true });
+        } else {
+            this.map.flyTo({
+                center,
+                ...(zoom !== undefined && { zoom }),
+                ...(bearing !== undefined && { bearing }),
+                ...(pitch !== undefined && { pitch }),
+                essential: true
+            });
+        }
+        return {};
+    }
+
+    async _selectFeatures(features) {
+        if (features.length === 0) {
+            this.stateManager.clearAllSelections();
+            return { selection: [] };
+        }
+
+        const count = await this.urlManager.selectFeaturesFromURL(serializeSelectParam(features));
+        if (count === 0) {
+            throw new Error('None of the features were found');
+        }
+        return { selection: this.stateManager.getSelectedFeatures() };
+    }
+
+    /**
+     * Switching atlas needs the new config, so the embedded page is loaded again with the same
+     * embed options. Hosts connect again once it has loaded
+     */
+    _setAtlas({ atlas, layers }) {
+        const params = [`atlas=${encodeURIComponent(atlas)}`];
+        if (layers?.length > 0) {
+            params.push(`layers=${layers.map(layer => encodeURIComponent(layer)).join(',')}`);
+        }
+        const url = `${window.location.origin}${window.location.pathname}?${params.join('&')}`;
+
+        // Let the response reach the host before the page unloads
+        setTimeout(() => window.location.assign(this.embedOptions ? buildEmbedURL(url, this.embedOptions) : url), 0);
+        return { atlas };
+    }
+
+    _getState() {
+        return {
+            atlas: this.urlManager.loadedAtlas,
+            layers: this._getActiveLayerIds(),
+            camera: this._getCamera(),
+            selection: this.stateManager.getSelectedFeatures()
+        };
+    }
+
+    _getActiveLayerIds() {
+        return this.urlManager.getCurrentActiveLayers().map(layer => (typeof layer === 'string' ? layer : layer.id));
+    }
+
+    _getCamera() {
+        const center = this.map.getCenter();
+        return {
+            center: [center.lng, center.lat],
+            zoom: this.map.getZoom(),
+            bearing: this.map.getBearing(),
+            pitch: this.map.getPitch(),
+            bounds: this.map.getBounds().toArray().flat()
+        };
+    }
+
+    _debounce(eventName, getData) {
+        clearTimeout(this.timers[eventName]);
+        this.timers[eventName] = setTimeout(() => this._emit(eventName, getData()), EVENT_DEBOUNCE);
+    }
+
+    _emit(eventName, data) {
+        this.hosts.forEach((host, origin) => {
+            host.postMessage({ source: MAP_MESSAGE_SOURCE, type: 'event', event: eventName, data }, origin);
+        });
+    }
+}
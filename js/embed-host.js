@@ -0,0 +1,203 @@
+/**
+ * Embed Host
+ * Helper for pages that embed the map in an iframe, wrapping the postMessage protocol of
+ * embed-messages.js in promises:
+ *
+ *   import { AmcheEmbed } from 'https://amche.in/js/embed-host.js';
+ *   const embed = new AmcheEmbed(document.querySelector('iframe'));
+ *   embed.on('selectionchange', ({ selection }) => console.log(selection));
+ *   await embed.setLayers(['plot', 'mapbox-satellite']);
+ *   await embed.flyTo({ bounds: [73.8, 15.5, 73.9, 15.6] });
+ *
+ * The host's origin must be listed in `embedHostOrigins` in the map's config/_defaults.json.
+ */
+import { EMBED_EVENTS, HOST_MESSAGE_SOURCE, MAP_MESSAGE_SOURCE } from './embed-messages.js';
+
+// The map answers once it has loaded, so connect is sent until it does
+const CONNECT_INTERVAL = 500;
+const CONNECT_TIMEOUT = 30000;
+
+// Selecting waits for layers to load, see SELECT_TIMEOUT in url-api.js
+const REQUEST_TIMEOUT = 20000;
+
+export class AmcheEmbed {
+    /**
+     * @param {HTMLIFrameElement} iframe - iframe showing the map
+     * @param {Object} options
+     * @param {string} options.origin - Origin of the map, defaults to the origin of the iframe src
+     */
+    constructor(iframe, { origin } = {}) {
+        this.iframe = iframe;
+        this.origin = origin || new URL(iframe.src, window.location.href).origin;
+        this.handlers = new Map(['ready', ...EMBED_EVENTS].map(eventName => [eventName, new Set()]));
+        this.pending = new Map();
+        this.nextRequestId = 1;
+
+        this._onMessage = this._onMessage.bind(this);
+        this._onLoad = () => this._connect();
+        window.addEventListener('message', this._onMessage);
+        // Switching atlas loads the map again
+        iframe.addEventListener('load', this._onLoad);
+
+        this._connect();
+    }
+
+    /**
+     * Listen to an event from the map: 'ready', 'selectionchange', 'move' or 'layerchange'
+     * @param {string} eventName
+     * @param {Function} handler - Called with the event data
+     * @returns {AmcheEmbed}
+     */
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            throw new Error(`Unknown event '${eventName}', expected one of ${[...this.handlers.keys()].join(', ')}`);
+        }
+        this.handlers.get(eventName).add(handler);
+        return this;
+    }
+
+    off(eventName, handler) {
+        this.handlers.get(eventName)?.delete(handler);
+        return this;
+    }
+
+    /**
+     * @returns {Promise<{atlas: string, layers: string[], camera: Object, selection: Array}>}
+     */
+    getState() {
+        return this._request('getState');
+    }
+
+    /**
+     * Show only these layers
+     * @param {string[]} layers - Layer ids of the atlas
+     */
+    setLayers(layers) {
+        return this._request('setLayers', { layers });
+    }
+
+    /**
+     * Move the map to bounds, or to a center and zoom
+     * @param {Object} options - { bounds: [west, south, east, north], padding } or { center: [lng, lat], zoom, bearing, pitch }
+     */
+    flyTo(options) {
+        return this._request('flyTo', options);
+    }
+
+    /**
+     * Select features and open their details, an empty array clears the selection
+     * @param {Array<{layerId: string, featureId: string|number}>} features
+     */
+    selectFeatures(features) {
+        return this._request('selectFeatures', { features });
+    }
+
+    /**
+     * Load another atlas in the iframe
+     * @param {string} atlas - Atlas name or URL
+     * @param {Object} options
+     * @param {string[]} options.layers - Layers to show, defaults to the atlas defaults
+     */
+    setAtlas(atlas, { layers } = {}) {
+        return this._request('setAtlas', { atlas, ...(layers && { layers }) });
+    }
+
+    /**
+     * Stop listening to the map
+     */
+    destroy() {
+        window.removeEventListener('message', this._onMessage);
+        this.iframe.removeEventListener('load', this._onLoad);
+        clearInterval(this.connectTimer);
+        this.connecting = false;
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('Embed destroyed'));
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Send connect until the map answers. `ready` resolves with the map state
+     */
+    _connect() {
+        // The first load of the iframe arrives while the constructor is still connecting
+        if (this.connecting) return;
+        this.connecting = true;
+        this.ready = new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            let connected = false;
+            const send = () => {
+                if (Date.now() - startedAt > CONNECT_TIMEOUT) {
+                    clearInterval(this.connectTimer);
+                    this.connecting = false;
+                    reject(new Error(`The map at ${this.origin} did not answer, check that this page's origin is in its embedHostOrigins`));
+                    return;
+                }
+                this._send('connect', undefined, { timeout: CONNECT_INTERVAL })
+                    .then(state => {
+                        // Answers to earlier attempts can arrive after the first one
+                        if (connected) return;
+                        connected = true;
+                        clearInterval(this.connectTimer);
+                        this.connecting = false;
+                        resolve(state);
+                        this._dispatch('ready', state);
+                    })
+                    .catch(() => {});
+            };
+            this.connectTimer = setInterval(send, CONNECT_INTERVAL);
+            send();
+        });
+        // Commands report the failure, an unused ready promise shouldn't
+        this.ready.catch(() => {});
+    }
+
+    async _request(type, payload) {
+        await this.ready;
+        return this._send(type, payload);
+    }
+
+    _send(type, payload, { timeout = REQUEST_TIMEOUT } = {}) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new Error(`${type} timed out`));
+            }, timeout);
+            this.pending.set(requestId, { resolve, reject, timer });
+            this.iframe.contentWindow?.postMessage({ source: HOST_MESSAGE_SOURCE, type, requestId, payload }, this.origin);
+        });
+    }
+
+    _onMessage(event) {
+        const message = event.data;
+        if (event.origin !== this.origin || event.source !== this.iframe.contentWindow || message?.source !== MAP_MESSAGE_SOURCE) {
+            return;
+        }
+
+        if (message.type === 'response') {
+            const request = this.pending.get(message.requestId);
+            if (!request) return;
+            this.pending.delete(message.requestId);
+            clearTimeout(request.timer);
+            if (message.ok) {
+                request.resolve(message.result);
+            } else {
+                request.reject(new Error(message.error));
+            }
+        } else if (message.type === 'event') {
+            this._dispatch(message.event, message.data);
+        }
+    }
+
+    _dispatch(eventName, data) {
+        this.handlers.get(eventName)?.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error in ${eventName} handler:`, error);
+            }
+        });
+    }
+}
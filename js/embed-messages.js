@@ -0,0 +1,92 @@
+/**
+ * Embed Messages
+ * postMessage protocol between a page that embeds the map in an iframe (the host) and the map.
+ * Used by embed-api.js inside the map and by the host helper embed-host.js.
+ *
+ * Host to map, answered with a response carrying the same `requestId`:
+ *   { source: 'amche-host', type: 'connect', requestId }
+ *   { source: 'amche-host', type: 'getState', requestId }
+ *   { source: 'amche-host', type: 'setLayers', requestId, payload: { layers: ['plot', 'roads'] } }
+ *   { source: 'amche-host', type: 'flyTo', requestId, payload: { bounds: [w, s, e, n], padding } }
+ *   { source: 'amche-host', type: 'flyTo', requestId, payload: { center: [lng, lat], zoom, bearing, pitch } }
+ *   { source: 'amche-host', type: 'selectFeatures', requestId, payload: { features: [{ layerId, featureId }] } }
+ *   { source: 'amche-host', type: 'setAtlas', requestId, payload: { atlas: 'bombay', layers: ['plot'] } }
+ *
+ * Map to host:
+ *   { source: 'amche-map', type: 'response', requestId, ok: true, result }
+ *   { source: 'amche-map', type: 'response', requestId, ok: false, error: 'message' }
+ *   { source: 'amche-map', type: 'event', event: 'selectionchange', data: { selection: [{ layerId, featureId }] } }
+ *   { source: 'amche-map', type: 'event', event: 'move', data: { camera } }
+ *   { source: 'amche-map', type: 'event', event: 'layerchange', data: { layers: ['plot'] } }
+ *
+ * The map only answers hosts on this site or listed in `embedHostOrigins` in config/_defaults.json,
+ * and only sends events to hosts that have connected.
+ */
+
+export const HOST_MESSAGE_SOURCE = 'amche-host';
+export const MAP_MESSAGE_SOURCE = 'amche-map';
+
+export const EMBED_COMMANDS = ['connect', 'getState', 'setLayers', 'flyTo', 'selectFeatures', 'setAtlas'];
+export const EMBED_EVENTS = ['selectionchange', 'move', 'layerchange'];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPosition = (value) => Array.isArray(value) && value.length === 2 && value.every(isFiniteNumber);
+
+/**
+ * Whether a host page may control the map
+ * @param {string} origin - Origin of the message, e.g. event.origin
+ * @param {string[]} allowedOrigins - `embedHostOrigins` from config/_defaults.json
+ * @param {string} pageOrigin - Origin of the map page, always allowed
+ * @returns {boolean}
+ */
+export function isAllowedHostOrigin(origin, allowedOrigins = [], pageOrigin = window.location.origin) {
+    return origin === pageOrigin || allowedOrigins.includes(origin);
+}
+
+/**
+ * Check a message from a host page
+ * @param {Object} message - event.data
+ * @returns {string|null} Why the message can't be run, or null if it is valid
+ */
+export function validateHostMessage(message) {
+    if (!EMBED_COMMANDS.includes(message?.type)) {
+        return `Unknown command '${message?.type}', expected one of ${EMBED_COMMANDS.join(', ')}`;
+    }
+
+    const payload = message.payload || {};
+    switch (message.type) {
+        case 'setLayers':
+            if (!Array.isArray(payload.layers) || !payload.layers.every(layer => typeof layer === 'string' && layer)) {
+                return 'setLayers needs `layers`, an array of layer ids';
+            }
+            break;
+        case 'flyTo':
+            if (payload.bounds !== undefined) {
+                if (!Array.isArray(payload.bounds) || payload.bounds.length !== 4 || !payload.bounds.every(isFiniteNumber)) {
+                    return 'flyTo `bounds` must be [west, south, east, north]';
+                }
+            } else if (!isPosition(payload.center)) {
+                return 'flyTo needs `bounds` or `center` as [lng, lat]';
+            }
+            if (['zoom', 'bearing', 'pitch', 'padding'].some(key => payload[key] !== undefined && !isFiniteNumber(payload[key]))) {
+                return 'flyTo `zoom`, `bearing`, `pitch` and `padding` must be numbers';
+            }
+            break;
+        case 'selectFeatures':
+            if (!Array.isArray(payload.features) || !payload.features.every(feature =>
+                typeof feature?.layerId === 'string' && feature.layerId &&
+                (typeof feature.featureId === 'string' || isFiniteNumber(feature.featureId)))) {
+                return 'selectFeatures needs `features`, an array of { layerId, featureId }';
+            }
+            break;
+        case 'setAtlas':
+            if (typeof payload.atlas !== 'string' || !payload.atlas || payload.atlas.startsWith('{')) {
+                return 'setAtlas needs `atlas`, the name or URL of an atlas';
+            }
+            if (payload.layers !== undefined && (!Array.isArray(payload.layers) || !payload.layers.every(layer => typeof layer === 'string'))) {
+                return 'setAtlas `layers` must be an array of layer ids';
+            }
+            break;
+    }
+    return null;
+}
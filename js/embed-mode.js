@@ -0,0 +1,142 @@
+/**
+ * Embed Mode
+ * `?embed=1` shows only the map, for use in an iframe on another page:
+ *
+ *   controls     Controls to keep, comma separated: zoom, compass, geolocate, view, legend, layers, time.
+ *                Defaults to `zoom,legend`, `controls=none` hides them all
+ *   interactive  `false` makes a static map that can't be panned, zoomed or clicked
+ *
+ * The header, search and share button are always hidden and attribution is always shown.
+ * The embedded map never rewrites its own URL, the page hosting the iframe owns the link.
+ */
+
+export const EMBED_PARAM = 'embed';
+export const EMBED_CONTROLS = ['zoom', 'compass', 'geolocate', 'view', 'legend', 'layers', 'time'];
+export const DEFAULT_EMBED_CONTROLS = ['zoom', 'legend'];
+
+// Parameters that only configure the embed and are left out of the full map link
+const EMBED_OPTION_PARAMS = [EMBED_PARAM, 'controls', 'interactive'];
+
+// Controls that live in the page rather than on the map, hidden with a body class
+const PAGE_CONTROLS = ['legend', 'layers', 'time'];
+
+export const EMBED_SIZE_PRESETS = [
+    { id: 'small', label: 'Small', width: 400, height: 300 },
+    { id: 'medium', label: 'Medium', width: 640, height: 480 },
+    { id: 'large', label: 'Large', width: 960, height: 600 },
+    { id: 'full-width', label: 'Full width', width: '100%', height: 500 }
+];
+
+/**
+ * Read the embed options from a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {{controls: string[], interactive: boolean}|null} Options, or null when not embedded
+ */
+export function parseEmbedOptions(search) {
+    const params = new URLSearchParams(search);
+    const embed = params.get(EMBED_PARAM);
+    if (embed === null || embed === '0' || embed === 'false') {
+        return null;
+    }
+
+    let controls = DEFAULT_EMBED_CONTROLS;
+    if (params.has('controls')) {
+        const requested = params.get('controls').split(',').map(control => control.trim()).filter(Boolean);
+        requested.filter(control => control !== 'none' && !EMBED_CONTROLS.includes(control))
+            .forEach(control => console.warn(`⚠️ Unknown embed control '${control}', expected one of ${EMBED_CONTROLS.join(', ')}`));
+        controls = EMBED_CONTROLS.filter(control => requested.includes(control));
+    }
+
+    return { controls, interactive: params.get('interactive') !== 'false' };
+}
+
+/**
+ * Build the link to embed
+ * @param {string} url - Link to the map
+ * @param {Object} options
+ * @param {string[]} options.controls - Controls to keep
+ * @param {boolean} options.interactive - Whether the map can be panned and zoomed
+ * @returns {string}
+ */
+export function buildEmbedURL(url, { controls = DEFAULT_EMBED_CONTROLS, interactive = true } = {}) {
+    const { base, query, hash } = splitURL(url);
+    const params = [`${EMBED_PARAM}=1`];
+    const isDefault = controls.length === DEFAULT_EMBED_CONTROLS.length &&
+        DEFAULT_EMBED_CONTROLS.every(control => controls.includes(control));
+    if (!isDefault) {
+        params.push(`controls=${controls.length > 0 ? EMBED_CONTROLS.filter(control => controls.includes(control)).join(',') : 'none'}`);
+    }
+    if (!interactive) {
+        params.push('interactive=false');
+    }
+    return `${base}?${[...query, ...params].join('&')}${hash}`;
+}
+
+/**
+ * Remove the embed options from a link, to open the embedded map in full
+ * @param {string} url
+ * @returns {string}
+ */
+export function getFullMapURL(url) {
+    const { base, query, hash } = splitURL(url);
+    return `${base}${query.length > 0 ? `?${query.join('&')}` : ''}${hash}`;
+}
+
+/**
+ * Split a link without decoding its parameters, so inline JSON in atlas and layers stays as written
+ */
+function splitURL(url) {
+    const [withoutHash, ...hashParts] = url.split('#');
+    const [base, search = ''] = withoutHash.split('?');
+    const query = search.split('&')
+        .filter(Boolean)
+        .filter(part => !EMBED_OPTION_PARAMS.includes(decodeURIComponent(part.split('=')[0])));
+    return { base, query, hash: hashParts.length > 0 ? `#${hashParts.join('#')}` : '' };
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the iframe HTML for a link
+ * @param {string} embedURL - Result of buildEmbedURL()
+ * @param {Object} options
+ * @param {number|string} options.width - Pixels, or a CSS length such as '100%'
+ * @param {number|string} options.height
+ * @param {string} options.title - Accessible name of the iframe
+ * @returns {string}
+ */
+export function buildEmbedSnippet(embedURL, { width, height, title = 'Map' }) {
+    return `<iframe src="${escapeAttribute(embedURL)}" width="${escapeAttribute(width)}" height="${escapeAttribute(height)}" title="${escapeAttribute(title)}" ` +
+        'style="border:0" loading="lazy" allow="geolocation; fullscreen" allowfullscreen></iframe>';
+}
+
+/**
+ * Read the starting view from a Mapbox map hash, `#zoom/lat/lng/bearing/pitch`. Embedded maps
+ * don't sync the hash, so it is read once here
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object} Map options, empty if the hash has no view
+ */
+export function parseMapHash(hash) {
+    const [zoom, lat, lng, bearing, pitch] = String(hash || '').replace(/^#/, '').split('/').map(Number);
+    if (![zoom, lat, lng].every(Number.isFinite)) {
+        return {};
+    }
+    return {
+        zoom,
+        center: [lng, lat],
+        ...(Number.isFinite(bearing) && { bearing }),
+        ...(Number.isFinite(pitch) && { pitch })
+    };
+}
+
+/**
+ * Hide the page chrome and the controls that weren't asked for
+ * @param {Object} options - Result of parseEmbedOptions()
+ */
+export function applyEmbedMode(options) {
+    document.body.classList.add('embed-mode');
+    PAGE_CONTROLS.filter(control => !options.controls.includes(control))
+        .forEach(control => document.body.classList.add(`embed-hide-${control}`));
+}
@@ -0,0 +1,159 @@
+/**
+ * ExportDialog
+ * Shared base of the "Export image" and "Print layout" dialogs: a form with a title field and a
+ * status line, and an export button that renders the map and downloads the file. Subclasses
+ * provide the fields in _getFormHTML(), the status in _updateStatus() and the file in _createFile().
+ */
+import { localization } from './localization.js';
+
+export class ExportDialog {
+    /**
+     * @param {Object} options
+     * @param {string} options.triggerId - ID of the button that opens the dialog
+     * @param {string} options.modalId - ID of the dialog element
+     * @param {string} options.label - Dialog title
+     * @param {string} options.exportLabel - Text of the export button
+     * @param {string} options.failureMessage - Status shown when the export fails, followed by the error
+     */
+    constructor(options) {
+        this.triggerId = options.triggerId;
+        this.modalId = options.modalId;
+        this.label = options.label;
+        this.exportLabel = options.exportLabel;
+        this.failureMessage = options.failureMessage;
+
+        this._init();
+    }
+
+    _init() {
+        this._createModal();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Form fields of the dialog, shown above the status line
+     * @returns {string} HTML
+     */
+    _getFormHTML() {
+        return '';
+    }
+
+    _createModal() {
+        const modalHTML = `
+            <sl-dialog id="${this.modalId}" label="${this.label}" class="export-dialog">
+                <div class="export-dialog-form">
+                    ${this._getFormHTML()}
+                    <div class="export-dialog-status" role="status"></div>
+                </div>
+                <sl-button slot="footer" variant="neutral" id="${this.modalId}-close">Close</sl-button>
+                <sl-button slot="footer" variant="primary" id="${this.modalId}-export">${this.exportLabel}</sl-button>
+            </sl-dialog>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    _attachEventListeners() {
+        const trigger = document.getElementById(this.triggerId);
+        const modal = document.getElementById(this.modalId);
+
+        if (trigger) {
+            trigger.addEventListener('click', () => {
+                this._showModal();
+            });
+        }
+
+        document.getElementById(`${this.modalId}-close`).addEventListener('click', () => {
+            modal.hide();
+        });
+
+        document.getElementById(`${this.modalId}-export`).addEventListener('click', () => {
+            this._export();
+        });
+
+        modal.addEventListener('sl-change', () => this._updateStatus());
+        modal.addEventListener('sl-input', () => this._updateStatus());
+    }
+
+    _getField(name) {
+        return document.querySelector(`#${this.modalId} [name="${name}"]`);
+    }
+
+    _showModal() {
+        const titleField = this._getField('title');
+        if (!titleField.value) {
+            titleField.value = localization.getString('title') || '';
+        }
+        this._updateStatus();
+        document.getElementById(this.modalId).show();
+    }
+
+    /**
+     * Show what the export will contain as the form changes
+     */
+    _updateStatus() {}
+
+    _setStatus(message, isError = false) {
+        const status = document.querySelector(`#${this.modalId} .export-dialog-status`);
+        status.textContent = message;
+        status.classList.toggle('is-invalid', isError);
+    }
+
+    /**
+     * Legend entries and attributions of the active layers, as the exports take them
+     */
+    _getLayerCredits() {
+        const activeLayers = window.urlManager?.getActiveGroups() || [];
+        return {
+            layers: activeLayers.map(group => ({ title: group.title || group.id, style: group.style, legendImage: group.legendImage })),
+            attributions: [
+                document.querySelector('.mapboxgl-ctrl-attrib-inner')?.innerHTML,
+                ...activeLayers.map(group => group.attribution)
+            ]
+        };
+    }
+
+    /**
+     * File name from the title, e.g. "Quitla Village" -> "quitla-village"
+     */
+    _getFileName(title) {
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+    }
+
+    /**
+     * Render the export
+     * @param {string} title - Title from the form
+     * @returns {Promise<{blob: Blob, filename: string, message: string}>} File and the status to show once downloaded
+     */
+    async _createFile(title) {
+        throw new Error('Not implemented');
+    }
+
+    async _export() {
+        const button = document.getElementById(`${this.modalId}-export`);
+
+        button.loading = true;
+        this._setStatus('Rendering the map…');
+        try {
+            const { blob, filename, message } = await this._createFile(this._getField('title').value.trim());
+            this._download(blob, filename);
+            this._setStatus(message);
+        } catch (error) {
+            console.error(`❌ ${this.failureMessage}:`, error);
+            this._setStatus(`${this.failureMessage}: ${error.message}`, true);
+        } finally {
+            button.loading = false;
+        }
+    }
+
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = filename;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * File Import Worker
+ * Converts large imported files to GeoJSON off the main thread, see file-import.js
+ */
+
+import { convertFiles } from './file-import.js';
+
+self.onmessage = async ({ data }) => {
+    try {
+        self.postMessage({ geojson: await convertFiles(data.format, data.entries) });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
@@ -0,0 +1,491 @@
+/**
+ * File Import
+ * Converts files dropped on the map, or chosen in the layer creator, into `geojson` layers in the
+ * browser. KML and KMZ from Google Earth, GPX tracks, zipped or loose shapefiles and GeoPackages
+ * are read, with shapefiles reprojected from their .prj and GeoPackages from their spatial
+ * reference system. Large files are converted in a worker to keep the map responsive.
+ *
+ * The layer style is guessed from the geometry types and the feature properties fill `inspect`.
+ * Imported layers hold their data inline, so they are only part of the current map.
+ */
+
+const TOGEOJSON_URL = 'https://cdn.jsdelivr.net/npm/@tmcw/togeojson@5.8.1/+esm';
+const XMLDOM_URL = 'https://cdn.jsdelivr.net/npm/@xmldom/xmldom@0.8.15/+esm';
+const JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.2/+esm';
+const SHPJS_URL = 'https://cdn.jsdelivr.net/npm/shpjs@6.2.0/+esm';
+const PROJ4_URL = 'https://cdn.jsdelivr.net/npm/proj4@2.22.0/+esm';
+
+// The sql.js module and its wasm binary must come from the same release
+const SQLJS_VERSION = '1.14.2';
+const SQLJS_URL = `https://cdn.jsdelivr.net/npm/sql.js@${SQLJS_VERSION}/+esm`;
+const SQLJS_WASM_URL = `https://cdn.jsdelivr.net/npm/sql.js@${SQLJS_VERSION}/dist/`;
+
+// Files larger than this, in bytes, are converted in a worker
+const WORKER_THRESHOLD = 5 * 1024 * 1024;
+const MAX_INSPECT_FIELDS = 10;
+const INSPECT_SAMPLE_SIZE = 100;
+
+const FORMATS = {
+    kml: 'kml',
+    kmz: 'kmz',
+    gpx: 'gpx',
+    zip: 'shapefile',
+    shp: 'shapefile',
+    gpkg: 'geopackage',
+    geojson: 'geojson',
+    json: 'geojson'
+};
+
+// Files that are read together with the .shp of the same name
+const SHAPEFILE_PARTS = ['shp', 'dbf', 'prj', 'cpg', 'shx'];
+
+// Size in bytes of the envelope of GeoPackage geometries, by envelope indicator
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+const WGS84_SRS_IDS = [4326, 0, -1];
+
+// Properties KML styles are converted to, which are not shown in the inspector
+const STYLE_PROPERTY = /^(fill|stroke|marker|icon|label)(-|$)|^style(Url|Hash|MapHash)$|^visibility$/;
+const LABEL_PROPERTY = /^(name|title|label)$/i;
+
+export const IMPORT_ACCEPT = '.kml,.kmz,.gpx,.zip,.shp,.dbf,.prj,.cpg,.shx,.gpkg,.geojson,.json';
+
+const extension = (name) => name.split('.').pop().toLowerCase();
+const baseName = (name) => name.replace(/\.[^.]+$/, '');
+
+/**
+ * Import format of a file from its name
+ * @param {string} name - File name
+ * @returns {string|null} kml, kmz, gpx, shapefile, geopackage or geojson
+ */
+export function getImportFormat(name) {
+    return FORMATS[extension(name)] || null;
+}
+
+/**
+ * Group dropped files into the layers they make. The parts of a shapefile are read together,
+ * every other file is a layer of its own.
+ * @param {Array<{name: string}>} files - Files, or anything with a name
+ * @returns {{groups: Array<{name: string, format: string, files: Array}>, skipped: string[]}}
+ */
+export function groupImportFiles(files) {
+    const groups = [];
+    const shapefiles = new Map(); // lowercase base name -> group
+    const skipped = [];
+
+    files.forEach(file => {
+        const ext = extension(file.name);
+        if (SHAPEFILE_PARTS.includes(ext)) {
+            const key = baseName(file.name).toLowerCase();
+            if (!shapefiles.has(key)) {
+                shapefiles.set(key, { name: `${baseName(file.name)}.shp`, format: 'shapefile', files: [] });
+            }
+            shapefiles.get(key).files.push(file);
+        } else if (getImportFormat(file.name)) {
+            groups.push({ name: file.name, format: getImportFormat(file.name), files: [file] });
+        } else {
+            skipped.push(file.name);
+        }
+    });
+
+    shapefiles.forEach(group => {
+        if (group.files.some(file => extension(file.name) === 'shp')) {
+            groups.push(group);
+        } else {
+            skipped.push(...group.files.map(file => file.name));
+        }
+    });
+
+    return { groups, skipped };
+}
+
+/**
+ * Read a geometry of a GeoPackage: a header with an optional envelope, followed by WKB
+ * @param {Uint8Array} bytes - Geometry blob
+ * @returns {Object|null} GeoJSON geometry, null when empty
+ */
+export function parseGeoPackageGeometry(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint8(0) !== 0x47 || view.getUint8(1) !== 0x50) {
+        throw new Error('Not a GeoPackage geometry');
+    }
+    const flags = view.getUint8(3);
+    if (flags & 0x10) return null;
+
+    const envelopeSize = ENVELOPE_SIZES[(flags >> 1) & 0x07] ?? 0;
+    return parseWKB(view, 8 + envelopeSize);
+}
+
+/**
+ * Read a Well-Known Binary geometry, in its ISO or extended (EWKB) flavour. Z values are kept,
+ * M values dropped.
+ * @param {DataView} view
+ * @param {number} [start=0] - Byte offset of the geometry
+ * @returns {Object|null} GeoJSON geometry, null for an empty point
+ */
+export function parseWKB(view, start = 0) {
+    let offset = start;
+
+    const readGeometry = () => {
+        const littleEndian = view.getUint8(offset) === 1;
+        let type = view.getUint32(offset + 1, littleEndian);
+        offset += 5;
+
+        let hasZ = (type & 0x80000000) !== 0;
+        let hasM = (type & 0x40000000) !== 0;
+        if (type & 0x20000000) offset += 4; // EWKB SRID
+        type &= 0x0fffffff;
+        if (type >= 1000) {
+            const dimensions = Math.floor(type / 1000);
+            hasZ = hasZ || dimensions === 1 || dimensions === 3;
+            hasM = hasM || dimensions === 2 || dimensions === 3;
+            type %= 1000;
+        }
+
+        const readUint32 = () => {
+            const value = view.getUint32(offset, littleEndian);
+            offset += 4;
+            return value;
+        };
+        const readPosition = () => {
+            const position = [view.getFloat64(offset, littleEndian), view.getFloat64(offset + 8, littleEndian)];
+            if (hasZ) position.push(view.getFloat64(offset + 16, littleEndian));
+            offset += (2 + hasZ + hasM) * 8;
+            return position;
+        };
+        const readPositions = () => Array.from({ length: readUint32() }, readPosition);
+        const readRings = () => Array.from({ length: readUint32() }, readPositions);
+        const readMembers = () => Array.from({ length: readUint32() }, readGeometry);
+
+        switch (type) {
+            case 1: {
+                const position = readPosition();
+                return position.every(Number.isNaN) ? null : { type: 'Point', coordinates: position };
+            }
+            case 2:
+                return { type: 'LineString', coordinates: readPositions() };
+            case 3:
+                return { type: 'Polygon', coordinates: readRings() };
+            case 4:
+                return { type: 'MultiPoint', coordinates: readMembers().filter(Boolean).map(point => point.coordinates) };
+            case 5:
+                return { type: 'MultiLineString', coordinates: readMembers().map(line => line.coordinates) };
+            case 6:
+                return { type: 'MultiPolygon', coordinates: readMembers().map(polygon => polygon.coordinates) };
+            case 7:
+                return { type: 'GeometryCollection', geometries: readMembers().filter(Boolean) };
+            default:
+                throw new Error(`Unsupported WKB geometry type ${type}`);
+        }
+    };
+
+    return readGeometry();
+}
+
+/**
+ * Reproject the coordinates of a FeatureCollection in place
+ * @param {Object} geojson - FeatureCollection
+ * @param {function(number[]): number[]} project - Position to [longitude, latitude]
+ * @returns {Object} The FeatureCollection
+ */
+export function reprojectGeoJSON(geojson, project) {
+    const reprojectCoordinates = (coordinates) => (typeof coordinates[0] === 'number' ?
+        [...project(coordinates.slice(0, 2)), ...coordinates.slice(2)] :
+        coordinates.map(reprojectCoordinates));
+    const reprojectGeometry = (geometry) => {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(reprojectGeometry);
+        } else {
+            geometry.coordinates = reprojectCoordinates(geometry.coordinates);
+        }
+    };
+
+    geojson.features.forEach(feature => reprojectGeometry(feature.geometry));
+    return geojson;
+}
+
+/**
+ * Turn what a converter returned into one FeatureCollection of features with geometries and ids
+ * @param {Object|Object[]} result - FeatureCollection, Feature, geometry, or a list of FeatureCollections
+ * @returns {Object} FeatureCollection
+ */
+export function normalizeFeatureCollection(result) {
+    const collections = Array.isArray(result) ? result : [result];
+    const features = collections.flatMap(item => {
+        if (item?.type === 'FeatureCollection') return item.features;
+        if (item?.type === 'Feature') return [item];
+        if (item?.type) return [{ type: 'Feature', geometry: item, properties: {} }];
+        return [];
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: features
+            .filter(feature => feature.geometry)
+            .map((feature, index) => ({
+                ...feature,
+                id: feature.id ?? index + 1,
+                properties: feature.properties || {}
+            }))
+    };
+}
+
+/**
+ * Style for a layer from the geometry types of its features. Colors set by KML styles are kept.
+ * @param {Object} geojson - FeatureCollection
+ * @param {string} color - Color of features without their own
+ * @returns {Object} Layer style
+ */
+export function guessImportStyle(geojson, color) {
+    const types = new Set(geojson.features.map(feature => feature.geometry.type.replace('Multi', '')));
+    const hasPolygons = types.has('Polygon');
+    const style = {
+        'line-color': ['coalesce', ['get', 'stroke'], color],
+        'line-width': hasPolygons ? 1 : 2
+    };
+
+    if (hasPolygons) {
+        style['fill-color'] = ['coalesce', ['get', 'fill'], color];
+        style['fill-opacity'] = 0.4;
+    }
+    if (types.has('Point')) {
+        style['circle-color'] = ['coalesce', ['get', 'marker-color'], color];
+        style['circle-radius'] = 5;
+        style['circle-stroke-color'] = '#ffffff';
+        style['circle-stroke-width'] = 1;
+    }
+    return style;
+}
+
+/**
+ * Inspector settings listing the properties of the features. A name, title or label property
+ * labels the features.
+ * @param {Object} geojson - FeatureCollection
+ * @returns {Object|null} Layer inspect, null when the features have no properties
+ */
+export function getImportInspect(geojson) {
+    const fields = [];
+    geojson.features.slice(0, INSPECT_SAMPLE_SIZE).forEach(feature => {
+        Object.entries(feature.properties).forEach(([key, value]) => {
+            if (fields.includes(key) || STYLE_PROPERTY.test(key) || key.startsWith('_')) return;
+            if (value !== null && typeof value === 'object') return;
+            fields.push(key);
+        });
+    });
+    if (fields.length === 0) return null;
+
+    const shownFields = fields.slice(0, MAX_INSPECT_FIELDS);
+    return {
+        title: 'Name',
+        label: fields.find(field => LABEL_PROPERTY.test(field)) || fields[0],
+        fields: shownFields,
+        fieldTitles: shownFields.map(field => field.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))
+    };
+}
+
+/**
+ * Bounds of a FeatureCollection
+ * @param {Object} geojson - FeatureCollection
+ * @returns {number[]|null} [west, south, east, north], null without coordinates
+ */
+export function getImportBounds(geojson) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const extend = (coordinates) => {
+        if (typeof coordinates[0] === 'number') {
+            bounds[0] = Math.min(bounds[0], coordinates[0]);
+            bounds[1] = Math.min(bounds[1], coordinates[1]);
+            bounds[2] = Math.max(bounds[2], coordinates[0]);
+            bounds[3] = Math.max(bounds[3], coordinates[1]);
+        } else {
+            coordinates.forEach(extend);
+        }
+    };
+    const extendGeometry = (geometry) => (geometry.type === 'GeometryCollection' ?
+        geometry.geometries.forEach(extendGeometry) :
+        extend(geometry.coordinates));
+
+    geojson.features.forEach(feature => extendGeometry(feature.geometry));
+    return bounds.every(Number.isFinite) ? bounds : null;
+}
+
+/**
+ * `geojson` layer config holding the features of an imported file
+ * @param {string} name - File name
+ * @param {Object} geojson - FeatureCollection
+ * @returns {Object} Layer config
+ */
+export function makeImportedLayerConfig(name, geojson) {
+    const title = baseName(name);
+    const color = '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0');
+    const inspect = getImportInspect(geojson);
+
+    return {
+        title,
+        description: `Imported from ${name}`,
+        type: 'geojson',
+        id: `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'import'}-${Math.random().toString(36).slice(2, 8)}`,
+        data: geojson,
+        style: guessImportStyle(geojson, color),
+        ...(inspect && { inspect }),
+        initiallyChecked: true,
+        // Random id and inline data, so it is left out of the URL, permalinks and share cards
+        _imported: true
+    };
+}
+
+// Parse XML with the browser DOMParser, or xmldom in a worker where there is none
+async function parseXml(text) {
+    const Parser = globalThis.DOMParser || (await import(XMLDOM_URL)).DOMParser;
+    return new Parser().parseFromString(text, 'text/xml');
+}
+
+async function convertKml(text, format) {
+    const togeojson = await import(TOGEOJSON_URL);
+    return togeojson[format](await parseXml(text));
+}
+
+async function convertKmz(buffer) {
+    const JSZip = (await import(JSZIP_URL)).default;
+    const zip = await JSZip.loadAsync(buffer);
+    const kmlFiles = Object.values(zip.files).filter(file => !file.dir && extension(file.name) === 'kml');
+    const kmlFile = kmlFiles.find(file => file.name.toLowerCase() === 'doc.kml') || kmlFiles[0];
+    if (!kmlFile) throw new Error('The KMZ has no KML document');
+    return convertKml(await kmlFile.async('string'), 'kml');
+}
+
+async function convertShapefile(entries) {
+    const shpjs = await import(SHPJS_URL);
+    const part = (ext) => entries.find(entry => extension(entry.name) === ext);
+    const text = (entry) => entry && new TextDecoder().decode(entry.buffer);
+
+    // A zip holds every part, shpjs reprojects with the .prj inside it
+    if (entries.length === 1 && extension(entries[0].name) === 'zip') {
+        return shpjs.parseZip(entries[0].buffer);
+    }
+
+    const shp = part('shp');
+    if (!shp) throw new Error('The shapefile has no .shp file');
+    const dbf = part('dbf');
+    const geometries = await shpjs.parseShp(shp.buffer, text(part('prj')));
+    if (!dbf) return shpjs.combine([geometries, []]);
+    return shpjs.combine([geometries, await shpjs.parseDbf(dbf.buffer, text(part('cpg')))]);
+}
+
+async function convertGeoPackage(buffer) {
+    const [sqlModule, proj4Module] = await Promise.all([import(SQLJS_URL), import(PROJ4_URL)]);
+    const initSqlJs = sqlModule.default;
+    const proj4 = proj4Module.default;
+    const SQL = await initSqlJs({ locateFile: file => `${SQLJS_WASM_URL}${file}` });
+    const db = new SQL.Database(new Uint8Array(buffer));
+
+    const query = (sql) => db.exec(sql).flatMap(({ columns, values }) =>
+        values.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]]))));
+
+    try {
+        const tables = query(`
+            SELECT g.table_name, g.column_name, g.srs_id, s.definition
+            FROM gpkg_contents c
+            JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+            LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = g.srs_id
+            WHERE c.data_type = 'features'
+        `);
+        if (tables.length === 0) throw new Error('The GeoPackage has no feature tables');
+
+        return tables.map(table => {
+            const features = query(`SELECT * FROM "${table.table_name.replace(/"/g, '""')}"`).map(row => {
+                const blob = row[table.column_name];
+                const properties = Object.fromEntries(Object.entries(row)
+                    .filter(([column, value]) => column !== table.column_name && !(value instanceof Uint8Array)));
+                if (tables.length > 1) properties.layer = table.table_name;
+                return {
+                    type: 'Feature',
+                    geometry: blob instanceof Uint8Array ? parseGeoPackageGeometry(blob) : null,
+                    properties
+                };
+            });
+
+            const collection = normalizeFeatureCollection({ type: 'FeatureCollection', features });
+            if (!WGS84_SRS_IDS.includes(table.srs_id) && table.definition && table.definition !== 'undefined') {
+                const projection = proj4(table.definition, 'EPSG:4326');
+                reprojectGeoJSON(collection, position => projection.forward(position));
+            }
+            return collection;
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Convert the files of one layer to GeoJSON
+ * @param {string} format - From getImportFormat()
+ * @param {Array<{name: string, buffer: ArrayBuffer}>} entries - File contents
+ * @returns {Promise<Object>} FeatureCollection
+ */
+export async function convertFiles(format, entries) {
+    const [first] = entries;
+    const text = () => new TextDecoder().decode(first.buffer);
+    let result;
+
+    switch (format) {
+        case 'kml':
+        case 'gpx':
+            result = await convertKml(text(), format);
+            break;
+        case 'kmz':
+            result = await convertKmz(first.buffer);
+            break;
+        case 'shapefile':
+            result = await convertShapefile(entries);
+            break;
+        case 'geopackage':
+            result = await convertGeoPackage(first.buffer);
+            break;
+        case 'geojson':
+            result = JSON.parse(text());
+            break;
+        default:
+            throw new Error(`Unsupported file format ${format}`);
+    }
+
+    const geojson = normalizeFeatureCollection(result);
+    if (geojson.features.length === 0) throw new Error('The file has no features');
+    return geojson;
+}
+
+function convertInWorker(format, entries) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./file-import-worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            worker.terminate();
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.geojson);
+            }
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'The import worker failed'));
+        };
+        worker.postMessage({ format, entries }, entries.map(entry => entry.buffer));
+    });
+}
+
+/**
+ * Convert a group of files from groupImportFiles() into a `geojson` layer config
+ * @param {{name: string, format: string, files: File[]}} group
+ * @returns {Promise<Object>} Layer config
+ */
+export async function importFileGroup(group) {
+    const entries = await Promise.all(group.files.map(async file => ({
+        name: file.name,
+        buffer: await file.arrayBuffer()
+    })));
+    const size = entries.reduce((total, entry) => total + entry.buffer.byteLength, 0);
+
+    const geojson = size > WORKER_THRESHOLD && typeof Worker !== 'undefined' ?
+        await convertInWorker(group.format, entries) :
+        await convertFiles(group.format, entries);
+    return makeImportedLayerConfig(group.name, geojson);
+}
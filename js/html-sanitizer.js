@@ -0,0 +1,196 @@
+/**
+ * HTML Sanitizer
+ * Cleans HTML from atlas configs, preset libraries and remote APIs before it reaches the DOM.
+ * Configs may contain simple markup such as links in `attribution` or `description`, but a
+ * config loaded with `?atlas=https://...` or `?atlas={...}` is written by whoever shared the link.
+ *
+ * The sanitizer rebuilds markup from an allowlist of tags and attributes instead of filtering
+ * out known bad patterns: anything it does not recognise is escaped as text.
+ */
+
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup',
+    'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Tags whose content is dropped along with the tag
+const DROPPED_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'textarea', 'title', 'noscript']);
+
+const ALLOWED_ATTRIBUTES = {
+    '*': ['class', 'title'],
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan']
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+// Absolute URLs with a known scheme, image data URLs, or relative URLs with no scheme or
+// character reference before the first path, query or fragment separator
+const SAFE_URL_PATTERN = /^(?:(?:https?|mailto|tel|mapbox|pmtiles):|data:image\/(?:png|jpeg|gif|webp);|[^:&]*(?:[/?#]|$))/i;
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Config keys holding Mapbox expressions, where '<' is an operator rather than markup
+const EXPRESSION_KEYS = new Set(['style', 'paint', 'layout', 'filter', 'timeFilter']);
+
+// Config keys holding service request parameters, such as an ArcGIS `where` clause, that are
+// sent to the service and never shown as markup
+const SERVICE_KEYS = new Set(['service']);
+
+// Markdown text, sanitized by renderMarkdown() when it is shown. Escaping it first would show
+// '<' in code spans as '&lt;' and break '>' blockquotes
+const isMarkdownText = (key, parentKey) => parentKey === 'story' && key === 'text';
+
+// Config keys holding URLs that are written into links, images or CSS
+const URL_KEYS = new Set(['url', 'dataUrl', 'headerImage', 'legendImage', 'location', 'icon']);
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Text to escape
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL against the allowed schemes and make it safe to quote in HTML or CSS
+ * @param {string} url - URL from a config or remote response
+ * @returns {string} The URL with quotes and angle brackets percent-encoded, or '' if its scheme is not allowed
+ */
+export function sanitizeUrl(url) {
+    const trimmed = String(url ?? '').trim();
+    if (!SAFE_URL_PATTERN.test(trimmed)) {
+        return '';
+    }
+    return trimmed.replace(/["'<>`]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sanitizeAttributes(tagName, attributeText) {
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tagName] || [])];
+    const attributes = [];
+
+    for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = rawName.toLowerCase();
+        if (!allowed.includes(name)) continue;
+
+        let value = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+        if (URL_ATTRIBUTES.has(name)) {
+            value = sanitizeUrl(value);
+            if (!value) continue;
+        }
+        // Keep existing character references, escape anything that could end the attribute
+        attributes.push(`${name}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}"`);
+    }
+
+    // Links from configs always open in a new tab without access to this page
+    if (tagName === 'a' && attributes.some(attribute => attribute.startsWith('target='))) {
+        const rel = attributes.findIndex(attribute => attribute.startsWith('rel='));
+        if (rel !== -1) attributes.splice(rel, 1);
+        attributes.push('rel="noopener noreferrer"');
+    }
+
+    return attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+}
+
+/**
+ * Sanitize an HTML string, keeping allowed tags and attributes and escaping everything else
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML. Strings without markup are returned unchanged
+ */
+export function sanitizeHtml(html) {
+    if (typeof html !== 'string' || !html.includes('<')) {
+        return html;
+    }
+
+    const escapeText = text => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    let output = '';
+    let lastIndex = 0;
+    let droppedTag = null;
+
+    for (const match of html.matchAll(TAG_PATTERN)) {
+        const [tag, closing, rawTagName, attributeText] = match;
+        const tagName = rawTagName.toLowerCase();
+
+        if (!droppedTag) {
+            output += escapeText(html.slice(lastIndex, match.index));
+        }
+        lastIndex = match.index + tag.length;
+
+        if (droppedTag) {
+            if (closing && tagName === droppedTag) droppedTag = null;
+            continue;
+        }
+        if (DROPPED_CONTENT_TAGS.has(tagName)) {
+            if (!closing) droppedTag = tagName;
+            continue;
+        }
+        if (!ALLOWED_TAGS.has(tagName)) {
+            continue;
+        }
+
+        if (closing) {
+            if (!VOID_TAGS.has(tagName)) output += `</${tagName}>`;
+        } else {
+            output += `<${tagName}${sanitizeAttributes(tagName, attributeText)}>`;
+        }
+    }
+
+    if (!droppedTag) {
+        output += escapeText(html.slice(lastIndex));
+    }
+    return output;
+}
+
+function sanitizeValue(value, key, parentKey) {
+    if (typeof value === 'string') {
+        // Sublayers of a layer-group link to their source through `attribution`
+        const isUrl = URL_KEYS.has(key) || (parentKey === 'groups' && key === 'attribution');
+        if (isUrl) {
+            const url = sanitizeUrl(value);
+            if (url !== value.trim()) {
+                console.warn(`⚠️ [Config] Removed unsafe characters or scheme from '${key}': ${value}`);
+            }
+            return url;
+        }
+        return sanitizeHtml(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => sanitizeValue(item, key, parentKey));
+    }
+    if (value && typeof value === 'object') {
+        return sanitizeConfig(value, key);
+    }
+    return value;
+}
+
+/**
+ * Sanitize every string in an atlas config, layer or preset library. Markup is cleaned
+ * with sanitizeHtml(), URLs with sanitizeUrl(). Map style expressions, service request
+ * parameters, story markdown and internal `_` properties are left as they are
+ * @param {Object} config - Atlas config, layer or preset library
+ * @param {string} parentKey - Key of the object in its parent, used while recursing
+ * @returns {Object} Sanitized copy
+ */
+export function sanitizeConfig(config, parentKey = null) {
+    const sanitized = {};
+    Object.entries(config).forEach(([key, value]) => {
+        const keepAsIs = EXPRESSION_KEYS.has(key) || SERVICE_KEYS.has(key) ||
+            isMarkdownText(key, parentKey) || key.startsWith('_');
+        sanitized[key] = keepAsIs ?
+            value :
+            sanitizeValue(value, key, parentKey);
+    });
+    return sanitized;
+}
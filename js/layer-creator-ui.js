@@ -1,4 +1,7 @@
 import { fetchTileJSON } from './map-utils.js';
+import { guessOgcServiceType, fetchCapabilities, capabilitiesLayerToConfig } from './ogc-services.js';
+import { isPMTilesUrl } from './pmtiles-source.js';
+import { IMPORT_ACCEPT, groupImportFiles, importFileGroup, getImportBounds } from './file-import.js';
 
 // Get all layers from the current atlas configuration
 function getCurrentAtlasLayers() {
@@ -21,6 +24,27 @@ function getCurrentAtlasLayers() {
     return layers;
 }
 
+// Get preset layers grouped by library, from the libraries loaded for the current atlas
+function getPresetLibraryLayers() {
+    const presetLibrary = window.presetLibrary;
+    if (!presetLibrary || !presetLibrary.libraries) {
+        return [];
+    }
+
+    return presetLibrary.libraries.map(library => ({
+        name: library.name || 'Layer presets',
+        layers: library.layers.filter(layer => layer.id && layer.title).map(layer => {
+            const config = { ...layer, id: presetLibrary.getQualifiedId(library, layer) };
+            return {
+                id: config.id,
+                title: layer.title,
+                format: getLayerFormat(layer),
+                config
+            };
+        })
+    }));
+}
+
 // Determine the data format from layer configuration
 function getLayerFormat(layer) {
     if (!layer.type && !layer.url) return 'unknown';
@@ -50,6 +74,14 @@ function getLayerFormat(layer) {
             return 'raster';
         case 'markers':
             return 'markers';
+        case 'wms':
+            return 'wms';
+        case 'wmts':
+            return 'wmts';
+        case 'arcgis':
+            return 'arcgis';
+        case 'pmtiles':
+            return 'pmtiles';
     }
     
     // If no type, try to guess from URL
@@ -74,7 +106,7 @@ function createLayerCreatorDialog() {
     const dialogHtml = `
     <sl-dialog id="layer-creator-dialog" label="Add new data source or atlas">
         <form id="layer-creator-form" class="flex flex-col gap-4">
-            <sl-select id="layer-preset-dropdown" placeholder="Select from current atlas layers">
+            <sl-select id="layer-preset-dropdown" placeholder="Select from atlas layers or presets">
                 <sl-icon slot="prefix" name="layers"></sl-icon>
             </sl-select>
             <div class="text-xs text-gray-500">
@@ -83,13 +115,24 @@ function createLayerCreatorDialog() {
             <sl-input id="layer-url" placeholder="URL to map data or atlas configuration JSON">
                 <sl-icon slot="prefix" name="link"></sl-icon>
             </sl-input>
+            <sl-select id="layer-service-layers" label="Layers of this service" placeholder="Loading layers..." hoist style="display: none"></sl-select>
+            <div class="flex items-center gap-2">
+                <sl-button type="button" size="small" id="layer-file-button">
+                    <sl-icon slot="prefix" name="upload"></sl-icon>
+                    Choose files
+                </sl-button>
+                <span class="text-xs text-gray-500">or drop them on the map</span>
+                <input type="file" id="layer-file-input" multiple accept="${IMPORT_ACCEPT}" hidden>
+            </div>
             <div id="layer-url-help" class="text-xs text-gray-500">
-                Supported: Raster/Vector tile URLs, GeoJSON, Atlas JSON.<br>
+                Supported: Raster/Vector tile URLs, GeoJSON, WMS/WMTS services, Atlas JSON.<br>
                 Examples:<br>
                 <span class="block">Raster: <code>https://warper.wmflabs.org/maps/tile/4749/{z}/{x}/{y}.png</code></span>
                 <span class="block">Vector: <code>https://vector.openstreetmap.org/shortbread_v1/{z}/{x}/{y}.mvt</code></span>
+                <span class="block">WMS: <code>https://bhuvan-vec1.nrsc.gov.in/bhuvan/wms</code></span>
                 <span class="block">GeoJSON: <code>https://gist.githubusercontent.com/planemad/e5ccc47bf2a1aa458a86d6839476f539/raw/6922fcc2d5ffd4d58b0fb069b9f57334f13cd953/goa-water-bodies.geojson</code></span>
                 <span class="block">Atlas: <code>https://jsonkeeper.com/b/RQ0Y</code></span>
+                Files: KML/KMZ, GPX, Shapefile (.zip, or .shp with .dbf and .prj), GeoPackage, GeoJSON.
             </div>
             <sl-textarea id="layer-config-json" rows="10" resize="vertical" class="font-mono text-xs" placeholder="Atlas Layer JSON"></sl-textarea>
             <div class="flex justify-end gap-2">
@@ -103,6 +146,7 @@ function createLayerCreatorDialog() {
 }
 
 function guessLayerType(url) {
+    if (isPMTilesUrl(url)) return 'pmtiles';
     if (/\.geojson($|\?)/i.test(url)) return 'geojson';
     if (url.includes('{z}') && (url.includes('.pbf') || url.includes('.mvt') || url.includes('vector.openstreetmap.org') || url.includes('/vector/'))) return 'vector';
     if (url.includes('{z}') && (url.includes('.png') || url.includes('.jpg'))) return 'raster';
@@ -173,6 +217,15 @@ function makeLayerConfig(url, tilejson) {
             },
             initiallyChecked: false
         };
+    } else if (type === 'pmtiles') {
+        // The archive fills in the tile type, source layer and zoom levels when the layer is turned on
+        config = {
+            title: 'PMTiles Layer',
+            type: 'pmtiles',
+            id: 'pmtiles-' + Math.random().toString(36).slice(2, 8),
+            url,
+            initiallyChecked: false
+        };
     } else if (type === 'geojson') {
         config = {
             title: 'GeoJSON Layer',
@@ -253,6 +306,115 @@ async function handleUrlInput(url) {
     return config;
 }
 
+// Service whose layers are being listed, and the listener filling in the chosen layer
+let serviceUrl = null;
+let serviceLayerListener = null;
+
+/**
+ * List the layers of a WMS or WMTS service from its capabilities, and fill in the config
+ * of the chosen layer
+ */
+async function showServiceLayers(url, type, layerSelect, configTextarea) {
+    serviceUrl = url;
+    layerSelect.style.display = '';
+    layerSelect.innerHTML = '';
+    layerSelect.value = '';
+    configTextarea.value = 'Loading...';
+
+    let capabilities;
+    try {
+        capabilities = await fetchCapabilities(url, type);
+        // Another URL was typed while this one loaded
+        if (serviceUrl !== url) return;
+    } catch (error) {
+        if (serviceUrl !== url) return;
+        console.warn(`⚠️ Could not read the capabilities of ${url}:`, error);
+        layerSelect.style.display = 'none';
+        configTextarea.value = '';
+        configTextarea.helpText = `Could not list the layers of this service: ${error.message}`;
+        return;
+    }
+
+    const layers = capabilities.layers.filter(layer => layer.name && (type === 'wms' || layer.tileMatrixSet || layer.resourceUrl));
+    if (layers.length === 0) {
+        layerSelect.style.display = 'none';
+        configTextarea.value = '';
+        configTextarea.helpText = type === 'wmts' ?
+            'This service has no layers in a Web Mercator (EPSG:3857) tile matrix set' :
+            'This service has no layers';
+        return;
+    }
+
+    layerSelect.label = `Layers of ${capabilities.title || 'this service'}`;
+    layers.forEach((layer, index) => {
+        const option = document.createElement('sl-option');
+        option.value = String(index);
+        option.textContent = layer.title ? `${layer.title} (${layer.name})` : layer.name;
+        layerSelect.appendChild(option);
+    });
+
+    const showLayer = (index) => {
+        configTextarea.value = JSON.stringify(capabilitiesLayerToConfig(capabilities, layers[index]), null, 2);
+    };
+    if (serviceLayerListener) {
+        layerSelect.removeEventListener('sl-change', serviceLayerListener);
+    }
+    serviceLayerListener = () => {
+        if (layerSelect.value !== '') showLayer(Number(layerSelect.value));
+    };
+    layerSelect.addEventListener('sl-change', serviceLayerListener);
+    layerSelect.value = '0';
+    showLayer(0);
+}
+
+/**
+ * Convert dropped or chosen files into layer configs. Files that cannot be read are reported
+ * and left out.
+ * @param {FileList|File[]} files
+ * @returns {Promise<Object[]>} `geojson` layer configs
+ */
+async function importFiles(files) {
+    const { groups, skipped } = groupImportFiles(Array.from(files));
+    if (skipped.length > 0) {
+        console.warn('⚠️ Files that cannot be imported:', skipped);
+        window.layerControl?._showToast(`Cannot import ${skipped.join(', ')}`, 'error');
+    }
+    if (groups.length === 0) return [];
+
+    window.layerControl?._showToast(`Importing ${groups.map(group => group.name).join(', ')}...`, 'info');
+    const results = await Promise.allSettled(groups.map(importFileGroup));
+    const failed = results
+        .map((result, i) => ({ result, name: groups[i].name }))
+        .filter(({ result }) => result.status === 'rejected');
+    failed.forEach(({ result, name }) => console.error(`❌ Could not import ${name}:`, result.reason));
+    if (failed.length > 0) {
+        window.layerControl?._showToast(`Could not import ${failed.map(({ name }) => name).join(', ')}: ${failed[0].result.reason.message}`, 'error', 6000);
+    }
+
+    return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+}
+
+/**
+ * Add imported layers, turned on, to the top of the current atlas and zoom to their features.
+ * Their data is inline, so they are not part of shared links.
+ * @param {Object[]} configs - Layer configs from importFiles()
+ */
+function addImportedLayers(configs) {
+    const layerControl = window.layerControl;
+    if (!layerControl || configs.length === 0) return;
+
+    layerControl._updateState({ groups: [...configs, ...layerControl._state.groups] });
+
+    const bounds = configs.map(config => getImportBounds(config.data)).filter(Boolean);
+    if (bounds.length > 0 && window.map) {
+        window.map.fitBounds([
+            [Math.min(...bounds.map(b => b[0])), Math.min(...bounds.map(b => b[1]))],
+            [Math.max(...bounds.map(b => b[2])), Math.max(...bounds.map(b => b[3]))]
+        ], { padding: 50, maxZoom: 16 });
+    }
+    layerControl._showToast(`Added ${configs.map(config => config.title).join(', ')} to the map`);
+}
+
 function getShareableUrl() {
     // Try to get the ShareLink instance from the share button container
     const shareBtn = document.getElementById('share-link');
@@ -272,13 +434,22 @@ function openLayerCreatorDialog() {
     const dialog = document.getElementById('layer-creator-dialog');
     const presetDropdown = document.getElementById('layer-preset-dropdown');
     const urlInput = document.getElementById('layer-url');
+    const serviceLayerSelect = document.getElementById('layer-service-layers');
     const configTextarea = document.getElementById('layer-config-json');
     const form = document.getElementById('layer-creator-form');
     const cancelBtn = document.getElementById('cancel-layer-creator');
+    const fileButton = document.getElementById('layer-file-button');
+    const fileInput = document.getElementById('layer-file-input');
     
     // Clear inputs
     configTextarea.value = '';
+    configTextarea.helpText = '';
     urlInput.value = '';
+    fileInput.value = '';
+    serviceLayerSelect.style.display = 'none';
+
+    // Features of imported files, kept out of the config shown for editing
+    let importedData = [];
     
     // Populate dropdown with current atlas layers
     const currentLayers = getCurrentAtlasLayers();
@@ -291,9 +462,9 @@ function openLayerCreatorDialog() {
     presetDropdown.appendChild(emptyOption);
     
     // Add layers to dropdown
-    currentLayers.forEach(layer => {
+    const addLayerOption = (layer, value) => {
         const option = document.createElement('sl-option');
-        option.value = layer.id;
+        option.value = value;
         option.dataset.config = JSON.stringify(layer.config);
         
         // Create HTML content with title and format indicator
@@ -305,6 +476,21 @@ function openLayerCreatorDialog() {
         `;
         
         presetDropdown.appendChild(option);
+    };
+    const addSectionLabel = (text) => {
+        presetDropdown.appendChild(document.createElement('sl-divider'));
+        const label = document.createElement('small');
+        label.textContent = text;
+        presetDropdown.appendChild(label);
+    };
+
+    addSectionLabel('Current atlas');
+    currentLayers.forEach(layer => addLayerOption(layer, layer.id));
+
+    // Add layers from every preset library loaded for this atlas
+    getPresetLibraryLayers().forEach(library => {
+        addSectionLabel(library.name);
+        library.layers.forEach(layer => addLayerOption(layer, `preset:${layer.id}`));
     });
     
     dialog.show();
@@ -325,6 +511,7 @@ function openLayerCreatorDialog() {
             configTextarea.value = JSON.stringify(config, null, 2);
             // Clear URL input when preset is selected
             urlInput.value = '';
+            importedData = [];
         }
     });
     
@@ -336,6 +523,16 @@ function openLayerCreatorDialog() {
         
         // Clear preset dropdown when URL is entered
         presetDropdown.value = '';
+        configTextarea.helpText = '';
+        importedData = [];
+
+        const serviceType = guessOgcServiceType(url);
+        if (serviceType) {
+            await showServiceLayers(url, serviceType, serviceLayerSelect, configTextarea);
+            return;
+        }
+        serviceUrl = null;
+        serviceLayerSelect.style.display = 'none';
         
         configTextarea.value = 'Loading...';
         const config = await handleUrlInput(url);
@@ -343,12 +540,50 @@ function openLayerCreatorDialog() {
         configTextarea.value = lastConfig;
     });
     
+    // Handle chosen files, showing the layers they make without their features
+    fileButton.onclick = () => fileInput.click();
+    fileInput.onchange = async () => {
+        if (fileInput.files.length === 0) return;
+        presetDropdown.value = '';
+        urlInput.value = '';
+        lastUrl = '';
+        serviceUrl = null;
+        serviceLayerSelect.style.display = 'none';
+        configTextarea.value = 'Loading...';
+
+        const configs = await importFiles(fileInput.files);
+        fileInput.value = '';
+        importedData = configs.map(config => config.data);
+        const shownConfigs = configs.map(({ data, ...config }) => config);
+        configTextarea.value = configs.length === 0 ? '' :
+            JSON.stringify(shownConfigs.length === 1 ? shownConfigs[0] : shownConfigs, null, 2);
+        configTextarea.helpText = configs.length === 0 ? 'None of the files could be imported' :
+            `${importedData.reduce((total, data) => total + data.features.length, 0)} features. Imported layers are only added to this map, not to shared links`;
+    };
+
     cancelBtn.onclick = () => dialog.hide();
     
     form.onsubmit = (e) => {
         e.preventDefault();
         let configJson = configTextarea.value.trim();
         if (!configJson) return;
+
+        // Imported files are added to the map directly, their features are too large for a link
+        if (importedData.length > 0) {
+            try {
+                const parsed = JSON.parse(configJson);
+                const configs = (Array.isArray(parsed) ? parsed : [parsed])
+                    .map((config, i) => ({ ...config, data: importedData[i] }))
+                    .filter(config => config.data);
+                addImportedLayers(configs);
+                importedData = [];
+                dialog.hide();
+            } catch (err) {
+                alert('Invalid JSON in config');
+            }
+            return;
+        }
+
         try {
             const configObj = JSON.parse(configJson);
             // Use the current shareable URL as base
@@ -376,4 +611,17 @@ function openLayerCreatorDialog() {
 }
 
 // Attach to button
-$(document).on('click', '#add-layer-btn', openLayerCreatorDialog); 
\ No newline at end of file
+$(document).on('click', '#add-layer-btn', openLayerCreatorDialog);
+
+// Import files dropped on the map
+const hasFiles = (e) => Array.from(e.originalEvent.dataTransfer?.types || []).includes('Files');
+$(document).on('dragover', '#map', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.originalEvent.dataTransfer.dropEffect = 'copy';
+});
+$(document).on('drop', '#map', async (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    addImportedLayers(await importFiles(e.originalEvent.dataTransfer.files));
+}); 
\ No newline at end of file
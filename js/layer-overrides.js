@@ -0,0 +1,132 @@
+/**
+ * Layer Overrides
+ * Changes made to a layer after the atlas loaded are kept in `layer._overrides` and written to
+ * the `layers` URL parameter, so a shared link shows the map the way it was left:
+ *
+ *   opacity    Opacity factor from the opacity buttons, e.g. 0.4
+ *   sublayers  Indexes of the visible sub-layers of a `style` group, when not all are visible
+ *   style      Style properties edited in the layer settings, merged over the layer's style
+ *   filter     Filter expression edited in the layer settings
+ *
+ * A preset or atlas layer with overrides is written as `{"id":"roads","opacity":0.4}` instead
+ * of `roads`. A custom layer keeps its own JSON with the overrides merged into it.
+ */
+
+export const LAYER_OVERRIDE_KEYS = ['opacity', 'sublayers', 'style', 'filter'];
+
+// Overrides that only exist at runtime and are never part of a layer definition
+const RUNTIME_OVERRIDE_KEYS = ['opacity', 'sublayers'];
+
+/**
+ * Drop empty overrides and round the opacity so links stay short
+ * @param {Object} overrides - Layer overrides
+ * @returns {Object}
+ */
+export function cleanLayerOverrides(overrides = {}) {
+    const cleaned = {};
+    if (typeof overrides.opacity === 'number' && overrides.opacity >= 0 && overrides.opacity < 1) {
+        cleaned.opacity = Math.round(overrides.opacity * 100) / 100;
+    }
+    if (Array.isArray(overrides.sublayers)) {
+        cleaned.sublayers = overrides.sublayers.filter(index => Number.isInteger(index));
+    }
+    if (overrides.style && typeof overrides.style === 'object' && Object.keys(overrides.style).length > 0) {
+        cleaned.style = overrides.style;
+    }
+    if (Array.isArray(overrides.filter)) {
+        cleaned.filter = overrides.filter;
+    }
+    return cleaned;
+}
+
+/**
+ * Separate the overrides from a layer parsed from the `layers` URL parameter
+ * @param {Object} urlLayer - Layer from parseLayersFromUrl(), with `_originalJson` for JSON items
+ * @returns {{layer: Object, overrides: Object}} Layer without the overrides, and the overrides
+ */
+export function splitLayerOverrides(urlLayer) {
+    if (!urlLayer._originalJson) {
+        return { layer: urlLayer, overrides: {} };
+    }
+
+    const definition = JSON.parse(urlLayer._originalJson);
+    const isOverrideOnly = Object.keys(definition).every(key => key === 'id' || LAYER_OVERRIDE_KEYS.includes(key));
+
+    // `{"id":"roads","opacity":0.4}` refers to a preset or atlas layer
+    const overrideKeys = isOverrideOnly ? LAYER_OVERRIDE_KEYS : RUNTIME_OVERRIDE_KEYS;
+    const overrides = {};
+    overrideKeys.forEach(key => {
+        if (definition[key] !== undefined) {
+            overrides[key] = definition[key];
+            delete definition[key];
+        }
+    });
+
+    const layer = { ...urlLayer };
+    delete layer._originalJson;
+    overrideKeys.forEach(key => delete layer[key]);
+    if (!isOverrideOnly) {
+        layer._originalJson = JSON.stringify(definition);
+    }
+    return { layer, overrides: cleanLayerOverrides(overrides) };
+}
+
+/**
+ * Merge the style and filter overrides of a layer into its definition
+ * @param {Object} layer - Layer config with `_overrides`
+ * @returns {Object} Layer config with the overrides applied
+ */
+export function applyLayerOverrides(layer) {
+    const overrides = layer._overrides;
+    if (!overrides || (!overrides.style && !overrides.filter)) {
+        return layer;
+    }
+    return {
+        ...layer,
+        ...(overrides.style && { style: { ...layer.style, ...overrides.style } }),
+        ...(overrides.filter && { filter: overrides.filter })
+    };
+}
+
+/**
+ * Build the URL form of a layer
+ * @param {Object} layer - `{ id }` for a preset or atlas layer, or the JSON of a custom layer
+ * @param {Object} overrides - Layer overrides
+ * @returns {Object} Layer to write to the `layers` parameter
+ */
+export function withLayerOverrides(layer, overrides) {
+    const cleaned = cleanLayerOverrides(overrides);
+    if (cleaned.style && layer.style) {
+        cleaned.style = { ...layer.style, ...cleaned.style };
+    }
+    return { ...layer, ...cleaned };
+}
+
+/**
+ * Get the value of a layer in the `layers` URL parameter
+ * @param {Object} layer - Layer config with `_originalJson` for custom layers and optional `_overrides`
+ * @returns {string} Layer id, or JSON for custom layers and layers with overrides
+ */
+export function getLayerURLValue(layer) {
+    const urlLayer = withLayerOverrides(
+        layer._originalJson ? JSON.parse(layer._originalJson) : { id: layer.id },
+        layer._overrides
+    );
+    return layer._originalJson || Object.keys(urlLayer).length > 1 ? JSON.stringify(urlLayer) : urlLayer.id;
+}
+
+/**
+ * Get the style properties that were added or changed
+ * @param {Object} oldStyle - Style before editing
+ * @param {Object} newStyle - Style after editing
+ * @returns {Object} Changed properties with their new values
+ */
+export function getStyleChanges(oldStyle = {}, newStyle = {}) {
+    const changes = {};
+    Object.entries(newStyle || {}).forEach(([property, value]) => {
+        if (JSON.stringify(value) !== JSON.stringify(oldStyle?.[property])) {
+            changes[property] = value;
+        }
+    });
+    return changes;
+}
@@ -0,0 +1,78 @@
+/**
+ * MapExportDialog Plugin
+ * "Export image" dialog. Exports the current view as a PNG at a chosen DPI or pixel width, with
+ * a title, the legends of the active layers, a scale bar, a north arrow and the attribution.
+ */
+import { ExportDialog } from './export-dialog.js';
+import { SCREEN_DPI, MAX_EXPORT_SIZE, getExportPixelRatio, createMapExport } from './map-export.js';
+
+const RESOLUTIONS = [
+    { value: '96', label: 'Screen (96 DPI)' },
+    { value: '150', label: '150 DPI' },
+    { value: '300', label: 'Print (300 DPI)' },
+    { value: 'width', label: 'Pixel width' }
+];
+
+export class MapExportDialog extends ExportDialog {
+    constructor(options) {
+        super({
+            ...options,
+            modalId: 'export-image-modal',
+            label: 'Export image',
+            exportLabel: 'Export PNG',
+            failureMessage: 'Could not export the image'
+        });
+    }
+
+    _getFormHTML() {
+        return `
+            <sl-input name="title" label="Title" help-text="Drawn above the map, leave empty for none"></sl-input>
+            <div class="export-dialog-row">
+                <sl-select name="resolution" label="Resolution" value="150">
+                    ${RESOLUTIONS.map(({ value, label }) => `<sl-option value="${value}">${label}</sl-option>`).join('')}
+                </sl-select>
+                <sl-input name="pixelWidth" label="Width in pixels" type="number" min="100" max="${MAX_EXPORT_SIZE}" value="3000" disabled></sl-input>
+            </div>
+            <sl-checkbox name="legend" checked>Include the legends of active layers</sl-checkbox>
+        `;
+    }
+
+    /**
+     * Pixel ratio for the chosen resolution, limited to what browsers can render
+     */
+    _getPixelRatio() {
+        const container = window.map.getContainer();
+        const resolution = this._getField('resolution').value;
+        return getExportPixelRatio({
+            width: container.clientWidth,
+            height: container.clientHeight,
+            ...(resolution === 'width' ?
+                { pixelWidth: Number(this._getField('pixelWidth').value) || container.clientWidth } :
+                { dpi: Number(resolution) || SCREEN_DPI })
+        });
+    }
+
+    _updateStatus() {
+        const byWidth = this._getField('resolution').value === 'width';
+        this._getField('pixelWidth').disabled = !byWidth;
+
+        const container = window.map.getContainer();
+        const ratio = this._getPixelRatio();
+        const width = Math.round(container.clientWidth * ratio);
+        const height = Math.round(container.clientHeight * ratio);
+        const limited = width >= MAX_EXPORT_SIZE - 1 || height >= MAX_EXPORT_SIZE - 1;
+        this._setStatus(`Map ${width} × ${height} pixels${limited ? ', the largest size browsers can render' : ''}`);
+    }
+
+    async _createFile(title) {
+        const { layers, attributions } = this._getLayerCredits();
+        const blob = await createMapExport({
+            map: window.map,
+            title,
+            layers: this._getField('legend').checked ? layers : [],
+            attributions,
+            pixelRatio: this._getPixelRatio()
+        });
+        return { blob, filename: `${this._getFileName(title)}.png`, message: 'Image downloaded' };
+    }
+}
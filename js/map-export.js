@@ -0,0 +1,433 @@
+/**
+ * Map Export
+ * Renders the current view offscreen at a higher resolution and composes a PNG with a title,
+ * the legends of the active layers, a scale bar, a north arrow and the attribution of the map
+ * and its layers, so the image can be used without cropping out the credits.
+ */
+import { convertStyleToLegend } from './map-utils.js';
+import { wrapText } from './canvas-utils.js';
+
+// Browsers draw 96 CSS pixels per inch
+export const SCREEN_DPI = 96;
+
+// Larger WebGL canvases fail on many devices
+export const MAX_EXPORT_SIZE = 8192;
+
+const EARTH_CIRCUMFERENCE = 40075016.686;
+
+// Mapbox GL tiles are 512 CSS pixels, so the world is TILE_SIZE * 2^zoom pixels wide
+export const TILE_SIZE = 512;
+const RENDER_TIMEOUT = 60000;
+
+// Layout in CSS pixels, multiplied by the pixel ratio of the export
+const PADDING = 16;
+const TITLE_SIZE = 24;
+const LEGEND_WIDTH = 240;
+const LEGEND_SWATCH = 14;
+const LEGEND_ROW = 20;
+const MAX_LEGEND_SWATCHES = 8;
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+// Attribution that only makes sense on the interactive map
+const INTERACTIVE_ATTRIBUTION = /Improve this map|Open full map/gi;
+
+const LEGEND_CATEGORIES = [
+    { category: 'Fill', shape: 'fill' },
+    { category: 'Circle', shape: 'circle' },
+    { category: 'Line', shape: 'line' }
+];
+
+/**
+ * Pixel ratio to render the map at
+ * @param {Object} options
+ * @param {number} options.width - Map width in CSS pixels
+ * @param {number} options.height - Map height in CSS pixels
+ * @param {number} options.dpi - Resolution, 96 is the screen
+ * @param {number} options.pixelWidth - Width of the map in the image, used instead of dpi
+ * @returns {number}
+ */
+export function getExportPixelRatio({ width, height, dpi = SCREEN_DPI, pixelWidth }) {
+    const ratio = pixelWidth ? pixelWidth / width : dpi / SCREEN_DPI;
+    return Math.min(ratio, MAX_EXPORT_SIZE / width, MAX_EXPORT_SIZE / height);
+}
+
+/**
+ * Meters covered by one CSS pixel at a latitude and zoom
+ * @param {number} latitude
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function getMetersPerPixel(latitude, zoom) {
+    return EARTH_CIRCUMFERENCE * Math.cos(latitude * Math.PI / 180) / (TILE_SIZE * 2 ** zoom);
+}
+
+/**
+ * Pick a round distance for the scale bar
+ * @param {number} metersPerPixel
+ * @param {number} maxWidth - Longest bar in CSS pixels
+ * @returns {{width: number, label: string}} Bar width in CSS pixels and its label
+ */
+export function getScaleBar(metersPerPixel, maxWidth) {
+    const maxMeters = metersPerPixel * maxWidth;
+    const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+    const meters = [5, 2, 1].map(step => step * magnitude).find(distance => distance <= maxMeters);
+    return {
+        width: meters / metersPerPixel,
+        label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`
+    };
+}
+
+function getExpressionSwatches(expression, shape) {
+    const [operator, ...args] = expression;
+    const swatches = [];
+    const add = (color, label) => {
+        if (typeof color === 'string') swatches.push({ shape, color, label });
+    };
+
+    if (operator === 'match') {
+        const cases = args.slice(1);
+        for (let i = 0; i < cases.length - 1; i += 2) {
+            add(cases[i + 1], Array.isArray(cases[i]) ? cases[i].join(', ') : String(cases[i]));
+        }
+        if (cases.length % 2 === 1) add(cases[cases.length - 1], 'Other');
+    } else if (operator === 'step') {
+        const [, base, ...stops] = args;
+        add(base, stops.length > 0 ? `< ${stops[0]}` : '');
+        for (let i = 0; i < stops.length - 1; i += 2) {
+            add(stops[i + 1], `≥ ${stops[i]}`);
+        }
+    } else if (operator === 'interpolate') {
+        const stops = args.slice(2);
+        for (let i = 0; i < stops.length - 1; i += 2) {
+            add(stops[i + 1], String(stops[i]));
+        }
+    } else if (operator === 'case') {
+        // Conditions don't make readable labels, show the colors only
+        args.filter((arg, index) => index % 2 === 1 || index === args.length - 1).forEach(color => add(color, ''));
+    }
+    return swatches;
+}
+
+/**
+ * Legend swatches for a layer style, read with convertStyleToLegend()
+ * @param {Object} style - Layer style
+ * @returns {Array<{shape: string, color: string, label: string, stroke?: string}>}
+ */
+export function getLegendSwatches(style) {
+    const legend = convertStyleToLegend(style);
+    const getColor = category => legend[category]?.find(item => item.property === `${category} color`);
+
+    for (const { category, shape } of LEGEND_CATEGORIES) {
+        const color = getColor(category);
+        if (!color) continue;
+
+        if (color.type === 'color') {
+            const outline = category === 'Fill' ? getColor('Line') : null;
+            return [{ shape, color: color.value, label: '', ...(outline?.type === 'color' && { stroke: outline.value }) }];
+        }
+        try {
+            const swatches = getExpressionSwatches(JSON.parse(color.value), shape);
+            if (swatches.length > 0) return swatches.slice(0, MAX_LEGEND_SWATCHES);
+        } catch (error) {
+            // Not an expression we can read
+        }
+    }
+    return [];
+}
+
+/**
+ * Combine attribution HTML into one line of text
+ * @param {string[]} attributions - HTML from the map and the active layers
+ * @returns {string}
+ */
+export function combineAttributions(attributions) {
+    const texts = attributions
+        .filter(Boolean)
+        .map(html => String(html)
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&copy;/g, '©')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(INTERACTIVE_ATTRIBUTION, '')
+            .replace(/\s+/g, ' ')
+            .trim())
+        .filter(Boolean);
+    return [...new Set(texts)].join(' · ');
+}
+
+/**
+ * Load an image that can be drawn on a canvas without blocking the export
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement|null>} The image, or null if it can't be loaded from its server
+ */
+export function loadImage(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => {
+            console.warn(`⚠️ Leaving legend image out of the export, it could not be loaded: ${url}`);
+            resolve(null);
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Render a copy of the map offscreen at a pixel ratio
+ * @param {mapboxgl.Map} map
+ * @param {number} pixelRatio
+ * @param {Object} view - Size in CSS pixels and camera, each defaulting to those of the map
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export function renderMapOffscreen(map, pixelRatio, view = {}) {
+    const source = map.getContainer();
+    const container = document.createElement('div');
+    Object.assign(container.style, {
+        position: 'fixed',
+        left: '-100000px',
+        top: '0',
+        width: `${view.width ?? source.clientWidth}px`,
+        height: `${view.height ?? source.clientHeight}px`
+    });
+    document.body.appendChild(container);
+
+    const exportMap = new mapboxgl.Map({
+        container,
+        style: map.getStyle(),
+        center: view.center ?? map.getCenter(),
+        zoom: view.zoom ?? map.getZoom(),
+        bearing: view.bearing ?? map.getBearing(),
+        pitch: view.pitch ?? map.getPitch(),
+        pixelRatio,
+        interactive: false,
+        attributionControl: false,
+        preserveDrawingBuffer: true,
+        fadeDuration: 0
+    });
+
+    // Icons added at runtime are not part of the style
+    exportMap.on('styleimagemissing', (event) => {
+        try {
+            const image = map.style?.getImage?.(event.id);
+            if (image && !exportMap.hasImage(event.id)) {
+                exportMap.addImage(event.id, image.data, { pixelRatio: image.pixelRatio, sdf: image.sdf });
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not copy icon '${event.id}' to the export`, error);
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            exportMap.remove();
+            container.remove();
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('The map took too long to render'));
+        }, RENDER_TIMEOUT);
+
+        exportMap.once('idle', () => {
+            const canvas = document.createElement('canvas');
+            const mapCanvas = exportMap.getCanvas();
+            canvas.width = mapCanvas.width;
+            canvas.height = mapCanvas.height;
+            canvas.getContext('2d').drawImage(mapCanvas, 0, 0);
+            cleanup();
+            resolve(canvas);
+        });
+    });
+}
+
+/**
+ * Lay out or draw the legend column
+ * @param {CanvasRenderingContext2D} context
+ * @param {Array} layers - Layers with swatches and loaded legend images
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} r - Pixel ratio
+ * @param {boolean} draw - False to only measure
+ * @returns {number} Bottom edge
+ */
+function drawLegend(context, layers, x, y, r, draw) {
+    const width = (LEGEND_WIDTH - PADDING * 2) * r;
+
+    layers.forEach(layer => {
+        context.font = `600 ${13 * r}px ${FONT_FAMILY}`;
+        context.fillStyle = '#111827';
+        wrapText(context, layer.title, width, 2).forEach(line => {
+            if (draw) context.fillText(line, x, y);
+            y += 17 * r;
+        });
+        y += 4 * r;
+
+        context.font = `${12 * r}px ${FONT_FAMILY}`;
+        layer.swatches.forEach(swatch => {
+            if (draw) drawSwatch(context, swatch, x, y, LEGEND_SWATCH * r);
+            if (draw && swatch.label) {
+                context.fillStyle = '#374151';
+                context.fillText(wrapText(context, swatch.label, width - (LEGEND_SWATCH + 8) * r, 1)[0], x + (LEGEND_SWATCH + 8) * r, y);
+            }
+            y += LEGEND_ROW * r;
+        });
+
+        if (layer.image) {
+            const scale = Math.min(1, width / (layer.image.width * r)) * r;
+            if (draw) context.drawImage(layer.image, x, y, layer.image.width * scale, layer.image.height * scale);
+            y += layer.image.height * scale + 4 * r;
+        }
+        y += 10 * r;
+    });
+    return y;
+}
+
+function drawSwatch(context, { shape, color, stroke }, x, y, size) {
+    context.fillStyle = color;
+    context.strokeStyle = stroke || color;
+    context.lineWidth = Math.max(1, size / 7);
+    if (shape === 'circle') {
+        context.beginPath();
+        context.arc(x + size / 2, y + size / 2, size / 2.4, 0, Math.PI * 2);
+        context.fill();
+    } else if (shape === 'line') {
+        context.lineWidth = Math.max(1, size / 5);
+        context.beginPath();
+        context.moveTo(x, y + size / 2);
+        context.lineTo(x + size, y + size / 2);
+        context.stroke();
+    } else {
+        context.fillRect(x, y, size, size);
+        context.strokeRect(x, y, size, size);
+    }
+}
+
+function drawScaleBar(context, { width, label }, x, y, r) {
+    const barWidth = width * r;
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.fillRect(x - 4 * r, y - 22 * r, barWidth + 8 * r, 26 * r);
+    context.fillStyle = '#111827';
+    context.font = `${11 * r}px ${FONT_FAMILY}`;
+    context.fillText(label, x + 4 * r, y - 20 * r);
+    context.strokeStyle = '#111827';
+    context.lineWidth = 2 * r;
+    context.beginPath();
+    context.moveTo(x, y - 6 * r);
+    context.lineTo(x, y);
+    context.lineTo(x + barWidth, y);
+    context.lineTo(x + barWidth, y - 6 * r);
+    context.stroke();
+}
+
+function drawNorthArrow(context, bearing, centerX, centerY, r) {
+    const radius = 18 * r;
+    context.save();
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.beginPath();
+    context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    context.fill();
+
+    context.translate(centerX, centerY);
+    context.rotate(-bearing * Math.PI / 180);
+    context.fillStyle = '#dc2626';
+    context.beginPath();
+    context.moveTo(0, -radius * 0.75);
+    context.lineTo(radius * 0.3, 0);
+    context.lineTo(-radius * 0.3, 0);
+    context.closePath();
+    context.fill();
+    context.fillStyle = '#6b7280';
+    context.beginPath();
+    context.moveTo(0, radius * 0.75);
+    context.lineTo(radius * 0.3, 0);
+    context.lineTo(-radius * 0.3, 0);
+    context.closePath();
+    context.fill();
+    context.restore();
+
+    context.fillStyle = '#111827';
+    context.font = `bold ${11 * r}px ${FONT_FAMILY}`;
+    context.textAlign = 'center';
+    context.fillText('N', centerX, centerY + radius + 3 * r);
+    context.textAlign = 'left';
+}
+
+/**
+ * Export the current view as a PNG
+ * @param {Object} options
+ * @param {mapboxgl.Map} options.map
+ * @param {string} options.title - Drawn above the map, left out when empty
+ * @param {Array<{title: string, style: Object, legendImage: string}>} options.layers - Active layers, drawn in the legend
+ * @param {string[]} options.attributions - Attribution HTML of the map and the active layers
+ * @param {number} options.pixelRatio - From getExportPixelRatio()
+ * @returns {Promise<Blob>}
+ */
+export async function createMapExport({ map, title = '', layers = [], attributions = [], pixelRatio }) {
+    const r = pixelRatio;
+    const mapImage = await renderMapOffscreen(map, r);
+    const mapWidth = mapImage.width;
+    const mapHeight = mapImage.height;
+
+    const legendLayers = (await Promise.all(layers.map(async layer => ({
+        title: layer.title,
+        swatches: getLegendSwatches(layer.style),
+        // PDF legends can't be drawn
+        image: layer.legendImage && !layer.legendImage.toLowerCase().endsWith('.pdf') ? await loadImage(layer.legendImage) : null
+    })))).filter(layer => layer.swatches.length > 0 || layer.image);
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    // Measure before sizing the canvas, which resets the context
+    context.font = `bold ${TITLE_SIZE * r}px ${FONT_FAMILY}`;
+    const titleLines = title ? wrapText(context, title, mapWidth - PADDING * 2 * r, 2) : [];
+    const titleLineHeight = TITLE_SIZE * 1.25 * r;
+    const mapTop = titleLines.length > 0 ? PADDING * 1.5 * r + titleLines.length * titleLineHeight : 0;
+    const legendWidth = legendLayers.length > 0 ? LEGEND_WIDTH * r : 0;
+    const legendHeight = legendLayers.length > 0 ? drawLegend(context, legendLayers, 0, PADDING * r, r, false) : 0;
+    const bodyHeight = Math.max(mapHeight, legendHeight);
+    const width = mapWidth + legendWidth;
+    context.font = `${11 * r}px ${FONT_FAMILY}`;
+    const attribution = combineAttributions(attributions);
+    const attributionLines = attribution ? wrapText(context, attribution, width - PADDING * 2 * r, 4) : [];
+    const footerHeight = attributionLines.length > 0 ? (attributionLines.length * 15 + PADDING) * r : 0;
+
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(mapTop + bodyHeight + footerHeight);
+    context.textBaseline = 'top';
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Title
+    context.fillStyle = '#111827';
+    context.font = `bold ${TITLE_SIZE * r}px ${FONT_FAMILY}`;
+    titleLines.forEach((line, index) => context.fillText(line, PADDING * r, PADDING * r + index * titleLineHeight));
+
+    // Map with scale bar and north arrow
+    context.drawImage(mapImage, 0, mapTop);
+    const center = map.getCenter();
+    const scaleBar = getScaleBar(getMetersPerPixel(center.lat, map.getZoom()), 120);
+    drawScaleBar(context, scaleBar, PADDING * r, mapTop + mapHeight - PADDING * r, r);
+    drawNorthArrow(context, map.getBearing(), mapWidth - (PADDING + 18) * r, mapTop + (PADDING + 18) * r, r);
+
+    // Legend
+    if (legendLayers.length > 0) {
+        drawLegend(context, legendLayers, mapWidth + PADDING * r, mapTop + PADDING * r, r, true);
+    }
+
+    // Attribution
+    context.fillStyle = '#4b5563';
+    context.font = `${11 * r}px ${FONT_FAMILY}`;
+    attributionLines.forEach((line, index) => {
+        context.fillText(line, PADDING * r, mapTop + bodyHeight + (PADDING / 2 + index * 15) * r);
+    });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+    });
+}
@@ -12,6 +12,13 @@
 
 import { drawerStateManager } from './drawer-state-manager.js';
 import { convertToKML } from './map-utils.js';
+import { sanitizeHtml, sanitizeUrl, escapeHtml } from './html-sanitizer.js';
+import { isOgcLayer, queryFeatureInfo } from './ogc-services.js';
+import { isArcGISLayer } from './arcgis-services.js';
+import { getPointDisplay, getHeatmapLegend } from './point-display.js';
+
+// Most points of a cluster listed in the inspector
+const MAX_CLUSTER_LEAVES = 50;
 
 export class MapFeatureControl {
     constructor(options = {}) {
@@ -43,6 +50,9 @@ export class MapFeatureControl {
         // Layer collapse state management
         this._layerCollapseStates = new Map(); // Track collapsed state for each layer
         
+        // Clicks still waiting for GetFeatureInfo are dropped when the map is clicked again
+        this._lastClickId = 0;
+        
         // Hover popup management
         this._hoverPopup = null;
         this._currentHoveredFeature = null;
@@ -216,8 +226,8 @@ export class MapFeatureControl {
                             levels = '01%2C30010002%2C40107000%2C000VILLAGE';
                         }
 
-                        // URL encode the plot number (replace / with %2F)
-                        const plotEncoded = plot.replace(/\//g, '%2F');
+                        // URL encode the plot number (/ becomes %2F)
+                        const plotEncoded = encodeURIComponent(plot);
                         const apiUrl = `https://bhunaksha.goa.gov.in/bhunaksha/ScalarDatahandler?OP=5&state=30&levels=${levels}%2C&plotno=${plotEncoded}`;
 
                         const response = await fetch(apiUrl);
@@ -233,16 +243,15 @@ export class MapFeatureControl {
                                 const isHTML = /<[^>]*>/g.test(data.info);
                                 
                                 if (isHTML) {
-                                    // If it's HTML, extract content from HTML tags and use directly
-                                    // Remove outer <html> tags if present and clean up
-                                    infoText = data.info
-                                        .replace(/<\/?html>/gi, '')
+                                    // If it's HTML, keep only safe markup from the remote response
+                                    // (<font> becomes <span>, <html> and other unknown tags are dropped)
+                                    infoText = sanitizeHtml(data.info
                                         .replace(/<font[^>]*>/gi, '<span>')
                                         .replace(/<\/font>/gi, '</span>')
-                                        .trim();
+                                        .trim());
                                 } else {
                                     // Parse and format the info text as plain text, filtering out first 3 lines
-                                    const rawText = data.info.split('\n').slice(3).join('\n').replace(/-{10,}/g, '');
+                                    const rawText = escapeHtml(data.info.split('\n').slice(3).join('\n').replace(/-{10,}/g, ''));
                                     // Format headers (text from start of line to colon) as bold with line breaks
                                     const formattedText = rawText.replace(/^([^:\n]+:)/gm, '<strong>$1</strong><br>');
                                     infoText = formattedText.replace(/\n/g, '<br>');
@@ -256,7 +265,7 @@ export class MapFeatureControl {
                                             <svg class="inline w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                                                 <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clip-rule="evenodd"></path>
                                             </svg>
-                                            Retrieved from <a href="${apiUrl}" target="_blank" style="color: #60a5fa;" onmouseover="this.style.color='#93c5fd'" onmouseout="this.style.color='#60a5fa'">Bhunaksha/Dharani</a>. For information purposes only.
+                                            Retrieved from <a href="${sanitizeUrl(apiUrl)}" target="_blank" style="color: #60a5fa;" onmouseover="this.style.color='#93c5fd'" onmouseout="this.style.color='#60a5fa'">Bhunaksha/Dharani</a>. For information purposes only.
                                         </div>
                                     </div>
                                 `;
@@ -667,6 +676,9 @@ export class MapFeatureControl {
             case 'layer-registered':
                 // Re-render when layers are registered (turned on)
                 this._scheduleRender();
+
+                // Restore the opacity chosen before the layer was turned off or shared in the URL
+                this._applyStoredLayerOpacity(data.layerId);
                 
                 // Ensure URL is updated when layers are turned on
                 if (window.urlManager) {
@@ -1161,7 +1173,7 @@ export class MapFeatureControl {
             `;
             
             // Apply opacity to layer
-            this._applyLayerOpacity(layerId, config, selectedValue);
+            this._setLayerOpacity(layerId, config, selectedValue);
             
             // Update menu item checked states
             menu.querySelectorAll('sl-menu-item').forEach(item => {
@@ -1192,8 +1204,8 @@ export class MapFeatureControl {
         const legendDetails = this._createLegendDetails(layerId, config);
         if (legendDetails) details.push(legendDetails);
 
-        // Features Details (only for vector and geojson layers)
-        if (config.type === 'vector' || config.type === 'geojson') {
+        // Features Details (only for vector, geojson and arcgis layers)
+        if (config.type === 'vector' || config.type === 'geojson' || isArcGISLayer(config)) {
             const featuresDetails = this._createFeaturesDetails(layerId, config, features);
             if (featuresDetails) details.push(featuresDetails);
         }
@@ -1318,7 +1330,8 @@ export class MapFeatureControl {
      * Create Legend details component
      */
     _createLegendDetails(layerId, config) {
-        const hasLegend = config.legend || config.legendImage;
+        const isHeatmap = getPointDisplay(config).mode === 'heatmap';
+        const hasLegend = config.legend || config.legendImage || isHeatmap;
         if (!hasLegend) return null;
 
         const legendDetails = document.createElement('sl-details');
@@ -1371,6 +1384,11 @@ export class MapFeatureControl {
             legendDiv.innerHTML = config.legend;
             legendDiv.style.cssText = 'font-size: 10px; color: #ddd;';
             content.appendChild(legendDiv);
+        } else if (isHeatmap) {
+            const legendDiv = document.createElement('div');
+            legendDiv.innerHTML = getHeatmapLegend(getPointDisplay(config));
+            legendDiv.style.cssText = 'font-size: 10px; color: #ddd;';
+            content.appendChild(legendDiv);
         }
 
         legendDetails.appendChild(content);
@@ -2426,7 +2444,7 @@ export class MapFeatureControl {
                 opacityBtn.setAttribute('data-hover-state', 'false'); // Clear hover state
                 
                 // Apply the new opacity (this commits the change)
-                this._applyLayerOpacity(layerId, config, newOpacityFactor);
+                this._setLayerOpacity(layerId, config, newOpacityFactor);
             });
             
             actionBtn.appendChild(opacityBtn);
@@ -2507,8 +2525,8 @@ export class MapFeatureControl {
                     return this._map.getPaintProperty(`vector-layer-${layerId}`, 'fill-opacity') || 1;
                 }
             }
-        } else if (config.type === 'tms') {
-            const layerIdOnMap = `tms-layer-${layerId}`;
+        } else if (config.type === 'tms' || isOgcLayer(config)) {
+            const layerIdOnMap = `${config.type}-layer-${layerId}`;
             if (this._map.getLayer(layerIdOnMap)) {
                 return this._map.getPaintProperty(layerIdOnMap, 'raster-opacity') || 1;
             }
@@ -2521,15 +2539,44 @@ export class MapFeatureControl {
             if (this._map.getLayer(styleLayerId)) {
                 return this._map.getPaintProperty(styleLayerId, 'raster-opacity') || 1;
             }
-        } else if (config.type === 'geojson') {
-            const sourceId = `geojson-${layerId}`;
+        } else if (config.type === 'geojson' || isArcGISLayer(config)) {
+            const sourceId = `${config.type}-${layerId}`;
             if (this._map.getLayer(`${sourceId}-line`)) {
                 return this._map.getPaintProperty(`${sourceId}-line`, 'line-opacity') || 1;
             }
+            if (this._map.getLayer(`arcgis-layer-${layerId}`)) {
+                return this._map.getPaintProperty(`arcgis-layer-${layerId}`, 'raster-opacity') || 1;
+            }
         }
         return 0.9; // Default high opacity
     }
 
+    /**
+     * Apply an opacity chosen by the user and keep it in the URL
+     */
+    _setLayerOpacity(layerId, config, opacityFactor) {
+        this._applyLayerOpacity(layerId, config, opacityFactor);
+        config._overrides = { ...config._overrides, opacity: opacityFactor };
+        if (window.urlManager) {
+            window.urlManager.updateURL();
+        }
+    }
+
+    /**
+     * Apply the opacity stored in a layer's overrides
+     */
+    _applyStoredLayerOpacity(layerId) {
+        const config = this._stateManager.getLayerConfig(layerId);
+        const opacity = config?._overrides?.opacity;
+        if (opacity === undefined) return;
+
+        try {
+            this._applyLayerOpacity(layerId, config, opacity);
+        } catch (error) {
+            console.warn(`[FeatureControl] Could not restore opacity of layer ${layerId}:`, error);
+        }
+    }
+
     /**
      * Apply layer opacity changes based on layer type
      */
@@ -2554,8 +2601,8 @@ export class MapFeatureControl {
                     }
                 }
             }
-        } else if (config.type === 'tms') {
-            const layerIdOnMap = `tms-layer-${layerId}`;
+        } else if (config.type === 'tms' || isOgcLayer(config)) {
+            const layerIdOnMap = `${config.type}-layer-${layerId}`;
             if (this._map.getLayer(layerIdOnMap)) {
                 this._map.setPaintProperty(layerIdOnMap, 'raster-opacity', opacityFactor);
             }
@@ -2571,8 +2618,11 @@ export class MapFeatureControl {
                     this._map.setPaintProperty(styleLayerId, 'raster-opacity', opacityFactor);
                 }
             }
-        } else if (config.type === 'geojson') {
-            const sourceId = `geojson-${layerId}`;
+        } else if (config.type === 'geojson' || isArcGISLayer(config)) {
+            const sourceId = `${config.type}-${layerId}`;
+            if (this._map.getLayer(`arcgis-layer-${layerId}`)) {
+                this._map.setPaintProperty(`arcgis-layer-${layerId}`, 'raster-opacity', opacityFactor);
+            }
             if (this._map.getLayer(`${sourceId}-fill`)) {
                 this._map.setPaintProperty(`${sourceId}-fill`, 'fill-opacity', opacityFactor * 0.5);
             }
@@ -3120,14 +3170,25 @@ export class MapFeatureControl {
     _setupGlobalClickHandler() {
         if (this._globalClickHandlerAdded) return;
         
-        this._map.on('click', (e) => {
+        this._map.on('click', async (e) => {
             // Query all features at the click point
             const features = this._map.queryRenderedFeatures(e.point);
+            const clickId = ++this._lastClickId;
             
             // Filter for interactive features from registered layers
             const interactiveFeatures = [];
             
+            // Clusters are zoomed into, or their points listed when they no longer split
+            const cluster = features.find(feature => feature.properties?.cluster && feature.layer?.metadata?.groupId);
+            if (cluster) {
+                const clusterFeatures = await this._expandCluster(cluster, e.lngLat);
+                if (clickId !== this._lastClickId || !clusterFeatures) return;
+                interactiveFeatures.push(...clusterFeatures);
+            }
+
             features.forEach(feature => {
+                if (feature.properties?.cluster) return;
+
                 // Find which registered layer this feature belongs to
                 const layerId = this._findLayerIdForFeature(feature);
                 if (layerId && this._stateManager.isLayerInteractive(layerId)) {
@@ -3138,6 +3199,10 @@ export class MapFeatureControl {
                     });
                 }
             });
+
+            // WMS and WMTS layers are images, their services are asked for the features at the point
+            interactiveFeatures.push(...await this._queryFeatureInfo(e.lngLat));
+            if (clickId !== this._lastClickId) return;
             
             // Pass all interactive features to the state manager
             if (interactiveFeatures.length > 0) {
@@ -3176,6 +3241,67 @@ export class MapFeatureControl {
         this._globalClickHandlerAdded = true;
     }
 
+    /**
+     * Zoom to where a clicked cluster splits apart. Clusters that stay together past the cluster
+     * max zoom of an inspectable layer list their points in the inspector instead.
+     * @param {Object} cluster - Rendered cluster feature
+     * @param {mapboxgl.LngLat} lngLat - Clicked location
+     * @returns {Promise<Array<{feature: Object, layerId: string, lngLat: mapboxgl.LngLat}>|null>}
+     *   Points of the cluster to inspect, or null when the map zooms in
+     */
+    async _expandCluster(cluster, lngLat) {
+        const layerId = cluster.layer.metadata.groupId;
+        const source = this._map.getSource(cluster.source);
+        if (!source?.getClusterExpansionZoom) return null;
+
+        const clusterId = cluster.properties.cluster_id;
+        const callback = (resolve, reject) => (error, result) => (error ? reject(error) : resolve(result));
+
+        try {
+            const expansionZoom = await new Promise((resolve, reject) => {
+                source.getClusterExpansionZoom(clusterId, callback(resolve, reject));
+            });
+            const config = this._stateManager.getActiveLayers().get(layerId)?.config;
+            const interactive = this._stateManager.isLayerInteractive(layerId);
+
+            if (!interactive || expansionZoom <= getPointDisplay(config).maxzoom) {
+                this._map.easeTo({ center: cluster.geometry.coordinates, zoom: expansionZoom });
+                return null;
+            }
+
+            const leaves = await new Promise((resolve, reject) => {
+                source.getClusterLeaves(clusterId, MAX_CLUSTER_LEAVES, 0, callback(resolve, reject));
+            });
+            return leaves.map(leaf => ({
+                feature: { ...leaf, layer: cluster.layer, source: cluster.source },
+                layerId,
+                lngLat
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not expand cluster:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Ask the active WMS and WMTS layers with `inspect` for their features at a point
+     * @param {mapboxgl.LngLat} lngLat
+     * @returns {Promise<Array<{feature: Object, layerId: string, lngLat: mapboxgl.LngLat}>>}
+     */
+    async _queryFeatureInfo(lngLat) {
+        const layers = Array.from(this._stateManager.getActiveLayers().values())
+            .map(({ config }) => config)
+            .filter(config => isOgcLayer(config) && this._stateManager.isLayerInteractive(config.id));
+        if (layers.length === 0) return [];
+
+        const zoom = this._map.getZoom();
+        const results = await Promise.all(layers.map(async config => {
+            const features = await queryFeatureInfo(config, lngLat, zoom);
+            return features.map(feature => ({ feature, layerId: config.id, lngLat }));
+        }));
+        return results.flat();
+    }
+
     /**
      * Find which registered layer a feature belongs to (OPTIMIZED)
      * Uses feature metadata directly when available, falling back to layer matching
@@ -3266,9 +3392,9 @@ export class MapFeatureControl {
             });
         }
         
-        // Strategy 7: GeoJSON source matching (enhanced)
-        if (layerConfig.type === 'geojson') {
-            const sourceId = `geojson-${layerId}`;
+        // Strategy 7: GeoJSON and ArcGIS source matching (enhanced)
+        if (layerConfig.type === 'geojson' || isArcGISLayer(layerConfig)) {
+            const sourceId = `${layerConfig.type}-${layerId}`;
             
             // Check for source match
             const geojsonSourceMatches = style.layers
@@ -3323,10 +3449,10 @@ export class MapFeatureControl {
             });
         }
         
-        // Strategy 10: TMS layer matching
-        if (layerConfig.type === 'tms') {
+        // Strategy 10: TMS, WMS and WMTS layer matching
+        if (layerConfig.type === 'tms' || isOgcLayer(layerConfig)) {
             const tmsMatches = style.layers
-                .filter(l => l.id === `tms-layer-${layerId}`)
+                .filter(l => l.id === `${layerConfig.type}-layer-${layerId}`)
                 .map(l => l.id);
             matchingIds.push(...tmsMatches);
         }
@@ -3831,6 +3957,9 @@ export class MapFeatureControl {
         // Group features by layerId to ensure only one feature per layer
         const layerGroups = new Map(); // key: layerId, value: features array
         features.forEach(feature => {
+            // Clusters have no properties of their own to show on hover
+            if (feature.properties?.cluster) return;
+
             // Find which registered layer this feature belongs to
             const layerId = this._findLayerIdForFeature(feature);
             
@@ -4,6 +4,8 @@
  * Single source of truth for all feature interactions across the application.
  * Uses event-driven architecture to notify components of state changes.
  */
+import { isOgcLayer } from './ogc-services.js';
+import { isArcGISLayer } from './arcgis-services.js';
 
 export class MapFeatureStateManager extends EventTarget {
     constructor(map) {
@@ -71,7 +73,10 @@ export class MapFeatureStateManager extends EventTarget {
         // Only inspectable layers get interactive event handling
         if (layerConfig.inspect) {
             this._activeInteractiveLayers.add(layerConfig.id);
-            this._setupLayerEventsWithRetry(layerConfig);
+            // WMS and WMTS features come from GetFeatureInfo, there are no rendered features to listen to
+            if (!isOgcLayer(layerConfig)) {
+                this._setupLayerEventsWithRetry(layerConfig);
+            }
         }
         
         this._emitStateChange('layer-registered', { layerId: layerConfig.id });
@@ -527,6 +532,24 @@ export class MapFeatureStateManager extends EventTarget {
         return clearedFeatures;
     }
 
+    /**
+     * Get the selected features with the ids Mapbox uses for feature state
+     * @returns {Array<{layerId: string, featureId: string|number}>}
+     */
+    getSelectedFeatures() {
+        const selections = [];
+        this._selectedFeatures.forEach((featureIds, layerId) => {
+            featureIds.forEach(featureId => {
+                const rawFeatureId = this._featureStates.get(featureId)?.rawFeatureId;
+                selections.push({
+                    layerId,
+                    featureId: rawFeatureId !== undefined ? rawFeatureId : this._extractRawFeatureId(featureId)
+                });
+            });
+        });
+        return selections;
+    }
+
     /**
      * Get all features for a layer
      */
@@ -752,9 +775,9 @@ export class MapFeatureStateManager extends EventTarget {
             matchingIds.push(...vectorMatches);
         }
         
-        // Strategy 4: GeoJSON source matching
-        if (layerConfig.type === 'geojson') {
-            const sourceId = `geojson-${layerId}`;
+        // Strategy 4: GeoJSON and ArcGIS source matching
+        if (layerConfig.type === 'geojson' || isArcGISLayer(layerConfig)) {
+            const sourceId = `${layerConfig.type}-${layerId}`;
             const geojsonMatches = style.layers
                 .filter(l => l.source === sourceId)
                 .map(l => l.id);
@@ -5,6 +5,19 @@ import { configControl } from './config-control.js';
 import { localization } from './localization.js';
 import { URLManager } from './url-api.js';
 import { permalinkHandler } from './permalink-handler.js';
+import { configValidator } from './config-validator.js';
+import { getAtlasPath, fetchAtlasConfig, resolveAtlasExtends, prepareAtlasConfig, parseAtlasList, combineAtlasConfigs } from './atlas-config.js';
+import { migrateLayerConfig } from './config-migrations.mjs';
+import { TimeSliderControl } from './time-slider-control.js';
+import { sanitizeConfig } from './html-sanitizer.js';
+import { confirmAtlasSources } from './atlas-trust.js';
+import { COMPACT_STATE_PARAM, encodeQueryValue, toPlainURL } from './url-state.js';
+import { applyLayerOverrides, getLayerURLValue, splitLayerOverrides } from './layer-overrides.js';
+import { resolveAreaOfInterest, getAreaMaxBounds, getAreaSearchOptions, addAreaMask } from './area-of-interest.js';
+import { parseEmbedOptions, applyEmbedMode, parseMapHash, getFullMapURL } from './embed-mode.js';
+import { EmbedAPI, loadEmbedHostOrigins } from './embed-api.js';
+import { STORY_PARAM, hasStory, parseStoryParams } from './story-mode.js';
+import { StoryPanel } from './story-panel.js';
 
 // Function to get URL parameters
 function getUrlParameter(name) {
@@ -99,8 +112,68 @@ function parseLayersFromUrl(layersParam) {
     return layers;
 }
 
+// Load the atlases listed in ?atlas=a,b with their parents and combine them in order
+async function loadCombinedAtlases(atlasNames) {
+    const results = await Promise.allSettled(atlasNames.map(async source => {
+        const config = await fetchAtlasConfig(source);
+        return { source, config: await resolveAtlasExtends(config, { source }) };
+    }));
+
+    const atlases = [];
+    const errors = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            atlases.push(result.value);
+        } else {
+            console.error(`❌ Failed to load atlas ${atlasNames[index]}:`, result.reason);
+            errors.push(`Could not load atlas '${atlasNames[index]}': ${result.reason.message}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        configValidator.showErrors(errors, atlasNames.join(','));
+    }
+    if (atlases.length === 0) {
+        throw new Error(`Could not load any of the atlases ${atlasNames.join(', ')}`);
+    }
+
+    console.log(`🔗 Combined atlases ${atlases.map(atlas => atlas.source).join(', ')}`);
+    return combineAtlasConfigs(atlases);
+}
+
+// Whether the page was opened from a compact ?s= link, so URL updates keep that form
+let openedFromCompactURL = false;
+
+// Embed options of ?embed=1, read before permalinks and compact links rewrite the URL
+const embedOptions = parseEmbedOptions(window.location.search);
+if (embedOptions) {
+    applyEmbedMode(embedOptions);
+}
+
+// Story and step of ?story=, read before permalinks rewrite the URL
+const storyParams = parseStoryParams(window.location.search);
+
+// Story id written to ?story= for an ?atlas= value, the default atlas is 'index'
+function getStoryId(atlasParam) {
+    return atlasParam && !atlasParam.startsWith('{') ? atlasParam : 'index';
+}
+
+// Whether a control is shown, every control is shown outside embed mode
+function showControl(name) {
+    return !embedOptions || embedOptions.controls.includes(name);
+}
+
 // Function to load configuration
 async function loadConfiguration() {
+    // Expand a compact ?s= link into the plain atlas and layers parameters read below
+    if (getUrlParameter(COMPACT_STATE_PARAM)) {
+        const plainURL = await toPlainURL(window.location.href);
+        if (plainURL !== window.location.href) {
+            window.history.replaceState({}, '', plainURL);
+            openedFromCompactURL = true;
+        }
+    }
+
     // Check for permalink first - this takes precedence over direct URL parameters
     const permalinkParams = await permalinkHandler.checkForPermalink();
     
@@ -113,10 +186,24 @@ async function loadConfiguration() {
         var layersParam = permalinkParams.layers;
     } else {
         // Check if a specific config is requested via URL parameter
-        var configParam = getUrlParameter('atlas');
+        // ?story=<atlas> also loads the atlas when there is no ?atlas=
+        var configParam = getUrlParameter('atlas') || getUrlParameter(STORY_PARAM);
         var layersParam = getUrlParameter('layers');
     }
     
+    // Ask before loading atlases from origins that are not in the trusted list
+    if (configParam && !configParam.startsWith('{')) {
+        if (!await confirmAtlasSources(parseAtlasList(configParam))) {
+            configParam = null;
+
+            const url = new URL(window.location);
+            const otherParams = new URLSearchParams(url.search);
+            otherParams.delete('atlas');
+            const query = otherParams.toString();
+            window.history.replaceState({}, '', `${url.pathname}${query ? `?${query}` : ''}${url.hash}`);
+        }
+    }
+    
     let configPath = 'config/index.atlas.json';
     let config;
     
@@ -153,21 +240,51 @@ async function loadConfiguration() {
                 }
                             } catch (error) {
                 console.error('Failed to parse atlas JSON from URL parameter:', error);
+                configValidator.showErrors([`Invalid JSON in atlas parameter: ${error.message}`], 'atlas parameter');
                 throw new Error('Invalid JSON in atlas parameter');
             }
         }
-        // Check if the config parameter is a URL
-        else if (configParam.startsWith('http://') || configParam.startsWith('https://')) {
-            configPath = configParam; // Use the URL directly
-        } else {
-            configPath = `config/${configParam}.atlas.json`; // Treat as local file
+        // Several atlases to combine, e.g. ?atlas=bombay,mumbai
+        else if (parseAtlasList(configParam).length > 1) {
+            config = await loadCombinedAtlases(parseAtlasList(configParam));
+        }
+        // Otherwise it is a URL or a local atlas name
+        else {
+            configPath = getAtlasPath(configParam);
         }
     }
     
     // Load the configuration file (only if we didn't parse JSON directly)
     if (!config) {
-        const configResponse = await fetch(configPath);
-        config = await configResponse.json();
+        try {
+            const configResponse = await fetch(configPath);
+            if (!configResponse.ok) {
+                throw new Error(`HTTP ${configResponse.status} ${configResponse.statusText}`);
+            }
+            config = await configResponse.json();
+        } catch (error) {
+            console.error(`❌ Failed to load atlas config ${configPath}:`, error);
+            configValidator.showErrors([`Could not load config: ${error.message}`], configPath);
+            throw error;
+        }
+    }
+
+    // Upgrade, validate and resolve the atlas the same way as config-control.js does
+    const atlasSource = configParam?.startsWith('{') ? 'atlas parameter' : (configParam || 'index');
+    let prepared;
+    try {
+        prepared = await prepareAtlasConfig(config, { source: atlasSource });
+    } catch (error) {
+        console.error(`❌ Failed to load atlas ${atlasSource}:`, error);
+        configValidator.showErrors([error.message], atlasSource);
+        throw error;
+    }
+    const { layerLibrary, configErrors, renamedLayers, resolveRenamedLayer } = prepared;
+    config = prepared.config;
+    window.presetLibrary = layerLibrary;
+
+    if (configErrors.length > 0) {
+        configValidator.showErrors(configErrors, config.name || atlasSource);
     }
     
             // Parse layers from URL parameter if provided
@@ -179,12 +296,23 @@ async function loadConfiguration() {
             // Set URL layers to be visible by default and maintain order
             if (urlLayers.length > 0) {
                 // Set initiallyChecked to true for all URL layers
-                const processedUrlLayers = urlLayers.map(layer => ({
-                    ...layer,
-                    initiallyChecked: true,
-                    // Preserve the original JSON for custom layers
-                    ...(layer._originalJson && { _originalJson: layer._originalJson })
-                }));
+                const processedUrlLayers = urlLayers.map(urlLayerWithOverrides => {
+                    // Opacity, sub-layers, style and filter changes are applied once the layers are merged
+                    const { layer: urlLayer, overrides } = splitLayerOverrides(urlLayerWithOverrides);
+
+                    // Custom layers in old links may use deprecated properties, preset ids may have been renamed
+                    const { layer, warnings } = urlLayer._originalJson ?
+                        migrateLayerConfig(urlLayer) :
+                        { layer: resolveRenamedLayer(urlLayer), warnings: [] };
+                    warnings.forEach(warning => console.warn(`⚠️ [Config] layers parameter: ${warning}`));
+                    return {
+                        ...layer,
+                        initiallyChecked: true,
+                        // Preserve the original JSON for custom layers
+                        ...(layer._originalJson && { _originalJson: layer._originalJson }),
+                        ...(Object.keys(overrides).length > 0 && { _overrides: overrides })
+                    };
+                });
                 
                 // When URL layers are specified, set ALL existing layers to initiallyChecked: false
                 // This ensures only URL-specified layers are visible
@@ -202,9 +330,7 @@ async function loadConfiguration() {
                     existingLayers.map(l => ({ id: l.id, initiallyChecked: l.initiallyChecked })));
             
             // Create minified layers parameter for URL rewriting
-            const minifiedLayersParam = processedUrlLayers.map(layer => {
-                return layer._originalJson || layer.id;
-            }).join(',');
+            const minifiedLayersParam = processedUrlLayers.map(getLayerURLValue).join(',');
             
             // Rewrite URL with minified layers parameter if it's different
             if (minifiedLayersParam !== layersParam) {
@@ -216,9 +342,9 @@ async function loadConfiguration() {
                 // Build the new URL manually to avoid URL encoding the JSON
                 let newUrl = baseUrl;
                 if (otherParams.toString()) {
-                    newUrl += '?' + otherParams.toString() + '&layers=' + minifiedLayersParam;
+                    newUrl += '?' + otherParams.toString() + '&layers=' + encodeQueryValue(minifiedLayersParam);
                 } else {
-                    newUrl += '?layers=' + minifiedLayersParam;
+                    newUrl += '?layers=' + encodeQueryValue(minifiedLayersParam);
                 }
                 
                 // Add hash if it exists
@@ -302,11 +428,8 @@ async function loadConfiguration() {
         console.warn('Default configuration values not found or invalid:', error);
     }
 
-    // Try to load the map layer library
+    // Merge layers with their preset library definitions
     try {
-        const libraryResponse = await fetch('config/_map-layer-presets.json');
-        const layerLibrary = await libraryResponse.json();
-        
         // Process each layer in the config and merge with library definitions
         if (config.layers && Array.isArray(config.layers)) {
             const validLayers = [];
@@ -316,7 +439,7 @@ async function loadConfiguration() {
                 // If the layer only has an id (or minimal properties), look it up in the library
                 if (layerConfig.id && !layerConfig.type) {
                     // Find the matching layer in the library
-                    const libraryLayer = layerLibrary.layers.find(lib => lib.id === layerConfig.id);
+                    const libraryLayer = layerLibrary.find(layerConfig.id);
                     
                     if (libraryLayer) {
                         // Merge the library layer with any custom overrides from config
@@ -344,7 +467,8 @@ async function loadConfiguration() {
                 }
             });
             
-            config.layers = validLayers;
+            // Merge style and filter changes from the URL over the layer definitions
+            config.layers = validLayers.map(applyLayerOverrides);
             
             // If we found invalid layers from URL, update the URL to remove them
             if (invalidLayers.length > 0 && layersParam) {
@@ -354,9 +478,7 @@ async function loadConfiguration() {
                 const validUrlLayers = validLayers.filter(layer => layer.initiallyChecked === true);
                 
                 // Reconstruct the layers parameter with only valid layers
-                const newLayersParam = validUrlLayers.map(layer => {
-                    return layer._originalJson || layer.id;
-                }).join(',');
+                const newLayersParam = validUrlLayers.map(getLayerURLValue).join(',');
                 
                 // Update the URL
                 const url = new URL(window.location);
@@ -368,9 +490,9 @@ async function loadConfiguration() {
                 if (newLayersParam) {
                     // Only add layers parameter if there are valid layers
                     if (otherParams.toString()) {
-                        newUrl += '?' + otherParams.toString() + '&layers=' + newLayersParam;
+                        newUrl += '?' + otherParams.toString() + '&layers=' + encodeQueryValue(newLayersParam);
                     } else {
-                        newUrl += '?layers=' + newLayersParam;
+                        newUrl += '?layers=' + encodeQueryValue(newLayersParam);
                     }
                 } else {
                     // No valid layers left, just add other parameters if any
@@ -392,8 +514,14 @@ async function loadConfiguration() {
         console.warn('Map layer library not found or invalid, using only config file:', error);
     }
     
+    // Clean HTML and URLs from the atlas, presets and ?layers= before anything is rendered
+    config = sanitizeConfig(config);
+
     // Load and apply localized UI strings
     localization.loadStrings(config);
+
+    // Let initializeMap tell the user which layers of an old link were renamed
+    config._renamedLayers = renamedLayers;
     
     return config;
 }
@@ -440,22 +568,37 @@ const defaultMapOptions = {
 async function initializeMap() {
     const config = await loadConfiguration();
     const layers = config.layers || [];
+    const areaOfInterest = await resolveAreaOfInterest(config.areaOfInterest);
     
     // Apply map settings from config if available
     const mapOptions = { ...defaultMapOptions };
+    const maxBounds = getAreaMaxBounds(areaOfInterest);
+    if (maxBounds) {
+        mapOptions.maxBounds = maxBounds;
+    }
     if (config.map) {
         // Apply all properties from config.map to mapOptions
         Object.assign(mapOptions, config.map);
     }
+    if (embedOptions) {
+        // The page hosting the iframe owns the URL, so the hash is only read for the starting view
+        Object.assign(mapOptions, parseMapHash(window.location.hash), {
+            hash: false,
+            interactive: embedOptions.interactive
+        });
+    }
     
     const map = new mapboxgl.Map(mapOptions);
 
     // Make map accessible globally for debugging
     window.map = map;
 
-    // Add attribution control
+    // Add attribution control, embedded maps link to the full map
     map.addControl(new mapboxgl.AttributionControl({
-        compact: true
+        compact: true,
+        ...(embedOptions && {
+            customAttribution: `<a href="${getFullMapURL(window.location.href).replace(/"/g, '%22')}" target="_blank" rel="noopener">Open full map</a>`
+        })
     }), 'bottom-right');
 
     // Add 3D terrain on map load
@@ -479,10 +622,17 @@ async function initializeMap() {
         }
         
         // Initialize geolocation
-        new GeolocationManager(map);
+        if (showControl('geolocate')) {
+            new GeolocationManager(map);
+        }
+        
+        // Dim everything outside the atlas area of interest
+        addAreaMask(map, areaOfInterest);
         
-        // Add view control
-        map.addControl(new ViewControl(), 'top-right');
+        // Add view control, resetting to the area of interest if the atlas has one
+        if (showControl('view')) {
+            map.addControl(new ViewControl(areaOfInterest ? { bounds: areaOfInterest.bbox } : {}), 'top-right');
+        }
         
         // Initialize centralized state manager (NEW ARCHITECTURE)
         const stateManager = new MapFeatureStateManager(map);
@@ -503,6 +653,11 @@ async function initializeMap() {
         
         // Make layer control globally accessible
         window.layerControl = layerControl;
+
+        if (config._renamedLayers.length > 0) {
+            const changes = config._renamedLayers.map(({ from, to }) => `'${from}' is now '${to}'`).join(', ');
+            layerControl._showToast(`Some layers in this link were renamed: ${changes}`, 'info', 8000);
+        }
         
         // Initialize the feature control with state manager and config
         const featureControl = new MapFeatureControl({
@@ -520,11 +675,28 @@ async function initializeMap() {
         console.log('[MapInit] Initialized event-driven architecture');
         
         // Initialize URL manager after layer control is ready
-        const urlManager = new URLManager(layerControl, map);
+        const urlManager = new URLManager(layerControl, map, { compactURLs: openedFromCompactURL, readOnly: !!embedOptions });
         urlManager.setupLayerControlEventListeners();
+
+        urlManager.setupSelectionListeners(stateManager);
+
+        // Restore sub-layers and opacity from the URL once the layers are on the map
+        if (getUrlParameter('layers')) {
+            urlManager.applyURLParameters(window.location.search);
+        }
+
+        // Select the features of ?select= and open their details
+        urlManager.selectFeaturesFromURL(getUrlParameter('select'));
         
         // Make URL manager globally accessible for ShareLink
         window.urlManager = urlManager;
+
+        // Add time slider for atlases and layers with dates
+        if (TimeSliderControl.hasTimeRange(config)) {
+            const timeSlider = new TimeSliderControl({ config, stateManager, featureControl, urlManager });
+            map.addControl(timeSlider, 'bottom-left');
+            window.timeSlider = timeSlider;
+        }
         
         // Force update localization after DOM elements are ready
         setTimeout(() => {
@@ -535,13 +707,41 @@ async function initializeMap() {
         configControl.initialize(layerControl);
         
         // Add navigation controls
-        map.addControl(new mapboxgl.NavigationControl({
-            showCompass: true,
-            showZoom: true
-        }));
+        if (showControl('zoom') || showControl('compass')) {
+            map.addControl(new mapboxgl.NavigationControl({
+                showCompass: showControl('compass'),
+                showZoom: showControl('zoom')
+            }));
+        }
         
-        // Only set camera position if there's no hash in URL
-        if (!window.location.hash) {
+        // Play the atlas story from ?story= or the menu
+        let storyPanel = null;
+        if (hasStory(config)) {
+            storyPanel = new StoryPanel({
+                map,
+                urlManager,
+                stateManager,
+                steps: config.story,
+                title: localization.getString('title'),
+                storyId: storyParams?.storyId || getStoryId(getUrlParameter('atlas')),
+                triggerId: 'play-story-menu-item'
+            });
+            window.storyPanel = storyPanel;
+            if (storyParams) {
+                storyPanel.open(storyParams.step);
+            }
+        } else if (storyParams) {
+            console.warn(`⚠️ ?${STORY_PARAM}=${storyParams.storyId}: this atlas has no story`);
+        }
+
+        // Only set camera position if there's no hash in URL and no story step sets it
+        if (storyPanel && storyParams) {
+            console.log(`📖 Opening story at step ${storyParams.step}`);
+        } else if (!window.location.hash && areaOfInterest && !config.map?.center) {
+            setTimeout(() => {
+                map.fitBounds(areaOfInterest.bbox, { padding: 40, pitch: 28, duration: 3000, essential: true });
+            }, 2000);
+        } else if (!window.location.hash) {
             setTimeout(() => {
                 // Use config center and zoom if available, otherwise fallback to hardcoded values
                 const flyToOptions = {
@@ -558,25 +758,35 @@ async function initializeMap() {
             }, 2000);
         }
         
+        // Let the page hosting the map in an iframe control it with postMessage
+        if (window.parent !== window) {
+            loadEmbedHostOrigins().then(allowedOrigins => {
+                new EmbedAPI({ map, urlManager, stateManager, allowedOrigins, embedOptions }).start();
+            });
+        }
+
         // Emit mapReady event for plugins
         const mapReadyEvent = new CustomEvent('mapReady', {
             detail: { map: map }
         });
         window.dispatchEvent(mapReadyEvent);
     });
+
+    return areaOfInterest;
 }
 
 // Start initialization
 window.addEventListener('load', () => {
     // Only call initializeMap() - don't call initializeSearch() directly
-    initializeMap().then(() => {
+    initializeMap().then((areaOfInterest) => {
         // Now window.map exists, so we can initialize search
-        initializeSearch();
+        initializeSearch(areaOfInterest);
     });
 });
 
 // Initialize search box with enhanced functionality
-function initializeSearch() {
+// Search is biased to the atlas area of interest when it has one, otherwise to Goa
+function initializeSearch(areaOfInterest) {
     // Note: We now need to use the global map variable
     const searchSetup = () => {
         // Check if MapSearchControl is available
@@ -625,7 +835,8 @@ function initializeSearch() {
             // You can add custom options here if needed
             proximity: '73.87916,15.26032', // Goa center
             country: 'IN',
-            language: 'en'
+            language: 'en',
+            ...(areaOfInterest && getAreaSearchOptions(areaOfInterest))
         });
         
         // Connect the feature state manager to the search control
@@ -6,6 +6,13 @@ import { fixLayerOrdering } from './layer-order-manager.js';
 import { localization } from './localization.js';
 import { fetchTileJSON } from './map-utils.js';
 import { drawerStateManager } from './drawer-state-manager.js';
+import { getStyleChanges } from './layer-overrides.js';
+import { createQRCode, qrCodeToSVG } from './qr-code.js';
+import { escapeHtml } from './html-sanitizer.js';
+import { isPMTilesLayer, openPMTiles, getPMTilesSource, getPMTilesLayerDefaults } from './pmtiles-source.js';
+import { isOgcLayer, getOgcTileUrl } from './ogc-services.js';
+import { isArcGISLayer, isArcGISExportLayer, getArcGISExportTileUrl, getArcGISExtent, fetchArcGISMetadata, fetchArcGISFeatures } from './arcgis-services.js';
+import { getPointDisplay, getPointSourceOptions, getPointLayerIds, getClusterLayers, getHeatmapLayer, getHeatmapLegend } from './point-display.js';
 
 /**
  * MapLayerControl - Controls layer visibility and interaction for a Mapbox GL JS map
@@ -64,6 +71,14 @@ export class MapLayerControl {
         this._consolidatedHoverPopup = null;
         this._stateManager = null; // Reference to the centralized state manager
 
+        // ArcGIS layers reload their features when the map moves, metadata is shared by layers of a URL
+        this._arcgisLoaders = new Map(); // groupId -> { onMoveEnd, controller }
+        this._arcgisMetadata = new Map(); // url -> Promise<metadata|null>
+
+        // PMTiles layers are added once their archive is open
+        this._pmtilesArchives = new Map(); // groupId -> opened archive
+        this._pmtilesPending = new Map(); // groupId -> whether to show the layer once its archive is open
+
         // Load default styles
         this._loadDefaultStyles();
 
@@ -437,6 +452,9 @@ export class MapLayerControl {
             this._map.setTerrain(null);
         }
 
+        // Stop loading ArcGIS features when the map moves
+        this._state.groups.filter(isArcGISLayer).forEach(group => this._setArcGISViewportLoading(group, false));
+
         // Get all our custom layer IDs
         const customLayerIds = this._state.groups.flatMap(group => {
             if (group.type === 'vector') {
@@ -451,17 +469,21 @@ export class MapLayerControl {
                     `geojson-${group.id}-fill`,
                     `geojson-${group.id}-line`,
                     `geojson-${group.id}-label`,
-                    `geojson-${group.id}-circle`
+                    ...this._getPointLayerIds(group, `geojson-${group.id}`, `geojson-${group.id}-circle`)
                 ];
             } else if (group.type === 'tms') {
                 return [`tms-layer-${group.id}`];
+            } else if (isOgcLayer(group)) {
+                return [`${group.type}-layer-${group.id}`];
+            } else if (isArcGISLayer(group)) {
+                return this._getArcGISLayerIds(group);
             } else if (group.type === 'csv') {
                 // Clear any refresh timers
                 if (group._refreshTimer) {
                     clearInterval(group._refreshTimer);
                     group._refreshTimer = null;
                 }
-                return [`csv-${group.id}-circle`];
+                return this._getPointLayerIds(group, `csv-${group.id}`, `csv-${group.id}-circle`);
             } else if (group.type === 'raster-style-layer') {
                 // For raster-style-layer, we need to reset the existing layer to its original state
                 const styleLayerId = group.styleLayer || group.id;
@@ -488,6 +510,10 @@ export class MapLayerControl {
                 return [`geojson-${group.id}`];
             } else if (group.type === 'tms') {
                 return [`tms-${group.id}`];
+            } else if (isOgcLayer(group)) {
+                return [`${group.type}-${group.id}`];
+            } else if (isArcGISLayer(group)) {
+                return [`arcgis-${group.id}`];
             } else if (group.type === 'csv') {
                 return [`csv-${group.id}`];
             } else {
@@ -679,8 +705,14 @@ export class MapLayerControl {
                 // Show toast notification
                 this._showToast('Link copied to clipboard!');
 
-                // Generate QR code using the pretty URL
-                const qrCodeUrl = `https://api.qrserver.com/v1/create-qr-code/?size=500x500&data=${encodeURIComponent(prettyUrl)}`;
+                // Generate QR code locally using the pretty URL
+                let qrCodeUrl;
+                try {
+                    qrCodeUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrCodeToSVG(createQRCode(prettyUrl)))}`;
+                } catch (error) {
+                    console.warn('⚠️ Could not create a QR code:', error);
+                    return;
+                }
 
                 // Create QR code image for button
                 const qrCode = document.createElement('img');
@@ -723,10 +755,8 @@ export class MapLayerControl {
                     const largeQRCode = document.createElement('img');
                     largeQRCode.src = qrCodeUrl; // Use the same high-res QR code
                     largeQRCode.alt = 'QR Code';
-                    largeQRCode.style.width = 'auto';
+                    largeQRCode.style.width = 'min(500px, 90vw, 90vh)'; // The SVG has no intrinsic size
                     largeQRCode.style.height = 'auto';
-                    largeQRCode.style.maxWidth = 'min(500px, 90vw)'; // Use the smaller of 500px or 90% viewport width
-                    largeQRCode.style.maxHeight = '90vh'; // Maximum 90% of viewport height
                     largeQRCode.style.objectFit = 'contain'; // Maintain aspect ratio
 
                     // Close overlay when clicked
@@ -789,6 +819,8 @@ export class MapLayerControl {
             const group = this._state.groups[index];
             const toggleInput = groupHeader?.querySelector('.toggle-switch input[type="checkbox"]');
 
+            if (group._imported) return;
+
             if (toggleInput && toggleInput.checked) {
                 if (group.type === 'layer-group') {
                     // Find which radio button is selected in this group
@@ -924,9 +956,9 @@ export class MapLayerControl {
             });
         }
         
-        // Strategy 7: GeoJSON source matching (enhanced)
-        if (layerConfig.type === 'geojson') {
-            const sourceId = `geojson-${layerId}`;
+        // Strategy 7: GeoJSON and ArcGIS source matching (enhanced)
+        if (layerConfig.type === 'geojson' || isArcGISLayer(layerConfig)) {
+            const sourceId = `${layerConfig.type}-${layerId}`;
             
             // Check for source match
             if (style.layers.some(l => l.source === sourceId)) {
@@ -1019,7 +1051,7 @@ export class MapLayerControl {
                 label: 'Layer Settings'
             });
 
-            const $opacityButton = ['tms', 'vector', 'geojson', 'layer-group', 'img', 'raster-style-layer'].includes(group.type)
+            const $opacityButton = ['tms', 'wms', 'wmts', 'arcgis', 'pmtiles', 'vector', 'geojson', 'layer-group', 'img', 'raster-style-layer'].includes(group.type)
                 ? $('<sl-icon-button>', {
                     class: 'opacity-toggle hidden',
                     'data-opacity': '0.4',
@@ -1119,7 +1151,7 @@ export class MapLayerControl {
                 // Use requestAnimationFrame to ensure DOM is ready
                 requestAnimationFrame(() => {
                     this._toggleSourceControl(groupIndex, true);
-                    if (['tms', 'vector', 'geojson', 'layer-group', 'img', 'raster-style-layer'].includes(group.type)) {
+                    if (['tms', 'wms', 'wmts', 'arcgis', 'pmtiles', 'vector', 'geojson', 'layer-group', 'img', 'raster-style-layer'].includes(group.type)) {
                         $opacityButton.toggleClass('hidden', false);
                         $settingsButton.toggleClass('hidden', false);
                     }
@@ -1274,6 +1306,14 @@ export class MapLayerControl {
             });
             $toggleTitleContainer.append($toggleLabel, $titleSpan);
 
+            // Show which atlas the layer came from when several atlases are combined
+            if (group._sourceAtlas) {
+                $toggleTitleContainer.append($('<span>', {
+                    text: group._sourceAtlas,
+                    class: 'source-atlas-badge text-xs'
+                }));
+            }
+
             // Add click handler directly to the settings button
             $settingsButton[0].addEventListener('click', (e) => {
                 e.preventDefault();
@@ -1294,6 +1334,12 @@ export class MapLayerControl {
                 $opacityButton.title = `Toggle opacity`;
                 $opacityButton.attr('name', newOpacityFactor === 0.9 ? 'lightbulb-fill' : 'lightbulb');
 
+                // Keep the opacity in shared links
+                group._overrides = { ...group._overrides, opacity: newOpacityFactor };
+                if (window.urlManager) {
+                    window.urlManager.updateURL();
+                }
+
                 if (group.type === 'vector') {
                     const layerConfig = group._layerConfig;
                     if (!layerConfig) return;
@@ -1315,11 +1361,14 @@ export class MapLayerControl {
                             this._map.setPaintProperty(`vector-layer-${group.id}-text`, 'text-opacity', baseTextOpacity * newOpacityFactor);
                         }
                     }
-                } else if (group.type === 'tms') {
-                    const layerId = `tms-layer-${group.id}`;
+                } else if (group.type === 'tms' || isOgcLayer(group)) {
+                    const layerId = `${group.type}-layer-${group.id}`;
                     if (this._map.getLayer(layerId)) {
                         this._map.setPaintProperty(layerId, 'raster-opacity', newOpacityFactor);
                     }
+                } else if (isArcGISLayer(group)) {
+                    // Export images and feature layers, as in the feature control
+                    window.featureControl?._applyLayerOpacity(group.id, group, newOpacityFactor);
                 } else if (group.type === 'img') {
                     // Add opacity toggle for 'img' layer type
                     if (this._map.getLayer(group.id)) {
@@ -1771,7 +1820,8 @@ export class MapLayerControl {
                 const sourceId = `tms-${group.id}`;
                 const layerId = `tms-layer-${group.id}`;
 
-                if (!this._map.getSource(sourceId)) {
+                // PMTiles archives are opened when the layer is turned on
+                if (!this._map.getSource(sourceId) && !isPMTilesLayer(group)) {
                     // Check if it's a Mapbox hosted raster tileset
                     if (group.url.startsWith('mapbox://')) {
                         this._map.addSource(sourceId, {
@@ -1805,6 +1855,10 @@ export class MapLayerControl {
 
                     this._map.addLayer(layerConfig, this._getInsertPosition('tms'));
                 }
+            } else if (isOgcLayer(group)) {
+                if (!this._map.getSource(`${group.type}-${group.id}`)) {
+                    this._addOgcLayer(group, false);
+                }
             } else if (group.type === 'vector') {
                 const sourceId = `vector-${group.id}`;
                 const hasFillStyles = group.style && (group.style['fill-color'] || group.style['fill-opacity']);
@@ -1813,7 +1867,8 @@ export class MapLayerControl {
                 // Determine the main layer ID based on the primary style type
                 const mainLayerId = hasFillStyles ? `vector-layer-${group.id}` : `vector-layer-${group.id}-outline`;
 
-                if (!this._map.getSource(sourceId)) {
+                // PMTiles archives are opened when the layer is turned on
+                if (!this._map.getSource(sourceId) && !isPMTilesLayer(group)) {
                     // Check if it's a Mapbox hosted tileset
                     if (group.url.startsWith('mapbox://')) {
                         this._map.addSource(sourceId, {
@@ -2060,6 +2115,12 @@ export class MapLayerControl {
                         ${this._renderLegendImage(group.legendImage)}
                     </div>
                 `);
+            } else if (getPointDisplay(group).mode === 'heatmap') {
+                $groupHeader.append(`
+                    <div class="legend-container">
+                        ${getHeatmapLegend(getPointDisplay(group))}
+                    </div>
+                `);
             }
 
             // Add sublayer controls for style type
@@ -2271,6 +2332,33 @@ export class MapLayerControl {
         // For visible layers, register AFTER the layers are added to the map
         // (this will be done at the end of this method)
 
+        // PMTiles archives are opened before their source is added, the layer is turned on once its archive is open
+        if (isPMTilesLayer(group) && !this._pmtilesArchives.has(group.id)) {
+            const isOpening = this._pmtilesPending.has(group.id);
+            if (visible || isOpening) {
+                this._pmtilesPending.set(group.id, visible);
+            }
+            if (visible && !isOpening) {
+                this._openPMTilesLayer(group).then(() => {
+                    const showLayer = this._pmtilesPending.get(group.id);
+                    this._pmtilesPending.delete(group.id);
+                    if (!showLayer || this._state.groups[groupIndex] !== group) return;
+
+                    if (this._pmtilesArchives.has(group.id)) {
+                        this._toggleSourceControl(groupIndex, true);
+                        return;
+                    }
+
+                    // Nothing can be drawn, so turn the layer back off until the user tries again
+                    this._showToast(`Could not open the tiles of ${group.title || group.id}`, 'error', 6000);
+                    $(this._sourceControls[groupIndex]).find('.toggle-switch input[type="checkbox"]').first()
+                        .prop('checked', false)
+                        .trigger('change');
+                });
+            }
+            return;
+        }
+
         if (group.type === 'style') {
             // Get all style layers
             const styleLayers = this._map.getStyle().layers;
@@ -2384,11 +2472,14 @@ export class MapLayerControl {
                     return;
                 }
 
+                const display = getPointDisplay(group);
+
                 // Add source
                 this._map.addSource(sourceId, {
                     type: 'geojson',
                     data: dataSource,
-                    promoteId: group.inspect?.id
+                    promoteId: group.inspect?.id,
+                    ...getPointSourceOptions(display)
                 });
 
                 // Add fill layer
@@ -2430,24 +2521,27 @@ export class MapLayerControl {
                     }
                 }, this._getInsertPosition('vector', 'line'));
 
-                // Add circle layer if circle properties are defined
-                if (group.style?.['circle-radius'] || group.style?.['circle-color']) {
-                    this._map.addLayer({
+                // Add circle layer if circle properties are defined or points are clustered or a heatmap
+                const hasPoints = group.style?.['circle-radius'] || group.style?.['circle-color'] || display.mode !== 'points';
+                let pointLayerIds = [];
+                if (hasPoints) {
+                    const style = group.style || {};
+                    pointLayerIds = this._addPointLayers(group, {
                         id: `${sourceId}-circle`,
                         type: 'circle',
                         source: sourceId,
                         paint: {
-                            'circle-radius': group.style['circle-radius'] || this._defaultStyles.vector.circle?.['circle-radius'] || 5,
-                            'circle-color': group.style['circle-color'] || this._defaultStyles.vector.circle?.['circle-color'] || '#FF0000',
-                            'circle-opacity': group.style['circle-opacity'] !== undefined ? group.style['circle-opacity'] : (this._defaultStyles.vector.circle?.['circle-opacity'] || 0.8),
-                            'circle-stroke-width': group.style['circle-stroke-width'] !== undefined ? group.style['circle-stroke-width'] : (this._defaultStyles.vector.circle?.['circle-stroke-width'] || 1),
-                            'circle-stroke-color': group.style['circle-stroke-color'] || this._defaultStyles.vector.circle?.['circle-stroke-color'] || '#FFFFFF',
-                            'circle-stroke-opacity': group.style['circle-stroke-opacity'] !== undefined ? group.style['circle-stroke-opacity'] : (this._defaultStyles.vector.circle?.['circle-stroke-opacity'] || 1),
-                            'circle-blur': group.style['circle-blur'] !== undefined ? group.style['circle-blur'] : (this._defaultStyles.vector.circle?.['circle-blur'] || 0),
-                            'circle-translate': group.style['circle-translate'] || this._defaultStyles.vector.circle?.['circle-translate'] || [0, 0],
-                            'circle-translate-anchor': group.style['circle-translate-anchor'] || this._defaultStyles.vector.circle?.['circle-translate-anchor'] || 'map',
-                            'circle-pitch-alignment': group.style['circle-pitch-alignment'] || this._defaultStyles.vector.circle?.['circle-pitch-alignment'] || 'viewport',
-                            'circle-pitch-scale': group.style['circle-pitch-scale'] || this._defaultStyles.vector.circle?.['circle-pitch-scale'] || 'map'
+                            'circle-radius': style['circle-radius'] || this._defaultStyles.vector.circle?.['circle-radius'] || 5,
+                            'circle-color': style['circle-color'] || this._defaultStyles.vector.circle?.['circle-color'] || '#FF0000',
+                            'circle-opacity': style['circle-opacity'] !== undefined ? style['circle-opacity'] : (this._defaultStyles.vector.circle?.['circle-opacity'] || 0.8),
+                            'circle-stroke-width': style['circle-stroke-width'] !== undefined ? style['circle-stroke-width'] : (this._defaultStyles.vector.circle?.['circle-stroke-width'] || 1),
+                            'circle-stroke-color': style['circle-stroke-color'] || this._defaultStyles.vector.circle?.['circle-stroke-color'] || '#FFFFFF',
+                            'circle-stroke-opacity': style['circle-stroke-opacity'] !== undefined ? style['circle-stroke-opacity'] : (this._defaultStyles.vector.circle?.['circle-stroke-opacity'] || 1),
+                            'circle-blur': style['circle-blur'] !== undefined ? style['circle-blur'] : (this._defaultStyles.vector.circle?.['circle-blur'] || 0),
+                            'circle-translate': style['circle-translate'] || this._defaultStyles.vector.circle?.['circle-translate'] || [0, 0],
+                            'circle-translate-anchor': style['circle-translate-anchor'] || this._defaultStyles.vector.circle?.['circle-translate-anchor'] || 'map',
+                            'circle-pitch-alignment': style['circle-pitch-alignment'] || this._defaultStyles.vector.circle?.['circle-pitch-alignment'] || 'viewport',
+                            'circle-pitch-scale': style['circle-pitch-scale'] || this._defaultStyles.vector.circle?.['circle-pitch-scale'] || 'map'
                         },
                         layout: {
                             'visibility': 'visible'
@@ -2500,15 +2594,17 @@ export class MapLayerControl {
                 if (group.style?.['text-field'] || group.style?.['text-size']) {
                     layerIds.push(`${sourceId}-label`);
                 }
-                if (group.style?.['circle-radius'] || group.style?.['circle-color']) {
-                    layerIds.push(`${sourceId}-circle`);
-                }
+                layerIds.push(...pointLayerIds);
 
                 this._setupLayerInteractivity(group, layerIds, sourceId);
             } else {
                 // Just update visibility for existing layers
-                ['fill', 'line', 'label', 'circle'].forEach(type => {
-                    const layerId = `${sourceId}-${type}`;
+                [
+                    `${sourceId}-fill`,
+                    `${sourceId}-line`,
+                    `${sourceId}-label`,
+                    ...this._getPointLayerIds(group, sourceId, `${sourceId}-circle`)
+                ].forEach(layerId => {
                     if (this._map.getLayer(layerId)) {
                         this._map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
                     }
@@ -2520,8 +2616,10 @@ export class MapLayerControl {
 
             // Only add source and layer if they don't exist yet and should be visible
             if (visible && !this._map.getSource(sourceId)) {
-                // Check if it's a Mapbox hosted raster tileset
-                if (group.url.startsWith('mapbox://')) {
+                if (isPMTilesLayer(group)) {
+                    this._map.addSource(sourceId, getPMTilesSource(group, this._pmtilesArchives.get(group.id)));
+                } else if (group.url.startsWith('mapbox://')) {
+                    // Mapbox hosted raster tileset
                     this._map.addSource(sourceId, {
                         type: 'raster',
                         url: group.url,  // Keep the mapbox:// URL as is
@@ -2556,6 +2654,31 @@ export class MapLayerControl {
                 // Just update visibility for existing layer
                 this._map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
             }
+        } else if (isOgcLayer(group)) {
+            const layerId = `${group.type}-layer-${group.id}`;
+
+            // Only add source and layer if they don't exist yet and should be visible
+            if (visible && !this._map.getSource(`${group.type}-${group.id}`)) {
+                this._addOgcLayer(group, true);
+            } else if (this._map.getLayer(layerId)) {
+                this._map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
+            }
+        } else if (isArcGISLayer(group)) {
+            // Only add source and layers if they don't exist yet and should be visible
+            if (visible && !this._map.getSource(`arcgis-${group.id}`)) {
+                this._addArcGISLayer(group);
+            } else {
+                this._getArcGISLayerIds(group).forEach(layerId => {
+                    if (this._map.getLayer(layerId)) {
+                        this._map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
+                    }
+                });
+            }
+
+            // Features are only loaded for the view while the layer is on
+            if (!isArcGISExportLayer(group)) {
+                this._setArcGISViewportLoading(group, visible);
+            }
         } else if (group.type === 'csv') {
             const sourceId = `csv-${group.id}`;
             const layerId = `${sourceId}-circle`;
@@ -2565,8 +2688,12 @@ export class MapLayerControl {
                 // Lazy load CSV data when layer is made visible
                 this._setupCsvLayer(group);
             } else if (this._map.getLayer(layerId)) {
-                // Just update visibility for existing layer
-                this._map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
+                // Just update visibility for existing layers
+                this._getPointLayerIds(group, sourceId, layerId).forEach(id => {
+                    if (this._map.getLayer(id)) {
+                        this._map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none');
+                    }
+                });
 
                 // Reset refresh timer when toggling visibility (only for URL-based data)
                 if (visible && group.refresh && group.url && !group._refreshTimer) {
@@ -2586,8 +2713,10 @@ export class MapLayerControl {
 
             // Only add source and layers if they don't exist yet and should be visible
             if (visible && !this._map.getSource(sourceId)) {
-                // Check if it's a Mapbox hosted tileset
-                if (group.url.startsWith('mapbox://')) {
+                if (isPMTilesLayer(group)) {
+                    this._map.addSource(sourceId, getPMTilesSource(group, this._pmtilesArchives.get(group.id)));
+                } else if (group.url.startsWith('mapbox://')) {
+                    // Mapbox hosted tileset
                     this._map.addSource(sourceId, {
                         type: 'vector',
                         url: group.url,  // Keep the mapbox:// URL as is
@@ -2793,10 +2922,11 @@ export class MapLayerControl {
                                 this._map.addSource(sourceId, {
                                     type: 'geojson',
                                     data: geojson,
-                                    promoteId: group.inspect?.id
+                                    promoteId: group.inspect?.id,
+                                    ...getPointSourceOptions(getPointDisplay(group))
                                 });
 
-                                this._map.addLayer({
+                                this._addPointLayers(group, {
                                     id: layerId,
                                     type: 'circle',
                                     source: sourceId,
@@ -2839,7 +2969,11 @@ export class MapLayerControl {
                         }
                     });
             } else if (this._map.getLayer(layerId)) {
-                this._map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
+                this._getPointLayerIds(group, sourceId, layerId).forEach(id => {
+                    if (this._map.getLayer(id)) {
+                        this._map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none');
+                    }
+                });
             }
         } else if (group.type === 'img') {
             // For image layers, set them up or toggle visibility
@@ -3444,6 +3578,197 @@ export class MapLayerControl {
         return content;
     }
 
+    /**
+     * Add the raster source and layer of a WMS or WMTS layer
+     * @param {Object} group - Layer config
+     * @param {boolean} visible
+     */
+    _addOgcLayer(group, visible) {
+        const sourceId = `${group.type}-${group.id}`;
+
+        this._map.addSource(sourceId, {
+            type: 'raster',
+            tiles: [getOgcTileUrl(group)],
+            tileSize: 256,
+            ...(group.minzoom !== undefined && { minzoom: group.minzoom }),
+            maxzoom: group.maxzoom || 22,
+            // Don't request images outside the area the service covers
+            ...(group.bbox && { bounds: group.bbox })
+        });
+
+        const layerConfig = this._createLayerConfig({
+            id: `${group.type}-layer-${group.id}`,
+            source: sourceId,
+            style: {
+                ...(this._defaultStyles.raster || {}),
+                ...(group.style || {}),
+                'raster-opacity': group.style?.['raster-opacity'] || group.opacity || this._defaultStyles.raster?.['raster-opacity'] || 1
+            },
+            metadata: { groupId: group.id },
+            initiallyChecked: visible
+        }, 'raster');
+
+        // Ordered with the other raster tile layers
+        this._map.addLayer(layerConfig, this._getInsertPosition('tms'));
+    }
+
+    /**
+     * Open the PMTiles archive of a layer and fill in the config from its header and metadata
+     * @param {Object} group - Layer config
+     */
+    async _openPMTilesLayer(group) {
+        try {
+            const opened = await openPMTiles(group.url);
+            Object.assign(group, getPMTilesLayerDefaults(group, opened.tileJSON));
+            this._pmtilesArchives.set(group.id, opened);
+        } catch (error) {
+            console.error(`❌ Failed to open the PMTiles archive of layer '${group.id}':`, error);
+        }
+    }
+
+    /**
+     * Map layer IDs of an ArcGIS layer
+     * @param {Object} group - Layer config
+     * @returns {string[]}
+     */
+    _getArcGISLayerIds(group) {
+        return isArcGISExportLayer(group)
+            ? [`arcgis-layer-${group.id}`]
+            : ['fill', 'line', 'circle'].map(type => `arcgis-${group.id}-${type}`);
+    }
+
+    /**
+     * Add the source and layers of an ArcGIS layer, as `/export` images or as features loaded for the view
+     * @param {Object} group - Layer config
+     */
+    _addArcGISLayer(group) {
+        const sourceId = `arcgis-${group.id}`;
+
+        if (isArcGISExportLayer(group)) {
+            this._map.addSource(sourceId, {
+                type: 'raster',
+                tiles: [getArcGISExportTileUrl(group)],
+                tileSize: 256,
+                maxzoom: group.maxzoom || 22,
+                ...(group.bbox && { bounds: group.bbox })
+            });
+
+            const layerConfig = this._createLayerConfig({
+                id: `arcgis-layer-${group.id}`,
+                source: sourceId,
+                style: {
+                    ...(this._defaultStyles.raster || {}),
+                    ...(group.style || {}),
+                    'raster-opacity': group.style?.['raster-opacity'] || group.opacity || this._defaultStyles.raster?.['raster-opacity'] || 1
+                },
+                metadata: { groupId: group.id },
+                minzoom: group.minzoom,
+                initiallyChecked: true
+            }, 'raster');
+
+            this._map.addLayer(layerConfig, this._getInsertPosition('tms'));
+            return;
+        }
+
+        // Filled in by _loadArcGISFeatures
+        this._map.addSource(sourceId, {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] },
+            promoteId: group.inspect?.id
+        });
+
+        // One layer per geometry type, lines also outline polygons
+        const geometryFilters = {
+            fill: ['==', ['geometry-type'], 'Polygon'],
+            line: ['!=', ['geometry-type'], 'Point'],
+            circle: ['==', ['geometry-type'], 'Point']
+        };
+        const layerIds = this._getArcGISLayerIds(group);
+        Object.entries(geometryFilters).forEach(([layerType, geometryFilter], index) => {
+            const layerConfig = this._createLayerConfig({
+                id: layerIds[index],
+                source: sourceId,
+                style: {
+                    ...(this._defaultStyles.vector?.[layerType] || {}),
+                    ...(group.style || {})
+                },
+                filter: group.filter ? ['all', geometryFilter, group.filter] : geometryFilter,
+                metadata: { groupId: group.id },
+                minzoom: group.minzoom,
+                initiallyChecked: true
+            }, layerType);
+
+            this._map.addLayer(layerConfig, this._getInsertPosition('vector', layerType));
+        });
+
+        this._setupLayerInteractivity(group, layerIds, sourceId);
+    }
+
+    /**
+     * Start or stop loading the features of an ArcGIS layer whenever the map moves
+     * @param {Object} group - Layer config
+     * @param {boolean} enabled
+     */
+    _setArcGISViewportLoading(group, enabled) {
+        const loader = this._arcgisLoaders.get(group.id);
+
+        if (enabled && !loader) {
+            const onMoveEnd = () => this._loadArcGISFeatures(group);
+            this._arcgisLoaders.set(group.id, { onMoveEnd, controller: null });
+            this._map.on('moveend', onMoveEnd);
+            this._loadArcGISFeatures(group);
+        } else if (!enabled && loader) {
+            this._map.off('moveend', loader.onMoveEnd);
+            loader.controller?.abort();
+            this._arcgisLoaders.delete(group.id);
+        }
+    }
+
+    /**
+     * Metadata of an ArcGIS layer, fetched once per URL
+     * @param {Object} group - Layer config
+     * @returns {Promise<Object|null>} Null if the service did not answer
+     */
+    _getArcGISMetadata(group) {
+        if (!this._arcgisMetadata.has(group.url)) {
+            this._arcgisMetadata.set(group.url, fetchArcGISMetadata(group).catch(error => {
+                console.warn(`⚠️ Could not load the metadata of ArcGIS layer '${group.id}':`, error.message);
+                this._arcgisMetadata.delete(group.url);
+                return null;
+            }));
+        }
+        return this._arcgisMetadata.get(group.url);
+    }
+
+    /**
+     * Replace the features of an ArcGIS layer with those in the current view
+     * @param {Object} group - Layer config
+     */
+    async _loadArcGISFeatures(group) {
+        const loader = this._arcgisLoaders.get(group.id);
+        if (!loader || (group.minzoom && this._map.getZoom() < group.minzoom)) return;
+
+        // A newer view replaces the one still loading
+        loader.controller?.abort();
+        const controller = new AbortController();
+        loader.controller = controller;
+
+        try {
+            const metadata = await this._getArcGISMetadata(group);
+            const bounds = this._map.getBounds().toArray().flat();
+            const geojson = await fetchArcGISFeatures(group, bounds, { metadata: metadata || {}, signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            if (geojson.exceededTransferLimit) {
+                console.warn(`⚠️ ArcGIS layer '${group.id}' has more features in view than were loaded, zoom in to see all of them`);
+            }
+            this._map.getSource(`arcgis-${group.id}`)?.setData(geojson);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error(`❌ Failed to load the features of ArcGIS layer '${group.id}':`, error);
+        }
+    }
+
     _getInsertPosition(type, layerType = null) {
         return getInsertPosition(
             this._map,
@@ -3733,7 +4058,7 @@ export class MapLayerControl {
         const tileJSONSection = content.querySelector('.tilejson-section');
         sourceDetails.innerHTML = '';
 
-        if (group.type === 'tms' || group.type === 'vector' || group.type === 'geojson' || group.type === 'raster-style-layer') {
+        if (group.type === 'tms' || isOgcLayer(group) || isArcGISLayer(group) || isPMTilesLayer(group) || group.type === 'vector' || group.type === 'geojson' || group.type === 'raster-style-layer') {
             sourceDetails.innerHTML = `
                 <div class="source-details-content bg-gray-100 rounded">
                     <div class="mb-2">
@@ -3761,12 +4086,16 @@ export class MapLayerControl {
                             <div class="font-mono text-sm">${group.maxzoom || 'Not set'}</div>
                         </div>
                     ` : ''}
+                    ${isArcGISLayer(group) ? '<div class="arcgis-metadata"></div>' : ''}
                 </div>
             `;
 
             // Fetch and display TileJSON if available
-            if ((group.type === 'vector' || group.type === 'tms') && group.url) {
-                const tileJSON = await fetchTileJSON(group.url);
+            if ((group.type === 'vector' || group.type === 'tms' || isPMTilesLayer(group)) && group.url) {
+                // PMTiles archives describe themselves in their header and metadata
+                const tileJSON = isPMTilesLayer(group)
+                    ? (await openPMTiles(group.url).catch(() => null))?.tileJSON
+                    : await fetchTileJSON(group.url);
                 if (tileJSON) {
                     content.querySelector('.tilejson-content').innerHTML = `
                         <div class="p-3 bg-gray-100 rounded">
@@ -3777,6 +4106,13 @@ export class MapLayerControl {
                 } else {
                     tileJSONSection.style.display = 'none';
                 }
+            } else if (isArcGISLayer(group)) {
+                tileJSONSection.style.display = 'none';
+                const metadata = await this._getArcGISMetadata(group);
+                if (metadata) {
+                    this._showArcGISMetadata(group, metadata, content);
+                    tileJSONSection.style.display = '';
+                }
             } else {
                 tileJSONSection.style.display = 'none';
             }
@@ -3793,6 +4129,12 @@ export class MapLayerControl {
                 <img src="${group.legendImage}" alt="Legend" style="max-width: 100%">
             `;
             legendEl.style.display = '';
+        } else if (getPointDisplay(group).mode === 'heatmap') {
+            legendEl.innerHTML = `
+                <h3 class="text-sm font-bold mb-2">Legend</h3>
+                ${getHeatmapLegend(getPointDisplay(group))}
+            `;
+            legendEl.style.display = '';
         } else {
             legendEl.style.display = 'none';
         }
@@ -4045,6 +4387,59 @@ export class MapLayerControl {
         modal.show();
     }
 
+    /**
+     * Show the fields, extent and copyright from the metadata of an ArcGIS layer in the settings modal
+     * @param {Object} group - Layer config
+     * @param {Object} metadata - Service or layer metadata
+     * @param {HTMLElement} content - Settings modal content
+     */
+    _showArcGISMetadata(group, metadata, content) {
+        const extent = getArcGISExtent(metadata);
+        const fields = (metadata.fields || []).map(field => `
+            <div class="flex justify-between gap-2">
+                <span class="font-mono">${escapeHtml(field.name)}</span>
+                <span class="text-gray-600">${escapeHtml(field.alias && field.alias !== field.name ? field.alias : '')} ${escapeHtml((field.type || '').replace('esriFieldType', ''))}</span>
+            </div>
+        `).join('');
+
+        content.querySelector('.arcgis-metadata').innerHTML = `
+            ${metadata.name ? `
+                <div class="mb-2">
+                    <div class="text-xs text-gray-600">${escapeHtml(metadata.type || 'Layer')}</div>
+                    <div class="text-sm">${escapeHtml(metadata.name)}</div>
+                </div>
+            ` : ''}
+            ${extent ? `
+                <div class="mb-2">
+                    <div class="text-xs text-gray-600">Extent</div>
+                    <div class="font-mono text-sm">${extent.map(value => value.toFixed(4)).join(', ')}</div>
+                </div>
+            ` : ''}
+            ${fields ? `
+                <div class="mb-2">
+                    <div class="text-xs text-gray-600">Fields</div>
+                    <div class="text-xs max-h-40 overflow-y-auto">${fields}</div>
+                </div>
+            ` : ''}
+        `;
+
+        // The service copyright stands in for a missing attribution
+        const attributionEl = content.querySelector('.attribution');
+        if (!group.attribution && metadata.copyrightText) {
+            attributionEl.innerHTML = `
+                <h3 class="text-sm font-bold mb-2">Attribution</h3>
+                <div class="text-sm">${escapeHtml(metadata.copyrightText)}</div>
+            `;
+            attributionEl.style.display = '';
+        }
+
+        content.querySelector('.tilejson-content').innerHTML = `
+            <div class="p-3 bg-gray-100 rounded">
+                <pre class="whitespace-pre-wrap">${escapeHtml(JSON.stringify(metadata, null, 2))}</pre>
+            </div>
+        `;
+    }
+
     _saveLayerSettings() {
         const modal = document.getElementById('layer-settings-modal');
         const configTextarea = modal.querySelector('.config-json');
@@ -4061,6 +4456,15 @@ export class MapLayerControl {
 
             const oldConfig = this._state.groups[groupIndex];
 
+            // Keep style and filter edits in shared links
+            newConfig._overrides = {
+                ...oldConfig._overrides,
+                style: { ...oldConfig._overrides?.style, ...getStyleChanges(oldConfig.style, newConfig.style) }
+            };
+            if (JSON.stringify(newConfig.filter) !== JSON.stringify(oldConfig.filter)) {
+                newConfig._overrides.filter = newConfig.filter;
+            }
+
             // Update the configuration
             this._state.groups[groupIndex] = newConfig;
 
@@ -4085,7 +4489,7 @@ export class MapLayerControl {
                     `geojson-${oldConfig.id}-fill`,
                     `geojson-${oldConfig.id}-line`,
                     `geojson-${oldConfig.id}-label`,
-                    `geojson-${oldConfig.id}-circle`
+                    ...this._getPointLayerIds(oldConfig, `geojson-${oldConfig.id}`, `geojson-${oldConfig.id}-circle`)
                 ];
                 layerIds.forEach(id => {
                     if (this._map.getLayer(id)) {
@@ -4103,10 +4507,30 @@ export class MapLayerControl {
                 if (this._map.getSource(`tms-${oldConfig.id}`)) {
                     this._map.removeSource(`tms-${oldConfig.id}`);
                 }
+            } else if (isOgcLayer(oldConfig)) {
+                if (this._map.getLayer(`${oldConfig.type}-layer-${oldConfig.id}`)) {
+                    this._map.removeLayer(`${oldConfig.type}-layer-${oldConfig.id}`);
+                }
+                if (this._map.getSource(`${oldConfig.type}-${oldConfig.id}`)) {
+                    this._map.removeSource(`${oldConfig.type}-${oldConfig.id}`);
+                }
+            } else if (isArcGISLayer(oldConfig)) {
+                this._setArcGISViewportLoading(oldConfig, false);
+                this._getArcGISLayerIds(oldConfig).forEach(id => {
+                    if (this._map.getLayer(id)) {
+                        this._map.removeLayer(id);
+                    }
+                });
+                if (this._map.getSource(`arcgis-${oldConfig.id}`)) {
+                    this._map.removeSource(`arcgis-${oldConfig.id}`);
+                }
             }
 
             // Add new layers with updated configuration
-            if (newConfig.type === 'vector') {
+            if (isPMTilesLayer(newConfig)) {
+                // Added from the archive, opened again in case the URL changed, when the layer is turned on
+                this._pmtilesArchives.delete(newConfig.id);
+            } else if (newConfig.type === 'vector') {
                 const sourceId = `vector-${newConfig.id}`;
                 const hasFillStyles = newConfig.style && (newConfig.style['fill-color'] || newConfig.style['fill-opacity']);
                 const hasLineStyles = newConfig.style && (newConfig.style['line-color'] || newConfig.style['line-width']);
@@ -4229,7 +4653,8 @@ export class MapLayerControl {
                 // Add source
                 this._map.addSource(sourceId, {
                     type: 'geojson',
-                    data: newConfig.url
+                    data: newConfig.url,
+                    ...getPointSourceOptions(getPointDisplay(newConfig))
                 });
 
                 // Add fill layer
@@ -4266,24 +4691,25 @@ export class MapLayerControl {
                     }
                 }, this._getInsertPosition('vector', 'line'));
 
-                // Add circle layer if circle properties are defined
-                if (newConfig.style?.['circle-radius'] || newConfig.style?.['circle-color']) {
-                    this._map.addLayer({
+                // Add circle layer if circle properties are defined or points are clustered or a heatmap
+                if (newConfig.style?.['circle-radius'] || newConfig.style?.['circle-color'] || getPointDisplay(newConfig).mode !== 'points') {
+                    const style = newConfig.style || {};
+                    this._addPointLayers(newConfig, {
                         id: `${sourceId}-circle`,
                         type: 'circle',
                         source: sourceId,
                         paint: {
-                            'circle-radius': newConfig.style['circle-radius'] || this._defaultStyles.vector.circle?.['circle-radius'] || 5,
-                            'circle-color': newConfig.style['circle-color'] || this._defaultStyles.vector.circle?.['circle-color'] || '#FF0000',
-                            'circle-opacity': newConfig.style['circle-opacity'] !== undefined ? newConfig.style['circle-opacity'] : (this._defaultStyles.vector.circle?.['circle-opacity'] || 0.8),
-                            'circle-stroke-width': newConfig.style['circle-stroke-width'] !== undefined ? newConfig.style['circle-stroke-width'] : (this._defaultStyles.vector.circle?.['circle-stroke-width'] || 1),
-                            'circle-stroke-color': newConfig.style['circle-stroke-color'] || this._defaultStyles.vector.circle?.['circle-stroke-color'] || '#FFFFFF',
-                            'circle-stroke-opacity': newConfig.style['circle-stroke-opacity'] !== undefined ? newConfig.style['circle-stroke-opacity'] : (this._defaultStyles.vector.circle?.['circle-stroke-opacity'] || 1),
-                            'circle-blur': newConfig.style['circle-blur'] !== undefined ? newConfig.style['circle-blur'] : (this._defaultStyles.vector.circle?.['circle-blur'] || 0),
-                            'circle-translate': newConfig.style['circle-translate'] || this._defaultStyles.vector.circle?.['circle-translate'] || [0, 0],
-                            'circle-translate-anchor': newConfig.style['circle-translate-anchor'] || this._defaultStyles.vector.circle?.['circle-translate-anchor'] || 'map',
-                            'circle-pitch-alignment': newConfig.style['circle-pitch-alignment'] || this._defaultStyles.vector.circle?.['circle-pitch-alignment'] || 'viewport',
-                            'circle-pitch-scale': newConfig.style['circle-pitch-scale'] || this._defaultStyles.vector.circle?.['circle-pitch-scale'] || 'map'
+                            'circle-radius': style['circle-radius'] || this._defaultStyles.vector.circle?.['circle-radius'] || 5,
+                            'circle-color': style['circle-color'] || this._defaultStyles.vector.circle?.['circle-color'] || '#FF0000',
+                            'circle-opacity': style['circle-opacity'] !== undefined ? style['circle-opacity'] : (this._defaultStyles.vector.circle?.['circle-opacity'] || 0.8),
+                            'circle-stroke-width': style['circle-stroke-width'] !== undefined ? style['circle-stroke-width'] : (this._defaultStyles.vector.circle?.['circle-stroke-width'] || 1),
+                            'circle-stroke-color': style['circle-stroke-color'] || this._defaultStyles.vector.circle?.['circle-stroke-color'] || '#FFFFFF',
+                            'circle-stroke-opacity': style['circle-stroke-opacity'] !== undefined ? style['circle-stroke-opacity'] : (this._defaultStyles.vector.circle?.['circle-stroke-opacity'] || 1),
+                            'circle-blur': style['circle-blur'] !== undefined ? style['circle-blur'] : (this._defaultStyles.vector.circle?.['circle-blur'] || 0),
+                            'circle-translate': style['circle-translate'] || this._defaultStyles.vector.circle?.['circle-translate'] || [0, 0],
+                            'circle-translate-anchor': style['circle-translate-anchor'] || this._defaultStyles.vector.circle?.['circle-translate-anchor'] || 'map',
+                            'circle-pitch-alignment': style['circle-pitch-alignment'] || this._defaultStyles.vector.circle?.['circle-pitch-alignment'] || 'viewport',
+                            'circle-pitch-scale': style['circle-pitch-scale'] || this._defaultStyles.vector.circle?.['circle-pitch-scale'] || 'map'
                         },
                         layout: {
                             visibility: 'none'
@@ -4375,6 +4801,10 @@ export class MapLayerControl {
                 this._toggleSourceControl(groupIndex, true);
             }
 
+            if (window.urlManager) {
+                window.urlManager.updateURL();
+            }
+
             modal.hide();
 
         } catch (error) {
@@ -4423,6 +4853,51 @@ export class MapLayerControl {
 
     }
 
+    /**
+     * Add the layers drawing the points of a geojson source in the display mode of a layer:
+     * single points, clusters or a heatmap that gives way to single points when zoomed in
+     * @param {Object} group - Layer config
+     * @param {Object} pointLayer - Circle layer for single points
+     * @param {string} [beforeId] - Layer to insert the layers before
+     * @returns {string[]} IDs of the added layers
+     */
+    _addPointLayers(group, pointLayer, beforeId) {
+        const display = getPointDisplay(group);
+        let layers = [pointLayer];
+
+        if (display.mode === 'cluster') {
+            layers = [
+                ...getClusterLayers(pointLayer.source, display, pointLayer.paint?.['circle-color']),
+                { ...pointLayer, filter: ['!', ['has', 'point_count']] }
+            ];
+        } else if (display.mode === 'heatmap') {
+            layers = [
+                getHeatmapLayer(pointLayer.source, display),
+                { ...pointLayer, minzoom: Math.max(0, display.maxzoom - 1) }
+            ];
+        }
+
+        layers.forEach(layer => {
+            this._map.addLayer({
+                ...layer,
+                metadata: { ...layer.metadata, groupId: group.id },
+                layout: { ...layer.layout, visibility: pointLayer.layout?.visibility || 'visible' }
+            }, beforeId);
+        });
+        return layers.map(layer => layer.id);
+    }
+
+    /**
+     * IDs of the layers drawing the points of a layer in its display mode
+     * @param {Object} group - Layer config
+     * @param {string} sourceId - GeoJSON source ID
+     * @param {string} pointLayerId - ID of the circle layer for single points
+     * @returns {string[]}
+     */
+    _getPointLayerIds(group, sourceId, pointLayerId) {
+        return getPointLayerIds(sourceId, pointLayerId, getPointDisplay(group));
+    }
+
     async _setupCsvLayer(group) {
         if (!group.data && !group.url) {
             console.error('CSV layer missing both data and URL:', group);
@@ -4474,7 +4949,8 @@ export class MapLayerControl {
             if (!this._map.getSource(sourceId)) {
                 this._map.addSource(sourceId, {
                     type: 'geojson',
-                    data: geojson
+                    data: geojson,
+                    ...getPointSourceOptions(getPointDisplay(group))
                 });
 
                 // Check if layer should be visible based on URL parameters or initiallyChecked
@@ -4487,8 +4963,8 @@ export class MapLayerControl {
 
                 const isVisible = activeLayers.includes(group.id);
 
-                // Add circle layer with correct initial visibility
-                this._map.addLayer({
+                // Add point layers with correct initial visibility
+                const layerIds = this._addPointLayers(group, {
                     id: layerId,
                     type: 'circle',
                     source: sourceId,
@@ -4511,12 +4987,12 @@ export class MapLayerControl {
                 }, this._getInsertPosition('csv'));
 
                 // Set up interactivity
-                this._setupLayerInteractivity(group, [layerId], sourceId);
+                this._setupLayerInteractivity(group, layerIds, sourceId);
 
                 // Ensure visibility state is properly set after layer is added
                 this._map.once('idle', () => {
                     if (isVisible) {
-                        this._map.setLayoutProperty(layerId, 'visibility', 'visible');
+                        layerIds.forEach(id => this._map.setLayoutProperty(id, 'visibility', 'visible'));
                     }
                 });
             } else {
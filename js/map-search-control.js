@@ -15,6 +15,7 @@ class MapSearchControl {
             country: 'IN',
             language: 'en',
             types: 'place,locality,postcode,region,district,street,address,poi',
+            bbox: null, // Optional [west, south, east, north] to limit results to
             ...options
         };
         
@@ -195,6 +196,9 @@ class MapSearchControl {
         this.searchBox.setAttribute('country', this.options.country);
         this.searchBox.setAttribute('language', this.options.language);
         this.searchBox.setAttribute('types', this.options.types);
+        if (this.options.bbox) {
+            this.searchBox.options = { ...this.searchBox.options, bbox: this.options.bbox };
+        }
         
         // Add event listeners
         this.searchBox.addEventListener('suggest', this.handleSuggest.bind(this));
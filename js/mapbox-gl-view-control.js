@@ -7,6 +7,8 @@ class ViewControl {
                 pitch: 28,
                 bearing: 0
             },
+            // Optional [west, south, east, north] extent to reset to instead of initialView
+            bounds: null,
             iconUrl: 'assets/img/goa-icon.svg',
             ...options
         };
@@ -46,6 +48,16 @@ class ViewControl {
         $button
             .append($img)
             .on('click', () => {
+                if (this.options.bounds) {
+                    this._map.fitBounds(this.options.bounds, {
+                        padding: 40,
+                        pitch: this.options.initialView.pitch,
+                        bearing: this.options.initialView.bearing,
+                        duration: 4000,
+                        essential: true
+                    });
+                    return;
+                }
                 this._map.flyTo({
                     ...this.options.initialView,
                     duration: 4000,
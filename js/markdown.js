@@ -0,0 +1,91 @@
+/**
+ * Markdown
+ * Renders the small Markdown subset used for text written in atlas configs: headings, paragraphs,
+ * lists, quotes, emphasis, code, links and images. Inline HTML is kept, and the output goes
+ * through sanitizeHtml() like any other config markup.
+ */
+import { sanitizeHtml, sanitizeUrl } from './html-sanitizer.js';
+
+const escapeCode = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function renderInline(text) {
+    // Code, links and images are set aside first so emphasis doesn't reach into them
+    const kept = [];
+    const keep = html => {
+        kept.push(html);
+        return `\u0000${kept.length - 1}\u0000`;
+    };
+
+    return text
+        .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeCode(code)}</code>`))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+            (sanitizeUrl(src) ? keep(`<img src="${sanitizeUrl(src)}" alt="${alt.replace(/"/g, '&quot;')}">`) : alt))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+            (sanitizeUrl(href) ? keep(`<a href="${sanitizeUrl(href)}" target="_blank">${label}</a>`) : label))
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+}
+
+/**
+ * Render Markdown as HTML
+ * @param {string} text - Markdown
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(text) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    let quote = [];
+
+    const flush = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+        if (quote.length > 0) {
+            blocks.push(`<blockquote>${renderInline(quote.join(' '))}</blockquote>`);
+            quote = [];
+        }
+    };
+
+    for (const line of String(text ?? '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        const heading = trimmed.match(/^(#{1,4})\s+(.*)$/);
+        const listItem = trimmed.match(/^([-*]|\d+\.)\s+(.*)$/);
+
+        if (!trimmed) {
+            flush();
+        } else if (heading) {
+            flush();
+            // Headings start at h3, the panel showing the text has its own title
+            const level = heading[1].length + 2;
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+            flush();
+            blocks.push('<hr>');
+        } else if (listItem) {
+            const tag = /\d/.test(listItem[1]) ? 'ol' : 'ul';
+            if (list?.tag !== tag) flush();
+            list = list || { tag, items: [] };
+            list.items.push(listItem[2]);
+        } else if (trimmed.startsWith('>')) {
+            if (quote.length === 0) flush();
+            quote.push(trimmed.replace(/^>\s?/, ''));
+        } else if (list) {
+            // Continuation of the last list item
+            list.items[list.items.length - 1] += ` ${trimmed}`;
+        } else {
+            if (quote.length > 0) flush();
+            paragraph.push(trimmed);
+        }
+    }
+    flush();
+
+    return sanitizeHtml(blocks.join('\n'));
+}
@@ -0,0 +1,489 @@
+/**
+ * OGC Services
+ * Layers from OGC Web Map Services, as published by Bhuvan, Bharatmaps and NCSCM. A `wms` layer
+ * requests map images for each tile, a `wmts` layer requests the tiles of a tile matrix set:
+ *
+ *   {
+ *     "id": "lulc", "type": "wms", "url": "https://bhuvan-vec1.nrsc.gov.in/bhuvan/wms",
+ *     "service": { "layers": "lulc:GA_LULC50K_1516", "styles": "", "format": "image/png", "time": "2016" },
+ *     "inspect": { "title": "Land use" }
+ *   }
+ *
+ * Clicking a layer with `inspect` asks the service for the features at that point with GetFeatureInfo.
+ * The layer creator reads GetCapabilities documents to list the layers a service has.
+ */
+
+export const OGC_LAYER_TYPES = ['wms', 'wmts'];
+
+const EARTH_RADIUS = 6378137;
+const WORLD_SIZE = 2 * Math.PI * EARTH_RADIUS;
+const TILE_SIZE = 256;
+const FEATURE_INFO_SIZE = 101;
+const FEATURE_INFO_COUNT = 10;
+const REQUEST_TIMEOUT = 10000;
+
+// Tile matrix sets that share the Web Mercator grid of the map
+const WEB_MERCATOR_CRS = /(3857|900913|GoogleMapsCompatible)/i;
+
+/**
+ * Whether a layer is a WMS or WMTS layer
+ * @param {Object} layer - Layer config
+ * @returns {boolean}
+ */
+export function isOgcLayer(layer) {
+    return OGC_LAYER_TYPES.includes(layer?.type);
+}
+
+/**
+ * Guess the service of a URL pasted in the layer creator
+ * @param {string} url
+ * @returns {'wms'|'wmts'|null}
+ */
+export function guessOgcServiceType(url) {
+    if (/[?&]service=wmts\b|\/wmts\b|WMTSCapabilities\.xml/i.test(url)) return 'wmts';
+    if (/[?&]service=wms\b|\/wms\b|\/ows\b/i.test(url)) return 'wms';
+    return null;
+}
+
+/**
+ * Add query parameters to a service URL, replacing any with the same name in any case.
+ * Mapbox placeholders such as {bbox-epsg-3857} and {z} are kept as written.
+ * @param {string} serviceUrl
+ * @param {Object} params
+ * @returns {string}
+ */
+export function buildServiceUrl(serviceUrl, params) {
+    const [base, query = ''] = serviceUrl.split('?');
+    const names = Object.keys(params).map(name => name.toLowerCase());
+    const kept = query.split('&').filter(pair => pair && !names.includes(pair.split('=')[0].toLowerCase()));
+    const added = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value).replace(/%7B([a-z0-9-]+)%7D/gi, '{$1}')}`);
+    return `${base}?${[...kept, ...added].join('&')}`;
+}
+
+function getWmsParams(layer) {
+    const service = layer.service || {};
+    const version = service.version || '1.1.1';
+    return {
+        SERVICE: 'WMS',
+        VERSION: version,
+        LAYERS: [].concat(service.layers || []).join(','),
+        STYLES: [].concat(service.styles || []).join(','),
+        FORMAT: service.format || 'image/png',
+        TRANSPARENT: 'TRUE',
+        // 1.3.0 renamed SRS to CRS, EPSG:3857 has the same axis order in both
+        [version === '1.3.0' ? 'CRS' : 'SRS']: 'EPSG:3857',
+        TIME: service.time
+    };
+}
+
+function getWmtsValues(layer) {
+    const service = layer.service || {};
+    return {
+        layer: service.layers || '',
+        style: service.styles || 'default',
+        format: service.format || 'image/png',
+        tileMatrixSet: service.tileMatrixSet || 'GoogleMapsCompatible',
+        // Tile matrix names such as EPSG:3857:14, {z} is the zoom
+        tileMatrix: service.tileMatrix || '{z}',
+        time: service.time
+    };
+}
+
+/**
+ * Tile URL for the raster source of a WMS or WMTS layer
+ * @param {Object} layer - Layer config with `url` and `service`
+ * @returns {string}
+ */
+export function getOgcTileUrl(layer) {
+    if (layer.type === 'wms') {
+        return buildServiceUrl(layer.url, {
+            ...getWmsParams(layer),
+            REQUEST: 'GetMap',
+            WIDTH: TILE_SIZE,
+            HEIGHT: TILE_SIZE,
+            BBOX: '{bbox-epsg-3857}'
+        });
+    }
+
+    const values = getWmtsValues(layer);
+    // RESTful services publish a URL template
+    if (layer.url.includes('{TileMatrix}')) {
+        return layer.url
+            .replace(/\{TileMatrixSet\}/g, values.tileMatrixSet)
+            .replace(/\{TileMatrix\}/g, values.tileMatrix)
+            .replace(/\{TileRow\}/g, '{y}')
+            .replace(/\{TileCol\}/g, '{x}')
+            .replace(/\{Style\}/g, values.style)
+            .replace(/\{Time\}/gi, values.time || '');
+    }
+    return buildServiceUrl(layer.url, {
+        SERVICE: 'WMTS',
+        REQUEST: 'GetTile',
+        VERSION: '1.0.0',
+        LAYER: values.layer,
+        STYLE: values.style,
+        FORMAT: values.format,
+        TILEMATRIXSET: values.tileMatrixSet,
+        TILEMATRIX: values.tileMatrix,
+        TILEROW: '{y}',
+        TILECOL: '{x}',
+        TIME: values.time
+    });
+}
+
+/**
+ * Web Mercator meters of a point
+ * @param {{lng: number, lat: number}} lngLat
+ * @returns {[number, number]}
+ */
+export function toWebMercator({ lng, lat }) {
+    return [
+        EARTH_RADIUS * lng * Math.PI / 180,
+        EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))
+    ];
+}
+
+/**
+ * Longitude and latitude of Web Mercator meters
+ * @param {[number, number]} point
+ * @returns {[number, number]}
+ */
+export function fromWebMercator([x, y]) {
+    return [
+        x / EARTH_RADIUS * 180 / Math.PI,
+        (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI
+    ];
+}
+
+/**
+ * GetFeatureInfo URL for the features of a layer at a point
+ * @param {Object} layer - Layer config with `url` and `service`
+ * @param {{lng: number, lat: number}} lngLat - Clicked point
+ * @param {number} zoom - Map zoom
+ * @returns {string|null} Null for WMTS URL templates
+ */
+export function getFeatureInfoUrl(layer, lngLat, zoom) {
+    const service = layer.service || {};
+    const infoFormat = service.infoFormat || 'application/json';
+
+    if (layer.type === 'wms') {
+        // A small image around the point, at the resolution of the map, so rotation doesn't matter
+        const [x, y] = toWebMercator(lngLat);
+        const half = FEATURE_INFO_SIZE / 2 * WORLD_SIZE / (512 * 2 ** zoom);
+        const params = getWmsParams(layer);
+        const center = Math.floor(FEATURE_INFO_SIZE / 2);
+        return buildServiceUrl(layer.url, {
+            ...params,
+            REQUEST: 'GetFeatureInfo',
+            QUERY_LAYERS: [].concat(service.queryLayers || service.layers || []).join(','),
+            INFO_FORMAT: infoFormat,
+            FEATURE_COUNT: FEATURE_INFO_COUNT,
+            WIDTH: FEATURE_INFO_SIZE,
+            HEIGHT: FEATURE_INFO_SIZE,
+            BBOX: [x - half, y - half, x + half, y + half].join(','),
+            [params.VERSION === '1.3.0' ? 'I' : 'X']: center,
+            [params.VERSION === '1.3.0' ? 'J' : 'Y']: center
+        });
+    }
+
+    // Only services with key-value requests answer GetFeatureInfo, not URL templates
+    if (layer.url.includes('{TileMatrix}')) {
+        return null;
+    }
+
+    // The tile the map shows at this zoom, Mapbox draws 256 pixel tiles one zoom level deeper
+    const values = getWmtsValues(layer);
+    const level = Math.max(0, Math.min(layer.maxzoom ?? 22, Math.floor(zoom + 1)));
+    const [x, y] = toWebMercator(lngLat);
+    const scale = TILE_SIZE * 2 ** level / WORLD_SIZE;
+    const pixelX = (x + WORLD_SIZE / 2) * scale;
+    const pixelY = (WORLD_SIZE / 2 - y) * scale;
+    return buildServiceUrl(layer.url, {
+        SERVICE: 'WMTS',
+        REQUEST: 'GetFeatureInfo',
+        VERSION: '1.0.0',
+        LAYER: values.layer,
+        STYLE: values.style,
+        FORMAT: values.format,
+        TILEMATRIXSET: values.tileMatrixSet,
+        TILEMATRIX: values.tileMatrix.replace('{z}', level),
+        TILEROW: Math.floor(pixelY / TILE_SIZE),
+        TILECOL: Math.floor(pixelX / TILE_SIZE),
+        I: Math.floor(pixelX % TILE_SIZE),
+        J: Math.floor(pixelY % TILE_SIZE),
+        INFOFORMAT: infoFormat,
+        TIME: values.time
+    });
+}
+
+function mapCoordinates(coordinates, transform) {
+    return typeof coordinates[0] === 'number' ? transform(coordinates) : coordinates.map(item => mapCoordinates(item, transform));
+}
+
+// Longitudes and latitudes are never over 180
+function isProjected(geometry) {
+    if (!geometry) return false;
+    if (geometry.type === 'GeometryCollection') return geometry.geometries.some(isProjected);
+    let projected = false;
+    mapCoordinates(geometry.coordinates, ([x, y]) => {
+        projected = projected || Math.abs(x) > 180 || Math.abs(y) > 180;
+    });
+    return projected;
+}
+
+function toLngLatGeometry(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === 'GeometryCollection') {
+        return { ...geometry, geometries: geometry.geometries.map(toLngLatGeometry) };
+    }
+    return { ...geometry, coordinates: mapCoordinates(geometry.coordinates, fromWebMercator) };
+}
+
+/**
+ * Read a GetFeatureInfo response as GeoJSON features
+ * @param {string} text - Response body
+ * @param {string} contentType - Response content type
+ * @returns {Object[]} Features, geometries in longitude and latitude
+ */
+export function parseFeatureInfo(text, contentType = '') {
+    const body = String(text).trim();
+
+    if (/json/i.test(contentType) || body.startsWith('{')) {
+        const json = JSON.parse(body);
+        const features = json.type === 'Feature' ? [json] : (json.features || []);
+        // The geometries come in the projection of the request, Web Mercator
+        const crsName = json.crs?.properties?.name || '';
+        const isWebMercator = WEB_MERCATOR_CRS.test(crsName) || features.some(feature => isProjected(feature.geometry));
+        return features.map(feature => ({
+            type: 'Feature',
+            ...(feature.id !== undefined && { id: feature.id }),
+            properties: feature.properties || {},
+            geometry: isWebMercator ? toLngLatGeometry(feature.geometry) : (feature.geometry || null)
+        }));
+    }
+
+    if (/text\/plain/i.test(contentType)) {
+        // GeoServer and MapServer list `name = value` lines, features separated by dashes
+        return body.split(/^-{4,}\s*$|^\s*Feature \d+:\s*$/m)
+            .map(block => Object.fromEntries(block.split('\n')
+                .map(line => line.match(/^\s*([^=]+?)\s*=\s*(.*?)\s*$/))
+                .filter(Boolean)
+                .map(([, name, value]) => [name, value.replace(/^'(.*)'$/, '$1')])))
+            .filter(properties => Object.keys(properties).length > 0)
+            .map(properties => ({ type: 'Feature', properties, geometry: null }));
+    }
+
+    console.warn(`⚠️ GetFeatureInfo returned ${contentType || 'an unknown format'}, set service.infoFormat to application/json or text/plain`);
+    return [];
+}
+
+/**
+ * Ask a WMS or WMTS layer for its features at a point
+ * @param {Object} layer - Layer config
+ * @param {{lng: number, lat: number}} lngLat - Clicked point
+ * @param {number} zoom - Map zoom
+ * @returns {Promise<Object[]>} Features that can be selected like rendered features, empty if the request fails
+ */
+export async function queryFeatureInfo(layer, lngLat, zoom) {
+    const controller = new AbortController();
+    const url = getFeatureInfoUrl(layer, lngLat, zoom);
+    if (!url) return [];
+
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const features = parseFeatureInfo(await response.text(), response.headers.get('content-type') || '');
+        return features.map(feature => ({
+            ...feature,
+            // Without a geometry the feature is where it was clicked
+            geometry: feature.geometry || { type: 'Point', coordinates: [lngLat.lng, lngLat.lat] },
+            layer: { id: `${layer.type}-layer-${layer.id}`, metadata: { groupId: layer.id } }
+        }));
+    } catch (error) {
+        console.warn(`⚠️ GetFeatureInfo failed for layer '${layer.id}':`, error.message);
+        return [];
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * GetCapabilities URL of a service
+ * @param {string} url - Service URL, or a capabilities URL
+ * @param {'wms'|'wmts'} type
+ * @returns {string}
+ */
+export function getCapabilitiesUrl(url, type) {
+    if (/request=getcapabilities|\.xml(\?|$)/i.test(url)) return url;
+    return buildServiceUrl(url, { SERVICE: type.toUpperCase(), REQUEST: 'GetCapabilities' });
+}
+
+const childElements = (element, name) => Array.from(element?.children || []).filter(child => child.localName === name);
+const childElement = (element, name) => childElements(element, name)[0] || null;
+const childText = (element, name) => childElement(element, name)?.textContent.trim() || '';
+const findPath = (element, ...names) => names.reduce((current, name) => childElement(current, name), element);
+const getHref = element => element?.getAttribute('xlink:href') || element?.getAttributeNS?.('http://www.w3.org/1999/xlink', 'href') || '';
+
+function parseWmsLayers(element, parentBbox = null) {
+    const geographicBbox = childElement(element, 'EX_GeographicBoundingBox');
+    const latLonBbox = childElement(element, 'LatLonBoundingBox');
+    const bbox = geographicBbox ?
+        ['westBoundLongitude', 'southBoundLatitude', 'eastBoundLongitude', 'northBoundLatitude'].map(name => Number(childText(geographicBbox, name))) :
+        latLonBbox ? ['minx', 'miny', 'maxx', 'maxy'].map(name => Number(latLonBbox.getAttribute(name))) : parentBbox;
+    const time = [...childElements(element, 'Dimension'), ...childElements(element, 'Extent')]
+        .find(dimension => dimension.getAttribute('name')?.toLowerCase() === 'time');
+
+    const own = childText(element, 'Name') ? [{
+        name: childText(element, 'Name'),
+        title: childText(element, 'Title'),
+        abstract: childText(element, 'Abstract'),
+        styles: childElements(element, 'Style').map(style => childText(style, 'Name')).filter(Boolean),
+        queryable: element.getAttribute('queryable') === '1',
+        attribution: childText(childElement(element, 'Attribution'), 'Title'),
+        bbox,
+        time: time ? { default: time.getAttribute('default') || '', values: time.textContent.trim() } : null
+    }] : [];
+    return [...own, ...childElements(element, 'Layer').flatMap(child => parseWmsLayers(child, bbox))];
+}
+
+function parseWmtsLayers(contents) {
+    // Tile matrix sets on the map's grid, with how their zoom levels are named
+    const tileMatrixSets = Object.fromEntries(childElements(contents, 'TileMatrixSet').map(set => {
+        const identifier = childText(set, 'Identifier');
+        const firstMatrix = childText(childElement(set, 'TileMatrix'), 'Identifier');
+        return [identifier, {
+            webMercator: WEB_MERCATOR_CRS.test(childText(set, 'SupportedCRS')) || WEB_MERCATOR_CRS.test(identifier),
+            tileMatrix: `${firstMatrix.replace(/\d+$/, '')}{z}`
+        }];
+    }));
+
+    return childElements(contents, 'Layer').map(layer => {
+        const links = childElements(layer, 'TileMatrixSetLink').map(link => childText(link, 'TileMatrixSet'));
+        const tileMatrixSet = links.find(link => tileMatrixSets[link]?.webMercator) || null;
+        const styles = childElements(layer, 'Style');
+        const defaultStyle = styles.find(style => style.getAttribute('isDefault') === 'true') || styles[0];
+        const wgs84 = childElement(layer, 'WGS84BoundingBox');
+        const time = childElements(layer, 'Dimension').find(dimension => childText(dimension, 'Identifier').toLowerCase() === 'time');
+        const resource = childElements(layer, 'ResourceURL').find(url => url.getAttribute('resourceType') === 'tile');
+
+        return {
+            name: childText(layer, 'Identifier'),
+            title: childText(layer, 'Title'),
+            abstract: childText(layer, 'Abstract'),
+            styles: defaultStyle ? [childText(defaultStyle, 'Identifier')] : [],
+            formats: childElements(layer, 'Format').map(format => format.textContent.trim()),
+            queryable: childElements(layer, 'InfoFormat').length > 0,
+            infoFormats: childElements(layer, 'InfoFormat').map(format => format.textContent.trim()),
+            bbox: wgs84 ? [...childText(wgs84, 'LowerCorner').split(/\s+/), ...childText(wgs84, 'UpperCorner').split(/\s+/)].map(Number) : null,
+            time: time ? { default: childText(time, 'Default'), values: childElements(time, 'Value').map(value => value.textContent.trim()).join(',') } : null,
+            tileMatrixSet,
+            tileMatrix: tileMatrixSet ? tileMatrixSets[tileMatrixSet].tileMatrix : null,
+            resourceUrl: resource?.getAttribute('template') || null
+        };
+    });
+}
+
+/**
+ * Read a GetCapabilities document
+ * @param {Document} doc - Parsed with DOMParser
+ * @param {string} url - URL the document was loaded from
+ * @returns {{type: 'wms'|'wmts', title: string, version: string, url: string, formats: string[], infoFormats: string[], layers: Object[]}}
+ */
+export function parseCapabilities(doc, url) {
+    const root = doc.documentElement;
+    const baseUrl = url.split('?')[0];
+
+    if (root.localName === 'Capabilities') {
+        const operations = childElements(childElement(root, 'OperationsMetadata'), 'Operation');
+        const getTile = operations.find(operation => operation.getAttribute('name') === 'GetTile');
+        const kvpUrl = getHref(findPath(getTile, 'DCP', 'HTTP', 'Get'));
+        return {
+            type: 'wmts',
+            title: childText(childElement(root, 'ServiceIdentification'), 'Title'),
+            version: root.getAttribute('version') || '1.0.0',
+            url: kvpUrl ? kvpUrl.replace(/\?$/, '') : baseUrl,
+            kvp: Boolean(kvpUrl),
+            formats: [],
+            infoFormats: [],
+            layers: parseWmtsLayers(childElement(root, 'Contents'))
+        };
+    }
+
+    if (root.localName === 'WMS_Capabilities' || root.localName === 'WMT_MS_Capabilities') {
+        const capability = childElement(root, 'Capability');
+        const request = childElement(capability, 'Request');
+        const getMapUrl = getHref(findPath(request, 'GetMap', 'DCPType', 'HTTP', 'Get', 'OnlineResource'));
+        return {
+            type: 'wms',
+            title: childText(childElement(root, 'Service'), 'Title'),
+            version: root.getAttribute('version') || '1.1.1',
+            url: getMapUrl ? getMapUrl.replace(/[?&]$/, '') : baseUrl,
+            formats: childElements(childElement(request, 'GetMap'), 'Format').map(format => format.textContent.trim()),
+            infoFormats: childElements(childElement(request, 'GetFeatureInfo'), 'Format').map(format => format.textContent.trim()),
+            layers: childElements(capability, 'Layer').flatMap(layer => parseWmsLayers(layer))
+        };
+    }
+
+    const exception = doc.getElementsByTagName('*')[0]?.textContent.trim();
+    throw new Error(exception ? `Not a WMS or WMTS capabilities document: ${exception.slice(0, 200)}` : 'Not a WMS or WMTS capabilities document');
+}
+
+/**
+ * Load and read the capabilities of a service
+ * @param {string} url - Service URL
+ * @param {'wms'|'wmts'} type
+ * @returns {Promise<Object>} See parseCapabilities()
+ */
+export async function fetchCapabilities(url, type) {
+    const capabilitiesUrl = getCapabilitiesUrl(url, type);
+    const response = await fetch(capabilitiesUrl);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${capabilitiesUrl}`);
+    }
+    const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The capabilities document is not valid XML');
+    }
+    return parseCapabilities(doc, capabilitiesUrl);
+}
+
+const pickFormat = (formats, preferred) => preferred.find(format => formats.includes(format));
+
+/**
+ * Atlas layer config for a layer listed in the capabilities of a service
+ * @param {Object} capabilities - From parseCapabilities()
+ * @param {Object} layer - One of capabilities.layers
+ * @returns {Object}
+ */
+export function capabilitiesLayerToConfig(capabilities, layer) {
+    const formats = capabilities.type === 'wmts' ? layer.formats : capabilities.formats;
+    const infoFormats = capabilities.type === 'wmts' ? layer.infoFormats : capabilities.infoFormats;
+    const infoFormat = pickFormat(infoFormats, ['application/json', 'application/geo+json', 'text/plain']);
+    // WMTS services without key-value requests only have URL templates, which can't answer GetFeatureInfo
+    const useTemplate = capabilities.type === 'wmts' && !capabilities.kvp && layer.resourceUrl;
+
+    return {
+        id: `${capabilities.type}-${layer.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+        title: layer.title || layer.name,
+        ...(layer.abstract && { description: layer.abstract }),
+        type: capabilities.type,
+        url: useTemplate ? layer.resourceUrl : capabilities.url,
+        service: {
+            layers: layer.name,
+            styles: layer.styles[0] || (capabilities.type === 'wmts' ? 'default' : ''),
+            format: pickFormat(formats, ['image/png', 'image/png8', 'image/jpeg']) || formats[0] || 'image/png',
+            ...(capabilities.type === 'wms' && { version: capabilities.version === '1.3.0' ? '1.3.0' : '1.1.1' }),
+            ...(layer.tileMatrixSet && { tileMatrixSet: layer.tileMatrixSet, tileMatrix: layer.tileMatrix }),
+            ...(layer.time?.default && { time: layer.time.default }),
+            ...(infoFormat && infoFormat !== 'application/json' && { infoFormat })
+        },
+        ...(layer.attribution && { attribution: layer.attribution }),
+        initiallyChecked: false,
+        ...(layer.queryable && infoFormat && !useTemplate && { inspect: { title: layer.title || layer.name } })
+    };
+}
@@ -0,0 +1,309 @@
+/**
+ * PDF Writer
+ * Writes single page PDFs in the browser with vector lines and shapes, selectable text in the
+ * standard Helvetica fonts and JPEG images. Coordinates are in millimetres from the top left
+ * of the page, text is positioned by its baseline.
+ *
+ * The standard fonts only cover Latin-1 (WinAnsi), other characters are left out of the text.
+ */
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Advance widths of ASCII 32-126 in 1/1000 em, from the Adobe Helvetica font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsi has a code for
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+const REPLACEMENTS = { '≥': '>=', '≤': '<=', '→': '->' };
+
+/**
+ * Convert text to WinAnsi character codes, leaving out characters the standard fonts don't have
+ * @param {string} text
+ * @returns {string} One character per byte
+ */
+export function toWinAnsi(text) {
+    return Array.from(String(text ?? ''))
+        .map(character => REPLACEMENTS[character] ?? character)
+        .join('')
+        .split('')
+        .map(character => {
+            const code = character.charCodeAt(0);
+            if (WIN_ANSI_EXTRAS[character]) return String.fromCharCode(WIN_ANSI_EXTRAS[character]);
+            if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return character;
+            return '';
+        })
+        .join('')
+        .replace(/ {2,}/g, ' ');
+}
+
+/**
+ * Width of text in millimetres
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} bold
+ * @returns {number}
+ */
+export function measureText(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = Array.from(toWinAnsi(text)).reduce((sum, character) => {
+        const code = character.charCodeAt(0);
+        return sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH);
+    }, 0);
+    return units / 1000 * size / POINTS_PER_MM;
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text
+ * @param {number} maxWidth - Millimetres
+ * @param {number} size - Font size in points
+ * @param {boolean} bold
+ * @returns {string[]}
+ */
+export function wrapPdfText(text, maxWidth, size, bold = false) {
+    const lines = [];
+    let line = '';
+    toWinAnsi(text).split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measureText(candidate, size, bold) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+const escapeString = text => text.replace(/[\\()]/g, '\\$&');
+
+const format = value => Number(value.toFixed(3)).toString();
+
+/**
+ * Read #rgb, #rrggbb and rgb()/rgba() colors as PDF color components, grey for anything else
+ */
+function parseColor(color) {
+    const rgb = String(color).match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/);
+    if (rgb) {
+        return rgb.slice(1, 4).map(channel => format(Math.min(Number(channel), 255) / 255));
+    }
+    const hex = String(color).replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    const value = parseInt(full.slice(0, 6), 16);
+    if (!/^[0-9a-f]{6}/i.test(full) || Number.isNaN(value)) {
+        return [0.5, 0.5, 0.5];
+    }
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => format(channel / 255));
+}
+
+export class PDFDocument {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Page width in millimetres
+     * @param {number} options.height - Page height in millimetres
+     * @param {string} options.title - Document title
+     */
+    constructor({ width, height, title = '' }) {
+        this.width = width;
+        this.height = height;
+        this.title = title;
+        this.content = [];
+        this.images = [];
+    }
+
+    _x(x) {
+        return format(x * POINTS_PER_MM);
+    }
+
+    _y(y) {
+        return format((this.height - y) * POINTS_PER_MM);
+    }
+
+    /**
+     * Set the fill and stroke colors for the next shapes, as #rrggbb
+     */
+    setColors({ fill, stroke } = {}) {
+        if (fill) this.content.push(`${parseColor(fill).join(' ')} rg`);
+        if (stroke) this.content.push(`${parseColor(stroke).join(' ')} RG`);
+        return this;
+    }
+
+    /**
+     * @param {number} width - Line width in millimetres
+     * @param {number[]} dash - Dash pattern in millimetres, empty for solid lines
+     */
+    setLineStyle(width, dash = []) {
+        this.content.push(`${format(width * POINTS_PER_MM)} w [${dash.map(d => format(d * POINTS_PER_MM)).join(' ')}] 0 d`);
+        return this;
+    }
+
+    _paint({ fill = false, stroke = true }) {
+        return fill && stroke ? 'B' : fill ? 'f' : 'S';
+    }
+
+    rect(x, y, width, height, options = {}) {
+        this.content.push(`${this._x(x)} ${this._y(y + height)} ${format(width * POINTS_PER_MM)} ${format(height * POINTS_PER_MM)} re ${this._paint(options)}`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2) {
+        this.content.push(`${this._x(x1)} ${this._y(y1)} m ${this._x(x2)} ${this._y(y2)} l S`);
+        return this;
+    }
+
+    /**
+     * @param {Array<[number, number]>} points - Closed polygon
+     */
+    polygon(points, options = {}) {
+        const [first, ...rest] = points;
+        this.content.push([
+            `${this._x(first[0])} ${this._y(first[1])} m`,
+            ...rest.map(([x, y]) => `${this._x(x)} ${this._y(y)} l`),
+            `h ${this._paint(options)}`
+        ].join(' '));
+        return this;
+    }
+
+    circle(cx, cy, radius, options = {}) {
+        // Four Bézier curves, 0.5523 places the control points on the circle's tangents
+        const k = 0.5523 * radius;
+        const point = (x, y) => `${this._x(x)} ${this._y(y)}`;
+        this.content.push([
+            `${point(cx + radius, cy)} m`,
+            `${point(cx + radius, cy - k)} ${point(cx + k, cy - radius)} ${point(cx, cy - radius)} c`,
+            `${point(cx - k, cy - radius)} ${point(cx - radius, cy - k)} ${point(cx - radius, cy)} c`,
+            `${point(cx - radius, cy + k)} ${point(cx - k, cy + radius)} ${point(cx, cy + radius)} c`,
+            `${point(cx + k, cy + radius)} ${point(cx + radius, cy + k)} ${point(cx + radius, cy)} c`,
+            this._paint(options)
+        ].join(' '));
+        return this;
+    }
+
+    /**
+     * Write text
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y - Baseline
+     * @param {Object} options
+     * @param {number} options.size - Font size in points
+     * @param {boolean} options.bold
+     * @param {string} options.color - #rrggbb
+     * @param {string} options.align - 'left', 'center' or 'right'
+     * @param {boolean} options.vertical - Read from bottom to top
+     */
+    text(text, x, y, { size = 10, bold = false, color = '#000000', align = 'left', vertical = false } = {}) {
+        const encoded = toWinAnsi(text);
+        if (!encoded) return this;
+
+        const offset = align === 'center' ? measureText(encoded, size, bold) / 2 : align === 'right' ? measureText(encoded, size, bold) : 0;
+        const matrix = vertical ?
+            `0 1 -1 0 ${this._x(x)} ${this._y(y + offset)}` :
+            `1 0 0 1 ${this._x(x - offset)} ${this._y(y)}`;
+        this.content.push(`BT ${parseColor(color).join(' ')} rg /${bold ? 'F2' : 'F1'} ${format(size)} Tf ${matrix} Tm (${escapeString(encoded)}) Tj ET`);
+        return this;
+    }
+
+    /**
+     * Place a JPEG image
+     * @param {Uint8Array} jpeg - JPEG file bytes
+     * @param {number} pixelWidth
+     * @param {number} pixelHeight
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width - Millimetres
+     * @param {number} height - Millimetres
+     */
+    image(jpeg, pixelWidth, pixelHeight, x, y, width, height) {
+        this.images.push({ jpeg, pixelWidth, pixelHeight });
+        const name = `Im${this.images.length}`;
+        this.content.push(`q ${format(width * POINTS_PER_MM)} 0 0 ${format(height * POINTS_PER_MM)} ${this._x(x)} ${this._y(y + height)} cm /${name} Do Q`);
+        return this;
+    }
+
+    /**
+     * Run drawing calls clipped to a rectangle
+     */
+    clip(x, y, width, height, draw) {
+        this.content.push(`q ${this._x(x)} ${this._y(y + height)} ${format(width * POINTS_PER_MM)} ${format(height * POINTS_PER_MM)} re W n`);
+        draw();
+        this.content.push('Q');
+        return this;
+    }
+
+    /**
+     * @returns {Uint8Array} The PDF file
+     */
+    toBytes() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = (chunk) => {
+            const bytes = typeof chunk === 'string' ? Uint8Array.from(chunk, character => character.charCodeAt(0)) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const writeObject = (number, body, stream) => {
+            offsets[number] = length;
+            write(`${number} 0 obj\n${body}\n`);
+            if (stream) {
+                write('stream\n');
+                write(stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+        };
+
+        const firstImage = 7;
+        const imageRefs = this.images.map((image, index) => `/Im${index + 1} ${firstImage + index} 0 R`).join(' ');
+        const content = this.content.join('\n');
+
+        write('%PDF-1.4\n%âãÏÓ\n');
+        writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        writeObject(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+        writeObject(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${format(this.width * POINTS_PER_MM)} ${format(this.height * POINTS_PER_MM)}] ` +
+            `/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /XObject << ${imageRefs} >> >> /Contents 4 0 R >>`);
+        writeObject(4, `<< /Length ${content.length} >>`, content);
+        writeObject(5, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        writeObject(6, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        this.images.forEach(({ jpeg, pixelWidth, pixelHeight }, index) => {
+            writeObject(firstImage + index, `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+        });
+        const infoNumber = firstImage + this.images.length;
+        writeObject(infoNumber, `<< /Title (${escapeString(toWinAnsi(this.title))}) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+        const xrefOffset = length;
+        write(`xref\n0 ${infoNumber + 1}\n0000000000 65535 f \n`);
+        for (let number = 1; number <= infoNumber; number++) {
+            write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${infoNumber + 1} /Root 1 0 R /Info ${infoNumber} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const bytes = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        });
+        return bytes;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * PermalinkDialog Plugin
+ * "Create permalink" dialog for maintainers. Captures the current atlas, layers and map view
+ * with a title, description, category and published date, and shows the entry to paste into
+ * the `permalinks` object of config/permalinks.json. Run `npm run validate:permalinks` after
+ * committing it.
+ */
+import { permalinkHandler } from './permalink-handler.js';
+import {
+    PERMALINK_BASE_URL,
+    PERMALINK_ID_PATTERN,
+    DEFAULT_PERMALINK_CATEGORY,
+    slugifyPermalinkId,
+    buildPermalinkEntry
+} from './permalink-validation.mjs';
+
+export class PermalinkDialog {
+    constructor(options) {
+        this.triggerId = options.triggerId;
+        this.modalId = 'create-permalink-modal';
+        // The id follows the title until it is edited by hand
+        this.idEdited = false;
+
+        this._init();
+    }
+
+    _init() {
+        this._createModal();
+        this._attachEventListeners();
+    }
+
+    _createModal() {
+        const modalHTML = `
+            <sl-dialog id="${this.modalId}" label="Create permalink" class="create-permalink-modal">
+                <div class="create-permalink-form">
+                    <sl-input name="title" label="Title" required></sl-input>
+                    <sl-input name="id" label="Permalink id" help-text="Lowercase words separated by hyphens"></sl-input>
+                    <sl-textarea name="description" label="Description" rows="2"></sl-textarea>
+                    <sl-input name="category" label="Category" value="${DEFAULT_PERMALINK_CATEGORY}"></sl-input>
+                    <div class="create-permalink-row">
+                        <sl-input name="publishedDate" label="Published on" type="date"></sl-input>
+                        <sl-input name="publishedIn" label="Published in" placeholder="e.g. Fish Curry and Rice"></sl-input>
+                    </div>
+                    <div class="create-permalink-status" role="status"></div>
+                    <sl-textarea name="entry" label="permalinks.json entry" rows="10" readonly class="create-permalink-entry"></sl-textarea>
+                </div>
+                <sl-button slot="footer" variant="neutral" id="${this.modalId}-close">Close</sl-button>
+                <sl-button slot="footer" variant="primary" id="${this.modalId}-copy">Copy entry</sl-button>
+            </sl-dialog>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    _attachEventListeners() {
+        const trigger = document.getElementById(this.triggerId);
+        const modal = document.getElementById(this.modalId);
+
+        if (trigger) {
+            trigger.addEventListener('click', () => {
+                this._showModal();
+            });
+        }
+
+        document.getElementById(`${this.modalId}-close`).addEventListener('click', () => {
+            modal.hide();
+        });
+
+        document.getElementById(`${this.modalId}-copy`).addEventListener('click', () => {
+            this._copyEntry();
+        });
+
+        modal.addEventListener('sl-input', (event) => {
+            const name = event.target.getAttribute('name');
+            if (name === 'id') {
+                this.idEdited = event.target.value !== '';
+            }
+            if (name === 'title' && !this.idEdited) {
+                this._getField('id').value = slugifyPermalinkId(event.target.value);
+            }
+            this._updateEntry();
+        });
+    }
+
+    _getField(name) {
+        return document.querySelector(`#${this.modalId} [name="${name}"]`);
+    }
+
+    async _showModal() {
+        const modal = document.getElementById(this.modalId);
+
+        // The map as it is now, not as it was when the dialog was last opened
+        this.url = window.urlManager ? window.urlManager.getShareableURL() : window.location.href;
+        this.permalinks = await permalinkHandler.getAllPermalinks();
+
+        const dateField = this._getField('publishedDate');
+        if (!dateField.value) {
+            dateField.value = new Date().toISOString().slice(0, 10);
+        }
+
+        this._updateEntry();
+        modal.show();
+    }
+
+    /**
+     * Check the form and rebuild the entry
+     */
+    _updateEntry() {
+        const values = {};
+        ['id', 'title', 'description', 'category', 'publishedDate', 'publishedIn'].forEach(name => {
+            values[name] = this._getField(name).value || '';
+        });
+
+        const id = values.id.trim();
+        let problem = null;
+        if (!values.title.trim()) {
+            problem = 'Add a title';
+        } else if (!PERMALINK_ID_PATTERN.test(id)) {
+            problem = 'The id can only have lowercase letters, numbers and single hyphens';
+        } else if (this.permalinks?.[id]) {
+            problem = `'${id}' is already used by "${this.permalinks[id].title || this.permalinks[id].alias_for}", choose another id`;
+        }
+
+        const status = document.querySelector(`#${this.modalId} .create-permalink-status`);
+        const entryField = this._getField('entry');
+        status.classList.toggle('is-invalid', Boolean(problem));
+
+        if (problem) {
+            status.textContent = problem;
+            entryField.value = '';
+            this.entryText = null;
+            return;
+        }
+
+        const entry = buildPermalinkEntry({ ...values, url: this.url });
+        // Indented to paste straight into the `permalinks` object
+        this.entryText = `"${id}": ${JSON.stringify(entry, null, 2)}`.replace(/\n/g, '\n    ');
+        entryField.value = this.entryText;
+        status.textContent = `Opens as ${PERMALINK_BASE_URL}?map=${id}`;
+    }
+
+    async _copyEntry() {
+        if (!this.entryText) {
+            return;
+        }
+
+        const status = document.querySelector(`#${this.modalId} .create-permalink-status`);
+        try {
+            await navigator.clipboard.writeText(`    ${this.entryText},`);
+            status.textContent = 'Entry copied. Paste it into config/permalinks.json and run npm run validate:permalinks';
+        } catch (error) {
+            console.error('❌ Failed to copy permalink entry:', error);
+            status.textContent = 'Could not copy, select the entry and copy it instead';
+        }
+    }
+}
@@ -3,6 +3,8 @@
  * Handles resolution of permalink shortcuts to full URLs
  */
 
+import { resolvePermalinkAlias } from './permalink-validation.mjs';
+
 class PermalinkHandler {
     constructor() {
         this.permalinks = null;
@@ -36,12 +38,13 @@ class PermalinkHandler {
             return null;
         }
 
-        const permalink = this.permalinks[permalinkId];
-        
         // Handle aliases
-        if (permalink.alias_for) {
-            return this.resolvePermalink(permalink.alias_for);
+        const { id, error } = resolvePermalinkAlias(this.permalinks, permalinkId);
+        if (error) {
+            console.error(`❌ Failed to resolve permalink '${permalinkId}': ${error}`);
+            return null;
         }
+        const permalink = this.permalinks[id];
 
         // Parse the full URL to extract parameters
         try {
@@ -111,7 +114,8 @@ class PermalinkHandler {
         
         let newUrl = baseUrl;
         if (params.toString()) {
-            newUrl += '?' + params.toString();
+            // Keep lists like atlas=bombay,mumbai readable
+            newUrl += '?' + params.toString().replace(/%2C/gi, ',');
         }
         
         // Add hash - prefer original hash over permalink hash
@@ -0,0 +1,249 @@
+/**
+ * Permalink Validation
+ * Builds and checks entries of config/permalinks.json. Shared by the "Create permalink"
+ * dialog in the browser and the `npm run validate:permalinks` command in Node, so this
+ * module must not import anything.
+ */
+
+export const PERMALINK_BASE_URL = 'https://amche.in/';
+export const PERMALINK_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const DEFAULT_PERMALINK_CATEGORY = 'general';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parameters a permalink restores, see PermalinkHandler.resolvePermalink()
+const PERMALINK_URL_PARAMS = ['atlas', 'layers'];
+
+/**
+ * Turn a title into a permalink id, e.g. "Quitla Village Map (1970)" -> "quitla-village-map-1970"
+ * @param {string} title
+ * @returns {string}
+ */
+export function slugifyPermalinkId(title) {
+    return String(title || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Split a `layers` parameter into items, keeping commas inside inline layer JSON
+ * @param {string|null} layersParam
+ * @returns {string[]}
+ */
+export function splitLayersParam(layersParam) {
+    const items = [];
+    let current = '';
+    let depth = 0;
+    let inQuotes = false;
+
+    for (let i = 0; i < (layersParam || '').length; i++) {
+        const char = layersParam[i];
+        if (char === '\\' && inQuotes) {
+            current += char + (layersParam[++i] ?? '');
+            continue;
+        }
+        if (char === '"') inQuotes = !inQuotes;
+        if (!inQuotes && char === '{') depth++;
+        if (!inQuotes && char === '}') depth--;
+
+        if (char === ',' && depth === 0 && !inQuotes) {
+            if (current.trim()) items.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) items.push(current.trim());
+    return items;
+}
+
+/**
+ * Build a permalinks.json entry for the current map
+ * @param {Object} details
+ * @param {string} details.url - Shareable URL of the map, any origin
+ * @param {string} details.title
+ * @param {string} details.description
+ * @param {string} details.category
+ * @param {string} details.publishedDate - YYYY-MM-DD
+ * @param {string} details.publishedIn - Where it was published, e.g. a newsletter name
+ * @returns {Object} Entry with the atlas, layers and map view of the URL on PERMALINK_BASE_URL
+ */
+export function buildPermalinkEntry({ url, title, description, category, publishedDate, publishedIn }) {
+    const source = new URL(url);
+    // Written unencoded like the app's own URLs, so the entry stays readable
+    const query = PERMALINK_URL_PARAMS
+        .filter(key => source.searchParams.get(key))
+        .map(key => `${key}=${source.searchParams.get(key)}`)
+        .join('&');
+    const entry = {
+        url: `${PERMALINK_BASE_URL}${query ? `?${query}` : ''}${source.hash}`,
+        title: title.trim()
+    };
+    if (description?.trim()) entry.description = description.trim();
+    if (category?.trim() && category.trim() !== DEFAULT_PERMALINK_CATEGORY) entry.category = category.trim();
+    if (publishedDate) entry.published = { [publishedDate]: publishedIn?.trim() || '' };
+    return entry;
+}
+
+/**
+ * Follow `alias_for` from a permalink to the permalink with a URL
+ * @param {Object} permalinks - The `permalinks` object of permalinks.json
+ * @param {string} id - Permalink id
+ * @returns {{id: string|null, error: string|null}} Final id, or the reason the chain does not end
+ */
+export function resolvePermalinkAlias(permalinks, id) {
+    const chain = [id];
+    let current = id;
+    while (permalinks[current]?.alias_for) {
+        current = permalinks[current].alias_for;
+        if (chain.includes(current)) {
+            return { id: null, error: `alias cycle ${[...chain, current].join(' -> ')}` };
+        }
+        chain.push(current);
+    }
+    if (!permalinks[current]) {
+        return { id: null, error: `alias for unknown permalink '${current}'` };
+    }
+    return { id: current, error: null };
+}
+
+/**
+ * Find permalink ids that appear more than once in the raw file, which JSON.parse would silently merge
+ * @param {string} text - Raw permalinks.json content
+ * @param {string[]} ids - Parsed permalink ids
+ * @returns {string[]}
+ */
+export function findDuplicatePermalinkIds(text, ids) {
+    return ids.filter(id => {
+        const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return (text.match(new RegExp(`"${escaped}"\\s*:\\s*\\{`, 'g')) || []).length > 1;
+    });
+}
+
+/**
+ * Check the layers and atlases a permalink URL opens
+ */
+function validatePermalinkUrl(permalinkId, url, { atlases, layerIds }) {
+    const problems = [];
+    let params;
+    try {
+        params = new URL(url).searchParams;
+    } catch (error) {
+        return [`${permalinkId}: invalid url '${url}'`];
+    }
+
+    if (params.has('s')) {
+        return [`${permalinkId}: use the plain ?atlas= and ?layers= url, not the short ?s= link`];
+    }
+
+    // Inline atlas JSON can't be checked here
+    const atlas = params.get('atlas') || 'index';
+    if (atlas.startsWith('{')) {
+        return problems;
+    }
+
+    const atlasLayerIds = new Set();
+    const namespaces = new Set();
+    let hasRemoteAtlas = false;
+    let hasPlainLibrary = false;
+    const collectAtlas = (name, visited = []) => {
+        // Remote atlases can't be checked here
+        if (/^https?:\/\//.test(name)) {
+            hasRemoteAtlas = true;
+            return;
+        }
+        const config = atlases.get(name);
+        if (!config) {
+            problems.push(`${permalinkId}: unknown atlas '${name}'${visited.length ? ` extended by '${visited.at(-1)}'` : ''}`);
+            return;
+        }
+        (config.layers || []).forEach(layer => atlasLayerIds.add(layer.id));
+        // Extra preset libraries are remote, only their namespaces are known
+        (config.presetLibraries || []).forEach(library => {
+            if (library?.namespace) namespaces.add(library.namespace);
+            else hasPlainLibrary = true;
+        });
+        if (config.extends && !visited.includes(config.extends)) {
+            collectAtlas(config.extends, [...visited, name]);
+        }
+    };
+    atlas.split(',').map(name => name.trim()).filter(Boolean).forEach(name => collectAtlas(name));
+
+    const isKnownId = (id) => hasRemoteAtlas || layerIds.has(id) || atlasLayerIds.has(id) ||
+        (id.includes(':') ? namespaces.has(id.slice(0, id.indexOf(':'))) : hasPlainLibrary);
+
+    splitLayersParam(params.get('layers')).forEach(item => {
+        let id = item;
+        if (item.startsWith('{')) {
+            let layer;
+            try {
+                layer = JSON.parse(item);
+            } catch (error) {
+                problems.push(`${permalinkId}: invalid layer JSON ${item}`);
+                return;
+            }
+            // Custom layers define themselves
+            if (layer.type) return;
+            id = layer.id;
+        }
+        if (!id || !isKnownId(id)) {
+            problems.push(`${permalinkId}: unknown layer id '${id}'`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Validate permalinks.json
+ * @param {Object} data - Parsed permalinks.json
+ * @param {Object} context
+ * @param {Map<string, Object>} context.atlases - Atlas configs by name, e.g. 'index', 'examples/maphub'
+ * @param {Set<string>} context.layerIds - Preset ids and their aliases
+ * @param {string} context.text - Raw file content, to find duplicate ids
+ * @returns {string[]} Problems, empty if the file is valid
+ */
+export function validatePermalinks(data, { atlases, layerIds, text = '' }) {
+    if (!data || typeof data.permalinks !== 'object' || Array.isArray(data.permalinks)) {
+        return ['permalinks.json must have a "permalinks" object'];
+    }
+
+    const { permalinks } = data;
+    const ids = Object.keys(permalinks);
+    const problems = findDuplicatePermalinkIds(text, ids).map(id => `${id}: id is used more than once`);
+
+    // ?map= ids are typed by hand, so ids differing only in case are confusing
+    const lowerCaseIds = ids.map(id => id.toLowerCase());
+    ids.filter((id, index) => lowerCaseIds.indexOf(id.toLowerCase()) !== index)
+        .forEach(id => problems.push(`${id}: id differs from another id only in case`));
+
+    ids.forEach(id => {
+        const permalink = permalinks[id];
+        if (!PERMALINK_ID_PATTERN.test(id)) {
+            problems.push(`${id}: id must be lowercase words separated by hyphens`);
+        }
+
+        if (permalink.alias_for) {
+            const { error } = resolvePermalinkAlias(permalinks, id);
+            if (error) problems.push(`${id}: ${error}`);
+            return;
+        }
+
+        if (!permalink.url) {
+            problems.push(`${id}: missing url`);
+        } else {
+            problems.push(...validatePermalinkUrl(id, permalink.url, { atlases, layerIds }));
+        }
+        if (!permalink.title) {
+            problems.push(`${id}: missing title`);
+        }
+        Object.keys(permalink.published || {})
+            .filter(date => !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date)))
+            .forEach(date => problems.push(`${id}: published date '${date}' must be YYYY-MM-DD`));
+    });
+
+    return problems;
+}
@@ -0,0 +1,179 @@
+/**
+ * PMTiles Source
+ * Reads tiles from PMTiles archives, single files hosted anywhere that answers HTTP range requests
+ * such as GitHub Pages. A `vector` or `tms` layer whose URL ends in .pmtiles, or starts with the
+ * `pmtiles://` protocol, reads its tiles from the archive:
+ *
+ *   { "id": "goa-buildings", "type": "vector", "url": "pmtiles://https://example.github.io/data/goa-buildings.pmtiles" }
+ *
+ * A `pmtiles` layer becomes a `vector` or `tms` layer from the tile type of the archive. The archive
+ * header and metadata fill in `sourceLayer`, `maxzoom`, `bbox` and `attribution` when not given.
+ */
+
+const PMTILES_URL = 'https://cdn.jsdelivr.net/npm/pmtiles@4.5.0/+esm';
+const MAPBOX_PMTILES_URL = 'https://cdn.jsdelivr.net/npm/mapbox-pmtiles@1.0.56/+esm';
+
+export const PMTILES_PROTOCOL = 'pmtiles://';
+
+// Tile types of the archive header, as TileJSON formats
+const TILE_FORMATS = { 1: 'pbf', 2: 'png', 3: 'jpg', 4: 'webp', 5: 'avif' };
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', webp: 'image/webp', avif: 'image/avif' };
+const RASTER_TILE_SIZE = 256;
+
+let librariesPromise = null;
+const archives = new Map(); // archive URL -> Promise<{archive, tileJSON}>
+
+/**
+ * Whether a URL points at a PMTiles archive
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isPMTilesUrl(url) {
+    return typeof url === 'string' && (url.startsWith(PMTILES_PROTOCOL) || /\.pmtiles($|\?)/i.test(url));
+}
+
+/**
+ * HTTP URL of an archive, without the `pmtiles://` protocol
+ * @param {string} url
+ * @returns {string}
+ */
+export function getPMTilesArchiveUrl(url) {
+    return url.startsWith(PMTILES_PROTOCOL) ? url.slice(PMTILES_PROTOCOL.length) : url;
+}
+
+/**
+ * Whether a layer reads its tiles from a PMTiles archive
+ * @param {Object} layer - Layer config
+ * @returns {boolean}
+ */
+export function isPMTilesLayer(layer) {
+    return layer?.type === 'pmtiles' || (['vector', 'tms'].includes(layer?.type) && isPMTilesUrl(layer.url));
+}
+
+/**
+ * TileJSON describing an archive, from its header and metadata
+ * @param {Object} header - Archive header
+ * @param {Object} [metadata] - Archive metadata
+ * @param {string} url - Archive URL
+ * @returns {Object}
+ */
+export function getPMTilesTileJSON(header, metadata = {}, url) {
+    return {
+        tilejson: '3.0.0',
+        tiles: [url],
+        ...(metadata.name && { name: metadata.name }),
+        ...(metadata.description && { description: metadata.description }),
+        ...(metadata.attribution && { attribution: metadata.attribution }),
+        ...(metadata.version && { version: metadata.version }),
+        format: TILE_FORMATS[header.tileType] || 'unknown',
+        minzoom: header.minZoom,
+        maxzoom: header.maxZoom,
+        bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+        center: [header.centerLon, header.centerLat, header.centerZoom],
+        ...(metadata.vector_layers && { vector_layers: metadata.vector_layers })
+    };
+}
+
+/**
+ * Layer config fields the archive fills in, leaving those the layer already has
+ * @param {Object} layer - Layer config
+ * @param {Object} tileJSON - From getPMTilesTileJSON()
+ * @returns {Object} Fields to assign to the layer
+ */
+export function getPMTilesLayerDefaults(layer, tileJSON) {
+    const isVector = tileJSON.format === 'pbf';
+    const defaults = {};
+
+    if (layer.type === 'pmtiles') {
+        defaults.type = isVector ? 'vector' : 'tms';
+    }
+    if (isVector && !layer.sourceLayer && tileJSON.vector_layers?.length) {
+        defaults.sourceLayer = tileJSON.vector_layers[0].id;
+    }
+    if (layer.maxzoom === undefined && Number.isFinite(tileJSON.maxzoom)) {
+        defaults.maxzoom = tileJSON.maxzoom;
+    }
+    if (!layer.bbox && tileJSON.bounds.every(Number.isFinite)) {
+        defaults.bbox = tileJSON.bounds;
+    }
+    if (!layer.attribution && tileJSON.attribution) {
+        defaults.attribution = tileJSON.attribution;
+    }
+    return defaults;
+}
+
+// Load the PMTiles reader and register the Mapbox source type for vector archives, once
+function loadLibraries() {
+    if (!librariesPromise) {
+        librariesPromise = Promise.all([import(PMTILES_URL), import(MAPBOX_PMTILES_URL)])
+            .then(([pmtiles, mapboxPmtiles]) => {
+                const { PmTilesSource } = mapboxPmtiles;
+                mapboxgl.Style.setSourceType(PmTilesSource.SOURCE_TYPE, PmTilesSource);
+                return { PMTiles: pmtiles.PMTiles, vectorSourceType: PmTilesSource.SOURCE_TYPE };
+            })
+            .catch(error => {
+                librariesPromise = null;
+                throw error;
+            });
+    }
+    return librariesPromise;
+}
+
+/**
+ * Open an archive, reading its header and metadata with range requests. Archives are opened once.
+ * @param {string} url - Archive URL, with or without the `pmtiles://` protocol
+ * @returns {Promise<{archive: Object, tileJSON: Object, vectorSourceType: string}>}
+ */
+export function openPMTiles(url) {
+    const archiveUrl = getPMTilesArchiveUrl(url);
+    if (!archives.has(archiveUrl)) {
+        archives.set(archiveUrl, (async () => {
+            const { PMTiles, vectorSourceType } = await loadLibraries();
+            const archive = new PMTiles(archiveUrl);
+            const [header, metadata] = await Promise.all([archive.getHeader(), archive.getMetadata()]);
+            return { archive, tileJSON: getPMTilesTileJSON(header, metadata, archiveUrl), vectorSourceType };
+        })().catch(error => {
+            archives.delete(archiveUrl);
+            throw error;
+        }));
+    }
+    return archives.get(archiveUrl);
+}
+
+/**
+ * Mapbox source for an opened archive. Vector archives use the source type of mapbox-pmtiles,
+ * raster archives a custom source that decodes the images of the archive.
+ * @param {Object} layer - Layer config
+ * @param {{archive: Object, tileJSON: Object, vectorSourceType: string}} opened - From openPMTiles()
+ * @returns {Object} Source specification
+ */
+export function getPMTilesSource(layer, { archive, tileJSON, vectorSourceType }) {
+    const zoomRange = {
+        minzoom: tileJSON.minzoom || 0,
+        maxzoom: tileJSON.maxzoom ?? 22,
+        ...(tileJSON.bounds.every(Number.isFinite) && { bounds: tileJSON.bounds })
+    };
+
+    if (tileJSON.format === 'pbf') {
+        return {
+            type: vectorSourceType,
+            url: getPMTilesArchiveUrl(layer.url),
+            ...zoomRange,
+            ...(layer.inspect?.id && { promoteId: { [layer.sourceLayer]: layer.inspect.id } })
+        };
+    }
+
+    const imageType = IMAGE_TYPES[tileJSON.format] || 'image/png';
+    return {
+        type: 'custom',
+        dataType: 'raster',
+        tileSize: RASTER_TILE_SIZE,
+        ...zoomRange,
+        async loadTile({ z, x, y }, { signal } = {}) {
+            const tile = await archive.getZxy(z, x, y, signal);
+            // Tiles missing from the archive are left empty
+            if (!tile?.data) return undefined;
+            return createImageBitmap(new Blob([tile.data], { type: imageType }));
+        }
+    };
+}
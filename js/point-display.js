@@ -0,0 +1,163 @@
+/**
+ * Point Display
+ * Display modes for the points of csv, markers and geojson layers. A layer shows each point as a
+ * circle by default. The `display` option clusters dense points or draws them as a heatmap:
+ *
+ *   { "id": "survey", "type": "csv", "url": "...", "display": "cluster" }
+ *   { "id": "survey", "type": "csv", "url": "...", "display": { "mode": "heatmap", "weight": "count" } }
+ *
+ * Clusters accept `radius`, `maxzoom`, `properties` (Mapbox clusterProperties aggregating point
+ * properties) and `label` (cluster property shown instead of the point count). Heatmaps accept
+ * `radius`, `intensity`, `maxzoom`, `weight` (point property weighting each point), `maxWeight`
+ * and `colors` (ramp from low to high density).
+ */
+
+import { escapeHtml } from './html-sanitizer.js';
+
+export const DISPLAY_MODES = ['points', 'cluster', 'heatmap'];
+
+const CLUSTER_DEFAULTS = { radius: 50, maxzoom: 14 };
+const HEATMAP_DEFAULTS = {
+    radius: 20,
+    intensity: 1,
+    maxzoom: 15,
+    maxWeight: 1,
+    colors: ['rgba(33,102,172,0)', '#67a9cf', '#d1e5f0', '#fddbc7', '#ef8a62', '#b2182b']
+};
+
+/**
+ * Display mode of a layer with its defaults filled in
+ * @param {Object} layer - Layer config
+ * @returns {Object} Display options with `mode` one of DISPLAY_MODES
+ */
+export function getPointDisplay(layer) {
+    const display = typeof layer?.display === 'string' ? { mode: layer.display } : (layer?.display || {});
+
+    if (display.mode === 'cluster') {
+        return { ...CLUSTER_DEFAULTS, ...display };
+    }
+    if (display.mode === 'heatmap') {
+        return { ...HEATMAP_DEFAULTS, ...display };
+    }
+    return { mode: 'points' };
+}
+
+/**
+ * GeoJSON source options for a display mode
+ * @param {Object} display - From getPointDisplay()
+ * @returns {Object} Options to spread into the source specification
+ */
+export function getPointSourceOptions(display) {
+    if (display.mode !== 'cluster') return {};
+    return {
+        cluster: true,
+        clusterRadius: display.radius,
+        clusterMaxZoom: display.maxzoom,
+        ...(display.properties && { clusterProperties: display.properties })
+    };
+}
+
+/**
+ * IDs of the layers drawing the points of a source, in drawing order
+ * @param {string} sourceId - GeoJSON source ID
+ * @param {string} pointLayerId - ID of the circle layer for single points
+ * @param {Object} display - From getPointDisplay()
+ * @returns {string[]}
+ */
+export function getPointLayerIds(sourceId, pointLayerId, display) {
+    if (display.mode === 'cluster') {
+        return [`${sourceId}-clusters`, `${sourceId}-cluster-count`, pointLayerId];
+    }
+    if (display.mode === 'heatmap') {
+        return [`${sourceId}-heatmap`, pointLayerId];
+    }
+    return [pointLayerId];
+}
+
+/**
+ * Layers drawing the clusters of a source, sized by point count
+ * @param {string} sourceId - Clustered GeoJSON source ID
+ * @param {Object} display - From getPointDisplay()
+ * @param {*} [color] - Circle color of the single points
+ * @returns {Object[]} Cluster circle and count label layers
+ */
+export function getClusterLayers(sourceId, display, color = '#51bbd6') {
+    return [
+        {
+            id: `${sourceId}-clusters`,
+            type: 'circle',
+            source: sourceId,
+            filter: ['has', 'point_count'],
+            paint: {
+                'circle-color': typeof color === 'string' ? color : '#51bbd6',
+                'circle-opacity': 0.75,
+                'circle-radius': ['step', ['get', 'point_count'], 14, 10, 18, 100, 24, 1000, 30],
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#ffffff'
+            }
+        },
+        {
+            id: `${sourceId}-cluster-count`,
+            type: 'symbol',
+            source: sourceId,
+            filter: ['has', 'point_count'],
+            layout: {
+                'text-field': display.label
+                    ? ['to-string', ['get', display.label]]
+                    : ['get', 'point_count_abbreviated'],
+                'text-font': ['Open Sans Bold'],
+                'text-size': 12,
+                'text-allow-overlap': true
+            },
+            paint: {
+                'text-color': '#ffffff',
+                'text-halo-color': 'rgba(0,0,0,0.4)',
+                'text-halo-width': 1
+            }
+        }
+    ];
+}
+
+/**
+ * Heatmap layer of a source. It fades out over the last zoom level before `maxzoom`, where the
+ * single points take over.
+ * @param {string} sourceId - GeoJSON source ID
+ * @param {Object} display - From getPointDisplay()
+ * @returns {Object} Heatmap layer
+ */
+export function getHeatmapLayer(sourceId, display) {
+    const step = 1 / (display.colors.length - 1);
+    const colorRamp = ['interpolate', ['linear'], ['heatmap-density']];
+    display.colors.forEach((color, i) => colorRamp.push(i * step, color));
+
+    return {
+        id: `${sourceId}-heatmap`,
+        type: 'heatmap',
+        source: sourceId,
+        maxzoom: display.maxzoom,
+        paint: {
+            'heatmap-weight': display.weight
+                ? ['interpolate', ['linear'], ['to-number', ['get', display.weight], 0], 0, 0, display.maxWeight, 1]
+                : 1,
+            'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, display.intensity, display.maxzoom, display.intensity * 3],
+            'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 0, Math.max(1, display.radius / 5), display.maxzoom, display.radius],
+            'heatmap-color': colorRamp,
+            'heatmap-opacity': ['interpolate', ['linear'], ['zoom'], display.maxzoom - 1, 0.8, display.maxzoom, 0]
+        }
+    };
+}
+
+/**
+ * Legend for the heatmap intensity, a gradient of the color ramp from fewer to more points
+ * @param {Object} display - From getPointDisplay()
+ * @returns {string} Legend HTML
+ */
+export function getHeatmapLegend(display) {
+    const gradient = display.colors.map(escapeHtml).join(', ');
+    const title = display.weight ? `Density weighted by ${escapeHtml(display.weight)}` : 'Point density';
+    return `<div class="heatmap-legend">
+        <div class="text-xs mb-1">${title}</div>
+        <div style="height: 10px; border-radius: 2px; background: linear-gradient(to right, ${gradient});"></div>
+        <div class="flex justify-between text-xs mt-1"><span>Fewer</span><span>More</span></div>
+    </div>`;
+}
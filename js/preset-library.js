@@ -0,0 +1,195 @@
+/**
+ * Preset Library
+ * Loads the built-in layer presets (config/_map-layer-presets.json) together with any
+ * extra libraries an atlas lists in `presetLibraries`. Layers from a library with a
+ * namespace can be addressed as `<namespace>:<id>`, e.g. `dfes:fire-stations`.
+ * Plain ids are looked up in every library, built-in presets first.
+ * A preset that was renamed lists its former ids in `aliases` so old links keep working.
+ */
+
+import { migratePresetLibrary } from './config-migrations.mjs';
+import { sanitizeConfig } from './html-sanitizer.js';
+
+export const DEFAULT_PRESET_LIBRARY = 'config/_map-layer-presets.json';
+
+const NAMESPACE_SEPARATOR = ':';
+
+// Library requests shared by every atlas that uses them, keyed by URL
+const libraryCache = new Map();
+
+/**
+ * Fetch a preset library, reusing earlier requests for the same URL
+ * @param {string} url - URL of the library JSON
+ * @returns {Promise<Object>} Parsed library with a `layers` array
+ */
+export function fetchPresetLibrary(url) {
+    if (!libraryCache.has(url)) {
+        const request = fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        });
+        // Forget failed requests so they are retried on the next load
+        request.catch(() => libraryCache.delete(url));
+        libraryCache.set(url, request);
+    }
+    return libraryCache.get(url);
+}
+
+/**
+ * Load the built-in presets and an atlas's extra preset libraries in parallel
+ * @param {Array<string|Object>} presetLibraries - Library URLs or `{ "namespace", "url" }` entries
+ * @param {Object} options
+ * @param {Function} options.fetchLibrary - Loader for library JSON, defaults to fetchPresetLibrary
+ * @returns {Promise<PresetLibrary>}
+ */
+export async function loadPresetLibraries(presetLibraries = [], { fetchLibrary = fetchPresetLibrary } = {}) {
+    const entries = [
+        { url: DEFAULT_PRESET_LIBRARY, namespace: null },
+        ...presetLibraries.map(entry => typeof entry === 'string' ?
+            { url: entry, namespace: null } :
+            { url: entry.url, namespace: entry.namespace || null })
+    ];
+
+    const results = await Promise.allSettled(entries.map(entry => fetchLibrary(entry.url)));
+
+    const libraries = [];
+    results.forEach((result, index) => {
+        const { url, namespace } = entries[index];
+        if (result.status === 'rejected') {
+            console.warn(`⚠️ Could not load preset library ${url}:`, result.reason);
+            return;
+        }
+        let data = result.value || {};
+        // Libraries kept outside this repo may still use deprecated layer properties
+        if (url !== DEFAULT_PRESET_LIBRARY) {
+            const migration = migratePresetLibrary(data);
+            migration.warnings.forEach(warning => console.warn(`⚠️ [Config] ${url}: ${warning}`));
+            data = migration.library;
+        }
+        data = sanitizeConfig(data);
+        libraries.push({
+            url,
+            namespace: namespace || data.namespace || null,
+            name: data.name || namespace || data.namespace || null,
+            layers: Array.isArray(data.layers) ? data.layers : []
+        });
+    });
+
+    return new PresetLibrary(libraries);
+}
+
+export class PresetLibrary {
+    /**
+     * @param {Array<Object>} libraries - Loaded libraries `{ url, namespace, name, layers }` in lookup order
+     */
+    constructor(libraries) {
+        this.libraries = libraries;
+        this.collisions = this._findCollisions();
+
+        this.collisions.forEach(({ id, sources }) => {
+            console.warn(`⚠️ Preset id '${id}' is defined in several libraries (${sources.join(', ')}), using the one from ${sources[0]}`);
+        });
+    }
+
+    /**
+     * Find a preset layer by plain or namespaced id
+     * @param {string} id - Layer id such as `forests` or `dfes:fire-stations`
+     * @returns {Object|null} Preset layer definition
+     */
+    find(id) {
+        const separatorIndex = id.indexOf(NAMESPACE_SEPARATOR);
+        if (separatorIndex > 0) {
+            const namespace = id.slice(0, separatorIndex);
+            const library = this.libraries.find(lib => lib.namespace === namespace);
+            if (library) {
+                const layerId = id.slice(separatorIndex + 1);
+                return library.layers.find(layer => layer.id === layerId) || null;
+            }
+        }
+
+        for (const library of this.libraries) {
+            const layer = library.layers.find(layer => layer.id === id);
+            if (layer) {
+                return layer;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the current id of a preset that was renamed
+     * @param {string} id - Former layer id listed in a preset's `aliases`, plain or namespaced
+     * @returns {string|null} Current qualified id, or null if the id is in use or no preset has this alias
+     */
+    resolveAlias(id) {
+        if (this.find(id)) {
+            return null;
+        }
+
+        let libraries = this.libraries;
+        let aliasId = id;
+        const separatorIndex = id.indexOf(NAMESPACE_SEPARATOR);
+        if (separatorIndex > 0) {
+            const namespace = id.slice(0, separatorIndex);
+            const library = this.libraries.find(lib => lib.namespace === namespace);
+            if (library) {
+                libraries = [library];
+                aliasId = id.slice(separatorIndex + 1);
+            }
+        }
+
+        for (const library of libraries) {
+            const layer = library.layers.find(layer => Array.isArray(layer.aliases) && layer.aliases.includes(aliasId));
+            if (layer) {
+                return this.getQualifiedId(library, layer);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the id a layer is addressed by, including the library namespace
+     * @param {Object} library - Library the layer belongs to
+     * @param {Object} layer - Preset layer
+     * @returns {string}
+     */
+    getQualifiedId(library, layer) {
+        return library.namespace ? `${library.namespace}${NAMESPACE_SEPARATOR}${layer.id}` : layer.id;
+    }
+
+    /**
+     * All preset layers with their qualified ids
+     * @returns {Array<Object>}
+     */
+    get layers() {
+        return this.libraries.flatMap(library =>
+            library.layers.map(layer => ({ ...layer, id: this.getQualifiedId(library, layer) }))
+        );
+    }
+
+    /**
+     * Find plain ids and namespaces that are defined by more than one library
+     * @returns {Array<{id: string, sources: string[]}>}
+     */
+    _findCollisions() {
+        const sourcesById = new Map();
+        const addSource = (key, source) => {
+            if (!sourcesById.has(key)) sourcesById.set(key, []);
+            sourcesById.get(key).push(source);
+        };
+
+        this.libraries.forEach(library => {
+            const source = library.namespace || library.url;
+            if (library.namespace) {
+                addSource(`${library.namespace}${NAMESPACE_SEPARATOR}*`, library.url);
+            }
+            new Set(library.layers.map(layer => layer.id)).forEach(id => addSource(id, source));
+        });
+
+        return [...sourcesById.entries()]
+            .filter(([, sources]) => sources.length > 1)
+            .map(([id, sources]) => ({ id, sources }));
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * PrintDialog Plugin
+ * "Print layout" dialog. Prints the map around its current center on A4 or A3 paper at a
+ * chosen scale, as a PDF with a title block, legend, coordinate grid and source attributions.
+ */
+import { ExportDialog } from './export-dialog.js';
+import { PAPER_SIZES, PRINT_SCALES, getPrintLayout, formatScale, createPrintPDF } from './print-layout.js';
+
+const RESOLUTIONS = [
+    { value: '150', label: '150 DPI' },
+    { value: '200', label: '200 DPI' },
+    { value: '300', label: '300 DPI' }
+];
+
+export class PrintDialog extends ExportDialog {
+    constructor(options) {
+        super({
+            ...options,
+            modalId: 'print-layout-modal',
+            label: 'Print layout',
+            exportLabel: 'Export PDF',
+            failureMessage: 'Could not create the PDF'
+        });
+    }
+
+    _getFormHTML() {
+        return `
+            <sl-input name="title" label="Title" help-text="Printed in the title block"></sl-input>
+            <div class="export-dialog-row">
+                <sl-select name="paper" label="Paper" value="A4">
+                    ${Object.keys(PAPER_SIZES).map(paper => `<sl-option value="${paper}">${paper}</sl-option>`).join('')}
+                </sl-select>
+                <sl-select name="orientation" label="Orientation" value="portrait">
+                    <sl-option value="portrait">Portrait</sl-option>
+                    <sl-option value="landscape">Landscape</sl-option>
+                </sl-select>
+            </div>
+            <div class="export-dialog-row">
+                <sl-select name="scale" label="Scale" value="5000">
+                    ${PRINT_SCALES.map(scale => `<sl-option value="${scale}">${formatScale(scale)}</sl-option>`).join('')}
+                    <sl-option value="custom">Other</sl-option>
+                </sl-select>
+                <sl-input name="customScale" label="1 :" type="number" min="100" max="1000000" value="5000" disabled></sl-input>
+            </div>
+            <sl-select name="dpi" label="Map resolution" value="200">
+                ${RESOLUTIONS.map(({ value, label }) => `<sl-option value="${value}">${label}</sl-option>`).join('')}
+            </sl-select>
+        `;
+    }
+
+    /**
+     * @returns {number|null} Scale denominator, null if the custom scale is not a number
+     */
+    _getScale() {
+        const value = this._getField('scale').value;
+        const scale = Number(value === 'custom' ? this._getField('customScale').value : value);
+        return Number.isFinite(scale) && scale >= 100 ? scale : null;
+    }
+
+    _updateStatus() {
+        this._getField('customScale').disabled = this._getField('scale').value !== 'custom';
+
+        const scale = this._getScale();
+        const exportButton = document.getElementById(`${this.modalId}-export`);
+        exportButton.disabled = !scale;
+        if (!scale) {
+            this._setStatus('Enter a scale of 1:100 or smaller', true);
+            return;
+        }
+
+        // Ground covered by the map frame
+        const { map } = getPrintLayout({ paper: this._getField('paper').value, orientation: this._getField('orientation').value });
+        const toGround = mm => {
+            const meters = mm * scale / 1000;
+            return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+        };
+        this._setStatus(`The map covers ${toGround(map.width)} × ${toGround(map.height)} around the center of the current view, north up`);
+    }
+
+    async _createFile(title) {
+        const paper = this._getField('paper').value;
+        const scale = this._getScale();
+        const blob = await createPrintPDF({
+            map: window.map,
+            title,
+            paper,
+            orientation: this._getField('orientation').value,
+            scale,
+            ...this._getLayerCredits(),
+            dpi: Number(this._getField('dpi').value)
+        });
+        return { blob, filename: `${this._getFileName(title)}-${paper.toLowerCase()}-1-${scale}.pdf`, message: 'PDF downloaded' };
+    }
+}
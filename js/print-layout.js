@@ -0,0 +1,422 @@
+/**
+ * Print Layout
+ * Lays out the map on A4 or A3 paper at a chosen scale such as 1:5000, with a title block,
+ * the legends of the active layers, a coordinate grid and the source attributions, and writes
+ * it as a PDF whose text and lines stay sharp when printed. Only the map itself is an image.
+ */
+import { PDFDocument, measureText, wrapPdfText } from './pdf-writer.js';
+import { SCREEN_DPI, MAX_EXPORT_SIZE, TILE_SIZE, getMetersPerPixel, getLegendSwatches, combineAttributions, loadImage, renderMapOffscreen } from './map-export.js';
+
+// Paper sizes in millimetres, portrait
+export const PAPER_SIZES = {
+    A4: [210, 297],
+    A3: [297, 420]
+};
+
+export const ORIENTATIONS = ['portrait', 'landscape'];
+
+export const PRINT_SCALES = [1000, 2000, 5000, 10000, 25000, 50000];
+
+const MM_PER_INCH = 25.4;
+
+// Layout in millimetres
+const MARGIN = 10;
+const GAP = 4;
+const FOOTER_HEIGHT = 8;
+const PANEL_HEIGHT = 52;
+const PANEL_WIDTH = 70;
+const TITLE_BLOCK_HEIGHT = 56;
+const SWATCH = 3.5;
+const MAX_GRID_LINES = 6;
+const GRID_INTERVALS = [0.0001, 0.0002, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10];
+
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#4b5563';
+
+/**
+ * Boxes of the page in millimetres from the top left. Portrait pages have the title block and
+ * legend below the map, landscape pages at its right. The attribution runs along the bottom.
+ * @param {Object} options
+ * @param {string} options.paper - Key of PAPER_SIZES
+ * @param {string} options.orientation - 'portrait' or 'landscape'
+ * @returns {{width: number, height: number, map: Object, titleBlock: Object, legend: Object, footer: Object}}
+ */
+export function getPrintLayout({ paper = 'A4', orientation = 'portrait' }) {
+    const [shortSide, longSide] = PAPER_SIZES[paper] || PAPER_SIZES.A4;
+    const [width, height] = orientation === 'landscape' ? [longSide, shortSide] : [shortSide, longSide];
+    const inner = { x: MARGIN, y: MARGIN, width: width - MARGIN * 2, height: height - MARGIN * 2 - FOOTER_HEIGHT - GAP };
+    const footer = { x: MARGIN, y: height - MARGIN - FOOTER_HEIGHT, width: inner.width, height: FOOTER_HEIGHT };
+
+    if (orientation === 'landscape') {
+        const panelX = width - MARGIN - PANEL_WIDTH;
+        return {
+            width,
+            height,
+            map: { ...inner, width: inner.width - PANEL_WIDTH - GAP },
+            titleBlock: { x: panelX, y: MARGIN, width: PANEL_WIDTH, height: TITLE_BLOCK_HEIGHT },
+            legend: { x: panelX, y: MARGIN + TITLE_BLOCK_HEIGHT + GAP, width: PANEL_WIDTH, height: inner.height - TITLE_BLOCK_HEIGHT - GAP },
+            footer
+        };
+    }
+
+    const panelY = MARGIN + inner.height - PANEL_HEIGHT;
+    const titleWidth = Math.round(inner.width * 0.42);
+    return {
+        width,
+        height,
+        map: { ...inner, height: inner.height - PANEL_HEIGHT - GAP },
+        titleBlock: { x: MARGIN, y: panelY, width: titleWidth, height: PANEL_HEIGHT },
+        legend: { x: MARGIN + titleWidth + GAP, y: panelY, width: inner.width - titleWidth - GAP, height: PANEL_HEIGHT },
+        footer
+    };
+}
+
+/**
+ * Millimetres on paper to CSS pixels at screen resolution
+ * @param {number} mm
+ * @returns {number}
+ */
+export function mmToPixels(mm) {
+    return mm / MM_PER_INCH * SCREEN_DPI;
+}
+
+/**
+ * Zoom at which one CSS pixel printed at 96 DPI covers the ground distance of the scale
+ * @param {number} latitude
+ * @param {number} scale - e.g. 5000 for 1:5000
+ * @returns {number}
+ */
+export function getPrintZoom(latitude, scale) {
+    const metersPerPixel = scale * MM_PER_INCH / SCREEN_DPI / 1000;
+    return Math.log2(getMetersPerPixel(latitude, 0) / metersPerPixel);
+}
+
+const mercatorX = (lng, worldSize) => (lng + 180) / 360 * worldSize;
+const mercatorY = (lat, worldSize) => (1 - Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) / Math.PI) / 2 * worldSize;
+const longitudeAt = (x, worldSize) => x / worldSize * 360 - 180;
+const latitudeAt = (y, worldSize) => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / worldSize))) * 180 / Math.PI;
+
+/**
+ * Bounds of a north up map frame
+ * @param {{lng: number, lat: number}} center
+ * @param {number} zoom
+ * @param {number} width - CSS pixels
+ * @param {number} height - CSS pixels
+ * @returns {Array<[number, number]>} [[west, south], [east, north]]
+ */
+export function getFrameBounds(center, zoom, width, height) {
+    const worldSize = TILE_SIZE * 2 ** zoom;
+    const x = mercatorX(center.lng, worldSize);
+    const y = mercatorY(center.lat, worldSize);
+    return [
+        [longitudeAt(x - width / 2, worldSize), latitudeAt(y + height / 2, worldSize)],
+        [longitudeAt(x + width / 2, worldSize), latitudeAt(y - height / 2, worldSize)]
+    ];
+}
+
+/**
+ * Graticule lines inside bounds, at a round interval in degrees
+ * @param {Array<[number, number]>} bounds - [[west, south], [east, north]]
+ * @returns {{interval: number, longitudes: number[], latitudes: number[]}}
+ */
+export function getGridLines(bounds) {
+    const [[west, south], [east, north]] = bounds;
+    const span = Math.max(east - west, north - south);
+    const interval = GRID_INTERVALS.find(step => span / step <= MAX_GRID_LINES) ?? GRID_INTERVALS[GRID_INTERVALS.length - 1];
+    const decimals = getDecimals(interval);
+    const between = (min, max) => {
+        const values = [];
+        for (let value = Math.ceil(min / interval) * interval; value <= max; value += interval) {
+            values.push(Number(value.toFixed(decimals)));
+        }
+        return values;
+    };
+    return { interval, longitudes: between(west, east), latitudes: between(south, north) };
+}
+
+function getDecimals(interval) {
+    return Math.max(0, Math.ceil(-Math.log10(interval) - 1e-9));
+}
+
+/**
+ * Grid label such as 73.87° E
+ * @param {number} value - Degrees
+ * @param {string} axis - 'lng' or 'lat'
+ * @param {number} interval - Grid interval, sets the decimals
+ * @returns {string}
+ */
+export function formatCoordinate(value, axis, interval) {
+    const hemisphere = axis === 'lng' ? (value < 0 ? 'W' : 'E') : (value < 0 ? 'S' : 'N');
+    return `${Math.abs(value).toFixed(getDecimals(interval))}° ${hemisphere}`;
+}
+
+/**
+ * @param {number} scale
+ * @returns {string} e.g. 1:5,000
+ */
+export function formatScale(scale) {
+    return `1:${Math.round(scale).toLocaleString('en-US')}`;
+}
+
+/**
+ * Round ground distance for a scale bar of at most maxWidth millimetres
+ * @param {number} scale
+ * @param {number} maxWidth - Millimetres
+ * @returns {{width: number, label: string}} Bar width in millimetres and its label
+ */
+export function getPrintScaleBar(scale, maxWidth) {
+    const maxMeters = maxWidth * scale / 1000;
+    const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+    const meters = [5, 2, 1].map(step => step * magnitude).find(distance => distance <= maxMeters);
+    return {
+        width: meters * 1000 / scale,
+        label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`
+    };
+}
+
+function canvasToJpeg(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(async blob => {
+            if (!blob) {
+                reject(new Error('Could not encode the map image'));
+                return;
+            }
+            resolve(new Uint8Array(await blob.arrayBuffer()));
+        }, 'image/jpeg', 0.92);
+    });
+}
+
+/**
+ * Legend image on a white background, JPEG can't be transparent
+ */
+async function loadLegendImage(url) {
+    const image = await loadImage(url);
+    if (!image) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0);
+    try {
+        return { jpeg: await canvasToJpeg(canvas), width: canvas.width, height: canvas.height };
+    } catch (error) {
+        console.warn(`⚠️ Leaving legend image out of the print, it could not be encoded: ${url}`, error);
+        return null;
+    }
+}
+
+/**
+ * Colors as #rrggbb or rgb(), which the PDF writer reads
+ */
+function normalizeColor(context, color) {
+    context.fillStyle = '#808080';
+    context.fillStyle = color;
+    return context.fillStyle;
+}
+
+function drawTitleBlock(pdf, box, { title, scale, paper, bounds }) {
+    const { x, y, width } = box;
+    pdf.setColors({ stroke: TEXT_COLOR }).setLineStyle(0.3);
+    pdf.rect(box.x, box.y, box.width, box.height);
+
+    let lineY = y + 7;
+    wrapPdfText(title || 'Map', width - 6, 13, true).slice(0, 2).forEach(line => {
+        pdf.text(line, x + 3, lineY, { size: 13, bold: true, color: TEXT_COLOR });
+        lineY += 5.5;
+    });
+
+    const date = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    pdf.text(`Scale ${formatScale(scale)} on ${paper}`, x + 3, lineY + 1, { size: 9, bold: true, color: TEXT_COLOR });
+    pdf.text(`Printed ${date}`, x + 3, lineY + 5.5, { size: 8, color: MUTED_COLOR });
+    const [[west, south], [east, north]] = bounds;
+    pdf.text(`${formatCoordinate(south, 'lat', 0.0001)} to ${formatCoordinate(north, 'lat', 0.0001)}`, x + 3, lineY + 9.5, { size: 6.5, color: MUTED_COLOR });
+    pdf.text(`${formatCoordinate(west, 'lng', 0.0001)} to ${formatCoordinate(east, 'lng', 0.0001)}`, x + 3, lineY + 12.5, { size: 6.5, color: MUTED_COLOR });
+
+    // Scale bar in alternating segments
+    const scaleBar = getPrintScaleBar(scale, width - 28);
+    const barY = y + box.height - 9;
+    const segments = 4;
+    for (let index = 0; index < segments; index++) {
+        pdf.setColors({ fill: index % 2 === 0 ? TEXT_COLOR : '#ffffff', stroke: TEXT_COLOR });
+        pdf.rect(x + 3 + index * scaleBar.width / segments, barY, scaleBar.width / segments, 1.5, { fill: true });
+    }
+    pdf.text('0', x + 3, barY - 1.5, { size: 7, color: TEXT_COLOR, align: 'center' });
+    pdf.text(scaleBar.label, x + 3 + scaleBar.width, barY - 1.5, { size: 7, color: TEXT_COLOR, align: 'center' });
+    pdf.text('Grid: WGS 84 degrees', x + 3, barY + 5, { size: 6.5, color: MUTED_COLOR });
+
+    // North arrow, the map is always printed north up
+    const arrowX = x + width - 10;
+    const arrowY = y + box.height - 14;
+    pdf.setColors({ fill: TEXT_COLOR, stroke: TEXT_COLOR }).setLineStyle(0.2);
+    pdf.polygon([[arrowX, arrowY - 6], [arrowX + 2.5, arrowY + 3], [arrowX, arrowY + 1.5]], { fill: true });
+    pdf.setColors({ fill: '#ffffff' });
+    pdf.polygon([[arrowX, arrowY - 6], [arrowX - 2.5, arrowY + 3], [arrowX, arrowY + 1.5]], { fill: true });
+    pdf.text('N', arrowX, arrowY + 7.5, { size: 9, bold: true, color: TEXT_COLOR, align: 'center' });
+}
+
+function drawSwatch(pdf, { shape, color, stroke }, x, y) {
+    if (shape === 'circle') {
+        pdf.setColors({ fill: color, stroke: stroke || color }).setLineStyle(0.2);
+        pdf.circle(x + SWATCH / 2, y + SWATCH / 2, SWATCH / 2.4, { fill: true });
+    } else if (shape === 'line') {
+        pdf.setColors({ stroke: color }).setLineStyle(0.8);
+        pdf.line(x, y + SWATCH / 2, x + SWATCH, y + SWATCH / 2);
+    } else {
+        pdf.setColors({ fill: color, stroke: stroke || color }).setLineStyle(0.3);
+        pdf.rect(x, y, SWATCH, SWATCH, { fill: true });
+    }
+}
+
+/**
+ * Draw the legends that fit in the box, with a note of the layers left out
+ */
+function drawLegend(pdf, box, layers) {
+    pdf.text('Legend', box.x, box.y + 3.5, { size: 9, bold: true, color: TEXT_COLOR });
+
+    // Portrait legends are wide and short, so the layers flow into columns
+    const columns = box.width >= 100 ? 2 : 1;
+    const columnWidth = (box.width - (columns - 1) * GAP) / columns;
+    const top = box.y + 8;
+    const bottom = box.y + box.height - 4;
+    let column = 0;
+    let y = top;
+    let drawn = 0;
+
+    const measure = layer => {
+        const titleLines = wrapPdfText(layer.title, columnWidth, 8, true).slice(0, 2);
+        const imageHeight = layer.image ? Math.min(layer.image.height * MM_PER_INCH / SCREEN_DPI, columnWidth * layer.image.height / layer.image.width) : 0;
+        return { titleLines, imageHeight, height: titleLines.length * 3.5 + layer.swatches.length * 4.5 + (imageHeight ? imageHeight + 1 : 0) + 2 };
+    };
+
+    for (const layer of layers) {
+        const layout = measure(layer);
+        if (y + layout.height > bottom && y > top) {
+            if (column + 1 >= columns) break;
+            column++;
+            y = top;
+        }
+        if (y + layout.height > bottom) break;
+
+        const x = box.x + column * (columnWidth + GAP);
+        layout.titleLines.forEach(line => {
+            y += 3;
+            pdf.text(line, x, y, { size: 8, bold: true, color: TEXT_COLOR });
+            y += 0.5;
+        });
+        y += 1;
+        layer.swatches.forEach(swatch => {
+            drawSwatch(pdf, swatch, x, y);
+            if (swatch.label) {
+                const label = wrapPdfText(swatch.label, columnWidth - SWATCH - 2, 7)[0] || '';
+                pdf.text(label, x + SWATCH + 2, y + SWATCH - 0.6, { size: 7, color: MUTED_COLOR });
+            }
+            y += 4.5;
+        });
+        if (layer.image) {
+            const width = layout.imageHeight * layer.image.width / layer.image.height;
+            pdf.image(layer.image.jpeg, layer.image.width, layer.image.height, x, y, width, layout.imageHeight);
+            y += layout.imageHeight + 1;
+        }
+        y += 2;
+        drawn++;
+    }
+
+    if (drawn < layers.length) {
+        const more = layers.length - drawn;
+        pdf.text(`+${more} more layer${more === 1 ? '' : 's'}`, box.x + box.width, box.y + 3.5, { size: 7, color: MUTED_COLOR, align: 'right' });
+    }
+}
+
+function drawGrid(pdf, frame, bounds, zoom, center) {
+    const { interval, longitudes, latitudes } = getGridLines(bounds);
+    const worldSize = TILE_SIZE * 2 ** zoom;
+    const pixelsToMm = px => px * MM_PER_INCH / SCREEN_DPI;
+    const toX = lng => frame.x + frame.width / 2 + pixelsToMm(mercatorX(lng, worldSize) - mercatorX(center.lng, worldSize));
+    const toY = lat => frame.y + frame.height / 2 + pixelsToMm(mercatorY(lat, worldSize) - mercatorY(center.lat, worldSize));
+
+    pdf.setColors({ stroke: '#1f2937' }).setLineStyle(0.15, [1.5, 1]);
+    longitudes.map(toX).forEach(x => pdf.line(x, frame.y, x, frame.y + frame.height));
+    latitudes.map(toY).forEach(y => pdf.line(frame.x, y, frame.x + frame.width, y));
+    pdf.setLineStyle(0.15);
+
+    // Labels on a white background along the top and left edges
+    const labelSize = 6;
+    longitudes.forEach(lng => {
+        const label = formatCoordinate(lng, 'lng', interval);
+        const width = measureText(label, labelSize) + 1.6;
+        const x = toX(lng);
+        if (x - width / 2 < frame.x || x + width / 2 > frame.x + frame.width) return;
+        pdf.setColors({ fill: '#ffffff', stroke: '#ffffff' }).rect(x - width / 2, frame.y, width, 3, { fill: true, stroke: false });
+        pdf.text(label, x, frame.y + 2.2, { size: labelSize, color: TEXT_COLOR, align: 'center' });
+    });
+    latitudes.forEach(lat => {
+        const label = formatCoordinate(lat, 'lat', interval);
+        const width = measureText(label, labelSize) + 1.6;
+        const y = toY(lat);
+        if (y - width / 2 < frame.y + 3 || y + width / 2 > frame.y + frame.height) return;
+        pdf.setColors({ fill: '#ffffff', stroke: '#ffffff' }).rect(frame.x, y - width / 2, 3, width, { fill: true, stroke: false });
+        pdf.text(label, frame.x + 2.2, y, { size: labelSize, color: TEXT_COLOR, align: 'center', vertical: true });
+    });
+}
+
+/**
+ * Print the map at a scale around its current center
+ * @param {Object} options
+ * @param {mapboxgl.Map} options.map
+ * @param {string} options.title
+ * @param {string} options.paper - Key of PAPER_SIZES
+ * @param {string} options.orientation - 'portrait' or 'landscape'
+ * @param {number} options.scale - e.g. 5000 for 1:5000
+ * @param {Array<{title: string, style: Object, legendImage: string}>} options.layers - Active layers, drawn in the legend
+ * @param {string[]} options.attributions - Attribution HTML of the map and the active layers
+ * @param {number} options.dpi - Resolution of the map image
+ * @returns {Promise<Blob>}
+ */
+export async function createPrintPDF({ map, title = '', paper = 'A4', orientation = 'portrait', scale = 5000, layers = [], attributions = [], dpi = 200 }) {
+    const layout = getPrintLayout({ paper, orientation });
+    const frame = layout.map;
+    const center = map.getCenter();
+    const zoom = getPrintZoom(center.lat, scale);
+    const width = mmToPixels(frame.width);
+    const height = mmToPixels(frame.height);
+    const pixelRatio = Math.min(dpi / SCREEN_DPI, MAX_EXPORT_SIZE / width, MAX_EXPORT_SIZE / height);
+
+    const mapImage = await renderMapOffscreen(map, pixelRatio, { width, height, center, zoom, bearing: 0, pitch: 0 });
+    const mapJpeg = await canvasToJpeg(mapImage);
+
+    const colorContext = document.createElement('canvas').getContext('2d');
+    const legendLayers = (await Promise.all(layers.map(async layer => ({
+        title: layer.title,
+        swatches: getLegendSwatches(layer.style).map(swatch => ({
+            ...swatch,
+            color: normalizeColor(colorContext, swatch.color),
+            ...(swatch.stroke && { stroke: normalizeColor(colorContext, swatch.stroke) })
+        })),
+        // PDF legends can't be drawn
+        image: layer.legendImage && !layer.legendImage.toLowerCase().endsWith('.pdf') ? await loadLegendImage(layer.legendImage) : null
+    })))).filter(layer => layer.swatches.length > 0 || layer.image);
+
+    const pdf = new PDFDocument({ width: layout.width, height: layout.height, title });
+    const bounds = getFrameBounds(center, zoom, width, height);
+
+    pdf.image(mapJpeg, mapImage.width, mapImage.height, frame.x, frame.y, frame.width, frame.height);
+    pdf.clip(frame.x, frame.y, frame.width, frame.height, () => drawGrid(pdf, frame, bounds, zoom, center));
+    pdf.setColors({ stroke: TEXT_COLOR }).setLineStyle(0.4);
+    pdf.rect(frame.x, frame.y, frame.width, frame.height);
+
+    drawTitleBlock(pdf, layout.titleBlock, { title, scale, paper, bounds });
+    drawLegend(pdf, layout.legend, legendLayers);
+
+    const attribution = combineAttributions(attributions);
+    if (attribution) {
+        const lines = wrapPdfText(`Sources: ${attribution}`, layout.footer.width, 6.5).slice(0, 3);
+        lines.forEach((line, index) => {
+            pdf.text(line, layout.footer.x, layout.footer.y + 2.5 + index * 2.7, { size: 6.5, color: MUTED_COLOR });
+        });
+    }
+
+    return new Blob([pdf.toBytes()], { type: 'application/pdf' });
+}
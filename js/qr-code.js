@@ -0,0 +1,488 @@
+/**
+ * QR Code
+ * Generates QR codes in the browser, so share links work offline and are not sent to a
+ * third-party service. Text is encoded in byte mode (UTF-8) at the smallest version (1-40)
+ * that fits the chosen error correction level, following ISO/IEC 18004.
+ *
+ * Usage:
+ *   const qr = createQRCode('https://amche.in/?atlas=bombay');
+ *   element.innerHTML = qrCodeToSVG(qr);
+ *   drawQRCode(canvas.getContext('2d'), qr, { x: 0, y: 0, size: 400 });
+ */
+
+// Index is the version, -1 pads version 0
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+const NUM_ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Error correction level as written in the format information
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const BYTE_MODE = 0x4;
+
+// Modules of light margin around the code required by the standard
+export const QR_QUIET_ZONE = 4;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Number of modules available for data and error correction in a version
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+}
+
+/**
+ * Centre positions of the alignment patterns along each axis
+ */
+function getAlignmentPatternPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+// Arithmetic in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Error correction codewords of a block of data codewords
+ * @param {number[]} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]}
+ */
+export function reedSolomonRemainder(data, degree) {
+    const divisor = reedSolomonDivisor(degree);
+    const result = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Encode the text as byte mode data codewords, padded to the capacity of the version
+ */
+function encodeData(bytes, version, ecl) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push(getBit(value, i) ? 1 : 0);
+        }
+    };
+
+    append(BYTE_MODE, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+/**
+ * Split data codewords into blocks, add error correction and interleave them
+ */
+function addErrorCorrection(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        offset += blockData.length;
+        const ecc = reedSolomonRemainder(blockData, blockEccLength);
+        // Short blocks get a placeholder so every block has the same length while interleaving
+        if (i < numShortBlocks) {
+            blockData.push(0);
+        }
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Format information: error correction level and mask, protected by a BCH code
+ * @param {string} ecl - 'L', 'M', 'Q' or 'H'
+ * @param {number} mask - Mask pattern 0-7
+ * @returns {number} 15 bit value
+ */
+export function getFormatBits(ecl, mask) {
+    const data = (FORMAT_BITS[ecl] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+class QRMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = getAlignmentPatternPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // Skip the three corners taken by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                    return;
+                }
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas, they are written once the mask is chosen
+        this.drawFormatBits(0);
+
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (this.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, getBit(bits, i));
+                this.setFunctionModule(b, a, getBit(bits, i));
+            }
+        }
+    }
+
+    drawFormatBits(bits) {
+        const { size } = this;
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, getBit(bits, i));
+        }
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, getBit(bits, i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+        }
+        // Always dark
+        this.setFunctionModule(8, size - 8, true);
+    }
+
+    /**
+     * Place codewords in the zigzag order, two columns at a time from the bottom right
+     */
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // Skip the vertical timing pattern
+            if (right === 6) {
+                right = 5;
+            }
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Flip the data modules selected by a mask. Applying the same mask again undoes it
+     */
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty score of the current modules, lower is easier to scan
+     */
+    getPenaltyScore() {
+        const { size, modules } = this;
+        let score = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more modules of the same colour
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) {
+                        score += runLength - 2;
+                    }
+                    runLength = 1;
+                }
+            }
+
+            // Patterns that look like a finder pattern
+            const text = line.map(isDark => (isDark ? '1' : '0')).join('');
+            score += 40 * ((text.match(/(?=00001011101)/g) || []).length + (text.match(/(?=10111010000)/g) || []).length);
+        });
+
+        // 2x2 blocks of the same colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        score += 10 * (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+
+        return score;
+    }
+}
+
+/**
+ * Create a QR code
+ * @param {string} text - Text to encode, usually a URL
+ * @param {Object} options
+ * @param {string} options.ecl - Error correction level 'L', 'M', 'Q' or 'H'. M survives ~15% damage
+ * @returns {{version: number, size: number, ecl: string, mask: number, modules: boolean[][]}} Modules as rows, true is dark
+ */
+export function createQRCode(text, { ecl = 'M' } = {}) {
+    if (!ECC_CODEWORDS_PER_BLOCK[ecl]) {
+        throw new Error(`Unknown QR error correction level '${ecl}'`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = MIN_VERSION;
+    while (version <= MAX_VERSION &&
+        4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version, ecl) * 8) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error(`Text of ${bytes.length} bytes is too long for a QR code`);
+    }
+
+    const matrix = new QRMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version, ecl), version, ecl));
+
+    let bestMask = 0;
+    let bestScore = Infinity;
+    MASKS.forEach((_, mask) => {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(getFormatBits(ecl, mask));
+        const score = matrix.getPenaltyScore();
+        if (score < bestScore) {
+            bestMask = mask;
+            bestScore = score;
+        }
+        matrix.applyMask(mask);
+    });
+
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(getFormatBits(ecl, bestMask));
+
+    return { version, size: matrix.size, ecl, mask: bestMask, modules: matrix.modules };
+}
+
+/**
+ * Render a QR code as SVG markup, one path for all dark modules
+ * @param {Object} qr - Result of createQRCode()
+ * @param {Object} options
+ * @param {number} options.margin - Light margin in modules
+ * @param {string} options.dark - Colour of dark modules
+ * @param {string} options.light - Background colour
+ * @returns {string}
+ */
+export function qrCodeToSVG(qr, { margin = QR_QUIET_ZONE, dark = '#000000', light = '#ffffff' } = {}) {
+    const dimension = qr.size + margin * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) {
+                path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            }
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="${light}"/>` +
+        `<path d="${path.join('')}" fill="${dark}"/>` +
+        '</svg>';
+}
+
+/**
+ * Draw a QR code on a canvas, with its margin inside the given square
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} qr - Result of createQRCode()
+ * @param {Object} options
+ * @param {number} options.x - Left edge in pixels
+ * @param {number} options.y - Top edge in pixels
+ * @param {number} options.size - Width and height in pixels
+ * @param {number} options.margin - Light margin in modules
+ */
+export function drawQRCode(context, qr, { x = 0, y = 0, size, margin = QR_QUIET_ZONE, dark = '#000000', light = '#ffffff' }) {
+    const moduleSize = size / (qr.size + margin * 2);
+    context.fillStyle = light;
+    context.fillRect(x, y, size, size);
+    context.fillStyle = dark;
+    qr.modules.forEach((row, rowIndex) => {
+        row.forEach((isDark, columnIndex) => {
+            if (isDark) {
+                // Round the edges so neighbouring modules don't leave hairline gaps
+                const left = Math.floor(x + (columnIndex + margin) * moduleSize);
+                const top = Math.floor(y + (rowIndex + margin) * moduleSize);
+                context.fillRect(left, top,
+                    Math.ceil(x + (columnIndex + margin + 1) * moduleSize) - left,
+                    Math.ceil(y + (rowIndex + margin + 1) * moduleSize) - top);
+            }
+        });
+    });
+}
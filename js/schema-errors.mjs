@@ -0,0 +1,39 @@
+/**
+ * Schema Errors
+ * Turns Ajv errors for config/_schema.json into readable messages. Shared by the in-app
+ * config validator and `npm run lint:json` in Node, so this module must not import anything.
+ */
+
+/**
+ * Turn Ajv errors into readable messages naming the layer and property
+ * @param {Object[]} errors - Ajv validation errors
+ * @param {Object} data - The validated config
+ * @returns {string[]}
+ */
+export function formatSchemaErrors(errors, data) {
+    return errors
+        // 'if' and 'propertyNames' only wrap the more specific error reported alongside them
+        .filter(error => error.keyword !== 'if' && error.keyword !== 'propertyNames')
+        .map(error => {
+            let segments = error.instancePath.split('/').slice(1);
+            let location = 'Config';
+
+            if (segments[0] === 'layers' && segments.length > 1) {
+                const index = Number(segments[1]);
+                const layerId = data.layers?.[index]?.id;
+                location = layerId ? `Layer '${layerId}' (index ${index})` : `Layer at index ${index}`;
+                segments = segments.slice(2);
+            }
+
+            if (error.keyword === 'required') segments.push(error.params.missingProperty);
+            if (error.propertyName) segments.push(error.propertyName);
+
+            let message = error.message;
+            if (error.keyword === 'enum') {
+                message += ` (${error.params.allowedValues.join(', ')})`;
+            }
+
+            const property = segments.length ? ` property '${segments.join('.')}'` : '';
+            return `${location}${property}: ${message}`;
+        });
+}
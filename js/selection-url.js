@@ -0,0 +1,78 @@
+/**
+ * Selection URL
+ * Selected features are written to `?select=<layerId>:<featureId>`, several separated by commas,
+ * e.g. `?select=plot:274,survey:12/3`. The feature id is the id Mapbox uses for feature state.
+ * Layer ids may contain ':' (namespaced presets), so the feature id is everything after the
+ * last ':'. The separators are percent-encoded inside ids (WFS and ArcGIS ids often have ':'),
+ * and the value is split before each id is decoded. Like `layers`, the value is written to the
+ * URL with encodeQueryValue() and read back with URLSearchParams.
+ */
+
+export const SELECT_URL_PARAM = 'select';
+
+// Selection events from MapFeatureStateManager that change ?select=
+export const SELECTION_EVENTS = ['feature-click', 'feature-click-multiple', 'feature-deselected', 'features-batch-deselected', 'selections-cleared'];
+
+const encodeLayerId = (id) => String(id).replace(/[%,]/g, encodeURIComponent);
+const encodeFeatureId = (id) => String(id).replace(/[%,:]/g, encodeURIComponent);
+
+function decodeId(id) {
+    try {
+        return decodeURIComponent(id);
+    } catch (error) {
+        return id;
+    }
+}
+
+/**
+ * Parse the select parameter
+ * @param {string|null} value - Parameter value as read by URLSearchParams
+ * @returns {Array<{layerId: string, featureId: string}>}
+ */
+export function parseSelectParam(value) {
+    if (!value) return [];
+
+    return value.split(',').map(item => {
+        const separator = item.lastIndexOf(':');
+        if (separator <= 0 || separator === item.length - 1) {
+            console.warn(`⚠️ Ignoring '${item}' in ?${SELECT_URL_PARAM}=, expected <layerId>:<featureId>`);
+            return null;
+        }
+        return { layerId: decodeId(item.slice(0, separator)), featureId: decodeId(item.slice(separator + 1)) };
+    }).filter(Boolean);
+}
+
+/**
+ * Write selected features as a select parameter value
+ * @param {Array<{layerId: string, featureId: string|number}>} selections
+ * @returns {string|null} Parameter value, or null when nothing is selected
+ */
+export function serializeSelectParam(selections) {
+    if (!selections || selections.length === 0) return null;
+    return selections.map(({ layerId, featureId }) => `${encodeLayerId(layerId)}:${encodeFeatureId(featureId)}`).join(',');
+}
+
+/**
+ * Get the bbox of any GeoJSON feature
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array|null} [west, south, east, north]
+ */
+export function getFeatureBbox(feature) {
+    const positions = [];
+    const collect = (coordinates) => {
+        if (typeof coordinates?.[0] === 'number') {
+            positions.push(coordinates);
+        } else if (Array.isArray(coordinates)) {
+            coordinates.forEach(collect);
+        }
+    };
+    const geometries = feature?.geometry?.type === 'GeometryCollection' ?
+        feature.geometry.geometries :
+        [feature?.geometry];
+    geometries.forEach(geometry => collect(geometry?.coordinates));
+    if (positions.length === 0) return null;
+
+    const lngs = positions.map(position => position[0]);
+    const lats = positions.map(position => position[1]);
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
@@ -0,0 +1,112 @@
+/**
+ * Share Card
+ * A printable image for posters at village meetings: the atlas title, a snapshot of the
+ * map, the names of the active layers and a QR code that opens the same map.
+ */
+import { createQRCode, drawQRCode } from './qr-code.js';
+import { wrapText } from './canvas-utils.js';
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 1800;
+const PADDING = 60;
+const SNAPSHOT_HEIGHT = 760;
+const QR_SIZE = 480;
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+/**
+ * Copy the map canvas. WebGL clears its buffer after drawing, so it is read during a render
+ * @param {mapboxgl.Map} map
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export function captureMapSnapshot(map) {
+    return new Promise(resolve => {
+        map.once('render', () => {
+            const source = map.getCanvas();
+            const snapshot = document.createElement('canvas');
+            snapshot.width = source.width;
+            snapshot.height = source.height;
+            snapshot.getContext('2d').drawImage(source, 0, 0);
+            resolve(snapshot);
+        });
+        map.triggerRepaint();
+    });
+}
+
+function drawLines(context, lines, x, y, lineHeight) {
+    lines.forEach((line, index) => context.fillText(line, x, y + index * lineHeight));
+    return y + lines.length * lineHeight;
+}
+
+/**
+ * Draw an image scaled to cover the area, cropping the overflow
+ */
+function drawCover(context, image, x, y, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    context.drawImage(image,
+        (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+        x, y, width, height);
+}
+
+/**
+ * Create a share card
+ * @param {Object} options
+ * @param {string} options.url - Link the QR code opens
+ * @param {string} options.title - Atlas title
+ * @param {string[]} options.layerTitles - Names of the active layers
+ * @param {mapboxgl.Map} options.map - Map to take the snapshot from
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function createShareCard({ url, title, layerTitles = [], map }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_WIDTH;
+    canvas.height = CARD_HEIGHT;
+    const context = canvas.getContext('2d');
+    const contentWidth = CARD_WIDTH - PADDING * 2;
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    context.textBaseline = 'top';
+
+    // Title
+    context.fillStyle = '#111827';
+    context.font = `bold 60px ${FONT_FAMILY}`;
+    let y = drawLines(context, wrapText(context, title, contentWidth, 2), PADDING, PADDING, 72) + 24;
+
+    // Map snapshot
+    const snapshot = await captureMapSnapshot(map);
+    drawCover(context, snapshot, PADDING, y, contentWidth, SNAPSHOT_HEIGHT);
+    context.strokeStyle = '#d1d5db';
+    context.lineWidth = 2;
+    context.strokeRect(PADDING, y, contentWidth, SNAPSHOT_HEIGHT);
+    y += SNAPSHOT_HEIGHT + 40;
+
+    // Active layers
+    if (layerTitles.length > 0) {
+        context.fillStyle = '#6b7280';
+        context.font = `bold 28px ${FONT_FAMILY}`;
+        context.fillText('LAYERS', PADDING, y);
+        context.fillStyle = '#1f2937';
+        context.font = `32px ${FONT_FAMILY}`;
+        const maxLines = Math.floor((CARD_HEIGHT - PADDING - QR_SIZE - 30 - (y + 44)) / 42);
+        drawLines(context, wrapText(context, layerTitles.join(' · '), contentWidth, maxLines), PADDING, y + 44, 42);
+    }
+
+    // QR code with instructions beside it
+    const qrTop = CARD_HEIGHT - PADDING - QR_SIZE;
+    drawQRCode(context, createQRCode(url), { x: PADDING - 20, y: qrTop, size: QR_SIZE });
+
+    const textLeft = PADDING + QR_SIZE + 10;
+    const textWidth = CARD_WIDTH - PADDING - textLeft;
+    context.fillStyle = '#111827';
+    context.font = `bold 44px ${FONT_FAMILY}`;
+    const textTop = drawLines(context, wrapText(context, 'Scan to open this map', textWidth, 2), textLeft, qrTop + 40, 54) + 20;
+    context.fillStyle = '#4b5563';
+    context.font = `24px ${FONT_FAMILY}`;
+    drawLines(context, wrapText(context, url.replace(/^https?:\/\//, ''), textWidth, 8), textLeft, textTop, 32);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the share card image'))), 'image/png');
+    });
+}
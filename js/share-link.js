@@ -9,7 +9,17 @@
  *   buttonClasses: 'share-button'
  * });
  * shareLink.render();
+ *
+ * Links longer than COMPACT_URL_THRESHOLD are copied in the compact ?s= form.
+ * QR codes are generated in the browser and can be downloaded as SVG, PNG or a printable share card.
+ * The Embed tab builds the iframe HTML for ?embed=1, see embed-mode.js.
  */
+import { COMPACT_URL_THRESHOLD, supportsCompactURLs, toCompactURL } from './url-state.js';
+import { createQRCode, qrCodeToSVG, drawQRCode } from './qr-code.js';
+import { createShareCard } from './share-card.js';
+import { localization } from './localization.js';
+import { EMBED_CONTROLS, DEFAULT_EMBED_CONTROLS, EMBED_SIZE_PRESETS, buildEmbedURL, buildEmbedSnippet } from './embed-mode.js';
+
 export class ShareLink {
     constructor(options = {}) {
         this.containerId = options.containerId || 'share-container';
@@ -20,6 +30,7 @@ export class ShareLink {
         this.showToast = options.showToast !== false; // Default to true
         this.qrCodeSize = options.qrCodeSize || 500;
         this.useURLManager = options.useURLManager !== false; // Default to true
+        this.compactURL = null; // Compact form of a long link, { plain, compact } without the hash
         
         // Bind methods to preserve context
         this._handleShareClick = this._handleShareClick.bind(this);
@@ -60,6 +71,8 @@ export class ShareLink {
         // Clear container and add button
         container.innerHTML = '';
         container.appendChild(button);
+
+        this._refreshCompactURL();
     }
 
     /**
@@ -106,6 +119,39 @@ export class ShareLink {
             this.cachedURL = event.detail.url;
             console.log('🔗 ShareLink URL updated:', this.cachedURL);
         }
+        this._refreshCompactURL();
+    }
+
+    /**
+     * Prepare the compact form of a long link ahead of the click, since the clipboard
+     * has to be written straight from the click handler
+     */
+    _refreshCompactURL() {
+        const plain = this.getCurrentURL().split('#')[0];
+        if (plain.length <= COMPACT_URL_THRESHOLD || !supportsCompactURLs()) {
+            this.compactURL = null;
+            return;
+        }
+        if (this.compactURL?.plain === plain) return;
+
+        toCompactURL(plain).then(compact => {
+            this.compactURL = { plain, compact };
+        }).catch(error => {
+            console.warn('⚠️ ShareLink could not create a compact link:', error);
+            this.compactURL = null;
+        });
+    }
+
+    /**
+     * Get the link to copy: the compact form for long links once it is ready, otherwise the plain link
+     */
+    _getLinkToShare() {
+        const url = this.getCurrentURL();
+        const [plain, hash] = url.split('#');
+        if (plain.length > COMPACT_URL_THRESHOLD && this.compactURL?.plain === plain) {
+            return hash !== undefined ? `${this.compactURL.compact}#${hash}` : this.compactURL.compact;
+        }
+        return url;
     }
 
     /**
@@ -134,17 +180,25 @@ export class ShareLink {
         if (!shareButton) return;
 
         // Get the URL to share using the new method
-        const urlToShare = this.getCurrentURL();
+        const urlToShare = this._getLinkToShare();
+        const isCompact = urlToShare !== this.getCurrentURL();
 
         // Copy to clipboard
         navigator.clipboard.writeText(urlToShare).then(() => {
             // Show toast notification
             if (this.showToast) {
-                this._showToast('Link copied to clipboard!');
+                this._showToast(isCompact ? 'Short link copied to clipboard!' : 'Link copied to clipboard!');
             }
             
-            // Generate QR code using the URL
-            const qrCodeUrl = `https://api.qrserver.com/v1/create-qr-code/?size=${this.qrCodeSize}x${this.qrCodeSize}&data=${encodeURIComponent(urlToShare)}`;
+            // Generate QR code locally, so it works offline and the link isn't sent anywhere
+            let qr;
+            try {
+                qr = createQRCode(urlToShare);
+            } catch (error) {
+                console.warn('⚠️ ShareLink could not create a QR code:', error);
+                return;
+            }
+            const qrCodeUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrCodeToSVG(qr))}`;
             
             // Create QR code image for button
             const qrCode = document.createElement('img');
@@ -179,7 +233,7 @@ export class ShareLink {
                 resetButton();
                 
                 // Show full-screen QR code overlay
-                this._showQROverlay(qrCodeUrl);
+                this._showQROverlay(qrCodeUrl, qr, urlToShare);
             });
             
             // Auto-revert after 30 seconds (if user hasn't clicked the QR code)
@@ -197,9 +251,9 @@ export class ShareLink {
     }
 
     /**
-     * Show full-screen QR code overlay
+     * Show full-screen overlay with the QR code and its downloads, and the embed code
      */
-    _showQROverlay(qrCodeUrl) {
+    _showQROverlay(qrCodeUrl, qr, urlToShare) {
         // Create full screen overlay
         const overlay = document.createElement('div');
         overlay.style.position = 'fixed';
@@ -212,6 +266,8 @@ export class ShareLink {
         overlay.style.justifyContent = 'center';
         overlay.style.alignItems = 'center';
         overlay.style.zIndex = '9999';
+        overlay.style.flexDirection = 'column';
+        overlay.style.gap = '16px';
         overlay.style.cursor = 'pointer';
         overlay.style.padding = '10px';
         
@@ -219,10 +275,9 @@ export class ShareLink {
         const largeQRCode = document.createElement('img');
         largeQRCode.src = qrCodeUrl;
         largeQRCode.alt = 'QR Code';
-        largeQRCode.style.width = 'auto';
+        // The SVG has no intrinsic size
+        largeQRCode.style.width = 'min(500px, 90vw, 75vh)';
         largeQRCode.style.height = 'auto';
-        largeQRCode.style.maxWidth = 'min(500px, 90vw)';
-        largeQRCode.style.maxHeight = '90vh';
         largeQRCode.style.objectFit = 'contain';
         
         // Close overlay when clicked
@@ -230,10 +285,186 @@ export class ShareLink {
             document.body.removeChild(overlay);
         });
         
-        overlay.appendChild(largeQRCode);
+        const actions = document.createElement('div');
+        actions.className = 'share-qr-actions';
+        [
+            { label: 'Download SVG', onClick: () => this._downloadBlob(new Blob([qrCodeToSVG(qr)], { type: 'image/svg+xml' }), 'qr-code.svg') },
+            { label: 'Download PNG', onClick: () => this._downloadQRCodePNG(qr) },
+            { label: 'Download share card', onClick: () => this._downloadShareCard(urlToShare) }
+        ].forEach(({ label, onClick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'share-qr-action';
+            button.textContent = label;
+            button.addEventListener('click', (e) => {
+                // Keep the overlay open
+                e.stopPropagation();
+                onClick();
+            });
+            actions.appendChild(button);
+        });
+        
+        const qrPanel = document.createElement('div');
+        qrPanel.className = 'share-overlay-panel';
+        qrPanel.append(largeQRCode, actions);
+
+        const embedPanel = this._createEmbedPanel(urlToShare);
+        embedPanel.hidden = true;
+
+        // Tabs to switch between the QR code and the embed code
+        const tabs = document.createElement('div');
+        tabs.className = 'share-overlay-tabs';
+        [['QR code', qrPanel], ['Embed', embedPanel]].forEach(([label, panel], index) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'share-overlay-tab';
+            tab.textContent = label;
+            tab.setAttribute('aria-selected', String(index === 0));
+            tab.addEventListener('click', (e) => {
+                e.stopPropagation();
+                tabs.querySelectorAll('.share-overlay-tab').forEach(other => other.setAttribute('aria-selected', String(other === tab)));
+                qrPanel.hidden = panel !== qrPanel;
+                embedPanel.hidden = panel !== embedPanel;
+            });
+            tabs.appendChild(tab);
+        });
+        
+        overlay.append(tabs, qrPanel, embedPanel);
         document.body.appendChild(overlay);
     }
 
+    /**
+     * Build the Embed tab: size presets, controls to keep and the iframe HTML to copy
+     */
+    _createEmbedPanel(urlToShare) {
+        const panel = document.createElement('div');
+        panel.className = 'share-embed-panel';
+        // Keep the overlay open while choosing options
+        panel.addEventListener('click', (e) => e.stopPropagation());
+
+        const sizeLabel = document.createElement('label');
+        sizeLabel.textContent = 'Size';
+        const sizeSelect = document.createElement('select');
+        EMBED_SIZE_PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `${preset.label} (${preset.width} × ${preset.height})`;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.value = 'medium';
+        sizeLabel.appendChild(sizeSelect);
+
+        const createCheckbox = (label, checked) => {
+            const wrapper = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = checked;
+            wrapper.append(input, ` ${label}`);
+            return { wrapper, input };
+        };
+
+        const controls = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = 'Controls';
+        controls.appendChild(legend);
+        const controlInputs = EMBED_CONTROLS.map(control => {
+            const { wrapper, input } = createCheckbox(control, DEFAULT_EMBED_CONTROLS.includes(control));
+            controls.appendChild(wrapper);
+            return { control, input };
+        });
+        const interactive = createCheckbox('Allow panning, zooming and clicking', true);
+
+        const snippet = document.createElement('textarea');
+        snippet.readOnly = true;
+        snippet.rows = 4;
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'share-qr-action';
+        copyButton.textContent = 'Copy embed code';
+
+        const updateSnippet = () => {
+            const preset = EMBED_SIZE_PRESETS.find(size => size.id === sizeSelect.value);
+            const embedURL = buildEmbedURL(urlToShare, {
+                controls: controlInputs.filter(({ input }) => input.checked).map(({ control }) => control),
+                interactive: interactive.input.checked
+            });
+            snippet.value = buildEmbedSnippet(embedURL, { ...preset, title: localization.getString('title') });
+        };
+        panel.addEventListener('change', updateSnippet);
+        updateSnippet();
+
+        copyButton.addEventListener('click', () => {
+            navigator.clipboard.writeText(snippet.value).then(() => {
+                if (this.showToast) {
+                    this._showToast('Embed code copied to clipboard!');
+                }
+            }).catch(err => {
+                console.error('Failed to copy embed code:', err);
+                snippet.select();
+            });
+        });
+
+        panel.append(sizeLabel, controls, interactive.wrapper, snippet, copyButton);
+        return panel;
+    }
+
+    /**
+     * Download the QR code as a PNG of qrCodeSize pixels
+     */
+    _downloadQRCodePNG(qr) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.qrCodeSize;
+        canvas.height = this.qrCodeSize;
+        drawQRCode(canvas.getContext('2d'), qr, { size: this.qrCodeSize });
+        canvas.toBlob(blob => this._downloadBlob(blob, 'qr-code.png'), 'image/png');
+    }
+
+    /**
+     * Download a printable card with the atlas title, a map snapshot, the active layers and the QR code
+     */
+    async _downloadShareCard(urlToShare) {
+        if (!window.map) return;
+
+        try {
+            const blob = await createShareCard({
+                url: urlToShare,
+                title: localization.getString('title'),
+                layerTitles: this._getActiveLayerTitles(),
+                map: window.map
+            });
+            this._downloadBlob(blob, 'share-card.png');
+        } catch (error) {
+            console.error('❌ Failed to create share card:', error);
+            if (this.showToast) {
+                this._showToast('Failed to create share card', 'error');
+            }
+        }
+    }
+
+    /**
+     * Titles of the layers that are turned on, in layer panel order
+     */
+    _getActiveLayerTitles() {
+        if (!window.urlManager) return [];
+
+        return window.urlManager.getActiveGroups()
+            .filter(group => !group._imported)
+            .map(group => group.title || group.id)
+            .filter(Boolean);
+    }
+
+    _downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = filename;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Show toast notification
      */
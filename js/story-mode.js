@@ -0,0 +1,97 @@
+/**
+ * Story Mode
+ * A guided tour through an atlas, for presentations such as the Quitla 1970 map. The atlas
+ * lists the steps in `story`, each with a camera, a layer set, an optional selected feature
+ * and Markdown text:
+ *
+ *   "story": [
+ *     { "permalink": "quitla-1970-map", "text": "Henrique Fernandes drew this map in 1970." },
+ *     { "title": "The fields", "camera": { "center": [73.87, 15.6], "zoom": 16 }, "layers": ["plot"], "select": "plot:274" }
+ *   ]
+ *
+ * A step with `permalink` takes its camera, layers, title and description from config/permalinks.json,
+ * anything else in the step overrides them. `?story=<atlas>&step=<n>` opens the story of an atlas at a
+ * step, counted from 1.
+ */
+import { resolvePermalinkAlias, splitLayersParam } from './permalink-validation.mjs';
+import { parseMapHash } from './embed-mode.js';
+
+export const STORY_PARAM = 'story';
+export const STEP_PARAM = 'step';
+
+/**
+ * Whether an atlas has a story to play
+ * @param {Object} config - Atlas config
+ * @returns {boolean}
+ */
+export function hasStory(config) {
+    return Array.isArray(config?.story) && config.story.length > 0;
+}
+
+/**
+ * Read the story to open from a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {{storyId: string, step: number}|null} Story and step counted from 1, or null without ?story=
+ */
+export function parseStoryParams(search) {
+    const params = new URLSearchParams(search);
+    const storyId = params.get(STORY_PARAM);
+    if (!storyId) {
+        return null;
+    }
+    const step = parseInt(params.get(STEP_PARAM), 10);
+    return { storyId, step: Number.isInteger(step) && step > 0 ? step : 1 };
+}
+
+/**
+ * Read a step camera: `{ center, zoom, bearing, pitch }`, `{ bounds }` or a map hash such as `14.6/15.60/73.87`
+ * @returns {Object|null}
+ */
+function parseCamera(camera) {
+    if (typeof camera === 'string') {
+        const view = parseMapHash(camera);
+        return view.center ? view : null;
+    }
+    return camera && (camera.center || camera.bounds) ? camera : null;
+}
+
+/**
+ * Fill in a story step from the permalink it points to
+ * @param {Object} step - Step from the atlas `story`
+ * @param {Object} permalinks - `permalinks` of config/permalinks.json
+ * @returns {{title: string, text: string, camera: Object|null, layers: string[]|null, select: string|null, published: Object|null}}
+ */
+export function resolveStoryStep(step, permalinks = {}) {
+    let fromPermalink = {};
+
+    if (step.permalink) {
+        const { id, error } = resolvePermalinkAlias(permalinks, step.permalink);
+        if (error) {
+            console.warn(`⚠️ Story step permalink '${step.permalink}': ${error}`);
+        } else {
+            const permalink = permalinks[id];
+            try {
+                const url = new URL(permalink.url);
+                const layers = new URLSearchParams(url.search).get('layers');
+                fromPermalink = {
+                    title: permalink.title,
+                    text: permalink.description,
+                    camera: parseCamera(url.hash),
+                    layers: layers ? splitLayersParam(layers) : null,
+                    published: permalink.published
+                };
+            } catch (urlError) {
+                console.warn(`⚠️ Story step permalink '${step.permalink}' has an invalid url:`, permalink.url);
+            }
+        }
+    }
+
+    return {
+        title: step.title ?? fromPermalink.title ?? '',
+        text: step.text ?? fromPermalink.text ?? '',
+        camera: parseCamera(step.camera) ?? fromPermalink.camera ?? null,
+        layers: step.layers ?? fromPermalink.layers ?? null,
+        select: step.select ?? null,
+        published: fromPermalink.published ?? null
+    };
+}
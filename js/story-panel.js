@@ -0,0 +1,195 @@
+/**
+ * StoryPanel
+ * Plays the story of an atlas in a side panel: each step flies to its camera, shows its layers,
+ * selects its feature and shows its text. Next and previous move through the steps, also with
+ * the arrow keys and with PageDown/PageUp from presentation clickers. The step is kept in `?step=`.
+ */
+import { permalinkHandler } from './permalink-handler.js';
+import { STORY_PARAM, STEP_PARAM, resolveStoryStep } from './story-mode.js';
+import { renderMarkdown } from './markdown.js';
+import { escapeHtml } from './html-sanitizer.js';
+
+const PANEL_ID = 'story-panel';
+
+export class StoryPanel {
+    /**
+     * @param {Object} options
+     * @param {mapboxgl.Map} options.map
+     * @param {URLManager} options.urlManager
+     * @param {MapFeatureStateManager} options.stateManager
+     * @param {Object[]} options.steps - `story` of the atlas
+     * @param {string} options.title - Atlas title, shown above the steps
+     * @param {string} options.storyId - Written to ?story=
+     * @param {string} options.triggerId - Menu item that opens the story
+     */
+    constructor({ map, urlManager, stateManager, steps, title, storyId, triggerId }) {
+        this.map = map;
+        this.urlManager = urlManager;
+        this.stateManager = stateManager;
+        this.steps = steps;
+        this.title = title;
+        this.storyId = storyId;
+        this.stepIndex = -1;
+        // Steps shown while an earlier one is still flying or loading layers win
+        this.stepToken = 0;
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+
+        this._createPanel();
+
+        const trigger = document.getElementById(triggerId);
+        if (trigger) {
+            trigger.style.display = '';
+            trigger.addEventListener('click', () => this.open(1));
+        }
+    }
+
+    _createPanel() {
+        document.body.insertAdjacentHTML('beforeend', `
+            <aside id="${PANEL_ID}" class="story-panel" aria-label="Story" hidden>
+                <div class="story-panel-header">
+                    <div>
+                        <div class="story-panel-title">${escapeHtml(this.title)}</div>
+                        <div class="story-panel-progress" aria-live="polite"></div>
+                    </div>
+                    <sl-icon-button name="x-lg" label="Close story" class="story-panel-close"></sl-icon-button>
+                </div>
+                <div class="story-panel-content">
+                    <h2 class="story-step-title"></h2>
+                    <div class="story-step-text"></div>
+                    <p class="story-step-published"></p>
+                </div>
+                <div class="story-panel-nav">
+                    <sl-button class="story-previous" size="small">Previous</sl-button>
+                    <sl-button class="story-next" variant="primary" size="small">Next</sl-button>
+                </div>
+            </aside>
+        `);
+
+        this.panel = document.getElementById(PANEL_ID);
+        this.panel.querySelector('.story-panel-close').addEventListener('click', () => this.close());
+        this.panel.querySelector('.story-previous').addEventListener('click', () => this.previous());
+        this.panel.querySelector('.story-next').addEventListener('click', () => this.next());
+    }
+
+    /**
+     * Open the panel at a step
+     * @param {number} stepNumber - Counted from 1
+     */
+    async open(stepNumber = 1) {
+        this.permalinks = this.permalinks || await permalinkHandler.getAllPermalinks();
+        this.panel.hidden = false;
+        document.addEventListener('keydown', this._onKeyDown);
+        return this.goTo(stepNumber);
+    }
+
+    /**
+     * Close the panel and remove the story from the URL
+     */
+    close() {
+        this.panel.hidden = true;
+        this.stepIndex = -1;
+        this.stepToken++;
+        document.removeEventListener('keydown', this._onKeyDown);
+
+        // ?story= alone also chose the atlas, keep it as ?atlas=
+        const urlParams = new URLSearchParams(window.location.search);
+        const keepAtlas = urlParams.has(STORY_PARAM) && !urlParams.has('atlas') && this.storyId !== 'index';
+        this.urlManager.updateURL({
+            ...(keepAtlas && { atlas: this.storyId }),
+            params: { [STORY_PARAM]: null, [STEP_PARAM]: null }
+        });
+    }
+
+    next() {
+        return this.goTo(this.stepIndex + 2);
+    }
+
+    previous() {
+        return this.goTo(this.stepIndex);
+    }
+
+    /**
+     * Show a step
+     * @param {number} stepNumber - Counted from 1
+     */
+    async goTo(stepNumber) {
+        const index = Math.min(Math.max(stepNumber - 1, 0), this.steps.length - 1);
+        if (index === this.stepIndex) return;
+        this.stepIndex = index;
+        const token = ++this.stepToken;
+
+        const step = resolveStoryStep(this.steps[index], this.permalinks);
+        this._render(step);
+        this.urlManager.updateURL({ params: { [STORY_PARAM]: this.storyId, [STEP_PARAM]: index + 1 } });
+
+        if (step.layers) {
+            const applied = await this.urlManager.applyURLParameters(`?layers=${encodeURIComponent(step.layers.join(','))}`);
+            if (!applied) {
+                console.warn(`⚠️ Story step ${index + 1}: could not show layers ${step.layers.join(', ')}`);
+            }
+        }
+        if (token !== this.stepToken) return;
+
+        if (step.camera) {
+            await this._moveCamera(step.camera);
+        }
+        if (token !== this.stepToken) return;
+
+        if (step.select) {
+            await this.urlManager.selectFeaturesFromURL(step.select);
+        } else if (this.stateManager.getSelectedFeatures().length > 0) {
+            this.stateManager.clearAllSelections();
+        }
+    }
+
+    _render(step) {
+        const stepNumber = this.stepIndex + 1;
+        this.panel.querySelector('.story-panel-progress').textContent = `Step ${stepNumber} of ${this.steps.length}`;
+        this.panel.querySelector('.story-step-title').textContent = step.title;
+        this.panel.querySelector('.story-step-text').innerHTML = renderMarkdown(step.text);
+
+        const published = Object.entries(step.published || {})
+            .map(([date, publication]) => `${publication}, ${date}`);
+        this.panel.querySelector('.story-step-published').textContent = published.length > 0 ? `Published in ${published.join('; ')}` : '';
+
+        this.panel.querySelector('.story-previous').disabled = stepNumber === 1;
+        this.panel.querySelector('.story-next').disabled = stepNumber === this.steps.length;
+        this.panel.querySelector('.story-panel-content').scrollTop = 0;
+    }
+
+    _moveCamera(camera) {
+        return new Promise(resolve => {
+            this.map.once('moveend', resolve);
+            if (camera.bounds) {
+                this.map.fitBounds(camera.bounds, { padding: 40, essential: true });
+            } else {
+                this.map.flyTo({
+                    center: camera.center,
+                    ...(camera.zoom !== undefined && { zoom: camera.zoom }),
+                    ...(camera.bearing !== undefined && { bearing: camera.bearing }),
+                    ...(camera.pitch !== undefined && { pitch: camera.pitch }),
+                    essential: true
+                });
+            }
+        });
+    }
+
+    _onKeyDown(event) {
+        // Leave typing and the map's own keyboard panning alone
+        const target = event.target;
+        const isEditing = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT|SL-INPUT|SL-TEXTAREA|SL-SELECT)$/.test(target.tagName);
+        if (isEditing || event.altKey || event.ctrlKey || event.metaKey) return;
+        const onMap = target === this.map.getCanvas();
+
+        if (event.key === 'PageDown' || (event.key === 'ArrowRight' && !onMap)) {
+            event.preventDefault();
+            this.next();
+        } else if (event.key === 'PageUp' || (event.key === 'ArrowLeft' && !onMap)) {
+            event.preventDefault();
+            this.previous();
+        } else if (event.key === 'Escape' && !document.querySelector('sl-dialog[open]')) {
+            this.close();
+        }
+    }
+}
@@ -0,0 +1,115 @@
+import {
+  esriFeaturesToGeoJSON,
+  esriGeometryToGeoJSON,
+  fetchArcGISFeatures,
+  getArcGISExportTileUrl,
+  getArcGISExtent,
+  getArcGISQueryUrl,
+  isArcGISExportLayer,
+  parseArcGISUrl
+} from '../arcgis-services.js';
+
+const FEATURE_SERVER = 'https://services.arcgis.com/example/arcgis/rest/services/ODF_Villages/FeatureServer';
+const MAP_SERVER = 'https://gis.example.gov.in/arcgis/rest/services/Goa/Landuse/MapServer';
+
+const queryParams = url => new URLSearchParams(url.split('?')[1]);
+
+describe('ArcGIS Services', () => {
+  test('should tell feature layers from MapServer export layers', () => {
+    expect(parseArcGISUrl(`${FEATURE_SERVER}/0?token=abc`)).toEqual({
+      serviceUrl: FEATURE_SERVER, serviceType: 'FeatureServer', layerIndex: 0, query: 'token=abc'
+    });
+    expect(parseArcGISUrl('https://example.com/tiles/{z}/{x}/{y}.png')).toBeNull();
+
+    expect(isArcGISExportLayer({ url: `${FEATURE_SERVER}/0` })).toBe(false);
+    expect(isArcGISExportLayer({ url: `${MAP_SERVER}/2` })).toBe(false);
+    expect(isArcGISExportLayer({ url: `${MAP_SERVER}/2`, service: { export: true } })).toBe(true);
+    expect(isArcGISExportLayer({ url: MAP_SERVER })).toBe(true);
+  });
+
+  test('should query the features in view, loading the inspected fields', () => {
+    const layer = {
+      url: `${FEATURE_SERVER}/0?token=abc`,
+      service: { where: "STATE_NAME = 'Goa'", outFields: ['VILLAGE'] },
+      inspect: { label: 'VILLAGE', fields: ['ODF_STATUS', 'DISTRICT'] }
+    };
+    const url = getArcGISQueryUrl(layer, [-190, 15, 74, 95], { offset: 2000, count: 1000 });
+    expect(url.startsWith(`${FEATURE_SERVER}/0/query?token=abc&`)).toBe(true);
+
+    const params = queryParams(url);
+    expect(params.get('where')).toBe("STATE_NAME = 'Goa'");
+    expect(params.get('geometry')).toBe('-180,15,74,90');
+    expect(params.get('outFields')).toBe('VILLAGE,ODF_STATUS,DISTRICT');
+    expect([params.get('resultOffset'), params.get('resultRecordCount')]).toEqual(['2000', '1000']);
+    expect(queryParams(getArcGISQueryUrl({ url: FEATURE_SERVER }, [73, 15, 74, 16])).get('outFields')).toBe('*');
+    expect(getArcGISQueryUrl({ url: FEATURE_SERVER }, [73, 15, 74, 16])).toContain('/FeatureServer/0/query?');
+  });
+
+  test('should request MapServer export images for each tile', () => {
+    const url = getArcGISExportTileUrl({ url: `${MAP_SERVER}/3`, service: { export: true, where: 'CLASS = 2' } });
+    expect(url).toContain(`${MAP_SERVER}/export?bbox={bbox-epsg-3857}&`);
+
+    const params = queryParams(url);
+    expect(params.get('layers')).toBe('show:3');
+    expect(JSON.parse(params.get('layerDefs'))).toEqual({ 3: 'CLASS = 2' });
+    expect(params.get('f')).toBe('image');
+    expect(queryParams(getArcGISExportTileUrl({ url: MAP_SERVER })).get('layers')).toBeNull();
+  });
+
+  test('should convert Esri JSON to GeoJSON', () => {
+    const outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+    const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+    const island = [[20, 0], [20, 5], [25, 5], [25, 0], [20, 0]];
+
+    expect(esriGeometryToGeoJSON({ rings: [outer, hole] })).toEqual({
+      type: 'Polygon', coordinates: [[...outer].reverse(), [...hole].reverse()]
+    });
+    expect(esriGeometryToGeoJSON({ rings: [outer, hole, island] }).type).toBe('MultiPolygon');
+    expect(esriGeometryToGeoJSON({ paths: [[[0, 0], [1, 1]]] })).toEqual({ type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+    expect(esriGeometryToGeoJSON({ x: 73.8, y: 15.5 })).toEqual({ type: 'Point', coordinates: [73.8, 15.5] });
+    expect(esriGeometryToGeoJSON({ x: 'NaN', y: 'NaN' })).toBeNull();
+
+    const geojson = esriFeaturesToGeoJSON({
+      objectIdFieldName: 'OBJECTID',
+      fields: [
+        { name: 'OBJECTID', type: 'esriFieldTypeOID' },
+        { name: 'DECLARED_ON', type: 'esriFieldTypeDate' },
+        { name: 'ODF_STATUS', type: 'esriFieldTypeSmallInteger', domain: { type: 'codedValue', codedValues: [{ code: 1, name: 'ODF Plus' }] } }
+      ],
+      features: [{ attributes: { OBJECTID: 7, DECLARED_ON: Date.UTC(2019, 9, 2), ODF_STATUS: 1 }, geometry: { x: 73.8, y: 15.5 } }]
+    });
+    expect(geojson.features[0]).toEqual({
+      type: 'Feature',
+      id: 7,
+      properties: { OBJECTID: 7, DECLARED_ON: '2019-10-02', ODF_STATUS: 'ODF Plus' },
+      geometry: { type: 'Point', coordinates: [73.8, 15.5] }
+    });
+
+    expect(getArcGISExtent({ extent: { xmin: 73.6, ymin: 14.8, xmax: 74.4, ymax: 15.8, spatialReference: { wkid: 4326 } } }))
+      .toEqual([73.6, 14.8, 74.4, 15.8]);
+    const [west, south] = getArcGISExtent({ extent: { xmin: 8193208, ymin: 1665961, xmax: 8282263, ymax: 1781264, spatialReference: { wkid: 102100, latestWkid: 3857 } } });
+    expect(west).toBeCloseTo(73.6, 1);
+    expect(south).toBeCloseTo(14.8, 1);
+    expect(getArcGISExtent({ extent: { xmin: 0, ymin: 0, xmax: 1, ymax: 1, spatialReference: { wkid: 32643 } } })).toBeNull();
+  });
+
+  test('should load the features in view a page at a time', async () => {
+    const pages = [
+      { features: [{ attributes: { OBJECTID: 1 }, geometry: { x: 73.8, y: 15.5 } }, { attributes: { OBJECTID: 2 }, geometry: { x: 73.9, y: 15.5 } }], exceededTransferLimit: true },
+      { features: [{ attributes: { OBJECTID: 3 }, geometry: { x: 74, y: 15.5 } }] }
+    ];
+    const fetch = vi.fn(async url => ({ ok: true, json: async () => pages[Number(queryParams(url).get('resultOffset')) / 2] }));
+    vi.stubGlobal('fetch', fetch);
+
+    const metadata = { objectIdField: 'OBJECTID', maxRecordCount: 2, advancedQueryCapabilities: { supportsPagination: true } };
+    const geojson = await fetchArcGISFeatures({ url: `${FEATURE_SERVER}/0` }, [73, 15, 75, 16], { metadata });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(geojson.features.map(feature => feature.id)).toEqual([1, 2, 3]);
+    expect(geojson.exceededTransferLimit).toBe(false);
+
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ error: { code: 400, message: 'Invalid query' } }) });
+    await expect(fetchArcGISFeatures({ url: `${FEATURE_SERVER}/0` }, [73, 15, 75, 16])).rejects.toThrow('Invalid query');
+
+    vi.unstubAllGlobals();
+  });
+});
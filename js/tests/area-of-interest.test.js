@@ -0,0 +1,63 @@
+import {
+  normalizeAreaOfInterest,
+  getGeoJSONBbox,
+  padBbox,
+  buildInverseMask,
+  resolveAreaOfInterest,
+  getAreaMaxBounds,
+  getAreaSearchOptions
+} from '../area-of-interest.js';
+
+describe('Area of Interest', () => {
+  const goaPolygon = {
+    type: 'Polygon',
+    coordinates: [[[73.6, 14.9], [74.3, 14.9], [74.3, 15.8], [73.6, 15.8], [73.6, 14.9]]]
+  };
+
+  test('should keep plain place names without geometry', async () => {
+    expect(normalizeAreaOfInterest('Goa, India')).toEqual({ name: 'Goa, India' });
+    expect(await resolveAreaOfInterest('Goa, India')).toBeNull();
+  });
+
+  test('should accept bboxes, GeoJSON and URLs', () => {
+    expect(normalizeAreaOfInterest([73.6, 14.9, 74.3, 15.8])).toEqual({ bbox: [73.6, 14.9, 74.3, 15.8] });
+    expect(normalizeAreaOfInterest(goaPolygon)).toEqual({ geojson: goaPolygon });
+    expect(normalizeAreaOfInterest('https://example.com/goa.geojson')).toEqual({ url: 'https://example.com/goa.geojson' });
+  });
+
+  test('should compute the bbox of features and multipolygons', () => {
+    const collection = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: {}, geometry: goaPolygon },
+        { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: [[[[72.8, 18.9], [72.9, 18.9], [72.9, 19.0], [72.8, 18.9]]]] } }
+      ]
+    };
+    expect(getGeoJSONBbox(collection)).toEqual([72.8, 14.9, 74.3, 19.0]);
+  });
+
+  test('should pad bounds and clamp them to the world', () => {
+    expect(padBbox([0, 0, 10, 10], 0.5)).toEqual([-5, -5, 15, 15]);
+    expect(padBbox([-179, -80, 179, 80], 1)).toEqual([-180, -85, 180, 85]);
+  });
+
+  test('should cut the area out of a world polygon for the mask', () => {
+    const mask = buildInverseMask(goaPolygon);
+    expect(mask.geometry.coordinates).toHaveLength(2);
+    expect(mask.geometry.coordinates[1]).toEqual(goaPolygon.coordinates[0]);
+  });
+
+  test('should resolve URLs and derive map bounds and search options', async () => {
+    const fetchGeoJSON = vi.fn(async () => goaPolygon);
+    const area = await resolveAreaOfInterest(
+      { name: 'Goa', url: 'https://example.com/goa.geojson', mask: { opacity: 0.6 }, boundsPadding: 0 },
+      { fetchGeoJSON }
+    );
+
+    expect(fetchGeoJSON).toHaveBeenCalledWith('https://example.com/goa.geojson');
+    expect(area.bbox).toEqual([73.6, 14.9, 74.3, 15.8]);
+    expect(area.mask).toEqual({ color: '#000000', opacity: 0.6 });
+    expect(getAreaMaxBounds(area)).toEqual([[73.6, 14.9], [74.3, 15.8]]);
+    expect(getAreaSearchOptions(area)).toEqual({ proximity: '73.95000,15.35000', bbox: [73.6, 14.9, 74.3, 15.8] });
+  });
+});
@@ -0,0 +1,175 @@
+import {
+  getAtlasPath,
+  mergeAtlasConfigs,
+  resolveAtlasExtends,
+  parseAtlasList,
+  combineAtlasConfigs,
+  prepareAtlasConfig
+} from '../atlas-config.js';
+import { configValidator } from '../config-validator.js';
+
+describe('Atlas Inheritance', () => {
+  const parent = {
+    name: 'Parent',
+    map: { center: [73.8, 15.47], zoom: 11.4 },
+    ui: { title: 'Parent title', shareButton: 'Share' },
+    layers: [
+      { id: 'streets', initiallyChecked: true },
+      { id: 'plots', style: { 'line-color': 'red', 'line-width': 1 } },
+      { id: 'forests' },
+      { id: 'satellite' }
+    ]
+  };
+
+  const loaderFor = (atlases) => async (name) => {
+    if (!atlases[name]) {
+      throw new Error('HTTP 404 Not Found');
+    }
+    return atlases[name];
+  };
+
+  test('should resolve local names and URLs to config paths', () => {
+    expect(getAtlasPath('index')).toBe('config/index.atlas.json');
+    expect(getAtlasPath('examples/maphub')).toBe('config/examples/maphub.atlas.json');
+    expect(getAtlasPath('https://example.com/my.atlas.json')).toBe('https://example.com/my.atlas.json');
+  });
+
+  test('should merge map and ui and override other top-level keys', () => {
+    const merged = mergeAtlasConfigs(parent, {
+      extends: 'parent',
+      name: 'Child',
+      map: { zoom: 9 },
+      ui: { title: 'Child title' }
+    });
+
+    expect(merged.name).toBe('Child');
+    expect(merged.map).toEqual({ center: [73.8, 15.47], zoom: 9 });
+    expect(merged.ui).toEqual({ title: 'Child title', shareButton: 'Share' });
+    expect(merged.extends).toBeUndefined();
+    expect(merged.layers.map(layer => layer.id)).toEqual(['streets', 'plots', 'forests', 'satellite']);
+  });
+
+  test('should add, remove, override and reorder inherited layers', () => {
+    const merged = mergeAtlasConfigs(parent, {
+      extends: 'parent',
+      remove: ['forests'],
+      layers: [
+        { id: 'plots', style: { 'line-color': 'blue' } },
+        { id: 'satellite', before: 'streets' },
+        { id: 'wards', after: 'streets' },
+        { id: 'rivers' }
+      ]
+    });
+
+    expect(merged.remove).toBeUndefined();
+    expect(merged.layers.map(layer => layer.id)).toEqual(['satellite', 'streets', 'wards', 'plots', 'rivers']);
+    expect(merged.layers.find(layer => layer.id === 'plots').style).toEqual({ 'line-color': 'blue', 'line-width': 1 });
+    expect(merged.layers.find(layer => layer.id === 'satellite').before).toBeUndefined();
+  });
+
+  test('should resolve multi-level extends chains', async () => {
+    const loadAtlas = loaderFor({
+      parent,
+      middle: { extends: 'parent', remove: ['satellite'], layers: [{ id: 'wards' }] }
+    });
+
+    const resolved = await resolveAtlasExtends(
+      { extends: 'middle', name: 'Child', layers: [{ id: 'rivers' }] },
+      { source: 'child', loadAtlas }
+    );
+
+    expect(resolved.name).toBe('Child');
+    expect(resolved.layers.map(layer => layer.id)).toEqual(['streets', 'plots', 'forests', 'wards', 'rivers']);
+  });
+
+  test('should report inheritance cycles', async () => {
+    const loadAtlas = loaderFor({
+      a: { extends: 'b', layers: [] },
+      b: { extends: 'a', layers: [] }
+    });
+
+    await expect(resolveAtlasExtends({ extends: 'b', layers: [] }, { source: 'a', loadAtlas }))
+      .rejects.toThrow('Atlas inheritance cycle: a → b → a');
+  });
+
+  test('should report missing parents', async () => {
+    await expect(resolveAtlasExtends({ extends: 'missing', layers: [] }, { source: 'child', loadAtlas: loaderFor({}) }))
+      .rejects.toThrow("Could not load parent atlas 'missing' extended by 'child': HTTP 404 Not Found");
+  });
+});
+
+describe('Combined Atlases', () => {
+  test('should split atlas lists but not inline JSON', () => {
+    expect(parseAtlasList('bombay, mumbai')).toEqual(['bombay', 'mumbai']);
+    expect(parseAtlasList('index')).toEqual(['index']);
+    expect(parseAtlasList('{"layers":[{"id":"a"},{"id":"b"}]}')).toHaveLength(1);
+    expect(parseAtlasList(null)).toEqual([]);
+  });
+
+  test('should combine atlases in order with the map view of the first', () => {
+    const combined = combineAtlasConfigs([
+      {
+        source: 'bombay',
+        config: {
+          name: 'Bombay',
+          map: { center: [72.83, 18.94], zoom: 12 },
+          startDate: '1857',
+          endDate: '1901',
+          layers: [{ id: 'streets' }, { id: 'bombay-1914' }]
+        }
+      },
+      {
+        source: 'mumbai',
+        config: {
+          name: 'Mumbai',
+          title: 'Mumbai today',
+          map: { center: [72.8, 18.93], zoom: 12.4 },
+          endDate: '2024',
+          presetLibraries: [{ namespace: 'bmc', url: 'https://example.org/bmc.json' }],
+          layers: [{ id: 'streets', initiallyChecked: true }, { id: 'wards' }]
+        }
+      }
+    ]);
+
+    expect(combined.name).toBe('Bombay');
+    expect(combined.map).toEqual({ center: [72.83, 18.94], zoom: 12 });
+    expect(combined.layers.map(layer => layer.id)).toEqual(['streets', 'bombay-1914', 'wards']);
+    expect(combined.layers.map(layer => layer._sourceAtlas)).toEqual(['bombay', 'bombay', 'Mumbai today']);
+    // The first atlas's copy of a duplicate layer wins
+    expect(combined.layers[0].initiallyChecked).toBeUndefined();
+    expect(combined.presetLibraries).toHaveLength(1);
+    expect(combined.startDate).toBe('1857');
+    expect(combined.endDate).toBe('2024');
+  });
+});
+
+describe('Preparing Atlases', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  test('should migrate, validate, resolve extends and renamed preset ids in one step', async () => {
+    const files = {
+      'config/_defaults.json': { trustedAtlasOrigins: [] },
+      'config/_map-layer-presets.json': { layers: [{ id: 'plots', title: 'Plots', type: 'vector', aliases: ['plot-boundaries'] }] },
+      'config/parent.atlas.json': { layersConfig: [{ id: 'plot-boundaries' }] }
+    };
+    vi.stubGlobal('window', { location: { origin: 'https://amche.in' } });
+    vi.stubGlobal('fetch', vi.fn(async url => files[url] ?
+      { ok: true, json: async () => files[url] } :
+      { ok: false, status: 404, statusText: 'Not Found' }));
+    const validate = vi.spyOn(configValidator, 'validate').mockResolvedValue(["Config property 'name': must be string"]);
+
+    const { config, layerLibrary, configErrors, renamedLayers } = await prepareAtlasConfig(
+      { extends: 'parent', layersConfig: [{ id: 'streets' }] },
+      { source: 'child' }
+    );
+
+    expect(validate).toHaveBeenCalledWith({ extends: 'parent', layers: [{ id: 'streets' }] }, 'atlas');
+    expect(configErrors).toEqual(["Config property 'name': must be string"]);
+    expect(config.layers.map(layer => layer.id)).toEqual(['plots', 'streets']);
+    expect(renamedLayers).toEqual([{ from: 'plot-boundaries', to: 'plots' }]);
+    expect(layerLibrary.find('plots').title).toBe('Plots');
+  });
+});
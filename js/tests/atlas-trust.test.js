@@ -0,0 +1,31 @@
+import { getAtlasTrustLevel, getUntrustedAtlasSources, getAtlasSources } from '../atlas-trust.js';
+
+describe('Atlas Trust', () => {
+  const trustedOrigins = ['https://amche.in', 'https://raw.githubusercontent.com/publicmap/'];
+  const pageOrigin = 'https://amche.in';
+
+  test('should trust local atlases, this site and allowlisted origins', () => {
+    expect(getAtlasTrustLevel('bombay', trustedOrigins, pageOrigin)).toBe('local');
+    expect(getAtlasTrustLevel('https://amche.in/config/index.atlas.json', [], pageOrigin)).toBe('trusted');
+    expect(getAtlasTrustLevel('https://raw.githubusercontent.com/publicmap/amche-goa/main/config/bombay.atlas.json', trustedOrigins, 'http://localhost:4035')).toBe('trusted');
+  });
+
+  test('should not trust look-alike origins or paths outside a trusted prefix', () => {
+    expect(getAtlasTrustLevel('https://amche.in.example.com/a.atlas.json', trustedOrigins, pageOrigin)).toBe('unknown');
+    expect(getAtlasTrustLevel('https://raw.githubusercontent.com/someone/repo/a.atlas.json', trustedOrigins, pageOrigin)).toBe('unknown');
+    expect(getAtlasTrustLevel('https://raw.githubusercontent.com/publicmap/../someone/a.atlas.json', trustedOrigins, pageOrigin)).toBe('unknown');
+    expect(getUntrustedAtlasSources(['index', 'https://gist.example.com/a.json'], trustedOrigins, pageOrigin))
+      .toEqual(['https://gist.example.com/a.json']);
+  });
+
+  test('should list the parent atlas, preset libraries and area of interest URLs an atlas loads', () => {
+    expect(getAtlasSources({
+      extends: 'https://gist.example.com/parent.atlas.json',
+      presetLibraries: ['config/extra-presets.json', { namespace: 'dfes', url: 'https://example.com/dfes.json' }],
+      areaOfInterest: { url: 'https://example.com/ward.geojson', mask: true }
+    })).toEqual(['https://gist.example.com/parent.atlas.json', 'https://example.com/dfes.json', 'https://example.com/ward.geojson']);
+
+    expect(getAtlasSources({ extends: 'index', areaOfInterest: 'Goa, India' })).toEqual([]);
+    expect(getAtlasSources({ areaOfInterest: 'https://example.com/goa.geojson' })).toEqual(['https://example.com/goa.geojson']);
+  });
+});
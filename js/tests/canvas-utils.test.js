@@ -0,0 +1,12 @@
+import { wrapText } from '../canvas-utils.js';
+
+// Every character is 10px wide
+const context = { measureText: text => ({ width: text.length * 10 }) };
+
+describe('Canvas Utils', () => {
+  test('should wrap layer names and long links and shorten text that does not fit', () => {
+    expect(wrapText(context, 'Plots · Roads · Village boundaries', 160, 3)).toEqual(['Plots · Roads ·', 'Village', 'boundaries']);
+    expect(wrapText(context, 'amche.in/?layers=plot,roads', 100, 3)).toEqual(['amche.in/?', 'layers=plo', 't,roads']);
+    expect(wrapText(context, 'one two three four', 90, 1)).toEqual(['one two…']);
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  CURRENT_CONFIG_VERSION,
+  compareVersions,
+  migrateAtlasConfig,
+  migrateLayerConfig,
+  migratePresetLibrary
+} from '../config-migrations.mjs';
+
+describe('Config Migrations', () => {
+  test('should compare dotted versions numerically', () => {
+    expect(compareVersions('0.1.0', '0.2.0')).toBeLessThan(0);
+    expect(compareVersions('0.10.0', '0.2.0')).toBeGreaterThan(0);
+    expect(compareVersions('0.2', '0.2.0')).toBe(0);
+  });
+
+  test('should upgrade a 0.1.0 atlas to the current shape with warnings', () => {
+    const config = {
+      version: '0.1.0',
+      layersConfig: [
+        { id: 'satellite', type: 'tms', url: 'https://example.org/{z}/{x}/{y}.png', opacity: 0.6 },
+        { id: 'roads', type: 'vector', opacity: 0.6 }
+      ]
+    };
+
+    const { config: migrated, warnings, migrated: changed } = migrateAtlasConfig(config);
+
+    expect(changed).toBe(true);
+    expect(migrated.version).toBe(CURRENT_CONFIG_VERSION);
+    expect(migrated.layersConfig).toBeUndefined();
+    expect(migrated.layers[0].opacity).toBeUndefined();
+    expect(migrated.layers[0].style).toEqual({ 'raster-opacity': 0.6 });
+    // Only raster layers have their opacity moved
+    expect(migrated.layers[1].opacity).toBe(0.6);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toContain('layersConfig');
+    expect(warnings[1]).toContain("Layer 'satellite'");
+
+    // The original config is left untouched
+    expect(config.layersConfig).toHaveLength(2);
+  });
+
+  test('should keep an explicit raster-opacity style over the legacy opacity', () => {
+    const { layer } = migrateLayerConfig({ id: 'map', type: 'img', opacity: 0.3, style: { 'raster-opacity': 0.8 } });
+
+    expect(layer.style['raster-opacity']).toBe(0.8);
+    expect(layer.opacity).toBeUndefined();
+  });
+
+  test('should leave current and newer configs unchanged', () => {
+    const current = { version: CURRENT_CONFIG_VERSION, layers: [{ id: 'roads' }] };
+    const currentResult = migrateAtlasConfig(current);
+    expect(currentResult.migrated).toBe(false);
+    expect(currentResult.config).toEqual(current);
+    expect(currentResult.warnings).toHaveLength(0);
+
+    const newer = { version: '99.0.0', layers: [] };
+    const newerResult = migrateAtlasConfig(newer);
+    expect(newerResult.migrated).toBe(false);
+    expect(newerResult.config).toEqual(newer);
+    expect(newerResult.warnings[0]).toContain('newer than the supported version');
+  });
+
+  test('should migrate preset library layers', () => {
+    const { library, warnings } = migratePresetLibrary({
+      name: 'DFES',
+      layers: [{ id: 'hillshade', type: 'tms', opacity: 0.5 }, { id: 'fire-stations', type: 'geojson' }]
+    });
+
+    expect(library.name).toBe('DFES');
+    expect(library.layers[0].style).toEqual({ 'raster-opacity': 0.5 });
+    expect(library.layers[1]).toEqual({ id: 'fire-stations', type: 'geojson' });
+    expect(warnings).toHaveLength(1);
+  });
+});
@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { glob } = require('glob');
-const { validateJsonSyntax, validateConfigStructure } = require('./lint-json');
+const { validateJsonSyntax, validateConfigStructure, getSchemaErrors } = require('./lint-json');
 
 describe('Config File Validation', () => {
   let configFiles = [];
@@ -46,6 +46,35 @@ describe('Config File Validation', () => {
     });
   });
 
+  describe('Schema Validation', () => {
+    test('should validate all atlas files against the config schema', async () => {
+      for (const filePath of configFiles) {
+        const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+        expect(await getSchemaErrors(data, 'atlas'), filePath).toEqual([]);
+      }
+    });
+
+    test('should validate layer presets and defaults against the config schema', async () => {
+      const defaults = JSON.parse(fs.readFileSync(path.resolve('config/_defaults.json'), 'utf8'));
+      expect(await getSchemaErrors(mapLayerPresets, 'presets')).toEqual([]);
+      expect(await getSchemaErrors(defaults, 'defaults')).toEqual([]);
+    });
+
+    test('should name the offending layer and property in schema errors', async () => {
+      const errors = await getSchemaErrors({
+        layers: [
+          { id: 'roads', type: 'vector', url: 'https://example.com/{z}/{x}/{y}.pbf', inspect: { fields: 'name' } },
+          { id: 'scan', type: 'img', url: 'https://example.com/scan.png' },
+          { id: 'typo', type: 'vectr' }
+        ]
+      });
+
+      expect(errors).toContain("Layer 'roads' (index 0) property 'inspect.fields': must be array");
+      expect(errors).toContain("Layer 'scan' (index 1) property 'bbox': must have required property 'bbox'");
+      expect(errors.some(message => message.startsWith("Layer 'typo' (index 2) property 'type'"))).toBe(true);
+    });
+  });
+
   describe('Layer Reference Validation', () => {
     test('should load map layer presets', () => {
       expect(mapLayerPresets).not.toBeNull();
@@ -132,8 +161,10 @@ describe('Config File Validation', () => {
       layersArray.forEach((layer, index) => {
         // Skip layers that are fully defined inline
         const isInlineDefinition = layer.title && (layer.type || layer.url || layer.style);
+        // Namespaced ids come from the atlas's own presetLibraries, which are remote
+        const isExternalPreset = data.presetLibraries && layer.id && layer.id.includes(':');
         
-        if (layer.id && !availableLayerIds.has(layer.id) && !isInlineDefinition) {
+        if (layer.id && !availableLayerIds.has(layer.id) && !isInlineDefinition && !isExternalPreset) {
           const suggestions = findClosestMatches(layer.id);
           invalidReferences.push({
             index,
@@ -161,6 +192,32 @@ describe('Config File Validation', () => {
     });
   });
 
+  describe('Permalink Validation', () => {
+    test('should only use atlases and layer ids that still resolve', async () => {
+      const { validatePermalinks } = await import('../permalink-validation.mjs');
+      const text = fs.readFileSync(path.resolve('config/permalinks.json'), 'utf8');
+
+      // Same inputs as `npm run validate:permalinks`
+      const atlasFiles = await glob('config/**/*.atlas.json', { cwd: process.cwd() });
+      const atlases = new Map(atlasFiles.map(file => [
+        file.replace(/\\/g, '/').replace(/^config\//, '').replace(/\.atlas\.json$/, ''),
+        JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+      ]));
+      // Renamed presets keep working through their aliases
+      const layerIds = new Set(mapLayerPresets.layers.flatMap(layer => [layer.id, ...(layer.aliases || [])]));
+
+      expect(validatePermalinks(JSON.parse(text), { atlases, layerIds, text })).toEqual([]);
+    });
+
+    test('should not reuse preset ids as aliases', () => {
+      const ids = new Set(mapLayerPresets.layers.map(layer => layer.id));
+      const aliases = mapLayerPresets.layers.flatMap(layer => layer.aliases || []);
+
+      expect(aliases.filter(alias => ids.has(alias))).toEqual([]);
+      expect(aliases.length).toBe(new Set(aliases).size);
+    });
+  });
+
   describe('Map Layer Presets Validation', () => {
     test('should have required fields for each layer', () => {
       mapLayerPresets.layers.forEach((layer, index) => {
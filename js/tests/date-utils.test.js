@@ -0,0 +1,17 @@
+import { parseYear, getLayerTimeRange } from '../date-utils.js';
+
+describe('Date Utils', () => {
+  test('should parse years from numbers, years and ISO dates', () => {
+    expect(parseYear(1857)).toBe(1857);
+    expect(parseYear('1901')).toBe(1901);
+    expect(parseYear('1914-06-01')).toBe(1914);
+    expect(parseYear('')).toBeNull();
+    expect(parseYear(undefined)).toBeNull();
+  });
+
+  test('should get layer years from startDate/endDate or year', () => {
+    expect(getLayerTimeRange({ id: 'chart', year: 1914 })).toEqual({ start: 1914, end: 1914 });
+    expect(getLayerTimeRange({ id: 'wards', startDate: '1890' })).toEqual({ start: 1890, end: null });
+    expect(getLayerTimeRange({ id: 'streets' })).toBeNull();
+  });
+});
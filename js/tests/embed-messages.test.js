@@ -0,0 +1,87 @@
+import { isAllowedHostOrigin, validateHostMessage } from '../embed-messages.js';
+import { AmcheEmbed } from '../embed-host.js';
+
+const MAP_ORIGIN = 'https://amche.in';
+
+/**
+ * An iframe whose map answers host messages with `reply`
+ */
+function createFakeIframe(hostWindow, reply) {
+  const contentWindow = {
+    postMessage: vi.fn((message, targetOrigin) => {
+      expect(targetOrigin).toBe(MAP_ORIGIN);
+      const response = reply(message);
+      if (response) {
+        queueMicrotask(() => hostWindow.dispatchEvent(Object.assign(new Event('message'), {
+          data: { source: 'amche-map', requestId: message.requestId, ...response },
+          origin: MAP_ORIGIN,
+          source: contentWindow
+        })));
+      }
+    })
+  };
+  return { src: `${MAP_ORIGIN}/?atlas=bombay&embed=1`, contentWindow, addEventListener: vi.fn(), removeEventListener: vi.fn() };
+}
+
+describe('Embed Messages', () => {
+  test('should allow this site and listed host origins only', () => {
+    expect(isAllowedHostOrigin(MAP_ORIGIN, [], MAP_ORIGIN)).toBe(true);
+    expect(isAllowedHostOrigin('https://example.org', ['https://example.org'], MAP_ORIGIN)).toBe(true);
+    expect(isAllowedHostOrigin('https://example.org.evil.com', ['https://example.org'], MAP_ORIGIN)).toBe(false);
+    expect(isAllowedHostOrigin('null', ['https://example.org'], MAP_ORIGIN)).toBe(false);
+  });
+
+  test('should validate host commands', () => {
+    expect(validateHostMessage({ type: 'connect' })).toBeNull();
+    expect(validateHostMessage({ type: 'setLayers', payload: { layers: ['plot', 'roads'] } })).toBeNull();
+    expect(validateHostMessage({ type: 'flyTo', payload: { bounds: [73.8, 15.5, 73.9, 15.6], padding: 20 } })).toBeNull();
+    expect(validateHostMessage({ type: 'flyTo', payload: { center: [73.8, 15.5], zoom: 12 } })).toBeNull();
+    expect(validateHostMessage({ type: 'selectFeatures', payload: { features: [{ layerId: 'plot', featureId: 274 }] } })).toBeNull();
+    expect(validateHostMessage({ type: 'setAtlas', payload: { atlas: 'bombay', layers: ['plot'] } })).toBeNull();
+
+    expect(validateHostMessage({ type: 'eval' })).toMatch(/Unknown command 'eval'/);
+    expect(validateHostMessage({ type: 'setLayers', payload: { layers: 'plot' } })).toMatch(/array of layer ids/);
+    expect(validateHostMessage({ type: 'flyTo', payload: { bounds: [73.8, 15.5] } })).toMatch(/\[west, south, east, north\]/);
+    expect(validateHostMessage({ type: 'flyTo', payload: { center: [73.8, 15.5], zoom: '12' } })).toMatch(/must be numbers/);
+    expect(validateHostMessage({ type: 'selectFeatures', payload: { features: [{ layerId: 'plot' }] } })).toMatch(/layerId, featureId/);
+    expect(validateHostMessage({ type: 'setAtlas', payload: { atlas: '{"layers":[]}' } })).toMatch(/name or URL/);
+  });
+
+  test('should connect, send commands and pass on events from the map', async () => {
+    const hostWindow = Object.assign(new EventTarget(), { location: { href: 'https://example.org/page' } });
+    vi.stubGlobal('window', hostWindow);
+
+    const state = { atlas: 'bombay', layers: ['plot'], camera: {}, selection: [] };
+    const iframe = createFakeIframe(hostWindow, (message) => {
+      switch (message.type) {
+        case 'connect': return { type: 'response', ok: true, result: state };
+        case 'setLayers': return { type: 'response', ok: true, result: { layers: message.payload.layers } };
+        case 'selectFeatures': return { type: 'response', ok: false, error: 'None of the features were found' };
+      }
+    });
+
+    const embed = new AmcheEmbed(iframe);
+    const ready = vi.fn();
+    embed.on('ready', ready);
+    expect(() => embed.on('click', () => {})).toThrow(/Unknown event 'click'/);
+
+    await expect(embed.ready).resolves.toEqual(state);
+    expect(ready).toHaveBeenCalledWith(state);
+    await expect(embed.setLayers(['plot', 'roads'])).resolves.toEqual({ layers: ['plot', 'roads'] });
+    await expect(embed.selectFeatures([{ layerId: 'plot', featureId: 1 }])).rejects.toThrow('None of the features were found');
+
+    const onSelection = vi.fn();
+    embed.on('selectionchange', onSelection);
+    const selection = { selection: [{ layerId: 'plot', featureId: 274 }] };
+    const eventData = { source: 'amche-map', type: 'event', event: 'selectionchange', data: selection };
+    // Messages from other windows and origins are ignored
+    hostWindow.dispatchEvent(Object.assign(new Event('message'), { data: eventData, origin: 'https://evil.com', source: iframe.contentWindow }));
+    hostWindow.dispatchEvent(Object.assign(new Event('message'), { data: eventData, origin: MAP_ORIGIN, source: {} }));
+    hostWindow.dispatchEvent(Object.assign(new Event('message'), { data: eventData, origin: MAP_ORIGIN, source: iframe.contentWindow }));
+    expect(onSelection).toHaveBeenCalledTimes(1);
+    expect(onSelection).toHaveBeenCalledWith(selection);
+
+    embed.destroy();
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,46 @@
+import {
+  DEFAULT_EMBED_CONTROLS,
+  buildEmbedSnippet,
+  buildEmbedURL,
+  getFullMapURL,
+  parseEmbedOptions,
+  parseMapHash
+} from '../embed-mode.js';
+
+describe('Embed Mode', () => {
+  test('should read the embed options', () => {
+    expect(parseEmbedOptions('?atlas=bombay')).toBeNull();
+    expect(parseEmbedOptions('?embed=0')).toBeNull();
+    expect(parseEmbedOptions('?embed=1')).toEqual({ controls: DEFAULT_EMBED_CONTROLS, interactive: true });
+    expect(parseEmbedOptions('?embed=1&controls=none&interactive=false')).toEqual({ controls: [], interactive: false });
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseEmbedOptions('?embed=1&controls=legend,zoom,search').controls).toEqual(['zoom', 'legend']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('should add and remove the embed options without touching the map parameters', () => {
+    const url = 'https://amche.in/?atlas=bombay&layers=plot,{"id":"x","type":"geojson"}#12/19.07/72.87';
+    const embedURL = buildEmbedURL(url, { controls: ['layers', 'zoom'], interactive: false });
+
+    expect(embedURL).toBe('https://amche.in/?atlas=bombay&layers=plot,{"id":"x","type":"geojson"}&embed=1&controls=zoom,layers&interactive=false#12/19.07/72.87');
+    expect(parseEmbedOptions(new URL(embedURL).search)).toEqual({ controls: ['zoom', 'layers'], interactive: false });
+    expect(getFullMapURL(embedURL)).toBe(url);
+    expect(buildEmbedURL('https://amche.in/', { controls: ['legend', 'zoom'] })).toBe('https://amche.in/?embed=1');
+    expect(buildEmbedURL('https://amche.in/?embed=1&controls=time', { controls: [] })).toBe('https://amche.in/?embed=1&controls=none');
+  });
+
+  test('should build iframe HTML with escaped attributes', () => {
+    expect(buildEmbedSnippet('https://amche.in/?layers={"id":"a"}&embed=1', { width: '100%', height: 500, title: 'Maps "Goa"' }))
+      .toBe('<iframe src="https://amche.in/?layers={&quot;id&quot;:&quot;a&quot;}&amp;embed=1" width="100%" height="500" title="Maps &quot;Goa&quot;" ' +
+        'style="border:0" loading="lazy" allow="geolocation; fullscreen" allowfullscreen></iframe>');
+  });
+
+  test('should read the starting view from the map hash', () => {
+    expect(parseMapHash('#12.5/15.49/73.82/30/45')).toEqual({ zoom: 12.5, center: [73.82, 15.49], bearing: 30, pitch: 45 });
+    expect(parseMapHash('#10/15.4/73.9')).toEqual({ zoom: 10, center: [73.9, 15.4] });
+    expect(parseMapHash('')).toEqual({});
+    expect(parseMapHash('#section')).toEqual({});
+  });
+});
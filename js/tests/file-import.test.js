@@ -0,0 +1,120 @@
+import {
+  convertFiles,
+  getImportBounds,
+  getImportFormat,
+  getImportInspect,
+  groupImportFiles,
+  guessImportStyle,
+  makeImportedLayerConfig,
+  normalizeFeatureCollection,
+  parseGeoPackageGeometry,
+  parseWKB,
+  reprojectGeoJSON
+} from '../file-import.js';
+
+// Little endian WKB of a geometry type followed by doubles and counts
+const wkb = (parts) => {
+  const bytes = [];
+  const view = new DataView(new ArrayBuffer(8));
+  parts.forEach(([kind, value]) => {
+    if (kind === 'byte') bytes.push(value);
+    if (kind === 'uint') {
+      view.setUint32(0, value, true);
+      bytes.push(...new Uint8Array(view.buffer, 0, 4));
+    }
+    if (kind === 'double') {
+      view.setFloat64(0, value, true);
+      bytes.push(...new Uint8Array(view.buffer, 0, 8));
+    }
+  });
+  return new Uint8Array(bytes);
+};
+const point = (type, ...coordinates) => [['byte', 1], ['uint', type], ...coordinates.map(c => ['double', c])];
+
+const collection = (...geometries) => ({
+  type: 'FeatureCollection',
+  features: geometries.map((geometry, i) => ({ type: 'Feature', geometry, properties: { name: `Feature ${i}` } }))
+});
+
+describe('File Import', () => {
+  test('should group shapefile parts and skip unknown files', () => {
+    expect(getImportFormat('Survey.KMZ')).toBe('kmz');
+    expect(getImportFormat('tracks.gpx')).toBe('gpx');
+    expect(getImportFormat('wards.gpkg')).toBe('geopackage');
+    expect(getImportFormat('notes.txt')).toBe(null);
+
+    const { groups, skipped } = groupImportFiles([
+      { name: 'roads.shp' }, { name: 'roads.dbf' }, { name: 'Roads.prj' },
+      { name: 'plots.zip' }, { name: 'orphan.dbf' }, { name: 'notes.txt' }
+    ]);
+    expect(groups).toEqual([
+      { name: 'plots.zip', format: 'shapefile', files: [{ name: 'plots.zip' }] },
+      { name: 'roads.shp', format: 'shapefile', files: [{ name: 'roads.shp' }, { name: 'roads.dbf' }, { name: 'Roads.prj' }] }
+    ]);
+    expect(skipped).toEqual(['notes.txt', 'orphan.dbf']);
+  });
+
+  test('should read WKB and GeoPackage geometries', () => {
+    const wkbPoint = wkb(point(1, 73.8, 15.5));
+    expect(parseWKB(new DataView(wkbPoint.buffer))).toEqual({ type: 'Point', coordinates: [73.8, 15.5] });
+
+    // ISO WKB point with Z and M keeps Z
+    const zmPoint = wkb(point(3001, 73.8, 15.5, 12, 99));
+    expect(parseWKB(new DataView(zmPoint.buffer))).toEqual({ type: 'Point', coordinates: [73.8, 15.5, 12] });
+
+    const multiLine = wkb([
+      ['byte', 1], ['uint', 5], ['uint', 1],
+      ['byte', 1], ['uint', 2], ['uint', 2], ['double', 0], ['double', 0], ['double', 1], ['double', 1]
+    ]);
+    expect(parseWKB(new DataView(multiLine.buffer))).toEqual({ type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]]] });
+
+    // GeoPackage header with a 32 byte envelope
+    const header = [0x47, 0x50, 0, 0b0011, 0xe6, 0x10, 0, 0];
+    const blob = new Uint8Array([...header, ...new Uint8Array(32), ...wkbPoint]);
+    expect(parseGeoPackageGeometry(blob)).toEqual({ type: 'Point', coordinates: [73.8, 15.5] });
+    expect(parseGeoPackageGeometry(new Uint8Array([0x47, 0x50, 0, 0b10001, 0, 0, 0, 0]))).toBe(null);
+    expect(() => parseGeoPackageGeometry(wkbPoint)).toThrow('Not a GeoPackage geometry');
+  });
+
+  test('should normalize and reproject features', () => {
+    const geojson = normalizeFeatureCollection([
+      collection({ type: 'Point', coordinates: [1, 2] }, null),
+      collection({ type: 'LineString', coordinates: [[1, 2], [3, 4, 5]] })
+    ]);
+    expect(geojson.features.map(feature => feature.id)).toEqual([1, 2]);
+
+    reprojectGeoJSON(geojson, ([x, y]) => [x * 10, y * 10]);
+    expect(geojson.features[1].geometry.coordinates).toEqual([[10, 20], [30, 40, 5]]);
+    expect(getImportBounds(geojson)).toEqual([10, 20, 30, 40]);
+    expect(normalizeFeatureCollection({ type: 'Point', coordinates: [0, 0] }).features).toHaveLength(1);
+  });
+
+  test('should guess the style and inspector of imported layers', () => {
+    const points = collection({ type: 'Point', coordinates: [0, 0] });
+    points.features[0].properties = { name: 'Well', depth_m: 12, styleUrl: '#s1', 'marker-color': '#f00', times: [] };
+
+    const pointStyle = guessImportStyle(points, '#123456');
+    expect(pointStyle['circle-color']).toEqual(['coalesce', ['get', 'marker-color'], '#123456']);
+    expect(pointStyle['fill-color']).toBeUndefined();
+    expect(guessImportStyle(collection({ type: 'MultiPolygon', coordinates: [] }), '#123456')['fill-opacity']).toBe(0.4);
+
+    expect(getImportInspect(points)).toEqual({
+      title: 'Name', label: 'name', fields: ['name', 'depth_m'], fieldTitles: ['Name', 'Depth M']
+    });
+
+    const config = makeImportedLayerConfig('Village Wells.kml', points);
+    expect(config).toMatchObject({
+      title: 'Village Wells', description: 'Imported from Village Wells.kml', type: 'geojson', data: points, initiallyChecked: true, _imported: true
+    });
+    expect(config.id).toMatch(/^village-wells-[a-z0-9]+$/);
+  });
+
+  test('should convert GeoJSON files and reject empty ones', async () => {
+    const buffer = (value) => new TextEncoder().encode(JSON.stringify(value)).buffer;
+    const geojson = await convertFiles('geojson', [{ name: 'wards.geojson', buffer: buffer(collection({ type: 'Point', coordinates: [0, 0] })) }]);
+    expect(geojson.features).toHaveLength(1);
+
+    await expect(convertFiles('geojson', [{ name: 'empty.geojson', buffer: buffer(collection()) }]))
+      .rejects.toThrow('The file has no features');
+  });
+});
@@ -0,0 +1,79 @@
+import { sanitizeHtml, sanitizeUrl, escapeHtml, sanitizeConfig } from '../html-sanitizer.js';
+
+describe('HTML Sanitizer', () => {
+  test('should keep allowed markup used in configs', () => {
+    expect(sanitizeHtml("See <a href='https://example.org/plan'>the plan</a>.<br>Updated 2024"))
+      .toBe('See <a href="https://example.org/plan">the plan</a>.<br>Updated 2024');
+    expect(sanitizeHtml('<a href="https://example.org" target="_blank" rel="opener">Source</a>'))
+      .toBe('<a href="https://example.org" target="_blank" rel="noopener noreferrer">Source</a>');
+    expect(sanitizeHtml('No markup & no changes')).toBe('No markup & no changes');
+  });
+
+  test('should remove scripts, event handlers and unsafe URLs', () => {
+    expect(sanitizeHtml('<img src=x onerror=alert(1)>')).toBe('<img src="x">');
+    expect(sanitizeHtml('<script>alert(1)</script>Roads')).toBe('Roads');
+    expect(sanitizeHtml('<iframe src="https://evil.example"></iframe>')).toBe('');
+    expect(sanitizeHtml('<svg onload=alert(1)><b>Bold</b>')).toBe('<b>Bold</b>');
+    expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<a href="java&#115;cript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<img src="x" onerror="alert(1)"')).toBe('&lt;img src="x" onerror="alert(1)"');
+    expect(sanitizeHtml('<<script>script>alert(1)<</script>/script>')).not.toContain('<script');
+  });
+
+  test('should check URL schemes and quote characters', () => {
+    expect(sanitizeUrl('javascript:alert(1)')).toBe('');
+    expect(sanitizeUrl(' JavaScript:alert(1)')).toBe('');
+    expect(sanitizeUrl('data:text/html;base64,PHNjcmlwdD4=')).toBe('');
+    expect(sanitizeUrl('https://tiles.example.org/{z}/{x}/{y}.pbf?a=1&b=2')).toBe('https://tiles.example.org/{z}/{x}/{y}.pbf?a=1&b=2');
+    expect(sanitizeUrl('mapbox://mapbox.satellite')).toBe('mapbox://mapbox.satellite');
+    expect(sanitizeUrl('assets/map-layers/roads.png')).toBe('assets/map-layers/roads.png');
+    expect(sanitizeUrl("assets/x.png'); background: url('y")).toBe('assets/x.png%27); background: url(%27y');
+    expect(escapeHtml('<b>"Roads" & \'rails\'</b>')).toBe('&lt;b&gt;&quot;Roads&quot; &amp; &#39;rails&#39;&lt;/b&gt;');
+  });
+
+  test('should sanitize config strings but leave style expressions alone', () => {
+    const config = {
+      name: '<img src=x onerror=alert(1)>Atlas',
+      layers: [{
+        id: 'plots',
+        title: 'Plots<script>alert(1)</script>',
+        headerImage: 'javascript:alert(1)',
+        attribution: '<a href="https://example.org" onclick="steal()">Survey</a>',
+        style: { 'fill-color': ['case', ['<', ['get', 'area'], 100], 'red', 'blue'] },
+        filter: ['<', ['get', 'area'], 5000],
+        inspect: { customHtml: '<div onmouseover="x()">Details</div>' },
+        groups: [{ id: 'a', title: 'A', attribution: 'javascript:alert(1)' }],
+        _originalJson: '{"title":"<b>raw</b>"}'
+      }]
+    };
+
+    const sanitized = sanitizeConfig(config);
+    const [layer] = sanitized.layers;
+
+    expect(sanitized.name).toBe('<img src="x">Atlas');
+    expect(layer.title).toBe('Plots');
+    expect(layer.headerImage).toBe('');
+    expect(layer.attribution).toBe('<a href="https://example.org">Survey</a>');
+    expect(layer.inspect.customHtml).toBe('<div>Details</div>');
+    expect(layer.groups[0].attribution).toBe('');
+    expect(layer.style).toEqual(config.layers[0].style);
+    expect(layer.filter).toEqual(config.layers[0].filter);
+    expect(layer._originalJson).toBe(config.layers[0]._originalJson);
+  });
+
+  test('should leave story markdown for the markdown renderer', () => {
+    const story = [{ title: 'Step <b>1</b>', text: '> Rainfall `< 100mm` in <i>May</i>' }];
+    const [step] = sanitizeConfig({ story }).story;
+
+    expect(step.text).toBe(story[0].text);
+    expect(step.title).toBe('Step <b>1</b>');
+  });
+
+  test('should leave service request parameters unescaped', () => {
+    const service = { where: "POP < 1000 AND NAME <> 'Goa & Daman'", outFields: ['NAME', 'POP'], layerDefs: '{"0":"POP > 10"}' };
+    const [layer] = sanitizeConfig({ layers: [{ id: 'wards', type: 'arcgis', title: 'Wards <b>2024</b>', service }] }).layers;
+
+    expect(layer.service).toEqual(service);
+    expect(layer.title).toBe('Wards <b>2024</b>');
+  });
+});
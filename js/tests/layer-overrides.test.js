@@ -0,0 +1,87 @@
+import {
+  applyLayerOverrides,
+  getLayerURLValue,
+  getStyleChanges,
+  splitLayerOverrides
+} from '../layer-overrides.js';
+import { encodeQueryValue } from '../url-state.js';
+
+describe('Layer Overrides', () => {
+  const urlItem = (layer) => ({ ...layer, _originalJson: JSON.stringify(layer) });
+
+  test('should read overrides of a preset layer from its URL item', () => {
+    const { layer, overrides } = splitLayerOverrides(urlItem({
+      id: 'roads',
+      opacity: 0.4,
+      sublayers: [0, 2],
+      style: { 'line-color': 'red' },
+      filter: ['==', 'class', 'primary']
+    }));
+
+    expect(layer).toEqual({ id: 'roads' });
+    expect(overrides).toEqual({
+      opacity: 0.4,
+      sublayers: [0, 2],
+      style: { 'line-color': 'red' },
+      filter: ['==', 'class', 'primary']
+    });
+  });
+
+  test('should keep the definition of a custom layer and take out its runtime overrides', () => {
+    const { layer, overrides } = splitLayerOverrides(urlItem({
+      id: 'my-layer',
+      type: 'geojson',
+      style: { 'fill-color': 'blue' },
+      opacity: 0.4
+    }));
+
+    expect(overrides).toEqual({ opacity: 0.4 });
+    expect(layer.style).toEqual({ 'fill-color': 'blue' });
+    expect(layer.opacity).toBeUndefined();
+    expect(JSON.parse(layer._originalJson)).toEqual({ id: 'my-layer', type: 'geojson', style: { 'fill-color': 'blue' } });
+  });
+
+  test('should merge style and filter overrides over the layer definition', () => {
+    const layer = applyLayerOverrides({
+      id: 'roads',
+      style: { 'line-color': 'black', 'line-width': 2 },
+      _overrides: { style: { 'line-color': 'red' }, filter: ['has', 'name'] }
+    });
+
+    expect(layer.style).toEqual({ 'line-color': 'red', 'line-width': 2 });
+    expect(layer.filter).toEqual(['has', 'name']);
+  });
+
+  test('should write layers with overrides as compact JSON and plain layers as ids', () => {
+    expect(getLayerURLValue({ id: 'roads' })).toBe('roads');
+    expect(getLayerURLValue({ id: 'roads', _overrides: { opacity: 1 } })).toBe('roads');
+    expect(getLayerURLValue({ id: 'roads', _overrides: { opacity: 0.4444, style: {} } })).toBe('{"id":"roads","opacity":0.44}');
+    expect(getLayerURLValue({
+      id: 'my-layer',
+      _originalJson: '{"id":"my-layer","type":"geojson","style":{"fill-color":"blue"}}',
+      _overrides: { style: { 'fill-opacity': 0.2 } }
+    })).toBe('{"id":"my-layer","type":"geojson","style":{"fill-color":"blue","fill-opacity":0.2}}');
+  });
+
+  test('should round trip hex colours and filters with & through the layers parameter', () => {
+    const layers = [
+      getLayerURLValue({ id: 'roads', _overrides: { style: { 'line-color': '#ff0000' } } }),
+      getLayerURLValue({ id: 'plots', _overrides: { filter: ['==', ['get', 'owner'], 'A&B 50%+'] } }),
+      'streetmap'
+    ].join(',');
+    const url = new URL(`https://amche.in/?atlas=goa&layers=${encodeQueryValue(layers)}#12/15.5/73.8`);
+
+    expect(url.searchParams.get('layers')).toBe(layers);
+    expect(url.searchParams.get('atlas')).toBe('goa');
+    expect(url.hash).toBe('#12/15.5/73.8');
+    // Commas, quotes and braces stay readable
+    expect(encodeQueryValue(layers)).toContain('{"id":"roads","style":{"line-color":"%23ff0000"}},');
+  });
+
+  test('should list only the style properties that changed', () => {
+    expect(getStyleChanges(
+      { 'line-color': 'black', 'line-width': 2 },
+      { 'line-color': 'red', 'line-width': 2, 'line-opacity': 0.5 }
+    )).toEqual({ 'line-color': 'red', 'line-opacity': 0.5 });
+  });
+});
@@ -3,12 +3,26 @@
 const fs = require('fs');
 const path = require('path');
 const { glob } = require('glob');
+const Ajv = require('ajv');
 
 /**
  * JSON Linter for config files
- * Validates JSON syntax and structure for all config/*.atlas.json files
+ * Validates JSON syntax and structure for all config/*.atlas.json files,
+ * and checks atlases, layer presets and defaults against config/_schema.json
  */
 
+const SCHEMA_PATH = path.resolve(__dirname, '../../config/_schema.json');
+const SCHEMA_ID = 'https://amche.in/config/_schema.json';
+
+// Schema definition to use for each non-atlas config file
+const SCHEMA_KIND_BY_FILE = {
+  '_map-layer-presets.json': 'presets',
+  '_defaults.json': 'defaults'
+};
+
+let ajv = null;
+let formatSchemaErrors = null;
+
 let hasErrors = false;
 
 function logError(message) {
@@ -66,8 +80,13 @@ function validateConfigStructure(filePath, data) {
     return true;
   }
   
-  // For other config files, validate they have layers array with id references
+  // For other config files, validate they have layers array with id references.
+  // Atlases that extend another atlas may inherit all their layers
   if (fileName !== '_defaults.json' && fileName !== 'README.md') {
+    if (data.extends && data.layers === undefined) {
+      return true;
+    }
+
     if (!data.layers || !Array.isArray(data.layers)) {
       logError(`${filePath}: Missing or invalid 'layers' array`);
       return false;
@@ -86,6 +105,41 @@ function validateConfigStructure(filePath, data) {
   return true;
 }
 
+/**
+ * Lazily compile the shared config schema
+ */
+function getSchemaValidator(kind) {
+  if (!ajv) {
+    ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    ajv.addSchema(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+  }
+  return ajv.getSchema(`${SCHEMA_ID}#/definitions/${kind}`);
+}
+
+/**
+ * Validate config data against the shared schema. Returns a list of messages,
+ * formatted by js/schema-errors.mjs like the in-app error panel
+ */
+async function getSchemaErrors(data, kind = 'atlas') {
+  const validate = getSchemaValidator(kind);
+  if (validate(data)) {
+    return [];
+  }
+  if (!formatSchemaErrors) {
+    ({ formatSchemaErrors } = await import('../schema-errors.mjs'));
+  }
+  return formatSchemaErrors(validate.errors, data);
+}
+
+/**
+ * Validate config data against the shared schema and log any errors
+ */
+async function validateSchema(filePath, data, kind = 'atlas') {
+  const errors = await getSchemaErrors(data, kind);
+  errors.forEach(message => logError(`${filePath}: ${message}`));
+  return errors.length === 0;
+}
+
 /**
  * Main linting function
  */
@@ -102,6 +156,8 @@ async function lintJsonFiles() {
     }
     
           logInfo(`Found ${jsonFiles.length} atlas JSON files to validate`);
+
+    jsonFiles.push(...Object.keys(SCHEMA_KIND_BY_FILE).map(fileName => `config/${fileName}`));
     
     for (const filePath of jsonFiles) {
       const fullPath = path.resolve(filePath);
@@ -115,7 +171,11 @@ async function lintJsonFiles() {
       const content = fs.readFileSync(fullPath, 'utf8');
       const data = JSON.parse(content);
       
-      if (validateConfigStructure(fullPath, data)) {
+      const kind = SCHEMA_KIND_BY_FILE[path.basename(filePath)] || 'atlas';
+      const validStructure = validateConfigStructure(fullPath, data);
+      const validSchema = await validateSchema(filePath, data, kind);
+
+      if (validStructure && validSchema) {
         logSuccess(`${filePath} - Valid JSON structure`);
       }
     }
@@ -124,7 +184,7 @@ async function lintJsonFiles() {
       logError('JSON linting completed with errors');
       process.exit(1);
     } else {
-      logSuccess('All atlas JSON files passed validation');
+      logSuccess('All config JSON files passed validation');
     }
     
   } catch (error) {
@@ -138,4 +198,10 @@ if (require.main === module) {
   lintJsonFiles();
 }
 
-module.exports = { lintJsonFiles, validateJsonSyntax, validateConfigStructure }; 
\ No newline at end of file
+module.exports = {
+  lintJsonFiles,
+  validateJsonSyntax,
+  validateConfigStructure,
+  validateSchema,
+  getSchemaErrors
+}; 
\ No newline at end of file
@@ -0,0 +1,50 @@
+import {
+  MAX_EXPORT_SIZE,
+  combineAttributions,
+  getExportPixelRatio,
+  getLegendSwatches,
+  getMetersPerPixel,
+  getScaleBar
+} from '../map-export.js';
+
+describe('Map Export', () => {
+  test('should pick the pixel ratio from the DPI or pixel width, within what browsers render', () => {
+    expect(getExportPixelRatio({ width: 1200, height: 800, dpi: 300 })).toBe(300 / 96);
+    expect(getExportPixelRatio({ width: 1200, height: 800, pixelWidth: 3600 })).toBe(3);
+    expect(getExportPixelRatio({ width: 1200, height: 800, pixelWidth: 20000 }) * 1200).toBe(MAX_EXPORT_SIZE);
+  });
+
+  test('should pick a round scale bar distance', () => {
+    expect(getMetersPerPixel(0, 0)).toBeCloseTo(78271.5, 0);
+
+    const metersPerPixel = getMetersPerPixel(15.5, 14);
+    const scaleBar = getScaleBar(metersPerPixel, 120);
+    expect(scaleBar.label).toBe('500 m');
+    expect(scaleBar.width).toBeCloseTo(500 / metersPerPixel);
+    expect(getScaleBar(100, 120).label).toBe('10 km');
+  });
+
+  test('should make legend swatches from colors and expressions', () => {
+    expect(getLegendSwatches({ 'fill-color': '#ff0000', 'line-color': '#333333', 'fill-opacity': 0.5 }))
+      .toEqual([{ shape: 'fill', color: '#ff0000', label: '', stroke: '#333333' }]);
+    expect(getLegendSwatches({ 'line-color': ['match', ['get', 'class'], 'primary', 'orange', ['secondary', 'tertiary'], 'yellow', 'grey'] }))
+      .toEqual([
+        { shape: 'line', color: 'orange', label: 'primary' },
+        { shape: 'line', color: 'yellow', label: 'secondary, tertiary' },
+        { shape: 'line', color: 'grey', label: 'Other' }
+      ]);
+    expect(getLegendSwatches({ 'circle-color': ['step', ['get', 'count'], '#fee', 10, '#f99', 50, '#f00'] }).map(swatch => swatch.label))
+      .toEqual(['< 10', '≥ 10', '≥ 50']);
+    expect(getLegendSwatches({ 'fill-color': ['get', 'color'] })).toEqual([]);
+    expect(getLegendSwatches(undefined)).toEqual([]);
+  });
+
+  test('should combine attributions as text without the interactive links', () => {
+    expect(combineAttributions([
+      '<a href="https://www.mapbox.com/about/maps/">&copy; Mapbox</a> <a href="https://www.openstreetmap.org/copyright">&copy; OpenStreetMap</a> <a class="mapbox-improve-map" href="#">Improve this map</a>',
+      "<a href='https://dfes.goa.gov.in/dashboard/'>Directorate of Fire &amp; Emergency Services</a>",
+      'Directorate of Fire & Emergency Services',
+      undefined
+    ])).toBe('© Mapbox © OpenStreetMap · Directorate of Fire & Emergency Services');
+  });
+});
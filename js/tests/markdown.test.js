@@ -0,0 +1,20 @@
+import { renderMarkdown } from '../markdown.js';
+
+describe('Markdown', () => {
+  test('should render headings, paragraphs, lists and quotes', () => {
+    expect(renderMarkdown('# Quitla\n\nDrawn in **1970**\nby *hand*.\n\n- fields\n- wells\n\n1. first\n\n> A quote')).toBe([
+      '<h3>Quitla</h3>',
+      '<p>Drawn in <strong>1970</strong> by <em>hand</em>.</p>',
+      '<ul><li>fields</li><li>wells</li></ul>',
+      '<ol><li>first</li></ol>',
+      '<blockquote>A quote</blockquote>'
+    ].join('\n'));
+  });
+
+  test('should keep links and code as written and drop unsafe markup', () => {
+    expect(renderMarkdown('See [the map](https://example.org/a_b_c) and `plot_id <b>`'))
+      .toBe('<p>See <a href="https://example.org/a_b_c" target="_blank" rel="noopener noreferrer">the map</a> and <code>plot_id &lt;b&gt;</code></p>');
+    expect(renderMarkdown('[click](javascript:alert) <script>alert(1)</script><img src=x onerror=alert(1)>'))
+      .toBe('<p>click <img src="x"></p>');
+  });
+});
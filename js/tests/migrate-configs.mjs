@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import { migrateAtlasConfig, migratePresetLibrary, CURRENT_CONFIG_VERSION } from '../config-migrations.mjs';
+
+/**
+ * Config migration command
+ * Upgrades config/*.atlas.json files and the layer presets to the current config version,
+ * using the same migrations the app runs when it loads an older config.
+ *
+ * Usage:
+ *   npm run migrate:config                 Rewrite every config that needs migrating
+ *   npm run migrate:config -- --check      Only list configs that need migrating, exit 1 if any
+ *   npm run migrate:config -- <files...>   Migrate the given files only
+ */
+
+const PRESETS_FILE = 'config/_map-layer-presets.json';
+
+function logError(message) {
+  console.error(`❌ ${message}`);
+}
+
+function logSuccess(message) {
+  console.log(`✅ ${message}`);
+}
+
+function logInfo(message) {
+  console.log(`ℹ️  ${message}`);
+}
+
+function logWarning(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+/**
+ * Migrate parsed file content
+ * @returns {{data: Object, warnings: string[]}}
+ */
+function migrateFileData(filePath, data) {
+  if (path.basename(filePath) === path.basename(PRESETS_FILE)) {
+    const { library, warnings } = migratePresetLibrary(data);
+    return { data: library, warnings };
+  }
+  const { config, warnings } = migrateAtlasConfig(data);
+  return { data: config, warnings };
+}
+
+/**
+ * Serialize migrated data. Files where only the version changed keep their hand formatting
+ */
+function serialize(content, original, migrated) {
+  const versionOnly = migrated.version !== original.version &&
+    JSON.stringify({ ...migrated, version: original.version }) === JSON.stringify(original);
+
+  if (versionOnly) {
+    const updated = content.replace(/("version"\s*:\s*")[^"]*(")/, `$1${migrated.version}$2`);
+    if (JSON.stringify(JSON.parse(updated)) === JSON.stringify(migrated)) {
+      return updated;
+    }
+  }
+
+  const trailingNewline = content.endsWith('\n') ? '\n' : '';
+  return JSON.stringify(migrated, null, 2) + trailingNewline;
+}
+
+/**
+ * Migrate one file
+ * @returns {boolean} Whether the file needed migrating
+ */
+function migrateFile(filePath, { check }) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const original = JSON.parse(content);
+  const { data, warnings } = migrateFileData(filePath, original);
+
+  warnings.forEach(warning => logWarning(`${filePath}: ${warning}`));
+
+  if (JSON.stringify(data) === JSON.stringify(original)) {
+    return false;
+  }
+
+  if (check) {
+    logError(`${filePath} needs migrating to config version ${CURRENT_CONFIG_VERSION}`);
+  } else {
+    fs.writeFileSync(filePath, serialize(content, original, data));
+    logSuccess(`${filePath} migrated to config version ${CURRENT_CONFIG_VERSION}`);
+  }
+  return true;
+}
+
+async function migrateConfigs(args) {
+  const check = args.includes('--check');
+  const fileArgs = args.filter(arg => !arg.startsWith('--'));
+  const files = fileArgs.length > 0 ?
+    fileArgs :
+    [...await glob('config/**/*.atlas.json', { cwd: process.cwd() }), PRESETS_FILE].sort();
+
+  logInfo(`Checking ${files.length} config files against config version ${CURRENT_CONFIG_VERSION}...`);
+
+  let changedCount = 0;
+  for (const filePath of files) {
+    try {
+      if (migrateFile(filePath, { check })) {
+        changedCount++;
+      }
+    } catch (error) {
+      logError(`${filePath}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (changedCount === 0) {
+    logSuccess('All config files are up to date');
+  } else if (check) {
+    logError(`${changedCount} config files need migrating, run npm run migrate:config`);
+    process.exitCode = 1;
+  } else {
+    logSuccess(`Migrated ${changedCount} config files`);
+  }
+}
+
+migrateConfigs(process.argv.slice(2));
@@ -0,0 +1,122 @@
+import {
+  buildServiceUrl,
+  capabilitiesLayerToConfig,
+  getFeatureInfoUrl,
+  getOgcTileUrl,
+  guessOgcServiceType,
+  parseCapabilities,
+  parseFeatureInfo,
+  toWebMercator
+} from '../ogc-services.js';
+
+// Just enough of a DOM element for parseCapabilities()
+const element = (localName, attributes = {}, content = []) => ({
+  localName,
+  children: Array.isArray(content) ? content : [],
+  textContent: Array.isArray(content) ? content.map(child => child.textContent).join('') : content,
+  getAttribute: name => attributes[name] ?? null
+});
+
+describe('OGC Services', () => {
+  test('should build WMS and WMTS tile URLs, keeping Mapbox placeholders', () => {
+    expect(buildServiceUrl('https://example.com/wms?map=goa&service=x', { SERVICE: 'WMS', BBOX: '{bbox-epsg-3857}', STYLES: '' }))
+      .toBe('https://example.com/wms?map=goa&SERVICE=WMS&BBOX={bbox-epsg-3857}&STYLES=');
+
+    const wms = getOgcTileUrl({ type: 'wms', url: 'https://bhuvan.example/wms', service: { layers: ['lulc:a', 'lulc:b'], time: '2016', version: '1.3.0' } });
+    const params = new URLSearchParams(wms.split('?')[1]);
+    expect(params.get('REQUEST')).toBe('GetMap');
+    expect(params.get('LAYERS')).toBe('lulc:a,lulc:b');
+    expect(params.get('CRS')).toBe('EPSG:3857');
+    expect(params.get('TIME')).toBe('2016');
+    expect(wms).toContain('BBOX={bbox-epsg-3857}');
+
+    const wmts = getOgcTileUrl({ type: 'wmts', url: 'https://example.com/gwc/service/wmts', service: { layers: 'goa:roads', tileMatrixSet: 'EPSG:3857', tileMatrix: 'EPSG:3857:{z}' } });
+    expect(wmts).toContain('TILEMATRIX=EPSG%3A3857%3A{z}&TILEROW={y}&TILECOL={x}');
+    expect(getOgcTileUrl({ type: 'wmts', url: 'https://example.com/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png', service: { layers: 'a' } }))
+      .toBe('https://example.com/default/GoogleMapsCompatible/{z}/{y}/{x}.png');
+  });
+
+  test('should ask for the features at the clicked point', () => {
+    const lngLat = { lng: 73.87, lat: 15.5 };
+    const wms = new URLSearchParams(getFeatureInfoUrl({ type: 'wms', url: 'https://example.com/wms', service: { layers: 'a', version: '1.3.0' } }, lngLat, 14).split('?')[1]);
+    expect(wms.get('REQUEST')).toBe('GetFeatureInfo');
+    expect(wms.get('QUERY_LAYERS')).toBe('a');
+    expect([wms.get('I'), wms.get('J')]).toEqual(['50', '50']);
+    const [minX, minY, maxX, maxY] = wms.get('BBOX').split(',').map(Number);
+    const [x, y] = toWebMercator(lngLat);
+    expect((minX + maxX) / 2).toBeCloseTo(x);
+    expect((minY + maxY) / 2).toBeCloseTo(y);
+
+    const wmts = new URLSearchParams(getFeatureInfoUrl({ type: 'wmts', url: 'https://example.com/wmts', service: { layers: 'a' } }, { lng: 0.01, lat: 0.01 }, 0).split('?')[1]);
+    expect([wmts.get('TILEMATRIX'), wmts.get('TILECOL'), wmts.get('TILEROW')]).toEqual(['1', '1', '0']);
+    expect(getFeatureInfoUrl({ type: 'wmts', url: 'https://example.com/{TileMatrix}/{TileRow}/{TileCol}.png' }, lngLat, 14)).toBeNull();
+    expect(guessOgcServiceType('https://bhuvan-vec1.nrsc.gov.in/bhuvan/wms')).toBe('wms');
+    expect(guessOgcServiceType('https://example.com/geoserver/gwc/service/wmts?request=GetCapabilities')).toBe('wmts');
+    expect(guessOgcServiceType('https://example.com/tiles/{z}/{x}/{y}.png')).toBeNull();
+  });
+
+  test('should read GetFeatureInfo responses as features', () => {
+    const [x, y] = toWebMercator({ lng: 73.87, lat: 15.5 });
+    const [feature] = parseFeatureInfo(JSON.stringify({
+      type: 'FeatureCollection',
+      crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::3857' } },
+      features: [{ type: 'Feature', id: 'plots.12', properties: { survey: '274' }, geometry: { type: 'Point', coordinates: [x, y] } }]
+    }), 'application/json;charset=UTF-8');
+    expect(feature.id).toBe('plots.12');
+    expect(feature.geometry.coordinates[0]).toBeCloseTo(73.87);
+    expect(feature.geometry.coordinates[1]).toBeCloseTo(15.5);
+
+    const plain = parseFeatureInfo([
+      "Results for FeatureType 'goa:villages':",
+      '--------------------------------------------',
+      'name = Saligao',
+      "taluka = 'Bardez'",
+      '--------------------------------------------'
+    ].join('\n'), 'text/plain');
+    expect(plain).toEqual([{ type: 'Feature', properties: { name: 'Saligao', taluka: 'Bardez' }, geometry: null }]);
+  });
+
+  test('should list the layers of WMS capabilities and make their config', () => {
+    const text = (name, value) => element(name, {}, value);
+    const doc = {
+      documentElement: element('WMS_Capabilities', { version: '1.3.0' }, [
+        element('Service', {}, [text('Title', 'Bhuvan')]),
+        element('Capability', {}, [
+          element('Request', {}, [
+            element('GetMap', {}, [text('Format', 'image/jpeg'), text('Format', 'image/png')]),
+            element('GetFeatureInfo', {}, [text('Format', 'text/html'), text('Format', 'text/plain')])
+          ]),
+          element('Layer', {}, [
+            text('Title', 'Land use'),
+            element('EX_GeographicBoundingBox', {}, [
+              text('westBoundLongitude', '73.6'), text('southBoundLatitude', '14.8'),
+              text('eastBoundLongitude', '74.4'), text('northBoundLatitude', '15.8')
+            ]),
+            element('Layer', { queryable: '1' }, [
+              text('Name', 'lulc:GA_LULC50K_1516'),
+              text('Title', 'Land use 2015-16'),
+              element('Style', {}, [text('Name', 'lulc')]),
+              element('Dimension', { name: 'time', default: '2016' }, '2006,2011,2016')
+            ])
+          ])
+        ])
+      ])
+    };
+
+    const capabilities = parseCapabilities(doc, 'https://bhuvan.example/wms?service=WMS&request=GetCapabilities');
+    expect(capabilities.type).toBe('wms');
+    expect(capabilities.url).toBe('https://bhuvan.example/wms');
+    expect(capabilities.layers).toHaveLength(1);
+    expect(capabilities.layers[0].bbox).toEqual([73.6, 14.8, 74.4, 15.8]);
+
+    expect(capabilitiesLayerToConfig(capabilities, capabilities.layers[0])).toEqual({
+      id: 'wms-lulc-ga-lulc50k-1516',
+      title: 'Land use 2015-16',
+      type: 'wms',
+      url: 'https://bhuvan.example/wms',
+      service: { layers: 'lulc:GA_LULC50K_1516', styles: 'lulc', format: 'image/png', version: '1.3.0', time: '2016', infoFormat: 'text/plain' },
+      initiallyChecked: false,
+      inspect: { title: 'Land use 2015-16' }
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { PDFDocument, measureText, toWinAnsi, wrapPdfText } from '../pdf-writer.js';
+
+const decode = bytes => String.fromCharCode(...bytes);
+
+describe('PDF Writer', () => {
+  test('should write a PDF whose cross-reference table points at its objects', () => {
+    const pdf = new PDFDocument({ width: 210, height: 297, title: 'Quitla (1970)' });
+    pdf.setColors({ fill: '#ff0000', stroke: 'rgb(0, 0, 255)' }).rect(10, 10, 50, 20, { fill: true });
+    pdf.text('Panchayat map', 10, 50, { size: 12, bold: true });
+    pdf.image(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), 2, 2, 10, 60, 40, 40);
+    const text = decode(pdf.toBytes());
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/MediaBox [0 0 595.276 841.89]');
+    expect(text).toContain('1 0 0 rg');
+    expect(text).toContain('0 0 1 RG');
+    expect(text).toContain('/F2 12 Tf');
+    expect(text).toContain('(Panchayat map) Tj');
+    expect(text).toContain('/Title (Quitla \\(1970\\))');
+    expect(text).toContain('/Filter /DCTDecode');
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(startxref).startsWith('xref')).toBe(true);
+    const offsets = text.slice(startxref).match(/(\d{10}) 00000 n/g).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  test('should keep only the characters the standard fonts can show', () => {
+    expect(toWinAnsi('≥ 10 – “Goa”')).toBe('>= 10 \x96 \x93Goa\x94');
+    expect(toWinAnsi('Café गोवा map')).toBe('Café map');
+  });
+
+  test('should measure and wrap text with the Helvetica metrics', () => {
+    // 'Hi' is 722 + 222 units, at 10pt
+    expect(measureText('Hi', 10)).toBeCloseTo(9.44 * 25.4 / 72);
+    expect(measureText('Hi', 10, true)).toBeGreaterThan(measureText('Hi', 10));
+    const lines = wrapPdfText('Survey of Goa village plots and roads', 30, 10);
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(measureText(line, 10)).toBeLessThanOrEqual(30));
+  });
+});
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  buildPermalinkEntry,
+  resolvePermalinkAlias,
+  slugifyPermalinkId,
+  splitLayersParam,
+  validatePermalinks
+} from '../permalink-validation.mjs';
+
+const atlases = new Map([
+  ['index', { layers: [{ id: 'plot' }] }],
+  ['goa-community', { layers: [{ id: 'community-maps' }], presetLibraries: [{ namespace: 'dfes', url: 'https://example.com/dfes.json' }] }]
+]);
+const layerIds = new Set(['mapbox-satellite', 'communidade-saligao', 'communidade-land']);
+
+const validate = (permalinks, text = '') => validatePermalinks({ version: '1.0', permalinks }, { atlases, layerIds, text });
+
+describe('Permalink Validation', () => {
+  test('should accept atlas layers, presets, their aliases, namespaced and custom layers', () => {
+    expect(validate({
+      'quitla-1970-map': {
+        url: 'https://amche.in/?atlas=goa-community&layers=community-maps,dfes:fire-stations,{"id":"x","type":"geojson","data":{"a":1,"b":2}},{"id":"communidade-land","opacity":0.4}#14/15.6/73.8',
+        title: 'Quitla'
+      },
+      'quitla': { alias_for: 'quitla-1970-map' }
+    })).toEqual([]);
+  });
+
+  test('should report unknown atlases, layer ids and missing fields', () => {
+    expect(validate({
+      'old-map': { url: 'https://amche.in/?atlas=goa-old&layers=plot' },
+      'roads': { url: 'https://amche.in/?layers=plot,roads,other:layer', title: 'Roads', published: { '10-06-2025': 'Newsletter' } }
+    })).toEqual([
+      "old-map: unknown atlas 'goa-old'",
+      "old-map: unknown layer id 'plot'",
+      'old-map: missing title',
+      "roads: unknown layer id 'roads'",
+      "roads: unknown layer id 'other:layer'",
+      "roads: published date '10-06-2025' must be YYYY-MM-DD"
+    ]);
+  });
+
+  test('should report alias cycles, dangling aliases and duplicate ids', () => {
+    const permalinks = {
+      a: { alias_for: 'b' },
+      b: { alias_for: 'a' },
+      c: { alias_for: 'gone' },
+      'Plot-Map': { url: 'https://amche.in/?layers=plot', title: 'Plots' },
+      'plot-map': { url: 'https://amche.in/?layers=plot', title: 'Plots' }
+    };
+    const text = '{"permalinks": {"plot-map": {}, "plot-map": {}}}';
+
+    expect(resolvePermalinkAlias(permalinks, 'a')).toEqual({ id: null, error: 'alias cycle a -> b -> a' });
+    expect(validate(permalinks, text)).toEqual([
+      'plot-map: id is used more than once',
+      'plot-map: id differs from another id only in case',
+      'a: alias cycle a -> b -> a',
+      'b: alias cycle b -> a -> b',
+      "c: alias for unknown permalink 'gone'",
+      'Plot-Map: id must be lowercase words separated by hyphens'
+    ]);
+  });
+
+  test('should build an entry with the atlas, layers and view of the current map', () => {
+    expect(slugifyPermalinkId('Quitla Village Map (1970) — Henrique')).toBe('quitla-village-map-1970-henrique');
+    expect(splitLayersParam('plot,{"id":"a","data":{"x":1,"y":"b,c"}},roads')).toEqual(['plot', '{"id":"a","data":{"x":1,"y":"b,c"}}', 'roads']);
+
+    expect(buildPermalinkEntry({
+      url: 'http://localhost:4035/?atlas=goa-community&layers=community-maps,mapbox-satellite&select=plot:12#14.63/15.60487/73.87082',
+      title: ' Quitla Village Map ',
+      description: '',
+      category: 'general',
+      publishedDate: '2025-06-10',
+      publishedIn: 'Fish Curry and Rice'
+    })).toEqual({
+      url: 'https://amche.in/?atlas=goa-community&layers=community-maps,mapbox-satellite#14.63/15.60487/73.87082',
+      title: 'Quitla Village Map',
+      published: { '2025-06-10': 'Fish Curry and Rice' }
+    });
+  });
+
+  test('should find no problems in config/permalinks.json', () => {
+    const configDir = path.join(__dirname, '../../config');
+    const text = fs.readFileSync(path.join(configDir, 'permalinks.json'), 'utf8');
+    const configAtlases = new Map(['index', 'goa-community', 'goa-historic', 'mumbai', 'bombay', 'gurugram', 'bengaluru-flood']
+      .map(name => [name, JSON.parse(fs.readFileSync(path.join(configDir, `${name}.atlas.json`), 'utf8'))]));
+    const presets = JSON.parse(fs.readFileSync(path.join(configDir, '_map-layer-presets.json'), 'utf8'));
+    const presetIds = new Set(presets.layers.flatMap(layer => [layer.id, ...(layer.aliases || [])]));
+
+    expect(validatePermalinks(JSON.parse(text), { atlases: configAtlases, layerIds: presetIds, text })).toEqual([]);
+  });
+});
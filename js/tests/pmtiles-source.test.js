@@ -0,0 +1,73 @@
+import {
+  getPMTilesArchiveUrl,
+  getPMTilesLayerDefaults,
+  getPMTilesSource,
+  getPMTilesTileJSON,
+  isPMTilesLayer,
+  isPMTilesUrl
+} from '../pmtiles-source.js';
+
+const ARCHIVE_URL = 'https://example.github.io/data/goa-buildings.pmtiles';
+
+const header = (tileType) => ({
+  tileType, minZoom: 0, maxZoom: 14,
+  minLon: 73.6, minLat: 14.8, maxLon: 74.4, maxLat: 15.8,
+  centerLon: 74, centerLat: 15.3, centerZoom: 9
+});
+
+describe('PMTiles Source', () => {
+  test('should recognise PMTiles URLs and layers', () => {
+    expect(isPMTilesUrl(`pmtiles://${ARCHIVE_URL}`)).toBe(true);
+    expect(isPMTilesUrl(`${ARCHIVE_URL}?v=2`)).toBe(true);
+    expect(isPMTilesUrl('https://example.com/tiles/{z}/{x}/{y}.pbf')).toBe(false);
+    expect(getPMTilesArchiveUrl(`pmtiles://${ARCHIVE_URL}`)).toBe(ARCHIVE_URL);
+
+    expect(isPMTilesLayer({ type: 'vector', url: `pmtiles://${ARCHIVE_URL}` })).toBe(true);
+    expect(isPMTilesLayer({ type: 'pmtiles', url: ARCHIVE_URL })).toBe(true);
+    expect(isPMTilesLayer({ type: 'geojson', url: ARCHIVE_URL })).toBe(false);
+    expect(isPMTilesLayer({ type: 'vector', url: 'https://example.com/{z}/{x}/{y}.pbf' })).toBe(false);
+  });
+
+  test('should fill in the layer config from the archive', () => {
+    const tileJSON = getPMTilesTileJSON(header(1), {
+      name: 'Goa buildings',
+      attribution: '© OpenStreetMap contributors',
+      vector_layers: [{ id: 'buildings', fields: { height: 'Number' } }, { id: 'roads', fields: {} }]
+    }, ARCHIVE_URL);
+    expect(tileJSON).toMatchObject({ format: 'pbf', minzoom: 0, maxzoom: 14, bounds: [73.6, 14.8, 74.4, 15.8], center: [74, 15.3, 9] });
+
+    expect(getPMTilesLayerDefaults({ type: 'pmtiles', url: ARCHIVE_URL }, tileJSON)).toEqual({
+      type: 'vector',
+      sourceLayer: 'buildings',
+      maxzoom: 14,
+      bbox: [73.6, 14.8, 74.4, 15.8],
+      attribution: '© OpenStreetMap contributors'
+    });
+    // What the layer gives is kept
+    expect(getPMTilesLayerDefaults({ type: 'vector', sourceLayer: 'roads', maxzoom: 12, bbox: [73, 15, 74, 16], attribution: 'Goa' }, tileJSON)).toEqual({});
+    expect(getPMTilesLayerDefaults({ type: 'pmtiles' }, getPMTilesTileJSON(header(4), {}, ARCHIVE_URL)).type).toBe('tms');
+  });
+
+  test('should make Mapbox sources for vector and raster archives', async () => {
+    const vector = getPMTilesSource(
+      { type: 'vector', url: `pmtiles://${ARCHIVE_URL}`, sourceLayer: 'buildings', inspect: { id: 'osm_id' } },
+      { archive: {}, tileJSON: getPMTilesTileJSON(header(1), {}, ARCHIVE_URL), vectorSourceType: 'pmtile-source' }
+    );
+    expect(vector).toEqual({
+      type: 'pmtile-source', url: ARCHIVE_URL, minzoom: 0, maxzoom: 14,
+      bounds: [73.6, 14.8, 74.4, 15.8], promoteId: { buildings: 'osm_id' }
+    });
+
+    const archive = { getZxy: vi.fn(async (z) => (z > 10 ? undefined : { data: new ArrayBuffer(8) })) };
+    const createImageBitmap = vi.fn(async (blob) => ({ type: blob.type }));
+    vi.stubGlobal('createImageBitmap', createImageBitmap);
+
+    const raster = getPMTilesSource({ type: 'tms', url: ARCHIVE_URL }, { archive, tileJSON: getPMTilesTileJSON(header(3), {}, ARCHIVE_URL) });
+    expect(raster).toMatchObject({ type: 'custom', dataType: 'raster', tileSize: 256, maxzoom: 14 });
+    expect(await raster.loadTile({ z: 9, x: 361, y: 233 }, {})).toEqual({ type: 'image/jpeg' });
+    expect(await raster.loadTile({ z: 12, x: 2890, y: 1866 }, {})).toBeUndefined();
+    expect(archive.getZxy).toHaveBeenCalledWith(9, 361, 233, undefined);
+
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  getClusterLayers,
+  getHeatmapLayer,
+  getHeatmapLegend,
+  getPointDisplay,
+  getPointLayerIds,
+  getPointSourceOptions
+} from '../point-display.js';
+
+const SOURCE_ID = 'csv-community-survey';
+
+describe('Point Display', () => {
+  test('should fill in the defaults of each display mode', () => {
+    expect(getPointDisplay({ type: 'csv' })).toEqual({ mode: 'points' });
+    expect(getPointDisplay({ display: 'unknown' })).toEqual({ mode: 'points' });
+    expect(getPointDisplay({ display: 'cluster' })).toEqual({ mode: 'cluster', radius: 50, maxzoom: 14 });
+    expect(getPointDisplay({ display: { mode: 'heatmap', radius: 30, weight: 'count' } })).toMatchObject({
+      mode: 'heatmap', radius: 30, weight: 'count', maxzoom: 15, intensity: 1, maxWeight: 1
+    });
+  });
+
+  test('should cluster the source and list the layers of each mode', () => {
+    const properties = { households: ['+', ['get', 'households']] };
+    const cluster = getPointDisplay({ display: { mode: 'cluster', radius: 40, properties } });
+
+    expect(getPointSourceOptions(cluster)).toEqual({
+      cluster: true, clusterRadius: 40, clusterMaxZoom: 14, clusterProperties: properties
+    });
+    expect(getPointSourceOptions(getPointDisplay({ display: 'heatmap' }))).toEqual({});
+
+    const pointLayerId = `${SOURCE_ID}-circle`;
+    expect(getPointLayerIds(SOURCE_ID, pointLayerId, cluster))
+      .toEqual([`${SOURCE_ID}-clusters`, `${SOURCE_ID}-cluster-count`, pointLayerId]);
+    expect(getPointLayerIds(SOURCE_ID, pointLayerId, getPointDisplay({ display: 'heatmap' })))
+      .toEqual([`${SOURCE_ID}-heatmap`, pointLayerId]);
+    expect(getPointLayerIds(SOURCE_ID, pointLayerId, getPointDisplay({}))).toEqual([pointLayerId]);
+  });
+
+  test('should label clusters with the point count or an aggregated property', () => {
+    const [circles, counts] = getClusterLayers(SOURCE_ID, getPointDisplay({ display: 'cluster' }), '#e11d48');
+    expect(circles).toMatchObject({ type: 'circle', source: SOURCE_ID, filter: ['has', 'point_count'] });
+    expect(circles.paint['circle-color']).toBe('#e11d48');
+    expect(counts.layout['text-field']).toEqual(['get', 'point_count_abbreviated']);
+
+    // Data-driven point colors fall back to a single cluster color
+    const [labelled] = getClusterLayers(SOURCE_ID, getPointDisplay({ display: 'cluster' }), ['get', 'color']);
+    expect(labelled.paint['circle-color']).toBe('#51bbd6');
+
+    const [, households] = getClusterLayers(SOURCE_ID, getPointDisplay({ display: { mode: 'cluster', label: 'households' } }));
+    expect(households.layout['text-field']).toEqual(['to-string', ['get', 'households']]);
+  });
+
+  test('should weight the heatmap and build a legend of its colors', () => {
+    const display = getPointDisplay({ display: { mode: 'heatmap', weight: 'count', maxWeight: 10, colors: ['#fff', '#f00'] } });
+    const layer = getHeatmapLayer(SOURCE_ID, display);
+
+    expect(layer).toMatchObject({ id: `${SOURCE_ID}-heatmap`, type: 'heatmap', maxzoom: 15 });
+    expect(layer.paint['heatmap-weight']).toEqual(['interpolate', ['linear'], ['to-number', ['get', 'count'], 0], 0, 0, 10, 1]);
+    expect(layer.paint['heatmap-color']).toEqual(['interpolate', ['linear'], ['heatmap-density'], 0, '#fff', 1, '#f00']);
+    expect(getHeatmapLayer(SOURCE_ID, getPointDisplay({ display: 'heatmap' })).paint['heatmap-weight']).toBe(1);
+
+    const legend = getHeatmapLegend(display);
+    expect(legend).toContain('linear-gradient(to right, #fff, #f00)');
+    expect(legend).toContain('Density weighted by count');
+    expect(getHeatmapLegend({ ...display, weight: '<b>' })).not.toContain('<b>');
+  });
+});
@@ -0,0 +1,87 @@
+import { DEFAULT_PRESET_LIBRARY, loadPresetLibraries } from '../preset-library.js';
+
+describe('Preset Libraries', () => {
+  const libraries = {
+    [DEFAULT_PRESET_LIBRARY]: {
+      layers: [
+        { id: 'forests', title: 'Forests', type: 'vector', aliases: ['forest-cover'] },
+        { id: 'fire-stations', title: 'Fire stations (OSM)', type: 'geojson' }
+      ]
+    },
+    'https://example.com/dfes.json': {
+      namespace: 'dfes',
+      name: 'DFES',
+      layers: [
+        { id: 'fire-stations', title: 'Fire stations (DFES)', type: 'csv' },
+        { id: 'hydrants', title: 'Hydrants', type: 'csv', aliases: ['fire-hydrants'] }
+      ]
+    },
+    'https://example.com/other.json': {
+      layers: [{ id: 'wards', title: 'Wards', type: 'geojson' }]
+    }
+  };
+
+  const fetchLibrary = vi.fn(async (url) => {
+    if (!libraries[url]) {
+      throw new Error('HTTP 404 Not Found');
+    }
+    return libraries[url];
+  });
+
+  beforeEach(() => {
+    fetchLibrary.mockClear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('should load the built-in presets and every atlas library', async () => {
+    const library = await loadPresetLibraries(
+      ['https://example.com/dfes.json', { namespace: 'city', url: 'https://example.com/other.json' }],
+      { fetchLibrary }
+    );
+
+    expect(fetchLibrary).toHaveBeenCalledTimes(3);
+    expect(library.libraries.map(lib => lib.namespace)).toEqual([null, 'dfes', 'city']);
+    expect(library.layers.map(layer => layer.id)).toEqual([
+      'forests', 'fire-stations', 'dfes:fire-stations', 'dfes:hydrants', 'city:wards'
+    ]);
+  });
+
+  test('should resolve namespaced and plain ids', async () => {
+    const library = await loadPresetLibraries(['https://example.com/dfes.json'], { fetchLibrary });
+
+    expect(library.find('dfes:fire-stations').title).toBe('Fire stations (DFES)');
+    expect(library.find('fire-stations').title).toBe('Fire stations (OSM)');
+    expect(library.find('hydrants').title).toBe('Hydrants');
+    expect(library.find('dfes:forests')).toBeNull();
+    expect(library.find('missing')).toBeNull();
+  });
+
+  test('should report id collisions between libraries', async () => {
+    const library = await loadPresetLibraries(['https://example.com/dfes.json'], { fetchLibrary });
+
+    expect(library.collisions).toEqual([{ id: 'fire-stations', sources: [DEFAULT_PRESET_LIBRARY, 'dfes'] }]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Preset id 'fire-stations'"));
+  });
+
+  test('should resolve former ids listed in aliases to the current id', async () => {
+    const library = await loadPresetLibraries(['https://example.com/dfes.json'], { fetchLibrary });
+
+    expect(library.resolveAlias('forest-cover')).toBe('forests');
+    expect(library.resolveAlias('fire-hydrants')).toBe('dfes:hydrants');
+    expect(library.resolveAlias('dfes:fire-hydrants')).toBe('dfes:hydrants');
+    // Ids still in use and unknown ids are not aliases
+    expect(library.resolveAlias('forests')).toBeNull();
+    expect(library.resolveAlias('missing')).toBeNull();
+  });
+
+  test('should skip libraries that fail to load', async () => {
+    const library = await loadPresetLibraries(['https://example.com/missing.json'], { fetchLibrary });
+
+    expect(library.libraries).toHaveLength(1);
+    expect(library.find('forests').title).toBe('Forests');
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  formatCoordinate,
+  formatScale,
+  getFrameBounds,
+  getGridLines,
+  getPrintLayout,
+  getPrintScaleBar,
+  getPrintZoom,
+  mmToPixels
+} from '../print-layout.js';
+import { getMetersPerPixel } from '../map-export.js';
+
+describe('Print Layout', () => {
+  test('should lay out the page inside its margins', () => {
+    const portrait = getPrintLayout({ paper: 'A4', orientation: 'portrait' });
+    expect([portrait.width, portrait.height]).toEqual([210, 297]);
+    expect(portrait.titleBlock.y).toBeGreaterThan(portrait.map.y + portrait.map.height);
+    expect(portrait.footer.y + portrait.footer.height).toBe(287);
+
+    const landscape = getPrintLayout({ paper: 'A3', orientation: 'landscape' });
+    expect([landscape.width, landscape.height]).toEqual([420, 297]);
+    expect(landscape.legend.x).toBeGreaterThan(landscape.map.x + landscape.map.width);
+    expect(landscape.legend.x + landscape.legend.width).toBe(410);
+  });
+
+  test('should pick the zoom that prints at the scale', () => {
+    const zoom = getPrintZoom(15.5, 5000);
+    // One CSS pixel is 25.4 / 96 mm on paper, 1.32 m on the ground at 1:5000
+    expect(getMetersPerPixel(15.5, zoom)).toBeCloseTo(5000 * 25.4 / 96 / 1000);
+    expect(mmToPixels(25.4)).toBe(96);
+
+    const scaleBar = getPrintScaleBar(5000, 50);
+    expect(scaleBar).toEqual({ width: 40, label: '200 m' });
+    expect(getPrintScaleBar(50000, 50).label).toBe('2 km');
+    expect(formatScale(5000)).toBe('1:5,000');
+  });
+
+  test('should draw grid lines at round degrees inside the frame', () => {
+    const zoom = getPrintZoom(15.5, 5000);
+    const bounds = getFrameBounds({ lng: 73.87, lat: 15.5 }, zoom, mmToPixels(190), mmToPixels(200));
+    const [[west, south], [east, north]] = bounds;
+    // 190 mm at 1:5000 is 950 m
+    expect((east - west) * 111320 * Math.cos(15.5 * Math.PI / 180)).toBeCloseTo(950, -1);
+    expect(north).toBeGreaterThan(south);
+
+    const grid = getGridLines(bounds);
+    expect(grid.interval).toBe(0.002);
+    expect(grid.longitudes.length).toBeGreaterThan(1);
+    grid.longitudes.forEach(lng => {
+      expect(lng).toBeGreaterThanOrEqual(west);
+      expect(lng).toBeLessThanOrEqual(east);
+    });
+    expect(formatCoordinate(grid.latitudes[0], 'lat', grid.interval)).toMatch(/^15\.\d{3}° N$/);
+    expect(formatCoordinate(-0.5, 'lng', 0.5)).toBe('0.5° W');
+  });
+});
@@ -0,0 +1,54 @@
+import { createQRCode, getFormatBits, qrCodeToSVG, reedSolomonRemainder, QR_QUIET_ZONE } from '../qr-code.js';
+
+describe('QR Code', () => {
+  test('should compute error correction and format bits from the standard examples', () => {
+    // "HELLO WORLD" as version 1-M data codewords
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(reedSolomonRemainder(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+
+    expect(getFormatBits('L', 0).toString(2).padStart(15, '0')).toBe('111011111000100');
+    expect(getFormatBits('M', 0).toString(2).padStart(15, '0')).toBe('101010000010010');
+    expect(getFormatBits('H', 0).toString(2).padStart(15, '0')).toBe('001011010001001');
+  });
+
+  test('should pick the smallest version that fits the link', () => {
+    expect(createQRCode('https://amche.in/').version).toBe(2);
+    expect(createQRCode('https://amche.in/', { ecl: 'L' }).version).toBe(1);
+    // Multi-byte characters are counted as UTF-8 bytes
+    expect(createQRCode('वांटो'.repeat(4)).version).toBe(4);
+    expect(createQRCode('x'.repeat(2331)).size).toBe(177);
+    expect(() => createQRCode('x'.repeat(2332))).toThrow('too long');
+  });
+
+  test('should draw finder, timing and format patterns', () => {
+    const qr = createQRCode('https://amche.in/?atlas=bombay,mumbai#12/19.07/72.87');
+    const { size, modules, ecl, mask } = qr;
+
+    // Finder pattern rings and separators in the three corners
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([x, y]) => {
+      expect(modules[y][x]).toBe(true);
+      expect(modules[y + 1][x + 1]).toBe(false);
+      expect(modules[y + 3][x + 3]).toBe(true);
+    });
+    expect(modules[7][7]).toBe(false);
+    expect(modules[6].slice(8, size - 8)).toEqual(Array.from({ length: size - 16 }, (_, i) => i % 2 === 0));
+    expect(modules[size - 8][8]).toBe(true);
+
+    // Both copies of the format information hold the chosen level and mask
+    const bits = getFormatBits(ecl, mask);
+    const firstCopy = [0, 1, 2, 3, 4, 5, 7, 8].map(y => modules[y][8]);
+    const secondCopy = Array.from({ length: 8 }, (_, i) => modules[8][size - 1 - i]);
+    expect(firstCopy).toEqual(Array.from({ length: 8 }, (_, i) => ((bits >>> i) & 1) === 1));
+    expect(secondCopy).toEqual(firstCopy);
+  });
+
+  test('should render an SVG with a quiet zone', () => {
+    const qr = createQRCode('a', { ecl: 'L' });
+    const svg = qrCodeToSVG(qr);
+    const dimension = qr.size + QR_QUIET_ZONE * 2;
+
+    expect(svg).toContain(`viewBox="0 0 ${dimension} ${dimension}"`);
+    expect(svg).toContain(`M${QR_QUIET_ZONE},${QR_QUIET_ZONE}h1v1h-1z`);
+    expect(svg.match(/h1v1h-1z/g).length).toBe(qr.modules.flat().filter(Boolean).length);
+  });
+});
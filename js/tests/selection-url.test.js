@@ -0,0 +1,45 @@
+import { getFeatureBbox, parseSelectParam, serializeSelectParam } from '../selection-url.js';
+import { encodeQueryValue } from '../url-state.js';
+
+describe('Selection URL', () => {
+  test('should round trip several selected features', () => {
+    const selections = [
+      { layerId: 'plot', featureId: '274' },
+      { layerId: 'dfes:fire-stations', featureId: 'Panaji & Porvorim/1' }
+    ];
+    const value = serializeSelectParam(selections);
+
+    expect(value).toBe('plot:274,dfes:fire-stations:Panaji & Porvorim/1');
+    // URLSearchParams decodes the value before it is parsed
+    expect(parseSelectParam(new URLSearchParams(`select=${encodeQueryValue(value)}`).get('select'))).toEqual(selections);
+  });
+
+  test('should keep ids with commas and colons together', () => {
+    const selections = [
+      { layerId: 'wfs-parcels', featureId: 'parcels.1:2,3' },
+      { layerId: 'lib:arcgis-wards', featureId: '50%' }
+    ];
+    const value = serializeSelectParam(selections);
+
+    expect(value).toBe('wfs-parcels:parcels.1%3A2%2C3,lib:arcgis-wards:50%25');
+    const url = new URL(`https://amche.in/?select=${encodeQueryValue(value)}#12/15.5/73.8`);
+    expect(parseSelectParam(url.searchParams.get('select'))).toEqual(selections);
+  });
+
+  test('should skip malformed items and write nothing for an empty selection', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(parseSelectParam('plot,plot:12,:5,plot:')).toEqual([{ layerId: 'plot', featureId: '12' }]);
+    expect(parseSelectParam(null)).toEqual([]);
+    expect(serializeSelectParam([])).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('should get the bbox of points, lines and polygons', () => {
+    expect(getFeatureBbox({ geometry: { type: 'Point', coordinates: [73.8, 15.5] } })).toEqual([73.8, 15.5, 73.8, 15.5]);
+    expect(getFeatureBbox({
+      geometry: { type: 'MultiPolygon', coordinates: [[[[73, 15], [74, 15], [74, 16], [73, 15]]]] }
+    })).toEqual([73, 15, 74, 16]);
+    expect(getFeatureBbox({ geometry: null })).toBeNull();
+  });
+});
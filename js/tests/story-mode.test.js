@@ -0,0 +1,47 @@
+import { hasStory, parseStoryParams, resolveStoryStep } from '../story-mode.js';
+
+const permalinks = {
+  'quitla-1970-map': {
+    url: 'https://amche.in/?atlas=goa-community&layers=community-maps,mapbox-satellite#14.63/15.60487/73.87082',
+    title: 'Quitla Village Map (1970) by Henrique Fernandes',
+    description: 'Hand-drawn historical map of Quitla village from 1970',
+    published: { '2025-06-10': 'Fish Curry and Rice' }
+  },
+  'quitla': { alias_for: 'quitla-1970-map' }
+};
+
+describe('Story Mode', () => {
+  test('should read the story and step from the URL', () => {
+    expect(parseStoryParams('?atlas=goa-community')).toBeNull();
+    expect(parseStoryParams('?story=goa-community')).toEqual({ storyId: 'goa-community', step: 1 });
+    expect(parseStoryParams('?story=goa-community&step=3')).toEqual({ storyId: 'goa-community', step: 3 });
+    expect(parseStoryParams('?story=goa-community&step=0')).toEqual({ storyId: 'goa-community', step: 1 });
+    expect(hasStory({ story: [] })).toBe(false);
+    expect(hasStory({ story: [{ title: 'Start' }] })).toBe(true);
+  });
+
+  test('should fill steps in from their permalink, letting the step override it', () => {
+    expect(resolveStoryStep({ permalink: 'quitla' }, permalinks)).toEqual({
+      title: 'Quitla Village Map (1970) by Henrique Fernandes',
+      text: 'Hand-drawn historical map of Quitla village from 1970',
+      camera: { zoom: 14.63, center: [73.87082, 15.60487] },
+      layers: ['community-maps', 'mapbox-satellite'],
+      select: null,
+      published: { '2025-06-10': 'Fish Curry and Rice' }
+    });
+
+    expect(resolveStoryStep({ permalink: 'quitla-1970-map', text: 'The fields', camera: '16/15.6/73.87/20', select: 'plot:274' }, permalinks))
+      .toMatchObject({ text: 'The fields', camera: { zoom: 16, center: [73.87, 15.6], bearing: 20 }, select: 'plot:274' });
+
+    expect(resolveStoryStep({ title: 'Overview', camera: { bounds: [73.6, 14.9, 74.3, 15.8] }, layers: ['plot'] })).toEqual({
+      title: 'Overview', text: '', camera: { bounds: [73.6, 14.9, 74.3, 15.8] }, layers: ['plot'], select: null, published: null
+    });
+  });
+
+  test('should warn about steps pointing to unknown permalinks', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(resolveStoryStep({ permalink: 'gone', title: 'Gone' }, permalinks).camera).toBeNull();
+    expect(warn).toHaveBeenCalledWith("⚠️ Story step permalink 'gone': alias for unknown permalink 'gone'");
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,104 @@
+import {
+  isLayerValidAt,
+  getAtlasTimeRange,
+  buildTimeFilterExpression,
+  isLegacyFilter,
+  convertLegacyFilter
+} from '../time-slider-control.js';
+
+// Evaluates the expression operators used by the time filter against a feature's properties
+function evaluate(expression, properties, scope = {}) {
+  if (!Array.isArray(expression)) return expression;
+  const [op, ...args] = expression;
+  const value = (arg) => evaluate(arg, properties, scope);
+
+  switch (op) {
+    case 'let': return evaluate(args[2], properties, { ...scope, [args[0]]: value(args[1]) });
+    case 'var': return scope[args[0]];
+    case 'get': return properties[args[0]] ?? null;
+    case 'has': return args[0] in properties;
+    case 'to-string': return String(value(args[0]));
+    case 'to-number': {
+      const number = Number(value(args[0]));
+      return Number.isNaN(number) ? args[1] : number;
+    }
+    case 'index-of': return value(args[1]).indexOf(value(args[0]), value(args[2]));
+    case 'slice': return value(args[0]).slice(value(args[1]), value(args[2]));
+    case 'length': return value(args[0]).length;
+    case 'case': return value(args[0]) ? value(args[1]) : value(args[2]);
+    case '==': return value(args[0]) === value(args[1]);
+    case '<=': return value(args[0]) <= value(args[1]);
+    case '>=': return value(args[0]) >= value(args[1]);
+    case '!': return !value(args[0]);
+    case 'all': return args.every(value);
+    case 'any': return args.some(value);
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+describe('Time Slider', () => {
+  test('should check layer validity from startDate/endDate or year', () => {
+    const survey = { id: 'survey', startDate: '1860', endDate: '1880' };
+    const chart = { id: 'chart', year: 1914 };
+    const openEnded = { id: 'wards', startDate: '1890' };
+    const timeless = { id: 'streets' };
+
+    expect(isLayerValidAt(survey, 1870)).toBe(true);
+    expect(isLayerValidAt(survey, 1881)).toBe(false);
+    expect(isLayerValidAt(chart, 1914)).toBe(true);
+    expect(isLayerValidAt(chart, 1913)).toBe(false);
+    expect(isLayerValidAt(openEnded, 1950)).toBe(true);
+    expect(isLayerValidAt(timeless, 1700)).toBe(true);
+  });
+
+  test('should bound the slider by the atlas dates, or the layer dates', () => {
+    const layers = [{ id: 'a', startDate: '1860', endDate: '1880' }, { id: 'b', year: '1895' }];
+
+    expect(getAtlasTimeRange({ startDate: '1857', endDate: '1901', layers })).toEqual({ min: 1857, max: 1901 });
+    expect(getAtlasTimeRange({ layers })).toEqual({ min: 1860, max: 1895 });
+    expect(getAtlasTimeRange({ startDate: '1857', endDate: '1901', layers: [{ id: 'streets' }] })).toBeNull();
+  });
+
+  test('should build a feature filter that keeps undated features', () => {
+    const filter = buildTimeFilterExpression({ startProperty: 'built', endProperty: 'demolished' }, 1890);
+
+    expect(filter[0]).toBe('all');
+    expect(filter).toHaveLength(3);
+    expect(filter[1][1]).toEqual(['!', ['has', 'built']]);
+    expect(filter[2][2][0]).toBe('>=');
+
+    expect(evaluate(filter, {})).toBe(true);
+    expect(evaluate(filter, { built: 1850, demolished: '1901-03-01' })).toBe(true);
+    expect(evaluate(filter, { built: '1895-01-01' })).toBe(false);
+    expect(evaluate(filter, { demolished: 1889 })).toBe(false);
+  });
+
+  test('should read years before 1000 and before the common era from feature dates', () => {
+    const filter = buildTimeFilterExpression({ startProperty: 'built', endProperty: 'demolished' }, 850);
+
+    expect(evaluate(filter, { built: '0850-06-01', demolished: 1200 })).toBe(true);
+    expect(evaluate(filter, { built: 800, demolished: '849' })).toBe(false);
+    expect(evaluate(filter, { built: '-0200', demolished: '1510-11-25' })).toBe(true);
+    expect(evaluate(filter, { built: '-0200-03-01', demolished: -50 })).toBe(false);
+    expect(evaluate(buildTimeFilterExpression({ startProperty: 'built' }, -100), { built: '-0200-03-01' })).toBe(true);
+  });
+
+  test('should convert legacy base filters so they combine with the time filter', () => {
+    expect(isLegacyFilter(['==', 'class', 'fort'])).toBe(true);
+    expect(isLegacyFilter(['all', ['==', ['get', 'class'], 'fort'], ['!has', 'ruin']])).toBe(true);
+    expect(isLegacyFilter(['==', ['get', 'class'], 'fort'])).toBe(false);
+    expect(isLegacyFilter(['in', 'fort', ['get', 'class']])).toBe(false);
+    expect(isLegacyFilter(['has', 'class'])).toBe(false);
+
+    expect(convertLegacyFilter(['==', 'class', 'fort'])).toEqual(['==', ['get', 'class'], 'fort']);
+    expect(convertLegacyFilter(['all', ['==', '$type', 'Polygon'], ['in', 'class', 'fort', 'church'], ['!has', 'ruin']])).toEqual(['all',
+      ['==', ['geometry-type'], 'Polygon'],
+      ['in', ['get', 'class'], ['literal', ['fort', 'church']]],
+      ['!', ['has', 'ruin']]
+    ]);
+    expect(convertLegacyFilter(['none', ['!in', 'class', 'fort']])).toEqual(['!', ['any', ['!', ['in', ['get', 'class'], ['literal', ['fort']]]]]]);
+
+    const expression = ['==', ['get', 'class'], 'fort'];
+    expect(convertLegacyFilter(expression)).toBe(expression);
+  });
+});
@@ -0,0 +1,59 @@
+import {
+  COMPACT_STATE_PARAM,
+  decodeURLState,
+  encodeQueryValue,
+  encodeURLState,
+  toCompactURL,
+  toPlainURL
+} from '../url-state.js';
+
+describe('Compact URL State', () => {
+  const layers = '{"id":"my-layer","type":"geojson","data":{"type":"FeatureCollection","features":[]}},streetmap,mapbox-streets';
+
+  test('should round trip state through a versioned value', async () => {
+    const value = await encodeURLState({ atlas: 'goa-forest', layers });
+
+    expect(value).toMatch(/^1\.[A-Za-z0-9_-]+$/);
+    expect(await decodeURLState(value)).toEqual({ atlas: 'goa-forest', layers });
+  });
+
+  test('should ignore unknown versions and unreadable values', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const value = await encodeURLState({ layers });
+
+    expect(await decodeURLState(value.replace(/^1\./, '2.'))).toBeNull();
+    expect(await decodeURLState('1.not-deflated')).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('should pack atlas and layers and keep other parameters and the hash', async () => {
+    const plain = `https://amche.in/?time=2020&atlas=goa-forest&layers=${layers}#12/15.5/73.8`;
+    const compact = await toCompactURL(plain);
+    const url = new URL(compact);
+
+    expect(url.searchParams.get('time')).toBe('2020');
+    expect(url.searchParams.has('layers')).toBe(false);
+    expect(url.searchParams.get(COMPACT_STATE_PARAM)).toMatch(/^1\./);
+    expect(url.hash).toBe('#12/15.5/73.8');
+
+    expect(await toPlainURL(compact)).toBe(plain);
+  });
+
+  test('should keep tile URLs with & and hex colours intact when expanding', async () => {
+    const customLayers = '{"id":"wards","type":"vector","url":"https://tiles.example.org/{z}/{x}/{y}.pbf?key=abc&v=2","style":{"line-color":"#ff0000"}},streetmap';
+    const plain = `https://amche.in/?atlas=goa-forest&layers=${encodeQueryValue(customLayers)}#12/15.5/73.8`;
+    const expanded = new URL(await toPlainURL(await toCompactURL(plain)));
+
+    expect(expanded.searchParams.get('layers')).toBe(customLayers);
+    expect(expanded.searchParams.get('atlas')).toBe('goa-forest');
+    expect(expanded.searchParams.has('v')).toBe(false);
+    expect(expanded.hash).toBe('#12/15.5/73.8');
+  });
+
+  test('should leave plain URLs unchanged', async () => {
+    const plain = 'https://amche.in/?atlas=goa-forest&layers=streetmap';
+
+    expect(await toPlainURL(plain)).toBe(plain);
+    expect(await toCompactURL('https://amche.in/?time=2020')).toBe('https://amche.in/?time=2020');
+  });
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { glob } from 'glob';
+import { validatePermalinks } from '../permalink-validation.mjs';
+
+/**
+ * Permalink validation command
+ * Checks config/permalinks.json: ids are unique, every atlas exists, every layer id resolves
+ * to an atlas layer or a preset, and alias chains end at a permalink without cycles.
+ *
+ * Usage:
+ *   npm run validate:permalinks              Validate config/permalinks.json
+ *   npm run validate:permalinks -- <file>    Validate another permalinks file
+ */
+
+const PERMALINKS_FILE = 'config/permalinks.json';
+const PRESETS_FILE = 'config/_map-layer-presets.json';
+
+function logError(message) {
+  console.error(`❌ ${message}`);
+}
+
+function logSuccess(message) {
+  console.log(`✅ ${message}`);
+}
+
+function logInfo(message) {
+  console.log(`ℹ️  ${message}`);
+}
+
+/**
+ * Load every local atlas, keyed by the name used in ?atlas=
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadAtlases() {
+  const files = await glob('config/**/*.atlas.json', { cwd: process.cwd() });
+  const atlases = new Map();
+  files.sort().forEach(file => {
+    const name = file.replace(/\\/g, '/').replace(/^config\//, '').replace(/\.atlas\.json$/, '');
+    atlases.set(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+  });
+  return atlases;
+}
+
+/**
+ * Load the built-in preset ids together with their former ids
+ * @returns {Set<string>}
+ */
+function loadPresetIds() {
+  const { layers = [] } = JSON.parse(fs.readFileSync(PRESETS_FILE, 'utf8'));
+  return new Set(layers.flatMap(layer => [layer.id, ...(layer.aliases || [])]));
+}
+
+async function validatePermalinksFile(args) {
+  const filePath = args.find(arg => !arg.startsWith('--')) || PERMALINKS_FILE;
+
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const data = JSON.parse(text);
+    const count = Object.keys(data.permalinks || {}).length;
+    logInfo(`Validating ${count} permalinks in ${filePath}...`);
+
+    const problems = validatePermalinks(data, {
+      atlases: await loadAtlases(),
+      layerIds: loadPresetIds(),
+      text
+    });
+
+    if (problems.length === 0) {
+      logSuccess(`All ${count} permalinks are valid`);
+      return;
+    }
+
+    problems.forEach(problem => logError(problem));
+    logError(`${problems.length} problems found in ${filePath}`);
+    process.exitCode = 1;
+  } catch (error) {
+    logError(`${filePath}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+validatePermalinksFile(process.argv.slice(2));
@@ -0,0 +1,374 @@
+/**
+ * Time Slider Control
+ * Mapbox GL control that shows only the layers, and vector features, valid at a chosen year.
+ *
+ * - The slider range comes from the atlas `startDate`/`endDate`, or the layers' dates if the atlas has none
+ * - Layers are valid between their own `startDate` and `endDate`, or only in their `year`
+ * - Layers with a `timeFilter` ({ "startProperty", "endProperty" }) also filter their features by date properties
+ * - The chosen year is kept in the `?time=` URL parameter. Without it every layer and feature is shown
+ */
+
+import { parseYear, getLayerTimeRange } from './date-utils.js';
+
+const TIME_URL_PARAM = 'time';
+
+// Mapbox layer types that support filter expressions
+const FILTERABLE_LAYER_TYPES = ['fill', 'line', 'circle', 'symbol', 'fill-extrusion', 'heatmap'];
+
+/**
+ * Check whether a layer is valid at a year. Layers without dates are always valid
+ * @param {Object} layer - Layer config
+ * @param {number} year - Chosen year
+ * @returns {boolean}
+ */
+export function isLayerValidAt(layer, year) {
+    const range = getLayerTimeRange(layer);
+    if (!range) return true;
+    return (range.start === null || range.start <= year) && (range.end === null || year <= range.end);
+}
+
+/**
+ * Get the slider range for an atlas, from its own dates or else from its layers
+ * @param {Object} config - Atlas config
+ * @returns {{min: number, max: number}|null} Range, or null if there is nothing to filter by time
+ */
+export function getAtlasTimeRange(config) {
+    const layers = config.layers || [];
+    const hasTimedLayers = layers.some(layer => getLayerTimeRange(layer) || layer.timeFilter);
+    if (!hasTimedLayers) return null;
+
+    const years = layers
+        .map(getLayerTimeRange)
+        .filter(Boolean)
+        .flatMap(range => [range.start, range.end])
+        .filter(year => year !== null);
+
+    const min = parseYear(config.startDate) ?? (years.length ? Math.min(...years) : null);
+    const max = parseYear(config.endDate) ?? (years.length ? Math.max(...years) : null);
+    if (min === null || max === null || min >= max) return null;
+    return { min, max };
+}
+
+/**
+ * Build an expression reading the year of a date property such as 1857, "0850-06-01" or "-0200".
+ * The year runs up to the first '-' after the sign, or to the end of the value
+ * @param {string} property - Feature property holding the date
+ * @returns {Array} Mapbox GL expression evaluating to the year, or 0 without one
+ */
+function yearOf(property) {
+    return ['let', 'date', ['to-string', ['get', property]],
+        ['let', 'end', ['index-of', '-', ['var', 'date'], 1],
+            ['to-number', ['slice', ['var', 'date'], 0,
+                ['case', ['==', ['var', 'end'], -1], ['length', ['var', 'date']], ['var', 'end']]
+            ], 0]
+        ]
+    ];
+}
+
+/**
+ * Build a filter expression that keeps features valid at a year.
+ * Features without the date properties are kept
+ * @param {Object} timeFilter - `{ startProperty, endProperty }` feature properties holding dates
+ * @param {number} year - Chosen year
+ * @returns {Array} Mapbox GL filter expression
+ */
+export function buildTimeFilterExpression(timeFilter, year) {
+    const conditions = [];
+
+    if (timeFilter.startProperty) {
+        conditions.push(['any',
+            ['!', ['has', timeFilter.startProperty]],
+            ['<=', yearOf(timeFilter.startProperty), year]
+        ]);
+    }
+    if (timeFilter.endProperty) {
+        conditions.push(['any',
+            ['!', ['has', timeFilter.endProperty]],
+            ['>=', yearOf(timeFilter.endProperty), year]
+        ]);
+    }
+
+    return ['all', ...conditions];
+}
+
+/**
+ * Check whether a filter uses the legacy syntax such as ["==", "field", "x"], which Mapbox GL
+ * cannot combine with expressions. Follows isExpressionFilter() in the style spec
+ * @param {*} filter - Layer filter
+ * @returns {boolean}
+ */
+export function isLegacyFilter(filter) {
+    if (!Array.isArray(filter) || filter.length === 0) return false;
+    const [op, ...args] = filter;
+
+    switch (op) {
+        case 'has':
+            return args.length === 0 || args[0] === '$id' || args[0] === '$type';
+        case 'in':
+            return typeof args[0] === 'string' && !Array.isArray(args[1]);
+        case '!in':
+        case '!has':
+        case 'none':
+            return true;
+        case 'all':
+        case 'any':
+            return args.some(isLegacyFilter);
+        case '==':
+        case '!=':
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return args.length === 2 && !Array.isArray(args[0]) && !Array.isArray(args[1]);
+        default:
+            return false;
+    }
+}
+
+const legacyValueOf = (key) => {
+    if (key === '$type') return ['geometry-type'];
+    if (key === '$id') return ['id'];
+    return ['get', key];
+};
+
+/**
+ * Convert a legacy filter to an expression so it can be combined with the time filter.
+ * Expression filters are returned as they are
+ * @param {*} filter - Layer filter
+ * @returns {*} Expression filter
+ */
+export function convertLegacyFilter(filter) {
+    if (!isLegacyFilter(filter)) return filter;
+    const [op, ...args] = filter;
+
+    switch (op) {
+        case 'all':
+        case 'any':
+            return [op, ...args.map(convertLegacyFilter)];
+        case 'none':
+            return ['!', ['any', ...args.map(convertLegacyFilter)]];
+        case 'has':
+            if (args[0] === '$type') return true;
+            return args[0] === '$id' ? ['!=', ['id'], null] : ['has', args[0]];
+        case '!has':
+            return ['!', convertLegacyFilter(['has', args[0]])];
+        case 'in':
+            return ['in', legacyValueOf(args[0]), ['literal', args.slice(1)]];
+        case '!in':
+            return ['!', ['in', legacyValueOf(args[0]), ['literal', args.slice(1)]]];
+        default:
+            return [op, legacyValueOf(args[0]), args[1]];
+    }
+}
+
+export class TimeSliderControl {
+    /**
+     * @param {Object} options
+     * @param {Object} options.config - Atlas config
+     * @param {Object} options.stateManager - MapFeatureStateManager, for layer toggle events
+     * @param {Object} options.featureControl - MapFeatureControl, for finding the map layers of a config layer
+     * @param {Object} options.urlManager - URLManager used to keep `?time=` up to date
+     */
+    constructor(options) {
+        this._config = options.config;
+        this._stateManager = options.stateManager;
+        this._featureControl = options.featureControl;
+        this._urlManager = options.urlManager;
+        this._range = getAtlasTimeRange(this._config);
+
+        const urlYear = parseYear(new URLSearchParams(window.location.search).get(TIME_URL_PARAM));
+        this._year = urlYear === null ? null : this._clamp(urlYear);
+
+        // Map layer ids hidden by the slider per config layer, so only those are shown again
+        this._hiddenLayerIds = new Map();
+        // Filters the map layers had before the time filter was added
+        this._baseFilters = new Map();
+
+        this._onStateChange = this._onStateChange.bind(this);
+        this._onPopState = this._onPopState.bind(this);
+    }
+
+    /**
+     * Check whether an atlas has anything to filter by time
+     * @param {Object} config - Atlas config
+     * @returns {boolean}
+     */
+    static hasTimeRange(config) {
+        return getAtlasTimeRange(config) !== null;
+    }
+
+    onAdd(map) {
+        this._map = map;
+        this._container = document.createElement('div');
+        this._container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group time-slider-control';
+        this._container.innerHTML = `
+            <div class="time-slider-header">
+                <sl-icon name="clock-history"></sl-icon>
+                <span class="time-slider-label"></span>
+                <sl-icon-button name="x-circle" label="Show all years" class="time-slider-clear"></sl-icon-button>
+            </div>
+            <sl-range class="time-slider-range" min="${this._range.min}" max="${this._range.max}" step="1"></sl-range>
+        `;
+
+        this._label = this._container.querySelector('.time-slider-label');
+        this._slider = this._container.querySelector('.time-slider-range');
+        this._clearButton = this._container.querySelector('.time-slider-clear');
+
+        this._slider.value = this._year ?? this._range.max;
+        this._slider.addEventListener('sl-input', () => this.setYear(this._slider.value, { updateURL: false }));
+        this._slider.addEventListener('sl-change', () => this.setYear(this._slider.value));
+        this._clearButton.addEventListener('click', () => this.setYear(null));
+
+        this._stateManager.addEventListener('state-change', this._onStateChange);
+        window.addEventListener('popstate', this._onPopState);
+
+        this._updateLabel();
+        this._applyToAllLayers();
+
+        return this._container;
+    }
+
+    onRemove() {
+        this._stateManager.removeEventListener('state-change', this._onStateChange);
+        window.removeEventListener('popstate', this._onPopState);
+        this._year = null;
+        this._applyToAllLayers();
+        this._container.remove();
+        this._map = undefined;
+    }
+
+    /**
+     * Get the chosen year
+     * @returns {number|null} Year, or null when all years are shown
+     */
+    getYear() {
+        return this._year;
+    }
+
+    /**
+     * Choose the year to show, or null to show all years
+     * @param {number|string|null} year - Year within the atlas range
+     * @param {Object} options
+     * @param {boolean} options.updateURL - Whether to write the year to the URL
+     */
+    setYear(year, { updateURL = true } = {}) {
+        const parsedYear = parseYear(year);
+        this._year = parsedYear === null ? null : this._clamp(parsedYear);
+
+        if (this._year !== null && Number(this._slider.value) !== this._year) {
+            this._slider.value = this._year;
+        }
+
+        this._updateLabel();
+        this._applyToAllLayers();
+
+        if (updateURL && this._urlManager) {
+            this._urlManager.updateURL({ params: { [TIME_URL_PARAM]: this._year } });
+        }
+    }
+
+    /**
+     * Show the year of the history entry the user went back or forward to
+     */
+    _onPopState() {
+        const urlYear = parseYear(new URLSearchParams(window.location.search).get(TIME_URL_PARAM));
+        const year = urlYear === null ? null : this._clamp(urlYear);
+        if (year !== this._year) {
+            this.setYear(year, { updateURL: false });
+        }
+    }
+
+    _clamp(year) {
+        return Math.min(Math.max(year, this._range.min), this._range.max);
+    }
+
+    _updateLabel() {
+        this._label.textContent = this._year === null ? 'All years' : String(this._year);
+        this._clearButton.style.visibility = this._year === null ? 'hidden' : 'visible';
+        this._container.classList.toggle('active', this._year !== null);
+    }
+
+    _onStateChange(event) {
+        const { eventType, data } = event.detail;
+        if (eventType === 'layer-registered') {
+            const layer = this._getLayerConfig(data.layerId);
+            if (layer) this._applyToLayer(layer);
+        } else if (eventType === 'layer-unregistered') {
+            // The layer control hides turned off layers itself
+            this._hiddenLayerIds.delete(data.layerId);
+        }
+    }
+
+    _getLayerConfig(layerId) {
+        return (this._config.layers || []).find(layer => layer.id === layerId) || null;
+    }
+
+    _applyToAllLayers() {
+        const activeLayers = this._stateManager.getActiveLayers();
+        (this._config.layers || []).forEach(layer => {
+            if (activeLayers.has(layer.id)) {
+                this._applyToLayer(layer);
+            }
+            this._updateLayerPanel(layer);
+        });
+    }
+
+    /**
+     * Show or hide an active layer for the chosen year and filter its features
+     */
+    _applyToLayer(layer) {
+        if (!this._map || !this._featureControl) return;
+
+        const mapLayerIds = this._featureControl._getMatchingLayerIds(layer)
+            .filter(id => this._map.getLayer(id));
+        const isValid = this._year === null || isLayerValidAt(layer, this._year);
+
+        if (!isValid) {
+            const hiddenIds = mapLayerIds.filter(id => this._map.getLayoutProperty(id, 'visibility') !== 'none');
+            hiddenIds.forEach(id => this._map.setLayoutProperty(id, 'visibility', 'none'));
+            const previouslyHidden = this._hiddenLayerIds.get(layer.id) || [];
+            this._hiddenLayerIds.set(layer.id, [...new Set([...previouslyHidden, ...hiddenIds])]);
+        } else if (this._hiddenLayerIds.has(layer.id)) {
+            this._hiddenLayerIds.get(layer.id)
+                .filter(id => this._map.getLayer(id))
+                .forEach(id => this._map.setLayoutProperty(id, 'visibility', 'visible'));
+            this._hiddenLayerIds.delete(layer.id);
+        }
+
+        if (layer.timeFilter) {
+            this._applyFeatureFilter(layer, mapLayerIds);
+        }
+
+        this._updateLayerPanel(layer);
+    }
+
+    _applyFeatureFilter(layer, mapLayerIds) {
+        mapLayerIds
+            .filter(id => FILTERABLE_LAYER_TYPES.includes(this._map.getLayer(id).type))
+            .forEach(id => {
+                if (!this._baseFilters.has(id)) {
+                    this._baseFilters.set(id, this._map.getFilter(id) || null);
+                }
+                const baseFilter = this._baseFilters.get(id);
+
+                if (this._year === null) {
+                    this._map.setFilter(id, baseFilter);
+                    return;
+                }
+
+                const timeFilter = buildTimeFilterExpression(layer.timeFilter, this._year);
+                this._map.setFilter(id, baseFilter ? ['all', convertLegacyFilter(baseFilter), timeFilter] : timeFilter);
+            });
+    }
+
+    /**
+     * Dim layers in the layer panel that are not valid at the chosen year
+     */
+    _updateLayerPanel(layer) {
+        const header = document.querySelector(`.group-header[data-layer-id="${CSS.escape(layer.id)}"]`);
+        if (!header) return;
+
+        const outOfRange = this._year !== null && !isLayerValidAt(layer, this._year);
+        header.classList.toggle('time-out-of-range', outOfRange);
+    }
+}
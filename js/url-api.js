@@ -1,12 +1,36 @@
 // URL API - Handles URL parameter synchronization for map layers
-// Supports deep linking with ?atlas=X and ?layers=X parameters
+// Supports deep linking with ?atlas=X and ?layers=X parameters, or both packed into ?s=X
+
+import { COMPACT_URL_THRESHOLD, encodeQueryValue, toCompactURL, toPlainURL } from './url-state.js';
+import { cleanLayerOverrides, withLayerOverrides } from './layer-overrides.js';
+import { SELECTION_EVENTS, SELECT_URL_PARAM, getFeatureBbox, parseSelectParam, serializeSelectParam } from './selection-url.js';
+
+// Parameters whose changes get their own browser history entry. Other parameters
+// (e.g. time) and the map position in the hash update the current entry
+const HISTORY_PARAMS = ['atlas', 'layers', SELECT_URL_PARAM];
+
+// How long to wait for a layer in ?select= to be turned on and its features to load
+const SELECT_TIMEOUT = 15000;
 
 class URLManager {
-    constructor(mapLayerControl, map) {
+    /**
+     * @param {Object} mapLayerControl - Layer control whose state is written to the URL
+     * @param {Object} map - Mapbox GL map
+     * @param {Object} options - `compactURLs: true` to write long atlas/layers parameters as ?s=,
+     * `readOnly: true` to never change the URL, for maps embedded in another page
+     */
+    constructor(mapLayerControl, map, options = {}) {
         this.mapLayerControl = mapLayerControl;
         this.map = map;
         this.isUpdatingFromURL = false; // Prevent circular updates
         this.pendingURLUpdate = null; // Debounce URL updates
+        this.pendingOptions = null; // Options of the debounced update that is still waiting
+        this.compactURLs = options.compactURLs === true;
+        this.readOnly = options.readOnly === true;
+        this.stateManager = null; // Feature selections are written to ?select= once set
+        this.plainURL = null; // Last URL written with plain parameters, while the address bar shows ?s=
+        this.historyEnabled = false; // Updates replace the current entry until the initial layers have loaded
+        this.loadedAtlas = new URLSearchParams(window.location.search).get('atlas');
         
         // Set up browser history handling
         this.setupHistoryHandling();
@@ -120,13 +144,18 @@ class URLManager {
         
         // Iterate through all groups in the layer control
         this.mapLayerControl._state.groups.forEach((group, groupIndex) => {
+            // Imported files only exist on this page
+            if (group._imported) return;
+
             if (this.isGroupActive(groupIndex)) {
+                const overrides = this.getLayerOverrides(group, groupIndex);
+
                 // Use the original layer configuration if it exists
                 if (group._originalJson) {
                     // If this is a custom layer from URL, preserve its original JSON
                     try {
                         const originalLayer = JSON.parse(group._originalJson);
-                        activeLayers.push(originalLayer);
+                        activeLayers.push(withLayerOverrides(originalLayer, overrides));
                     } catch (error) {
                         // Fallback to ID if JSON parsing fails
                         if (group.id) {
@@ -134,8 +163,8 @@ class URLManager {
                         }
                     }
                 } else if (group.id) {
-                    // Simple layer with just an ID
-                    activeLayers.push({ id: group.id });
+                    // Layer id, with the changes made to the layer if any
+                    activeLayers.push(withLayerOverrides({ id: group.id }, overrides));
                 } else if (group.layers && group.layers.length > 0) {
                     // For style groups with sublayers, check which sublayers are active
                     const activeSubLayers = this.getActiveSubLayers(groupIndex);
@@ -159,6 +188,34 @@ class URLManager {
         return activeLayers;
     }
 
+    /**
+     * Get the changes made to a layer: opacity, style and filter from `_overrides`, and the
+     * visible sub-layers of a style group when some are turned off
+     */
+    getLayerOverrides(group, groupIndex) {
+        const overrides = { ...group._overrides };
+        delete overrides.sublayers;
+
+        if (group.type === 'style' && group.layers?.length > 0) {
+            const activeSubLayers = this.getActiveSubLayers(groupIndex);
+            if (activeSubLayers.length < group.layers.length) {
+                overrides.sublayers = activeSubLayers;
+            }
+        }
+        return overrides;
+    }
+
+    /**
+     * Get the groups that are turned on, in layer panel order
+     */
+    getActiveGroups() {
+        if (!this.mapLayerControl || !this.mapLayerControl._state) {
+            return [];
+        }
+
+        return this.mapLayerControl._state.groups.filter((group, groupIndex) => this.isGroupActive(groupIndex));
+    }
+
     /**
      * Check if a group is currently active/visible
      */
@@ -174,7 +231,7 @@ class URLManager {
     }
 
     /**
-     * Get active sublayers for a style group
+     * Get the indexes of the active sublayers of a style group
      */
     getActiveSubLayers(groupIndex) {
         if (!this.mapLayerControl._sourceControls || !this.mapLayerControl._sourceControls[groupIndex]) {
@@ -187,10 +244,7 @@ class URLManager {
 
         $sublayerToggles.each((index, toggle) => {
             if ($(toggle).prop('checked')) {
-                const layerId = $(toggle).attr('id');
-                if (layerId) {
-                    activeSubLayers.push(layerId);
-                }
+                activeSubLayers.push(index);
             }
         });
 
@@ -199,24 +253,54 @@ class URLManager {
 
     /**
      * Update URL with current layer state
+     * @param {Object} options - `atlas` to replace the atlas parameter, `updateLayers: false` to keep the layers
+     * parameter, `params` with other parameters to set (null removes a parameter), and `replace: true`
+     * to update the current history entry instead of adding one
      */
     updateURL(options = {}) {
-        if (this.isUpdatingFromURL) {
+        if (this.isUpdatingFromURL || this.readOnly) {
             return; // Prevent circular updates
         }
 
         // Debounce URL updates to avoid too many history entries
         if (this.pendingURLUpdate) {
             clearTimeout(this.pendingURLUpdate);
+            options = this._mergeURLUpdateOptions(this.pendingOptions, options);
         }
 
+        this.pendingOptions = options;
         this.pendingURLUpdate = setTimeout(() => {
+            this.pendingURLUpdate = null;
+            this.pendingOptions = null;
             this._performURLUpdate(options);
         }, 300);
     }
 
+    /**
+     * Combine the options of a waiting update with a newer one, so neither loses its changes:
+     * the newer atlas wins, parameters are merged, the layers are kept only if both calls keep
+     * them and the entry is only replaced if both calls replace it
+     */
+    _mergeURLUpdateOptions(pending, options) {
+        return {
+            ...pending,
+            ...options,
+            atlas: options.atlas !== undefined ? options.atlas : pending.atlas,
+            params: { ...pending.params, ...options.params },
+            updateLayers: pending.updateLayers !== false || options.updateLayers !== false,
+            replace: !!(pending.replace && options.replace)
+        };
+    }
+
+    /**
+     * Get the query string with plain atlas/layers parameters, even while the address bar shows ?s=
+     */
+    _getPlainSearch() {
+        return this.plainURL ? new URL(this.plainURL).search : window.location.search;
+    }
+
     _performURLUpdate(options = {}) {
-        const urlParams = new URLSearchParams(window.location.search);
+        const urlParams = new URLSearchParams(this._getPlainSearch());
         let hasChanges = false;
         let layersParam = null;
         let atlasParam = null;
@@ -246,15 +330,44 @@ class URLManager {
             }
         }
 
+        // Handle selected features
+        let selectParam = serializeSelectParam(parseSelectParam(urlParams.get(SELECT_URL_PARAM)));
+        if (this.stateManager && !this.isSelectingFromURL) {
+            const newSelectParam = serializeSelectParam(this.stateManager.getSelectedFeatures());
+            if (newSelectParam !== selectParam) {
+                hasChanges = true;
+            }
+            selectParam = newSelectParam;
+        }
+
+        // Handle parameters owned by other controls (e.g. time), null removes them
+        const extraParams = options.params || {};
+        Object.entries(extraParams).forEach(([key, value]) => {
+            const currentValue = urlParams.get(key);
+            const newValue = value === null || value === undefined ? null : String(value);
+            if (newValue !== currentValue) {
+                hasChanges = true;
+            }
+        });
+
         // Update URL if there are changes
         if (hasChanges) {
             // Build URL manually to avoid URL encoding issues (like %2C for commas)
             const baseUrl = `${window.location.protocol}//${window.location.host}${window.location.pathname}`;
-            const otherParams = new URLSearchParams(window.location.search);
+            const otherParams = new URLSearchParams(this._getPlainSearch());
             
             // Always remove the parameters we're managing to avoid duplicates
             otherParams.delete('layers');
             otherParams.delete('atlas');
+            otherParams.delete(SELECT_URL_PARAM);
+
+            Object.entries(extraParams).forEach(([key, value]) => {
+                if (value === null || value === undefined) {
+                    otherParams.delete(key);
+                } else {
+                    otherParams.set(key, value);
+                }
+            });
             
             // Build the new URL manually to avoid URL encoding
             let newUrl = baseUrl;
@@ -268,12 +381,17 @@ class URLManager {
             // Add atlas parameter if it exists (either new or preserved from current URL)
             const currentAtlas = atlasParam || (options.atlas === undefined ? urlParams.get('atlas') : null);
             if (currentAtlas) {
-                params.push('atlas=' + currentAtlas);
+                params.push('atlas=' + encodeQueryValue(currentAtlas));
             }
             
             // Add layers parameter if present
             if (layersParam) {
-                params.push('layers=' + layersParam);
+                params.push('layers=' + encodeQueryValue(layersParam));
+            }
+
+            // Add selected features, keeping the separators readable
+            if (selectParam) {
+                params.push(`${SELECT_URL_PARAM}=${encodeQueryValue(selectParam)}`);
             }
             
             // Combine all parameters
@@ -286,7 +404,17 @@ class URLManager {
                 newUrl += window.location.hash;
             }
             
-            window.history.replaceState(null, '', newUrl);
+            const newParams = new URLSearchParams(newUrl.split('#')[0].split('?')[1] || '');
+            const push = this.historyEnabled && !options.replace &&
+                HISTORY_PARAMS.some(key => newParams.get(key) !== urlParams.get(key));
+
+            if (this.compactURLs && newUrl.length > COMPACT_URL_THRESHOLD) {
+                this.plainURL = newUrl;
+                toCompactURL(newUrl).then(compactUrl => this._writeHistory(compactUrl, push));
+            } else {
+                this.plainURL = null;
+                this._writeHistory(newUrl, push);
+            }
             
             // Trigger custom event for other components (like ShareLink)
             window.dispatchEvent(new CustomEvent('urlUpdated', { 
@@ -295,6 +423,51 @@ class URLManager {
         }
     }
 
+    /**
+     * Write a URL to the browser history
+     * @param {string} url - New URL
+     * @param {boolean} push - Add a history entry instead of replacing the current one
+     */
+    _writeHistory(url, push) {
+        if (!push) {
+            window.history.replaceState(window.history.state, '', url);
+            return;
+        }
+
+        // Remember the camera of the entry being left so Back returns to it
+        window.history.replaceState({ ...window.history.state, camera: this._getCamera() }, '', window.location.href);
+        window.history.pushState({ camera: this._getCamera() }, '', url);
+    }
+
+    _getCamera() {
+        if (!this.map) return null;
+        const center = this.map.getCenter();
+        return {
+            center: [center.lng, center.lat],
+            zoom: this.map.getZoom(),
+            bearing: this.map.getBearing(),
+            pitch: this.map.getPitch()
+        };
+    }
+
+    /**
+     * Start adding history entries once the map has loaded the layers from the initial URL
+     */
+    _enableHistory() {
+        if (this.pendingURLUpdate) {
+            // Let the initial layer sync replace the entry the page was opened with
+            setTimeout(() => this._enableHistory(), 500);
+            return;
+        }
+
+        // Record the atlas default layers in the entry the page was opened with, so Back
+        // restores them instead of reading a missing ?layers= as every layer off
+        if (!this.readOnly) {
+            this._performURLUpdate({ replace: true });
+        }
+        this.historyEnabled = true;
+    }
+
     /**
      * Serialize active layers for URL parameter
      */
@@ -316,13 +489,18 @@ class URLManager {
     }
 
     /**
-     * Apply URL parameters to layer control (called on page load)
+     * Apply URL parameters to layer control (called on page load and on back/forward)
+     * @param {string} search - Query string to apply, defaults to the current URL
+     * @param {Object} options - `emptyLayersOff: true` to turn every layer off when the URL has no
+     * layers, as in history entries, where an empty ?layers= is never written
+     * @returns {Promise<boolean>} Whether the layer state was applied
      */
-    async applyURLParameters() {
-        const urlParams = new URLSearchParams(window.location.search);
+    async applyURLParameters(search = window.location.search, { emptyLayersOff = false } = {}) {
+        const urlParams = new URLSearchParams(search);
         const layersParam = urlParams.get('layers');
-        
-        if (!layersParam) {
+
+        // Without ?layers= the atlas defaults stay as they are
+        if (!layersParam && !emptyLayersOff) {
             return false;
         }
 
@@ -335,7 +513,7 @@ class URLManager {
             await this.waitForMapReady();
             
             // Parse layers from URL
-            const urlLayers = this.parseLayersFromUrl(layersParam);
+            const urlLayers = layersParam ? this.parseLayersFromUrl(layersParam) : [];
             
             // Apply the layer state
             applied = await this.applyLayerState(urlLayers);
@@ -343,7 +521,12 @@ class URLManager {
         } catch (error) {
             console.error('🔗 Error applying URL parameters:', error);
         } finally {
-            this.isUpdatingFromURL = false;
+            // Layer toggles report back asynchronously, keep ignoring them until they have settled,
+            // then write the layer state as it was applied
+            setTimeout(() => {
+                this.isUpdatingFromURL = false;
+                this.updateURL({ replace: true });
+            }, 100);
         }
 
         return applied;
@@ -366,21 +549,277 @@ class URLManager {
     }
 
     /**
-     * Apply layer state from URL parameters
+     * Get the id a group is written to the URL with, matching getCurrentActiveLayers()
+     */
+    _getGroupURLId(group, groupIndex) {
+        return group.id || group.title || `group-${groupIndex}`;
+    }
+
+    /**
+     * Apply layer state from URL parameters: turn on the listed layers and their sublayers,
+     * and turn off every other layer
+     * @param {Object[]} urlLayers - Layers parsed by parseLayersFromUrl()
+     * @returns {Promise<boolean>} False if a listed layer is not in the layer control, e.g. a
+     * custom layer that was never loaded on this page
      */
     async applyLayerState(urlLayers) {
-        // This would need to be implemented based on the specific layer control logic
-        // For now, return true to indicate success
+        const groups = this.mapLayerControl._state.groups;
+        const urlLayersById = new Map(urlLayers.map(layer => [layer.id, layer]));
+        const groupIds = groups.map((group, groupIndex) => this._getGroupURLId(group, groupIndex));
+
+        const missing = urlLayers.filter(layer => !groupIds.includes(layer.id));
+        if (missing.length > 0) {
+            console.warn('🔗 Layers in URL are not loaded on this page:', missing.map(layer => layer.id));
+            return false;
+        }
+
+        // Style and filter changes are part of the layer definition and need the layers rebuilt
+        const definitionChanged = groups.some((group, groupIndex) => {
+            const urlLayer = urlLayersById.get(groupIds[groupIndex]);
+            if (!urlLayer || group._originalJson) return false;
+            const overrides = cleanLayerOverrides(group._overrides);
+            return JSON.stringify(urlLayer.style) !== JSON.stringify(overrides.style) ||
+                JSON.stringify(urlLayer.filter) !== JSON.stringify(overrides.filter);
+        });
+        if (definitionChanged) {
+            console.warn('🔗 Layer style or filter in URL differs from the loaded layers');
+            return false;
+        }
+
+        groups.forEach((group, groupIndex) => {
+            // Imported files are never in the URL, leave them as they are
+            if (group._imported) return;
+
+            const urlLayer = urlLayersById.get(groupIds[groupIndex]);
+            const $groupControl = $(this.mapLayerControl._sourceControls[groupIndex]);
+
+            if (this.isGroupActive(groupIndex) !== !!urlLayer) {
+                $groupControl.find('.toggle-switch input[type="checkbox"]').first()
+                    .prop('checked', !!urlLayer)
+                    .trigger('change');
+            }
+
+            if (!urlLayer) return;
+
+            // Style groups list their visible sublayers when some are turned off
+            const sublayers = urlLayer.sublayers;
+            $groupControl.find('.layer-controls .toggle-switch input[type="checkbox"]').each((index, toggle) => {
+                const visible = !sublayers || sublayers.includes(index);
+                if ($(toggle).prop('checked') !== visible) {
+                    $(toggle).prop('checked', visible).trigger('change');
+                }
+            });
+
+            this.applyLayerOpacity(group, urlLayer.opacity);
+        });
+
         return true;
     }
 
+    /**
+     * Set the opacity of an active layer, or reset it when the URL has none
+     */
+    applyLayerOpacity(group, opacity) {
+        if (opacity === (group._overrides?.opacity)) return;
+
+        group._overrides = { ...group._overrides, opacity };
+        if (opacity === undefined) {
+            delete group._overrides.opacity;
+        }
+        window.featureControl?._applyLayerOpacity(group.id, group, opacity ?? 1);
+    }
+
+    /**
+     * Write feature selections to ?select= as they change
+     * @param {MapFeatureStateManager} stateManager
+     */
+    setupSelectionListeners(stateManager) {
+        this.stateManager = stateManager;
+        stateManager.addEventListener('state-change', (event) => {
+            if (SELECTION_EVENTS.includes(event.detail.eventType) && !this.isUpdatingFromURL && !this.isSelectingFromURL) {
+                this.updateURL({ updateLayers: true });
+            }
+        });
+    }
+
+    /**
+     * Select the features listed in ?select=, flying to them if they are out of view and
+     * opening their details in the feature control
+     * @param {string|null} selectParam - Value of the select parameter
+     * @returns {Promise<number>} Number of features selected
+     */
+    async selectFeaturesFromURL(selectParam) {
+        const selections = parseSelectParam(selectParam);
+        if (!this.stateManager || selections.length === 0) {
+            return 0;
+        }
+
+        // Keep ?select= in the URL while layers load and the features are looked up
+        this.isSelectingFromURL = true;
+        try {
+            await this.waitForMapReady();
+
+            let found = await this._findSelectedFeatures(selections);
+            if (found.length === 0) {
+                console.warn(`🔗 Could not find the features in ?${SELECT_URL_PARAM}=${selectParam}`);
+                return 0;
+            }
+
+            // Bring the features into view and query them again from the loaded tiles
+            const bboxes = found.map(({ feature }) => getFeatureBbox(feature)).filter(Boolean);
+            if (bboxes.length > 0) {
+                const bbox = [
+                    Math.min(...bboxes.map(b => b[0])), Math.min(...bboxes.map(b => b[1])),
+                    Math.max(...bboxes.map(b => b[2])), Math.max(...bboxes.map(b => b[3]))
+                ];
+                const bounds = this.map.getBounds();
+                const inView = bounds.contains([bbox[0], bbox[1]]) && bounds.contains([bbox[2], bbox[3]]);
+                if (!inView) {
+                    this.map.fitBounds(bbox, { padding: 80, maxZoom: Math.max(this.map.getZoom(), 16), essential: true });
+                    await new Promise(resolve => this.map.once('idle', resolve));
+                    const refound = await this._findSelectedFeatures(selections);
+                    if (refound.length > 0) {
+                        found = refound;
+                    }
+                }
+            }
+
+            const current = serializeSelectParam(this.stateManager.getSelectedFeatures());
+            if (current !== serializeSelectParam(selections)) {
+                this.stateManager.clearAllSelections(true);
+                this.stateManager.handleFeatureClicks(found.map(({ feature, layerId }) => {
+                    const bbox = getFeatureBbox(feature);
+                    const lngLat = bbox ? { lng: (bbox[0] + bbox[2]) / 2, lat: (bbox[1] + bbox[3]) / 2 } : this.map.getCenter();
+                    return { feature, layerId, lngLat };
+                }));
+            }
+            return found.length;
+        } catch (error) {
+            console.error('🔗 Error selecting features from URL:', error);
+            return 0;
+        } finally {
+            // The selection is reported back on the next frame
+            setTimeout(() => {
+                this.isSelectingFromURL = false;
+                this.updateURL({ replace: true });
+            }, 100);
+        }
+    }
+
+    /**
+     * Find the features of ?select= in the loaded tiles, waiting for their layers to be turned on
+     * @returns {Promise<Array<{feature: Object, layerId: string}>>}
+     */
+    async _findSelectedFeatures(selections) {
+        const found = [];
+        for (const { layerId, featureId } of selections) {
+            const feature = await this._waitForFeature(layerId, featureId);
+            if (feature) {
+                found.push({ feature, layerId });
+            } else {
+                console.warn(`🔗 Feature '${featureId}' not found in layer '${layerId}'`);
+            }
+        }
+        return found;
+    }
+
+    async _waitForFeature(layerId, featureId) {
+        const startTime = Date.now();
+        while (Date.now() - startTime < SELECT_TIMEOUT) {
+            const layerConfig = this.stateManager.getLayerConfig(layerId);
+            if (layerConfig) {
+                const feature = this._querySourceFeature(layerConfig, featureId);
+                if (feature) return feature;
+            }
+            // Wait for the layer to be turned on or for more tiles to load
+            await new Promise(resolve => {
+                const timeout = setTimeout(resolve, 1000);
+                this.map.once('idle', () => {
+                    clearTimeout(timeout);
+                    resolve();
+                });
+            });
+        }
+        return null;
+    }
+
+    _querySourceFeature(layerConfig, featureId) {
+        const mapLayerIds = this.stateManager._getMatchingLayerIds(layerConfig);
+        for (const mapLayerId of mapLayerIds) {
+            const mapLayer = this.map.getLayer(mapLayerId);
+            if (!mapLayer?.source) continue;
+
+            const features = this.map.querySourceFeatures(mapLayer.source, {
+                ...(mapLayer['source-layer'] && { sourceLayer: mapLayer['source-layer'] })
+            });
+            const feature = features.find(candidate =>
+                String(this.stateManager._getRawFeatureIdFromFeature(candidate)) === String(featureId)
+            );
+            if (feature) {
+                // Query results don't know their layer, the feature control needs it for display
+                feature.layer = feature.layer || mapLayer;
+                return feature;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Restore the state of a history entry on back/forward
+     */
+    async _onPopState(event) {
+        // A pending update belongs to the entry being left
+        if (this.pendingURLUpdate) {
+            clearTimeout(this.pendingURLUpdate);
+            this.pendingURLUpdate = null;
+            this.pendingOptions = null;
+        }
+
+        const plainURL = await toPlainURL(window.location.href);
+        this.plainURL = plainURL === window.location.href ? null : plainURL;
+        const search = new URL(plainURL).search;
+
+        // Switching atlas needs the new config, so load it like a new page
+        if (new URLSearchParams(search).get('atlas') !== this.loadedAtlas) {
+            window.location.reload();
+            return;
+        }
+
+        // Entries with every layer off have no ?layers=. A reload is only needed for layers
+        // this page has not loaded, e.g. a custom layer or a changed style
+        const applied = await this.applyURLParameters(search, { emptyLayersOff: true });
+        if (!applied) {
+            window.location.reload();
+            return;
+        }
+
+        if (event.state?.camera) {
+            this.map.jumpTo(event.state.camera);
+        }
+
+        const selectParam = new URLSearchParams(search).get(SELECT_URL_PARAM);
+        if (selectParam) {
+            this.selectFeaturesFromURL(selectParam);
+        } else if (this.stateManager?.getSelectedFeatures().length > 0) {
+            this.isSelectingFromURL = true;
+            this.stateManager.clearAllSelections();
+            setTimeout(() => {
+                this.isSelectingFromURL = false;
+            }, 100);
+        }
+    }
+
     /**
      * Set up browser history handling (back/forward buttons)
      */
     setupHistoryHandling() {
         window.addEventListener('popstate', (event) => {
-            this.applyURLParameters();
+            this._onPopState(event);
         });
+
+        if (this.map) {
+            this.map.once('idle', () => this._enableHistory());
+        }
     }
 
     /**
@@ -395,9 +834,21 @@ class URLManager {
      */
     getShareableURL() {
         // Return current URL which should already have the latest layer state
+        if (this.plainURL) {
+            // The address bar has ?s=, share the plain parameters with the current map position
+            return this.plainURL.split('#')[0] + window.location.hash;
+        }
         return this.getCurrentURL();
     }
 
+    /**
+     * Get the compact ?s= form of the shareable URL
+     * @returns {Promise<string>}
+     */
+    getCompactShareableURL() {
+        return toCompactURL(this.getShareableURL());
+    }
+
     /**
      * Initialize event listeners on the layer control
      */
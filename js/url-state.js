@@ -0,0 +1,157 @@
+/**
+ * Compact URL State
+ * Long `?atlas=` and `?layers=` values (inline atlas JSON, custom layers) can be packed into a
+ * single `?s=` parameter: `<version>.<base64url of the deflated JSON state>`. Other parameters
+ * and the map hash stay readable. Plain `?atlas=`/`?layers=` links keep working as before.
+ *
+ * Version 1 state is `{ "atlas": "...", "layers": "..." }` holding the plain parameter values.
+ */
+
+export const COMPACT_STATE_PARAM = 's';
+export const URL_STATE_VERSION = 1;
+
+// Plain URLs longer than this are shared in the compact form
+export const COMPACT_URL_THRESHOLD = 1000;
+
+// Parameters packed into the compact state
+const STATE_PARAMS = ['atlas', 'layers'];
+
+// Characters that end or change a query value. Everything else, like the commas, quotes and
+// braces of layer JSON, is left readable
+const RESERVED_QUERY_CHARACTERS = /[%#&+]/g;
+
+/**
+ * Encode a readable `atlas`/`layers` value for a query string built by hand. Only the characters
+ * that would cut the value short (`#`, `&`) or be decoded differently (`%`, `+`) are encoded.
+ * @param {string} value - Plain parameter value
+ * @returns {string}
+ */
+export function encodeQueryValue(value) {
+    return String(value).replace(RESERVED_QUERY_CHARACTERS, encodeURIComponent);
+}
+
+/**
+ * Whether this browser can create and read compact URLs
+ * @returns {boolean}
+ */
+export function supportsCompactURLs() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+    return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+/**
+ * Encode URL state into a compact `?s=` value
+ * @param {Object} state - Plain parameter values, e.g. `{ atlas, layers }`
+ * @returns {Promise<string>} Versioned, compressed, base64url encoded state
+ */
+export async function encodeURLState(state) {
+    const json = JSON.stringify(state);
+    const compressed = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `${URL_STATE_VERSION}.${toBase64Url(compressed)}`;
+}
+
+/**
+ * Decode a compact `?s=` value
+ * @param {string} value - Value created by encodeURLState()
+ * @returns {Promise<Object|null>} Plain parameter values, or null if the value can't be read
+ */
+export async function decodeURLState(value) {
+    const [version, payload] = String(value).split('.');
+    if (Number(version) !== URL_STATE_VERSION || !payload) {
+        console.warn(`⚠️ Unsupported compact URL state version '${version}', ignoring ?${COMPACT_STATE_PARAM}=`);
+        return null;
+    }
+
+    try {
+        const json = await transform(fromBase64Url(payload), new DecompressionStream('deflate-raw'));
+        const state = JSON.parse(new TextDecoder().decode(json));
+        return state && typeof state === 'object' ? state : null;
+    } catch (error) {
+        console.warn(`⚠️ Could not read compact URL state, ignoring ?${COMPACT_STATE_PARAM}=:`, error);
+        return null;
+    }
+}
+
+/**
+ * Build query string parts keeping atlas and layers readable, matching URLManager
+ */
+function buildQuery(otherParams, stateParams) {
+    const parts = [];
+    if (otherParams.toString()) {
+        parts.push(otherParams.toString());
+    }
+    STATE_PARAMS.forEach(key => {
+        if (stateParams[key]) {
+            parts.push(`${key}=${encodeQueryValue(stateParams[key])}`);
+        }
+    });
+    return parts.length > 0 ? `?${parts.join('&')}` : '';
+}
+
+/**
+ * Convert a plain URL into its compact form
+ * @param {string} plainURL - URL with `atlas`/`layers` parameters
+ * @returns {Promise<string>} URL with `?s=`, or the plain URL if there is nothing to pack
+ */
+export async function toCompactURL(plainURL) {
+    const url = new URL(plainURL);
+    const params = new URLSearchParams(url.search);
+    const state = {};
+    STATE_PARAMS.forEach(key => {
+        if (params.has(key)) {
+            state[key] = params.get(key);
+            params.delete(key);
+        }
+    });
+
+    if (Object.keys(state).length === 0 || !supportsCompactURLs()) {
+        return plainURL;
+    }
+
+    params.set(COMPACT_STATE_PARAM, await encodeURLState(state));
+    return `${url.origin}${url.pathname}?${params.toString()}${url.hash}`;
+}
+
+/**
+ * Convert a compact URL back to plain `atlas`/`layers` parameters. Plain parameters
+ * already in the URL win over the packed ones
+ * @param {string} compactURL - URL that may have `?s=`
+ * @returns {Promise<string>} Plain URL, or the URL unchanged if it has no readable `?s=`
+ */
+export async function toPlainURL(compactURL) {
+    const url = new URL(compactURL);
+    const params = new URLSearchParams(url.search);
+    const value = params.get(COMPACT_STATE_PARAM);
+    if (!value || !supportsCompactURLs()) {
+        return compactURL;
+    }
+
+    const state = await decodeURLState(value);
+    if (!state) {
+        return compactURL;
+    }
+
+    params.delete(COMPACT_STATE_PARAM);
+    const stateParams = {};
+    STATE_PARAMS.forEach(key => {
+        stateParams[key] = params.get(key) || state[key];
+        params.delete(key);
+    });
+    return `${url.origin}${url.pathname}${buildQuery(params, stateParams)}${url.hash}`;
+}